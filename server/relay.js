@@ -0,0 +1,176 @@
+// ------------------------------ SHARE RELAY ------------------------------ //
+//
+// A tiny WebSocket relay for live session sharing. It knows nothing about contractions:
+// devices join a room by its share code, and every snapshot one of them sends is passed
+// on to the others and kept as the room's latest, for anyone who joins later. Merging
+// happens on the devices (src/lib/sync.js).
+//
+//   npm run relay                 # listens on ws://0.0.0.0:8787
+//   RELAY_PORT=9000 npm run relay
+//
+// Rooms live in memory and are dropped a while after the last device leaves. The code is
+// all that guards a room, so an address that keeps asking for rooms that aren't there is
+// turned away for a while.
+
+import { WebSocketServer } from "ws";
+import { randomInt } from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+export const DEFAULT_PORT = 8787;
+export const PROTOCOL_VERSION = 1;
+// No 0/O or 1/I/L, so codes survive being read out loud
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+const MAX_PEERS = 8;
+const MAX_MESSAGE_BYTES = 512 * 1024;
+const EMPTY_ROOM_TTL_MS = 30 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+// Joins for a room that doesn't exist an address gets per window before it's refused
+const MAX_MISSED_JOINS = 5;
+const MISSED_JOIN_WINDOW_MS = 60 * 1000;
+
+function randomCode() {
+  return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join("");
+}
+
+export function isShareCode(code) {
+  return typeof code === "string" && code.length === CODE_LENGTH && [...code].every(ch => CODE_ALPHABET.includes(ch));
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+}
+
+// Errors go out as a code the app words in its own language. The English `message`
+// is for anything older than the codes, and for reading the traffic.
+const ERROR_MESSAGES = {
+  invalidCode: "That share code isn't valid.",
+  noRoom: "No shared session with that code.",
+  full: "This shared session is full.",
+  malformed: "Malformed message.",
+  version: "This app version can't use this relay. Reload to update.",
+  tooManyTries: "Too many tries with codes that don't exist. Wait a minute and try again.",
+};
+
+function sendError(ws, error) {
+  send(ws, { type: "error", error, message: ERROR_MESSAGES[error] });
+}
+
+// Starts a relay; resolves to { port, close() } once it is listening
+export function createRelay({ port = DEFAULT_PORT, host } = {}) {
+  const rooms = new Map(); // code -> { peers: Set<ws>, last, expires }
+  const missedJoins = new Map(); // address -> { count, expires }
+  const wss = new WebSocketServer({ port, host, maxPayload: MAX_MESSAGE_BYTES });
+
+  const broadcastPeers = room => {
+    for (const peer of room.peers) send(peer, { type: "peers", count: room.peers.size });
+  };
+
+  const leave = ws => {
+    const room = rooms.get(ws.code);
+    if (!room) return;
+    room.peers.delete(ws);
+    if (room.peers.size === 0) room.expires = Date.now() + EMPTY_ROOM_TTL_MS;
+    else broadcastPeers(room);
+  };
+
+  const missedJoin = ws => {
+    const now = Date.now();
+    const entry = missedJoins.get(ws.address);
+    if (entry && entry.expires >= now) entry.count += 1;
+    else missedJoins.set(ws.address, { count: 1, expires: now + MISSED_JOIN_WINDOW_MS });
+  };
+
+  const join = (ws, { code, create }) => {
+    const missed = missedJoins.get(ws.address);
+    if (missed && missed.expires >= Date.now() && missed.count >= MAX_MISSED_JOINS) {
+      sendError(ws, "tooManyTries");
+      return ws.close();
+    }
+    if (code === null && create) {
+      do code = randomCode(); while (rooms.has(code));
+    } else if (!isShareCode(code)) {
+      missedJoin(ws);
+      return sendError(ws, "invalidCode");
+    }
+    let room = rooms.get(code);
+    if (!room) {
+      // Creating a room under a code of its own is how a device gets its room back after the
+      // relay restarted; it counts as a miss so it can't be used to guess codes either
+      missedJoin(ws);
+      if (!create) return sendError(ws, "noRoom");
+      room = { peers: new Set(), last: null, expires: null };
+      rooms.set(code, room);
+    }
+    if (room.peers.size >= MAX_PEERS) return sendError(ws, "full");
+
+    leave(ws);
+    ws.code = code;
+    room.peers.add(ws);
+    room.expires = null;
+    send(ws, { type: "joined", code });
+    if (room.last) send(ws, { type: "state", payload: room.last });
+    broadcastPeers(room);
+  };
+
+  wss.on("connection", (ws, req) => {
+    ws.address = req.socket.remoteAddress;
+    ws.alive = true;
+    ws.on("pong", () => { ws.alive = true; });
+    ws.on("message", data => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        return sendError(ws, "malformed");
+      }
+      if (message?.version !== PROTOCOL_VERSION) {
+        return sendError(ws, "version");
+      }
+      if (message.type === "join") return join(ws, { code: message.code ?? null, create: !!message.create });
+
+      const room = rooms.get(ws.code);
+      if (message.type !== "state" || !room) return;
+      room.last = message.payload;
+      for (const peer of room.peers) if (peer !== ws) send(peer, { type: "state", payload: message.payload });
+    });
+    ws.on("close", () => leave(ws));
+  });
+
+  // Drop sockets that stopped answering (phone went to sleep, lost signal) and expired rooms
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.alive) ws.terminate();
+      else {
+        ws.alive = false;
+        ws.ping();
+      }
+    }
+    const now = Date.now();
+    for (const [code, room] of rooms) if (room.expires !== null && room.expires < now) rooms.delete(code);
+    for (const [address, entry] of missedJoins) if (entry.expires < now) missedJoins.delete(address);
+  }, HEARTBEAT_MS);
+
+  return new Promise((resolve, reject) => {
+    wss.once("error", reject);
+    wss.once("listening", () => resolve({
+      port: wss.address().port,
+      close: () => new Promise(done => {
+        clearInterval(heartbeat);
+        for (const ws of wss.clients) ws.terminate();
+        wss.close(() => done());
+      }),
+    }));
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? "").href) {
+  const port = Number(process.env.RELAY_PORT) || DEFAULT_PORT;
+  createRelay({ port }).then(
+    relay => console.log(`Share relay listening on ws://0.0.0.0:${relay.port}`),
+    err => {
+      console.error(`Share relay failed to start: ${err.message}`);
+      process.exit(1);
+    },
+  );
+}
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import WebSocket from "ws";
+import { createRelay, isShareCode, PROTOCOL_VERSION } from "./relay";
+
+let relay;
+
+beforeEach(async () => {
+  relay = await createRelay({ port: 0, host: "127.0.0.1" });
+});
+
+afterEach(() => relay.close());
+
+// A client that queues incoming messages so tests can await them in order
+async function client() {
+  const ws = new WebSocket(`ws://127.0.0.1:${relay.port}`);
+  const queue = [];
+  const waiting = [];
+  ws.on("message", data => {
+    const message = JSON.parse(data);
+    if (waiting.length) waiting.shift()(message);
+    else queue.push(message);
+  });
+  const closed = new Promise(resolve => ws.once("close", () => resolve(true)));
+  await new Promise(resolve => ws.once("open", resolve));
+  return {
+    closed,
+    send: message => ws.send(JSON.stringify({ version: PROTOCOL_VERSION, ...message })),
+    next: () => (queue.length ? Promise.resolve(queue.shift()) : new Promise(resolve => waiting.push(resolve))),
+    close: () => ws.close(),
+  };
+}
+
+describe("share relay", () => {
+  it("creates a room with a readable code", async () => {
+    const host = await client();
+    host.send({ type: "join", code: null, create: true });
+    const joined = await host.next();
+    expect(joined.type).toBe("joined");
+    expect(isShareCode(joined.code)).toBe(true);
+    host.close();
+  });
+
+  it("refuses to join a room that doesn't exist", async () => {
+    const guest = await client();
+    guest.send({ type: "join", code: "ABCDEFGH", create: false });
+    expect(await guest.next()).toMatchObject({ type: "error", error: "noRoom" });
+    guest.close();
+  });
+
+  it("turns away an address that keeps guessing codes", async () => {
+    const guesser = await client();
+    const codes = ["ABCDEFGH", "ABCDEFGJ", "nope", "ABCDEFGK"];
+    for (const code of codes) guesser.send({ type: "join", code, create: false });
+    // Making up a room of its own counts too
+    guesser.send({ type: "join", code: "ABCDEFGM", create: true });
+    for (let i = 0; i < codes.length; i++) expect(await guesser.next()).toMatchObject({ type: "error" });
+    expect(await guesser.next()).toMatchObject({ type: "joined", code: "ABCDEFGM" });
+    await guesser.next(); // peers
+
+    // Even for a room that's there, and from a fresh connection
+    const again = await client();
+    again.send({ type: "join", code: "ABCDEFGM", create: false });
+    expect(await again.next()).toMatchObject({ type: "error", error: "tooManyTries" });
+    expect(await again.closed).toBe(true);
+    guesser.close();
+  });
+
+  it("forwards snapshots and replays the latest to late joiners", async () => {
+    const host = await client();
+    host.send({ type: "join", code: null, create: true });
+    const { code } = await host.next();
+    expect(await host.next()).toEqual({ type: "peers", count: 1 });
+    host.send({ type: "state", payload: { n: 1 } });
+
+    const guest = await client();
+    guest.send({ type: "join", code, create: false });
+    expect(await guest.next()).toEqual({ type: "joined", code });
+    expect(await guest.next()).toEqual({ type: "state", payload: { n: 1 } });
+    expect(await guest.next()).toEqual({ type: "peers", count: 2 });
+    expect(await host.next()).toEqual({ type: "peers", count: 2 });
+
+    guest.send({ type: "state", payload: { n: 2 } });
+    expect(await host.next()).toEqual({ type: "state", payload: { n: 2 } });
+    host.close();
+    guest.close();
+  });
+
+  it("rejects clients speaking another protocol version", async () => {
+    const old = await client();
+    old.send({ type: "join", code: null, create: true, version: 0 });
+    expect(await old.next()).toMatchObject({ type: "error", error: "version" });
+    old.close();
+  });
+});
@@ -1,59 +1,57 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect } from "react";
+import SessionProvider from "./components/SessionProvider";
+import SessionHistory from "./components/SessionHistory";
+import ExportImport from "./components/ExportImport";
+import ReportView from "./components/ReportView";
+import SettingsPanel from "./components/SettingsPanel";
+import StorageNotice from "./components/StorageNotice";
+import SharePanel from "./components/SharePanel";
+import RuleCard from "./components/RuleCard";
+import StaleTimerPrompt from "./components/StaleTimerPrompt";
+import TimerButton from "./components/TimerButton";
+import IntensitySlider from "./components/IntensitySlider";
+import RatingPrompt from "./components/RatingPrompt";
+import StatsGrid from "./components/StatsGrid";
+import TimelineChart from "./components/TimelineChart";
+import ContractionLog from "./components/ContractionLog";
+import LiveAnnouncer from "./components/LiveAnnouncer";
+import OneHandedView from "./components/OneHandedView";
+import RedFlagBanner from "./components/RedFlagBanner";
+import CareTeamCard from "./components/CareTeamCard";
+import { MIN_CONTRACTION_MS } from "./lib/contractions";
+import { PREFS_KEY, SETTINGS_KEY, loadJSON, saveJSON } from "./lib/storage";
+import { getSession, defaultSessionName, isEmptySession } from "./lib/sessions";
+import { applyImport, applyEventImport } from "./lib/exchange";
+import { DEFAULT_ZOOM } from "./lib/chart";
+import { resolveRule, ruleName } from "./lib/rules";
+import { analyzeContractions, isValidWindow, DEFAULT_WINDOW } from "./lib/analytics";
+import { predictRuleMet } from "./lib/prediction";
+import { DEFAULT_ALERTS, primeAudio } from "./lib/alerts";
+import { resolveRating, levelLabel } from "./lib/intensity";
+import { resolveContacts } from "./lib/contacts";
+import { resolveBreathing } from "./lib/breathing";
+import { buildSummary } from "./lib/summary";
+import { redFlags } from "./lib/events";
+import useAlerts from "./hooks/useAlerts";
+import useLiveShare from "./hooks/useLiveShare";
+import useSession from "./hooks/useSession";
+import useKeyboardShortcuts from "./hooks/useKeyboardShortcuts";
+import useTheme from "./hooks/useTheme";
+import useClock from "./hooks/useClock";
+import useWakeLock from "./hooks/useWakeLock";
+import useLanguage from "./hooks/useLanguage";
+import { I18nContext } from "./hooks/useI18n";
+import { defaultRelayUrl, readShareLink, clearShareLink } from "./lib/share";
+import { colors, isThemeChoice, DEFAULT_THEME_CHOICE } from "./lib/theme";
+import { isLanguageChoice, DEFAULT_LANGUAGE_CHOICE } from "./lib/i18n";
 
 
 // ---------------------------- CONSTANT VALUES ---------------------------- //
 
-const STORAGE_KEY = "contraction-clock-session";
 const TICK_MS = 100;
-const Y_AXIS_W = 44;
-const X_LABEL_H = 22;
-const CHART_H = 220;
-const PLOT_H = CHART_H - X_LABEL_H;
-const PEAK_PAD = 16;
-const PX_PER_SEC = 4;
-const MIN_REST_PX = 32;
 
 // --------------------------- HELPER FUNCTIONS ---------------------------- //
 
-function gauss(x) {
-  const sigma = 0.15;
-  const raw = Math.exp(-((x - 0.5) ** 2) / (2 * sigma ** 2));
-  const floor = Math.exp(-(0.5 ** 2) / (2 * sigma ** 2));
-  return Math.max(0, (raw - floor) / (1 - floor));
-}
-
-function buildBellPath(x0, widthPx, intensity, progress = 1) {
-  const steps = 80;
-  const maxStep = Math.floor(steps * Math.min(progress, 1));
-  const pts = [];
-  for (let i = 0; i <= maxStep; i++) {
-    const t = i / steps;
-    const px = x0 + t * widthPx;
-    const amp = gauss(t) * intensity;
-    const py = PLOT_H - amp * (PLOT_H - PEAK_PAD);
-    pts.push(`${px.toFixed(1)},${py.toFixed(1)}`);
-  }
-  if (pts.length < 2) return { stroke: "", fill: "" };
-  const stroke = "M" + pts.join("L");
-  const lastX = (x0 + Math.min(progress, 1) * widthPx).toFixed(1);
-  const fill = stroke + ` L${lastX},${PLOT_H} L${x0.toFixed(1)},${PLOT_H} Z`;
-  return { stroke, fill };
-}
-
-function secPx(ms) {
-  return (ms / 1000) * PX_PER_SEC;
-}
-
-function formatDuration(ms) {
-  const s = Math.round(ms / 1000);
-  const m = Math.floor(s / 60);
-  return m > 0 ? `${m}m ${s % 60}s` : `${s}s`;
-}
-function formatTime(ts) {
-  return new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
-}
-
-
 // function for window resizing to help with mobile layout
 function useWindowWidth() {
   const [width, setWidth] = useState(window.innerWidth);
@@ -65,627 +63,422 @@ function useWindowWidth() {
   return width;
 }
 
+// Intensity, chart view and the one-handed layout, remembered between visits
+function loadPrefs() {
+  const saved = loadJSON(PREFS_KEY, {});
+  return {
+    intensity: saved.intensity ?? 5,
+    liveScroll: saved.liveScroll ?? true,
+    zoom: saved.zoom ?? DEFAULT_ZOOM,
+    trueScale: saved.trueScale ?? false,
+    chartMode: saved.chartMode ?? "timeline",
+    oneHanded: saved.oneHanded ?? false,
+  };
+}
+
 
 // ------------------------- STATE SETUP FOR APP --------------------------- //
 
-export default function ContractionClock() {
+// `storage` is the opened session storage (see StorageGate); the store is saved through it
+export default function ContractionClock({ storage }) {
+  return (
+    <SessionProvider storage={storage}>
+      <ClockScreen storage={storage} />
+    </SessionProvider>
+  );
+}
 
-  const [contractions, setContractions] = useState(() => {
-    try { return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []; }
-    catch { return []; }
-  });
-  const [activeStart, setActiveStart] = useState(null);
-  const [liveScroll, setLiveScroll] = useState(true);
-  const [intensity, setIntensity] = useState(5);
-  const [now, setNow] = useState(Date.now());
-  const scrollRef = useRef(null);
-  const [containerWidth, setContainerWidth] = useState(0);
+function ClockScreen({ storage }) {
+  const { state, actions, saveFailed } = useSession();
+  const { store, activeStart, staleStart } = state;
+  // id of an archived session opened read-only from the history list, or null
+  const [viewingId, setViewingId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  // time the printable report was opened, or null when showing the clock
+  const [reportAt, setReportAt] = useState(null);
+  const [settings, setSettings] = useState(() => loadJSON(SETTINGS_KEY, {}));
+  const [showSettings, setShowSettings] = useState(false);
+  // { code, relayUrl } when the app was opened from a partner's share link
+  const [shareInvite] = useState(() => readShareLink());
+  const [showShare, setShowShare] = useState(shareInvite !== null);
+  // { intensity, liveScroll, zoom, trueScale, chartMode, oneHanded }
+  const [prefs, setPrefs] = useState(loadPrefs);
+  const { intensity, oneHanded } = prefs;
+  // id of the contraction just stopped while the rating prompt asks about it, or null
+  const [ratingId, setRatingId] = useState(null);
+  // Latest screen-reader announcement; `n` counts them so repeating one is still read out
+  const [announcement, setAnnouncement] = useState({ text: "", n: 0 });
+  // Last display tick; may lag behind in a background tab, so never recorded
+  const now = useClock(TICK_MS);
   const windowWidth = useWindowWidth();
   const isMobile = windowWidth < 640;
 
-  useEffect(() => {
-    const id = setInterval(() => setNow(Date.now()), TICK_MS);
-    return () => clearInterval(id);
-  }, []);
+  const rule = resolveRule(settings.rule);
+  const rolling = isValidWindow(settings.rolling) ? settings.rolling : DEFAULT_WINDOW;
+  const alerts = { ...DEFAULT_ALERTS, ...settings.alerts };
+  const rating = resolveRating(settings.rating);
+  const contacts = resolveContacts(settings.contacts);
+  const breathing = resolveBreathing(settings.breathing);
+  const themeChoice = isThemeChoice(settings.theme) ? settings.theme : DEFAULT_THEME_CHOICE;
+  const themeName = useTheme(themeChoice);
+  const languageChoice = isLanguageChoice(settings.language) ? settings.language : DEFAULT_LANGUAGE_CHOICE;
+  const i18n = useLanguage(languageChoice);
+  const { t } = i18n;
+  const updateSettings = patch => setSettings(prev => ({ ...prev, ...patch }));
+  // `patch` is an object of prefs to change, or a function of the current prefs returning one
+  const updatePrefs = patch => setPrefs(prev => ({ ...prev, ...(typeof patch === "function" ? patch(prev) : patch) }));
+
+  const currentSession = getSession(store, store.currentId);
+  const viewedSession = viewingId ? getSession(store, viewingId) : null;
+  const readOnly = viewedSession !== null;
+  // Keeps the screen on while the current session is showing, if chosen in settings
+  useWakeLock(settings.wakeLock === true && !readOnly && reportAt === null);
+  // Contractions of the session being edited; timer and editing actions always target this one
+  const sessionContractions = currentSession.contractions;
+  // Contractions shown in the chart, stats and log (an archived session while browsing history)
+  const contractions = readOnly ? viewedSession.contractions : sessionContractions;
+  const events = (viewedSession ?? currentSession).events;
+
+  // Snapshots from a partner's device, already merged with ours
+  const liveShare = useLiveShare({
+    sessionId: currentSession.id,
+    contractions: sessionContractions,
+    events: currentSession.events,
+    activeStart,
+    onRemote: actions.applyRemote,
+  });
+  const sharing = liveShare.status.state !== "idle";
 
+  // The invite is in the form now; don't rejoin from the URL on every reload
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(contractions));
-  }, [contractions]);
+    if (shareInvite) clearShareLink();
+  }, [shareInvite]);
 
   useEffect(() => {
-    const el = scrollRef.current;
-    if (!el || !liveScroll) return;
-    el.scrollLeft = el.scrollWidth;
-  }, [contractions, now, liveScroll]);
+    saveJSON(PREFS_KEY, prefs);
+  }, [prefs]);
 
-  // Track the actual rendered width of the chart container
   useEffect(() => {
-    const el = scrollRef.current;
-    if (!el) return;
-    const ro = new ResizeObserver(([entry]) => {
-      setContainerWidth(entry.contentRect.width);
-    });
-    ro.observe(el);
-    // Measure immediately after mount
-    setContainerWidth(el.getBoundingClientRect().width);
-    return () => ro.disconnect();
-  }, []);
+    saveJSON(SETTINGS_KEY, settings);
+  }, [settings]);
 
-  // Re-measure whenever the window resizes (catches orientation changes on mobile)
-  useEffect(() => {
-    const el = scrollRef.current;
-    if (!el) return;
-    setContainerWidth(el.getBoundingClientRect().width);
-  }, [windowWidth]);
+  const announce = text => setAnnouncement(a => ({ text, n: a.n + 1 }));
 
   const toggleContraction = () => {
+    // Every tap is a user gesture, which is what browsers need before an alert chime can play
+    if ((alerts.enabled && !alerts.quiet) || (breathing.enabled && breathing.sound)) primeAudio();
     if (!activeStart) {
-      setActiveStart(Date.now());
-    } else {
-      const duration = now - activeStart;
-      if (duration < 1000) { setActiveStart(null); return; }
-      setContractions(prev => [...prev, {
-        id: activeStart, start: activeStart, end: now, duration,
-        intensity: intensity / 10,
-      }]);
-      setActiveStart(null);
+      setRatingId(null);
+      actions.start();
+      announce(t("announce.started"));
+      return;
     }
+    // The moment of the tap, not the last tick, which a throttled tab may have delayed
+    const at = Date.now();
+    const duration = at - activeStart;
+    const id = actions.stop({ at, intensity: intensity / 10 });
+    if (duration >= MIN_CONTRACTION_MS && rating.prompt) setRatingId(id);
+    announce(duration < MIN_CONTRACTION_MS
+      ? t("announce.tooShort")
+      : t("announce.stopped", { duration: i18n.formatSpokenDuration(duration) }));
+  };
+
+  // Re-records the contraction just stopped with the intensity picked in the prompt
+  const rateContraction = level => {
+    const c = sessionContractions.find(x => x.id === ratingId);
+    setRatingId(null);
+    // Deleted or edited away in the meantime
+    if (!c) return;
+    actions.save({ ...c, intensity: level.value }, { i18n });
+    announce(t("announce.rated", { level: levelLabel(rating.scale, level, i18n) }));
   };
 
-  const clearSession = () => {
-    setContractions([]); setActiveStart(null);
-    localStorage.removeItem(STORAGE_KEY);
+  const changeIntensity = step => {
+    const next = Math.min(10, Math.max(1, intensity + step));
+    updatePrefs({ intensity: next });
+    announce(t("announce.intensity", { n: next }));
   };
 
+  // The one-handed layout always shows the session being timed
+  const setOneHanded = on => {
+    if (on) setViewingId(null);
+    updatePrefs({ oneHanded: on });
+  };
 
-  // ------------------------ build chart segments  ------------------------ //
-  const segments = [];
-  const LEAD_PX = 24;
-  let cursor = Y_AXIS_W + 8;
+  // Archives the current session and starts an empty one, named after the time unless given `name`
+  const newSession = name => {
+    // The share follows one session; a new one starts unshared
+    if (sharing) liveShare.stop();
+    actions.newSession(name || defaultSessionName(Date.now(), i18n.locale));
+    setViewingId(null);
+  };
 
-  segments.push({ type: "flat", x: cursor - LEAD_PX, widthPx: LEAD_PX });
+  const removeSession = id => {
+    const session = getSession(store, id);
+    if (!window.confirm(t("history.confirmDelete", { name: session.name, count: session.contractions.length }))) return;
+    actions.deleteSession(id);
+    if (viewingId === id) setViewingId(null);
+  };
 
-  contractions.forEach((c, i) => {
-    if (i > 0) {
-      const restMs = c.start - contractions[i - 1].end;
-      const restPx = Math.max(MIN_REST_PX, secPx(restMs));
-      segments.push({ type: "flat", x: cursor, widthPx: restPx, label: formatDuration(restMs) });
-      cursor += restPx;
-    }
-    const bellPx = Math.max(8, secPx(c.duration));
-    segments.push({ type: "bell", x: cursor, widthPx: bellPx, c });
-    cursor += bellPx;
-  });
+  // Joining opens the partner's session as a new one, so contractions timed here before
+  // don't get merged into it
+  const joinShare = (code, relayUrl) => {
+    const sessionId = !isEmptySession(currentSession) ? actions.newSession(t("share.sharedSession")) : store.currentId;
+    setViewingId(null);
+    liveShare.join(code, relayUrl, sessionId);
+  };
 
-  if (activeStart) {
-    const elapsedMs = now - activeStart;
-    if (contractions.length > 0) {
-      const restMs = activeStart - contractions[contractions.length - 1].end;
-      const restPx = Math.max(MIN_REST_PX, secPx(restMs));
-      segments.push({ type: "flat", x: cursor, widthPx: restPx });
-      cursor += restPx;
-    }
-    const activePx = Math.max(8, secPx(elapsedMs));
-    segments.push({ type: "bell", x: cursor, widthPx: activePx, active: true, progress: 1, intensity: intensity / 10 });
-    cursor += activePx;
-  }
+  const openSession = id => {
+    setViewingId(id === store.currentId ? null : id);
+  };
+
+  const importSession = ({ contractions: rows, events: eventRows }, mode) => {
+    const result = applyImport(sessionContractions, rows, { mode, activeStart, i18n });
+    const logged = applyEventImport(currentSession.events, eventRows, { mode, i18n });
+    actions.importContractions(result.contractions, logged.events);
+    return {
+      ...result,
+      eventsAdded: logged.added,
+      duplicates: result.duplicates + logged.duplicates,
+      errors: [...result.errors, ...logged.errors],
+    };
+  };
 
-  segments.push({ type: "flat", x: cursor, widthPx: LEAD_PX });
-  cursor += LEAD_PX;
 
-  const svgWidth = cursor;
   const isActive = !!activeStart;
+  // Archived sessions are frozen at their end, so streaks don't keep "running" into today
+  const clockNow = readOnly
+    ? viewedSession.endedAt ?? contractions[contractions.length - 1]?.end ?? viewedSession.createdAt
+    : now;
   const activeDuration = isActive ? now - activeStart : 0;
 
   const last = contractions[contractions.length - 1];
   const secondLast = contractions[contractions.length - 2];
-  const avgDuration = contractions.length
-    ? contractions.reduce((s, c) => s + c.duration, 0) / contractions.length : null;
   const lastInterval = last && secondLast ? last.start - secondLast.start : null;
 
-  const yTicks = [0, 2, 4, 6, 8, 10];
-
-  // ------------------------------ 511 RULE ------------------------------- //
-
-  // Contractions <= 5 min apart (start-to-start), lasting >= 1 min each, for >= 1 hour
-  const FIVE_MIN_MS = 5 * 60 * 1000;
-  const ONE_MIN_MS  = 60 * 1000;
-  const ONE_HOUR_MS = 60 * 60 * 1000;
-
-  // Walk backwards from the most recent contraction to find the current qualifying streak:
-  // the longest tail of contractions where EVERY contraction lasts >= 1 min AND every
-  // consecutive interval is <= 5 min. The streak start time is the start of the earliest
-  // qualifying contraction in that unbroken run.
-  let qualifyingStreakStart = null; // start time of the earliest contraction in the current streak
-
-  if (contractions.length >= 1) {
-    // Start from the last contraction and walk backwards as long as criteria hold
-    let streakBegin = contractions.length - 1; // index of earliest contraction still in streak
-
-    // The last contraction must itself last >= 1 min to be in the streak
-    if (contractions[streakBegin].duration >= ONE_MIN_MS) {
-      // Walk backwards: each prior contraction must also last >= 1 min
-      // and the interval to the next must be <= 5 min
-      for (let i = contractions.length - 2; i >= 0; i--) {
-        const interval = contractions[i + 1].start - contractions[i].start;
-        const dur = contractions[i].duration;
-        if (dur >= ONE_MIN_MS && interval <= FIVE_MIN_MS) {
-          streakBegin = i;
-        } else {
-          break; // streak broken
-        }
-      }
-      qualifyingStreakStart = contractions[streakBegin].start;
-    }
-  }
+  // ---------------------------- LABOUR RULE ------------------------------ //
+
+  // Contractions <= maxInterval apart (start-to-start), lasting >= minDuration each,
+  // for >= sustain (5-1-1 unless changed in settings). Frequency and Duration tiles use
+  // the rolling window from settings; Ongoing uses the strict qualifying streak over the
+  // whole session, measured to `clockNow` so it ticks live while a contraction is active.
+  const analysis = analyzeContractions({ contractions, now: clockNow, rule, rolling });
+  const { windowed, streak, verdict } = analysis;
+  const ruleMet = verdict.ruleMet;
+
+  // Straight-line estimate of when the rule will be met, from the same rolling window
+  const prediction = readOnly
+    ? null
+    : predictRuleMet({ contractions: windowed, now: clockNow, rule, streak, ruleMet });
+
+  useAlerts({
+    ruleMet,
+    streakStart: streak?.start ?? null,
+    streakCount: streak?.count ?? 0,
+    activeStart: readOnly ? null : activeStart,
+    activeElapsed: activeDuration,
+    lastId: last?.id ?? null,
+    lastInterval,
+    count: contractions.length,
+  }, { ...alerts, enabled: alerts.enabled && !readOnly }, {
+    ruleLabel: ruleName(rule, i18n),
+    resetKey: viewingId ?? store.currentId,
+    i18n,
+  });
 
-  // How long has the current qualifying streak been running?
-  // Use `now` so the timer ticks live while a contraction is active.
-  const streakDuration = qualifyingStreakStart !== null ? now - qualifyingStreakStart : 0;
-  const rule511Met = streakDuration >= ONE_HOUR_MS;
-
-  // Frequency and Duration tiles use ALL session contractions
-  const allIntervals = contractions.length >= 2
-    ? contractions.slice(1).map((c, i) => c.start - contractions[i].start)
-    : [];
-  const avgRecentInterval = allIntervals.length
-    ? allIntervals.reduce((a, b) => a + b, 0) / allIntervals.length : null;
-
-  const avgRecentDuration = contractions.length
-    ? contractions.reduce((a, b) => a + b.duration, 0) / contractions.length : null;
-
-  // Ongoing tile still uses the strict qualifying streak
-  const streakContractions = qualifyingStreakStart !== null
-    ? contractions.filter(c => c.start >= qualifyingStreakStart)
-    : [];
-
-  // In live mode, pan data left so the rightmost content aligns to the container's right edge.
-  // Use containerWidth from ResizeObserver (accurate to actual rendered element width).
-  // If not yet measured (0), use svgWidth so panX=0 and nothing is hidden before first measurement.
-  const effectiveContainerWidth = containerWidth > 0 ? containerWidth : svgWidth;
-  const panX = liveScroll
-    ? Math.max(-(svgWidth - Y_AXIS_W), Math.min(0, effectiveContainerWidth - svgWidth))
-    : 0;
-
-  // Button size scales with screen
-  const btnSize = isMobile ? 140 : 180;
+  useKeyboardShortcuts({ onToggle: toggleContraction, onIntensity: changeIntensity }, !readOnly && reportAt === null);
 
-  return (
-    <div style={{
-      minHeight: "100vh",
-      background: "radial-gradient(ellipse at 20% 30%, #0d1b2a 0%, #060d14 60%, #0a1520 100%)",
-      fontFamily: "'Georgia', serif",
-      color: "#e8dcc8",
-      display: "flex",
-      flexDirection: "column",
-      alignItems: "center",
-      padding: isMobile ? "24px 12px 40px" : "40px 24px 48px",
-      gap: isMobile ? 20 : 28,
-      boxSizing: "border-box",
-    }}>
-
-      {/* ── Header ── */}
-      <div style={{ textAlign: "center" }}>
-        {/* <div style={{ fontSize: isMobile ? 10 : 11, letterSpacing: "0.3em", color: "#7a9ab0", textTransform: "uppercase", marginBottom: 6 }}>
-          Labor Companion
-        </div> */}
-        <h1 style={{ margin: 0, fontSize: isMobile ? 30 : 40, fontWeight: 400, color: "#f0e6d3", letterSpacing: "0.05em" }}>
-          Contraction Clock
-        </h1>
-      </div>
+  const announcer = (
+    <LiveAnnouncer message={announcement} elapsed={isActive && !readOnly ? activeDuration : null}
+      ruleStatus={t(ruleMet ? "announce.ruleMet" : "announce.ruleNotMet", { rule: ruleName(rule, i18n) })} />
+  );
 
-      {/* ── 5-1-1 Rule Display ── */}
-      {
-        <div style={{
-          width: "100%", maxWidth: 860,
-          borderRadius: 12,
-          border: `1px solid ${rule511Met ? "rgba(220,100,80,0.4)" : "rgba(255,255,255,0.07)"}`,
-          background: rule511Met
-            ? "rgba(180,60,40,0.12)"
-            : "rgba(255,255,255,0.03)",
-          padding: isMobile ? "14px 16px" : "16px 24px",
-          transition: "all 0.4s ease",
-        }}>
-          {/* Header row */}
-          <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 14 }}>
-            <div>
-              <div style={{ fontSize: 10, letterSpacing: "0.25em", color: "#5a7a8a", textTransform: "uppercase", marginBottom: 4 }}>
-                5-1-1 Rule
-              </div>
-              <div style={{ fontSize: isMobile ? 11 : 12, color: "#6a8a9a", maxWidth: 340 }}>
-                Contractions ≤5 min apart, lasting ≥1 min, for ≥1 hour
-              </div>
-            </div>
-            {/* Is it time? badge */}
-            <div style={{
-              display: "flex", flexDirection: "column", alignItems: "center", gap: 4,
-              flexShrink: 0, marginLeft: 16,
-            }}>
-              <div style={{ fontSize: 9, letterSpacing: "0.2em", color: "#5a7a8a", textTransform: "uppercase" }}>
-                Is it time?
-              </div>
-              <div style={{
-                fontSize: isMobile ? 18 : 22, fontWeight: 600,
-                color: rule511Met ? "#e87060" : "#3a6a5a",
-                letterSpacing: "0.05em",
-                textShadow: rule511Met ? "0 0 20px rgba(220,80,60,0.5)" : "none",
-                transition: "all 0.4s ease",
-              }}>
-                {rule511Met ? "YES" : "PROBABLY NOT"}
-              </div>
-            </div>
-          </div>
+  const ratingPrompt = ratingId !== null && !readOnly && (
+    <RatingPrompt key={ratingId} scale={rating.scale} isMobile={isMobile}
+      onRate={rateContraction} onDismiss={() => setRatingId(null)} />
+  );
 
-          {/* Three progress indicators */}
-          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: isMobile ? 8 : 16 }}>
-            {[
-              {
-                label: "Frequency",
-                target: "≤ 5 min",
-                value: avgRecentInterval,
-                met: avgRecentInterval !== null && avgRecentInterval <= FIVE_MIN_MS,
-                display: avgRecentInterval ? formatDuration(avgRecentInterval) : "—",
-              },
-              {
-                label: "Duration",
-                target: "≥ 1 min",
-                value: avgRecentDuration,
-                met: avgRecentDuration !== null && avgRecentDuration >= ONE_MIN_MS,
-                display: avgRecentDuration ? formatDuration(avgRecentDuration) : "—",
-              },
-              {
-                label: "Ongoing",
-                target: "≥ 1 hour",
-                value: streakDuration,
-                met: streakDuration >= ONE_HOUR_MS,
-                display: qualifyingStreakStart !== null ? formatDuration(streakDuration) : "—",
-              },
-            ].map(({ label, target, met, display }) => (
-              <div key={label} style={{
-                borderRadius: 8,
-                background: met ? "rgba(80,160,100,0.1)" : "rgba(255,255,255,0.03)",
-                border: `1px solid ${met ? "rgba(80,160,100,0.3)" : "rgba(255,255,255,0.06)"}`,
-                padding: isMobile ? "8px 10px" : "10px 14px",
-                transition: "all 0.3s ease",
-              }}>
-                <div style={{ fontSize: 9, letterSpacing: "0.15em", color: "#5a7a8a", textTransform: "uppercase", marginBottom: 4 }}>
-                  {label}
-                </div>
-                <div style={{ fontSize: isMobile ? 15 : 18, color: met ? "#80c890" : "#e8c9a0", marginBottom: 2 }}>
-                  {display}
-                </div>
-                <div style={{ fontSize: 9, color: met ? "#50a870" : "#3a5a6a" }}>
-                  {met ? "✓ " : ""}{target}
-                </div>
-              </div>
-            ))}
-          </div>
-        
-          {/* Header Re: Call Doctor when*/}
-          <div style={{ fontSize: isMobile ? 12 : 14, color: "#f0e6d3",paddingTop:20, paddingBottom: 5
-          }}> 
-          <h3><span style={{color:"darkorange"}}>Please Note: </span> Call your doctor if you have vaginal bleeding, leaking fluid, 
-            or can't feel your baby move.</h3>
-            
-          </div>
+  if (reportAt !== null) {
+    return (
+      <I18nContext.Provider value={i18n}>
+        <ReportView session={viewedSession ?? currentSession} rule={rule} generatedAt={reportAt}
+          onClose={() => setReportAt(null)} />
+      </I18nContext.Provider>
+    );
+  }
 
-        </div>
-      }
+  if (oneHanded) {
+    return (
+      <I18nContext.Provider value={i18n}>
+        {announcer}
+        <OneHandedView contractions={sessionContractions} events={currentSession.events} active={isActive} elapsed={activeDuration}
+          onToggle={toggleContraction} intensity={intensity} onIntensity={changeIntensity}
+          ruleMet={ruleMet} ruleLabel={ruleName(rule, i18n)} onExit={() => setOneHanded(false)}>
+          {ratingPrompt}
+        </OneHandedView>
+      </I18nContext.Provider>
+    );
+  }
 
-      {/* ── Controls: desktop = row, mobile = column ── */}
+  return (
+    <I18nContext.Provider value={i18n}>
       <div style={{
+        minHeight: "100vh",
+        background: colors.background,
+        fontFamily: "'Georgia', serif",
+        color: colors.text,
         display: "flex",
-        flexDirection: isMobile ? "column" : "row",
+        flexDirection: "column",
         alignItems: "center",
-        gap: isMobile ? 16 : 40,
-        width: "100%",
-        maxWidth: 700,
-        justifyContent: "center",
+        padding: isMobile ? "24px 12px 40px" : "40px 24px 48px",
+        gap: isMobile ? 20 : 28,
+        boxSizing: "border-box",
       }}>
-        {/* Big button */}
-        <button onClick={toggleContraction} style={{
-          width: btnSize, height: btnSize, borderRadius: "50%",
-          flexShrink: 0,
-          border: isActive ? "3px solid #e8a87c" : "2px solid #2a4a63",
-          background: isActive
-            ? "radial-gradient(circle, #a0522d 0%, #7a3520 60%, #4a1f10 100%)"
-            : "radial-gradient(circle, #1a3a55 0%, #0d2035 60%, #060d18 100%)",
-          color: isActive ? "#fdf0e0" : "#7ab0c8",
-          fontSize: isMobile ? 13 : 14,
-          letterSpacing: "0.08em", cursor: "pointer",
-          transition: "all 0.2s ease",
-          boxShadow: isActive
-            ? "0 0 40px rgba(200,100,50,0.4), inset 0 0 20px rgba(0,0,0,0.5)"
-            : "0 0 20px rgba(0,60,100,0.3), inset 0 0 10px rgba(0,0,0,0.4)",
-          display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", gap: 6,
-          userSelect: "none", touchAction: "manipulation",
-        }}>
-          <span style={{ fontSize: isMobile ? 24 : 28 }}>{isActive ? "●" : "○"}</span>
-          <span>{isActive ? "Tap to Stop" : "Tap to Start"}</span>
-          {isActive && (
-            <span style={{ fontSize: isMobile ? 17 : 20, fontWeight: 600, color: "#ffd4a8", fontFamily: "monospace" }}>
-              {formatDuration(activeDuration)}
-            </span>
-          )}
-        </button>
-
-        {/* Intensity + stats sidebar on desktop, stacked on mobile */}
-        <div style={{
-          display: "flex",
-          flexDirection: "column",
-          gap: 20,
-          alignItems: isMobile ? "center" : "flex-start",
-          width: isMobile ? "100%" : "auto",
-        }}>
-          {/* Intensity slider */}
-          <div style={{ display: "flex", alignItems: "center", gap: 12, width: isMobile ? "min(280px, 90vw)" : 240 }}>
-            <span style={{ fontSize: 10, color: "#7a9ab0", letterSpacing: "0.1em", textTransform: "uppercase", whiteSpace: "nowrap" }}>
-              Intensity
-            </span>
-            <input type="range" min={1} max={10} value={intensity}
-              onChange={e => setIntensity(+e.target.value)}
-              style={{ flex: 1, accentColor: "#e8a87c", height: 4 }} />
-            <span style={{ fontSize: 14, color: "#e8a87c", width: 20, textAlign: "right" }}>{intensity}</span>
-          </div>
-
-          {/* Stats — inline on desktop sidebar, 2x2 grid on mobile */}
-          {contractions.length > 0 && (
-            <div style={{
-              display: "grid",
-              gridTemplateColumns: isMobile ? "1fr 1fr" : "1fr 1fr",
-              gap: isMobile ? "12px 24px" : "12px 32px",
-              width: isMobile ? "min(280px, 90vw)" : "auto",
+        {announcer}
+
+        {/* ── Header ── */}
+        <div style={{ textAlign: "center", position: "relative", width: "100%", maxWidth: 860, padding: "0 44px" }}>
+          {/* <div style={{ fontSize: isMobile ? 10 : 11, letterSpacing: "0.3em", color: colors.control, textTransform: "uppercase", marginBottom: 6 }}>
+            Labor Companion
+          </div> */}
+          <button onClick={() => setShowShare(v => !v)} aria-label={t("app.share")} aria-expanded={showShare}
+            style={{
+              position: "absolute", insetInlineStart: 0, top: "50%", transform: "translateY(-50%)",
+              background: showShare || sharing ? colors.accentBg : "none",
+              border: `1px solid ${showShare || sharing ? colors.accentEdge : colors.borderMuted}`, borderRadius: 6,
+              color: showShare || sharing ? colors.accent : colors.faint, fontSize: isMobile ? 16 : 18,
+              width: isMobile ? 34 : 38, height: isMobile ? 34 : 38, cursor: "pointer",
             }}>
-              {[
-                ["Count", contractions.length],
-                ["Avg Duration", avgDuration ? formatDuration(avgDuration) : "–"],
-                ["Last Interval", lastInterval ? formatDuration(lastInterval) : "–"],
-                ["Last Duration", last ? formatDuration(last.duration) : "–"],
-              ].map(([label, val]) => (
-                <div key={label}>
-                  <div style={{ fontSize: 9, letterSpacing: "0.18em", color: "#5a7a8a", textTransform: "uppercase", marginBottom: 3 }}>{label}</div>
-                  <div style={{ fontSize: isMobile ? 17 : 20, color: "#e8c9a0" }}>{val}</div>
-                </div>
-              ))}
-            </div>
-          )}
-        </div>
-      </div>
-
-      {/* ── Chart ── */}
-      <div style={{ width: "100%", maxWidth: 860, position: "relative" }}>
-
-        {/* Live toggle */}
-        <div style={{ display: "flex", justifyContent: "flex-end", marginBottom: 8 }}>
-          <button
-            onClick={() => {
-              const next = !liveScroll;
-              setLiveScroll(next);
-              if (next && scrollRef.current) scrollRef.current.scrollLeft = scrollRef.current.scrollWidth;
-            }}
+            ⇄
+            {sharing && (
+              <span aria-hidden="true" style={{
+                position: "absolute", top: -3, insetInlineEnd: -3, width: 8, height: 8, borderRadius: "50%",
+                background: liveShare.status.state === "connected" ? colors.goodLine : colors.active,
+              }} />
+            )}
+          </button>
+          <h1 style={{ margin: 0, fontSize: isMobile ? 30 : 40, fontWeight: 400, color: colors.heading, letterSpacing: "0.05em" }}>
+            {t("app.title")}
+          </h1>
+          <button onClick={() => setShowSettings(v => !v)} aria-label={t("app.settings")} aria-expanded={showSettings}
             style={{
-              display: "flex", alignItems: "center", gap: 6,
-              background: liveScroll ? "rgba(90,176,208,0.12)" : "rgba(255,255,255,0.04)",
-              border: liveScroll ? "1px solid #3a7a9a" : "1px solid #2a3a4a",
-              borderRadius: 6, padding: "5px 12px",
-              color: liveScroll ? "#5ab0d0" : "#4a6a7a",
-              fontSize: 11, letterSpacing: "0.12em", textTransform: "uppercase",
-              cursor: "pointer", transition: "all 0.2s ease",
-            }}
-          >
-            <span style={{
-              width: 7, height: 7, borderRadius: "50%",
-              background: liveScroll ? "#5ab0d0" : "#3a5a6a",
-              boxShadow: liveScroll ? "0 0 6px #5ab0d0" : "none",
-              transition: "all 0.2s ease", display: "inline-block",
-            }} />
-            {liveScroll ? "Current" : "Scroll Timeline"}
+              position: "absolute", insetInlineEnd: 0, top: "50%", transform: "translateY(-50%)",
+              background: showSettings ? colors.accentBg : "none",
+              border: `1px solid ${showSettings ? colors.accentEdge : colors.borderMuted}`, borderRadius: 6,
+              color: showSettings ? colors.accent : colors.faint, fontSize: isMobile ? 16 : 18,
+              width: isMobile ? 34 : 38, height: isMobile ? 34 : 38, cursor: "pointer",
+            }}>
+            ⚙
           </button>
         </div>
 
-        {/* Rotated Y-axis label */}
+        {/* ── Red-flag events: call now, whatever the contractions say ── */}
+        {!readOnly && <RedFlagBanner events={events} isMobile={isMobile} />}
+
+        {/* ── Settings ── */}
+        {showSettings && (
+          <SettingsPanel rule={rule} rolling={rolling} alerts={alerts} theme={themeChoice} language={languageChoice}
+            rating={rating} contacts={contacts} breathing={breathing} wakeLock={settings.wakeLock === true} onChange={updateSettings}
+            onClose={() => setShowSettings(false)} isMobile={isMobile} />
+        )}
+
+        {/* ── Live share ── */}
+        {showShare && (
+          <SharePanel status={liveShare.status} sharing={sharing} theme={themeName} isMobile={isMobile}
+            relayUrl={liveShare.relayUrl ?? shareInvite?.relayUrl ?? defaultRelayUrl()}
+            linkCode={shareInvite?.code} canJoin={!activeStart}
+            onStart={liveShare.start} onJoin={joinShare} onStop={liveShare.stop}
+            onClose={() => setShowShare(false)} />
+        )}
+
+        {/* ── Sessions ── */}
+        <SessionHistory
+          store={store} viewingId={viewingId} isMobile={isMobile}
+          expanded={showHistory} onToggle={() => setShowHistory(v => !v)}
+          onOpen={openSession} onRename={actions.renameSession} onDelete={removeSession}
+          onNew={newSession} canStartNew={!activeStart} />
+
+        {/* ── Labour Rule Display ── */}
+        <RuleCard rule={rule} rolling={rolling} analysis={analysis} prediction={prediction}
+          hasContractions={contractions.length > 0} intensityScale={rating.scale} isMobile={isMobile} />
+
+        {/* ── Care team: once it's time to call ── */}
+        {!readOnly && (ruleMet || redFlags(events).length > 0) && (
+          <CareTeamCard contacts={contacts} isMobile={isMobile} onSetUp={() => setShowSettings(true)}
+            summary={buildSummary({ contractions, events, analysis, rule, now: clockNow }, i18n)} />
+        )}
+
+        <StorageNotice storage={storage} saveFailed={saveFailed} isMobile={isMobile} />
+
+        {/* ── Stale timer prompt: a contraction was left running across a reload ── */}
+        {staleStart !== null && (
+          <StaleTimerPrompt staleStart={staleStart} now={now} intensity={intensity} intensityScale={rating.scale}
+            isMobile={isMobile} />
+        )}
+
+        {/* ── Controls: desktop = row, mobile = column ── */}
         <div style={{
-          position: "absolute", left: -2, top: 30, height: PLOT_H,
-          width: 18, display: "flex", alignItems: "center", justifyContent: "center",
-          pointerEvents: "none", zIndex: 1,
+          display: "flex",
+          flexDirection: isMobile ? "column" : "row",
+          alignItems: "center",
+          gap: isMobile ? 16 : 40,
+          width: "100%",
+          maxWidth: 700,
+          justifyContent: "center",
         }}>
-          <span style={{
-            fontSize: 9, letterSpacing: "0.15em", color: "#5a7a8a",
-            textTransform: "uppercase", transform: "rotate(-90deg)", whiteSpace: "nowrap",
-          }}>Intensity</span>
-        </div>
+          {!readOnly && (
+            <TimerButton active={isActive} activeStart={activeStart} elapsed={activeDuration} breathing={breathing}
+              onToggle={toggleContraction} isMobile={isMobile} />
+          )}
 
-        <div ref={scrollRef} style={{
-          overflowX: liveScroll ? "hidden" : "auto",
-          background: "rgba(255,255,255,0.03)", borderRadius: 12,
-          border: "1px solid rgba(255,255,255,0.07)",
-          paddingTop: 12,
-          paddingBottom: liveScroll ? 0 : 8,
-          WebkitOverflowScrolling: "touch",
-          // In live mode, shift the SVG so the right edge (latest content) is always visible
-          position: "relative",
-        }}>
-          <svg
-            width={liveScroll ? "100%" : svgWidth}
-            height={CHART_H}
-            style={{ display: "block" }}
-          >
-            {/* ── Layer 1: data (pans left in live mode) ── */}
-            <g transform={`translate(${panX}, 0)`}>
-
-            {/* Grid lines */}
-            {yTicks.map(tick => {
-              const norm = tick / 10;
-              const y = PLOT_H - norm * (PLOT_H - PEAK_PAD);
-              return (
-                <line key={tick} x1={Y_AXIS_W} y1={y} x2={svgWidth - 8} y2={y}
-                  stroke={tick === 0 ? "#2a5a7a" : "#0e2535"}
-                  strokeWidth={tick === 0 ? 1.5 : 1}
-                  strokeDasharray={tick === 0 ? undefined : "3,7"} />
-              );
-            })}
-
-            {/* Segments */}
-            {segments.map((seg, i) => {
-              if (seg.type === "flat") {
-                return (
-                  <g key={i}>
-                    <line x1={seg.x} y1={PLOT_H} x2={seg.x + seg.widthPx} y2={PLOT_H}
-                      stroke="#2a5a7a" strokeWidth={1.5} />
-                    {seg.label && (
-                      <text x={seg.x + seg.widthPx / 2} y={PLOT_H + 14}
-                        textAnchor="middle" fontSize={8} fill="#3a6a7a" fontFamily="monospace">
-                        {seg.label}
-                      </text>
-                    )}
-                  </g>
-                );
-              }
-
-              if (seg.type === "bell") {
-                const inten = seg.active ? seg.intensity : seg.c.intensity;
-                const { stroke, fill } = buildBellPath(seg.x, seg.widthPx, inten, seg.progress ?? 1);
-                const color = seg.active ? "#e8a87c" : "#5ab0d0";
-                const fillColor = seg.active ? "rgba(200,100,50,0.13)" : "rgba(90,176,208,0.1)";
-                return (
-                  <g key={i}>
-                    <line x1={seg.x} y1={PLOT_H} x2={seg.x} y2={PLOT_H - 8}
-                      stroke={color} strokeWidth={1} strokeOpacity={0.5} />
-                    {!seg.active && (
-                      <line x1={seg.x + seg.widthPx} y1={PLOT_H}
-                        x2={seg.x + seg.widthPx} y2={PLOT_H - 8}
-                        stroke={color} strokeWidth={1} strokeOpacity={0.5} />
-                    )}
-                    <path d={fill} fill={fillColor} />
-                    <path d={stroke} stroke={color} strokeWidth={2} fill="none" strokeLinecap="round" />
-                    {!seg.active && (
-                      <text x={seg.x + seg.widthPx / 2} y={PLOT_H + 14}
-                        textAnchor="middle" fontSize={8} fill="#4a8a9a" fontFamily="monospace">
-                        {formatDuration(seg.c.duration)}
-                      </text>
-                    )}
-                  </g>
-                );
-              }
-              return null;
-            })}
-
-            </g>{/* end data layer */}
-
-            {/* Empty state text in screen coords (not panned) */}
-            {contractions.length === 0 && !activeStart && (
-              <text
-                x={Y_AXIS_W + (effectiveContainerWidth - Y_AXIS_W) / 2}
-                y={PLOT_H / 2}
-                textAnchor="middle" fontSize={11} fill="#2a4a5a" fontFamily="Georgia, serif">
-                Tap the button when a contraction begins
-              </text>
+          {/* Intensity + stats sidebar on desktop, stacked on mobile */}
+          <div style={{
+            display: "flex",
+            flexDirection: "column",
+            gap: 20,
+            alignItems: isMobile ? "center" : "flex-start",
+            width: isMobile ? "100%" : "auto",
+          }}>
+            {!readOnly && (
+              <IntensitySlider value={intensity} onChange={value => updatePrefs({ intensity: value })} isMobile={isMobile} />
             )}
-
-            {/* ── Layer 2: Y-axis overlay (always on top, never pans) ── */}
-            <rect x={0} y={0} width={Y_AXIS_W} height={CHART_H} fill="#0d1b22" fillOpacity={0.97} />
-            <line x1={Y_AXIS_W} y1={PEAK_PAD - 4} x2={Y_AXIS_W} y2={PLOT_H}
-              stroke="#2a4a5a" strokeWidth={1} />
-            {yTicks.map(tick => {
-              const norm = tick / 10;
-              const y = PLOT_H - norm * (PLOT_H - PEAK_PAD);
-              return (
-                <g key={tick}>
-                  <line x1={Y_AXIS_W - 4} y1={y} x2={Y_AXIS_W} y2={y}
-                    stroke="#2a5a7a" strokeWidth={1} />
-                  <text x={Y_AXIS_W - 7} y={y + 4} textAnchor="end"
-                    fontSize={9} fill="#4a7a8a" fontFamily="monospace">
-                    {tick}
-                  </text>
-                </g>
-              );
-            })}
-          </svg>
+            {!readOnly && (
+              <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", justifyContent: isMobile ? "center" : "flex-start" }}>
+                <button onClick={() => setOneHanded(true)} style={{
+                  background: "none", border: `1px solid ${colors.border}`, color: colors.control,
+                  fontSize: 11, letterSpacing: "0.12em", padding: "8px 14px", minHeight: 36,
+                  borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+                }}>
+                  {t("app.oneHanded")}
+                </button>
+                {!isMobile && (
+                  <span style={{ fontSize: 10, color: colors.faint }}>
+                    {t("app.shortcuts")}
+                  </span>
+                )}
+              </div>
+            )}
+            {contractions.length > 0 && (
+              <StatsGrid contractions={contractions} avgDuration={analysis.avgDuration} isMobile={isMobile} />
+            )}
+          </div>
         </div>
-      </div>
 
-      {/* ── Session Log ── */}
-      {contractions.length > 0 && (
-        <div style={{ width: "100%", maxWidth: 860 }}>
-          <div style={{ fontSize: 10, letterSpacing: "0.2em", color: "#5a7a8a", textTransform: "uppercase", marginBottom: 12 }}>
-            Contraction Log
-          </div>
+        {ratingPrompt}
 
-          {/* Column definitions — 5 cols desktop, 4 cols mobile (drop intensity bar) */}
-          {(() => {
-            const cols = isMobile ? "32px 1fr 60px 60px" : "36px 1fr 80px 80px 90px";
-            const headerStyle = {
-              fontSize: 9, letterSpacing: "0.18em", color: "#3a6a7a",
-              textTransform: "uppercase", padding: isMobile ? "0 6px" : "0 8px",
-            };
-            return (
-              <>
-                {/* Header row */}
-                <div style={{
-                  display: "grid", gridTemplateColumns: cols,
-                  gap: isMobile ? 6 : 12,
-                  padding: isMobile ? "0 12px 6px" : "0 16px 8px",
-                  borderBottom: "1px solid rgba(255,255,255,0.07)",
-                  marginBottom: 6,
-                }}>
-                  <span style={headerStyle}>#</span>
-                  <span style={headerStyle}>Start Time</span>
-                  <span style={{ ...headerStyle, textAlign: "right" }}>Duration</span>
-                  <span style={{ ...headerStyle, textAlign: "right" }}>Frequency</span>
-                  {!isMobile && <span style={{ ...headerStyle, textAlign: "right" }}>Intensity</span>}
-                </div>
-
-                {/* Data rows — chronological order (oldest first, newest last) */}
-                <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
-                  {[...contractions].reverse().map((c, i) => {
-                    const originalIndex = contractions.length - 1 - i;
-                    const frequency = originalIndex === 0 ? null : c.start - contractions[originalIndex - 1].start;
-                    const isLatest = i === 0;
-                    return (
-                      <div key={c.id} style={{
-                        display: "grid", gridTemplateColumns: cols,
-                        alignItems: "center", gap: isMobile ? 6 : 12,
-                        padding: isMobile ? "7px 12px" : "8px 16px",
-                        borderRadius: 7,
-                        background: isLatest ? "rgba(90,160,200,0.08)" : "rgba(255,255,255,0.02)",
-                        border: `1px solid ${isLatest ? "rgba(90,160,200,0.15)" : "rgba(255,255,255,0.04)"}`,
-                        fontSize: isMobile ? 11 : 13,
-                        transition: "background 0.2s",
-                      }}>
-                        <span style={{ color: "#5ab0d0", fontVariantNumeric: "tabular-nums" }}>
-                          #{originalIndex + 1}
-                        </span>
-                        <span style={{ color: "#8aacbc", fontVariantNumeric: "tabular-nums" }}>
-                          {formatTime(c.start)}
-                        </span>
-                        <span style={{ color: "#e8c9a0", textAlign: "right", fontVariantNumeric: "tabular-nums" }}>
-                          {formatDuration(c.duration)}
-                        </span>
-                        <span style={{ color: frequency ? "#a8c8a0" : "#3a5a4a", textAlign: "right", fontVariantNumeric: "tabular-nums" }}>
-                          {frequency ? formatDuration(frequency) : "—"}
-                        </span>
-                        {!isMobile && (
-                          <span style={{ color: "#a07850", textAlign: "right", fontVariantNumeric: "tabular-nums" }}>
-                            {Math.round(c.intensity * 10)} / 10
-                          </span>
-                        )}
-                      </div>
-                    );
-                  })}
-                </div>
-              </>
-            );
-          })()}
-
-          <button onClick={clearSession} style={{
-            marginTop: 16, background: "none", border: "1px solid #2a3a4a",
-            color: "#4a6a7a", fontSize: 11, letterSpacing: "0.15em", padding: "8px 20px",
-            borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
-          }}>
-            Clear Session
-          </button>
-        </div>
-      )}
-    </div>
+        {/* ── Chart ── */}
+        <TimelineChart contractions={contractions} events={events} activeStart={readOnly ? null : activeStart}
+          intensity={intensity} intensityScale={rating.scale} now={now} rule={rule} prediction={prediction}
+          view={prefs} onViewChange={updatePrefs} windowWidth={windowWidth} />
+
+        {/* ── Session Log ── */}
+        <ContractionLog key={viewingId ?? store.currentId} contractions={contractions} events={events}
+          readOnly={readOnly} intensity={intensity} intensityScale={rating.scale} isMobile={isMobile} />
+
+        {/* ── Export / Import ── */}
+        <ExportImport session={viewedSession ?? currentSession} canImport={!readOnly}
+          onImport={importSession} onReport={() => setReportAt(Date.now())} isMobile={isMobile} />
+      </div>
+    </I18nContext.Provider>
   );
-}
\ No newline at end of file
+}
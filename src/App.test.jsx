@@ -0,0 +1,430 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { render, screen, fireEvent, act, cleanup, within } from "@testing-library/react";
+import ContractionClock from "./App";
+import { newSessionStore } from "./lib/sessions";
+import { makeContraction } from "./lib/contractions";
+import { diffStores } from "./lib/records";
+
+const T0 = new Date(2026, 0, 1, 20, 0, 0).getTime();
+
+// Session storage that keeps everything in memory (see openSessionStorage for the real one)
+function memoryStorage() {
+  const storage = {
+    backend: "memory",
+    store: newSessionStore(T0),
+    quarantined: 0,
+    saved: null,
+    save: (prev, next) => {
+      storage.saved = next;
+      return Promise.resolve();
+    },
+    readQuarantine: () => Promise.resolve([]),
+    clearQuarantine: () => Promise.resolve(),
+  };
+  return storage;
+}
+
+// Like memoryStorage, but each save only lands when the test says so, and what's on
+// "disk" is built from the diffs the app asks for, as the database builds it
+function slowStorage() {
+  const storage = { ...memoryStorage(), disk: new Set(), pending: [] };
+  storage.save = (prev, next) => {
+    const changes = diffStores(prev, next);
+    return new Promise(resolve => storage.pending.push(() => {
+      for (const c of changes.putContractions) storage.disk.add(c.id);
+      for (const [, id] of changes.deleteContractions) storage.disk.delete(id);
+      resolve();
+    }));
+  };
+  return storage;
+}
+
+// Lets the saves made so far land, in order
+async function finishSaves(storage) {
+  await act(async () => storage.pending.splice(0).forEach(land => land()));
+}
+
+// Moves the clock (and the app's 100 ms tick) forward
+function wait(ms) {
+  act(() => vi.advanceTimersByTime(ms));
+}
+
+function tapTimer() {
+  fireEvent.click(screen.getByRole("button", { name: /^(start|stop) contraction$/i }));
+}
+
+function logRows() {
+  const log = screen.queryByText("Contraction Log");
+  if (!log) return [];
+  return within(log.parentElement).getAllByRole("button", { name: /^Delete contraction/ });
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: T0 });
+  localStorage.clear();
+  vi.stubGlobal("ResizeObserver", class {
+    observe() {}
+    disconnect() {}
+  });
+});
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("ContractionClock", () => {
+  it("times a contraction from start to stop", () => {
+    const storage = memoryStorage();
+    render(<ContractionClock storage={storage} />);
+
+    tapTimer();
+    expect(screen.getByRole("button", { name: /^stop contraction$/i })).toBeTruthy();
+    wait(45 * 1000);
+    expect(screen.getByRole("button", { name: /^stop contraction$/i }).textContent).toContain("45s");
+    tapTimer();
+
+    expect(screen.getByRole("button", { name: /^start contraction$/i })).toBeTruthy();
+    expect(logRows()).toHaveLength(1);
+    const [saved] = storage.saved.sessions[0].contractions;
+    expect(saved).toMatchObject({ start: T0, duration: 45 * 1000, intensity: 0.5 });
+  });
+
+  it("records the moment of the tap when the display ticks are throttled", () => {
+    const storage = memoryStorage();
+    render(<ContractionClock storage={storage} />);
+
+    tapTimer();
+    // A background tab or locked screen: the clock moves on but no interval fires
+    vi.setSystemTime(T0 + 45 * 1000);
+    tapTimer();
+
+    expect(storage.saved.sessions[0].contractions).toMatchObject([{ start: T0, end: T0 + 45 * 1000, duration: 45 * 1000 }]);
+  });
+
+  it("keeps durations exact when ticks arrive late", () => {
+    const storage = memoryStorage();
+    render(<ContractionClock storage={storage} />);
+
+    tapTimer();
+    wait(20 * 1000);
+    // The last tick ran at 20 s; the tap comes 2.35 s later, before the next one
+    vi.setSystemTime(T0 + 22350);
+    tapTimer();
+
+    expect(storage.saved.sessions[0].contractions[0].duration).toBe(22350);
+  });
+
+  it("catches the timer up as soon as the page is shown again", () => {
+    render(<ContractionClock storage={memoryStorage()} />);
+    tapTimer();
+    wait(5 * 1000);
+
+    vi.setSystemTime(T0 + 95 * 1000);
+    const stop = screen.getByRole("button", { name: /^stop contraction$/i });
+    expect(stop.textContent).toContain("5s");
+    act(() => document.dispatchEvent(new Event("visibilitychange")));
+    expect(stop.textContent).toContain("1m 35s");
+  });
+
+  it("keeps the screen on when chosen, asking again after the page was hidden", async () => {
+    const locks = [];
+    vi.stubGlobal("navigator", {
+      ...navigator,
+      wakeLock: {
+        request: vi.fn(async () => {
+          const lock = { released: false, release: async () => { lock.released = true; } };
+          locks.push(lock);
+          return lock;
+        }),
+      },
+    });
+    localStorage.setItem("contraction-clock-settings", JSON.stringify({ wakeLock: true }));
+    const { unmount } = render(<ContractionClock storage={memoryStorage()} />);
+    await act(async () => {});
+    expect(navigator.wakeLock.request).toHaveBeenCalledWith("screen");
+    expect(locks).toHaveLength(1);
+
+    // The browser lets go of the lock while the page is hidden
+    locks[0].released = true;
+    await act(async () => document.dispatchEvent(new Event("visibilitychange")));
+    expect(locks).toHaveLength(2);
+
+    unmount();
+    await act(async () => {});
+    expect(locks[1].released).toBe(true);
+  });
+
+  it("doesn't ask for a second wake lock while the first request is out", async () => {
+    let grant;
+    const request = vi.fn(() => new Promise(resolve => { grant = resolve; }));
+    vi.stubGlobal("navigator", { ...navigator, wakeLock: { request } });
+    localStorage.setItem("contraction-clock-settings", JSON.stringify({ wakeLock: true }));
+    render(<ContractionClock storage={memoryStorage()} />);
+
+    await act(async () => document.dispatchEvent(new Event("visibilitychange")));
+    await act(async () => document.dispatchEvent(new Event("visibilitychange")));
+    expect(request).toHaveBeenCalledTimes(1);
+
+    await act(async () => grant({ released: false, release: async () => {} }));
+    await act(async () => document.dispatchEvent(new Event("visibilitychange")));
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it("asks for a rating after each stop and records it normalised", () => {
+    localStorage.setItem("contraction-clock-settings", JSON.stringify({ rating: { scale: "words", prompt: true } }));
+    const storage = memoryStorage();
+    render(<ContractionClock storage={storage} />);
+
+    tapTimer();
+    wait(40 * 1000);
+    tapTimer();
+    fireEvent.click(screen.getByRole("button", { name: "Strong" }));
+    expect(storage.saved.sessions[0].contractions[0]).toMatchObject({ duration: 40 * 1000, intensity: 0.9 });
+    expect(screen.queryByRole("group", { name: "How strong was that one?" })).toBeNull();
+    expect(screen.getByTitle("Strong")).toBeTruthy();
+
+    // Left alone, the prompt closes and the slider's value stands
+    wait(5 * 60 * 1000);
+    tapTimer();
+    wait(40 * 1000);
+    tapTimer();
+    expect(screen.getByRole("group", { name: "How strong was that one?" })).toBeTruthy();
+    wait(20 * 1000);
+    expect(screen.queryByRole("group", { name: "How strong was that one?" })).toBeNull();
+    expect(storage.saved.sessions[0].contractions[1].intensity).toBe(0.5);
+  });
+
+  it("edits a contraction's intensity on the chosen scale", () => {
+    localStorage.setItem("contraction-clock-settings", JSON.stringify({ rating: { scale: "words" } }));
+    const storage = memoryStorage();
+    const contractions = [makeContraction({ id: 1, start: T0 - 10 * 60 * 1000, end: T0 - 9 * 60 * 1000, intensity: 0.5 })];
+    storage.store = { ...storage.store, sessions: [{ ...storage.store.sessions[0], contractions }] };
+    render(<ContractionClock storage={storage} />);
+
+    const editor = () => screen.getByText("Edit contraction #1").parentElement;
+    fireEvent.click(screen.getByRole("button", { name: "Edit contraction 1" }));
+    const slider = within(editor()).getByRole("slider");
+    expect(slider.max).toBe("2");
+    expect(slider.getAttribute("aria-valuetext")).toBe("Moderate");
+    // Saved untouched, the intensity stays as it was rated
+    fireEvent.click(within(editor()).getByRole("button", { name: "Save" }));
+    expect(storage.saved.sessions[0].contractions[0].intensity).toBe(0.5);
+
+    fireEvent.click(screen.getByRole("button", { name: "Edit contraction 1" }));
+    fireEvent.change(within(editor()).getByRole("slider"), { target: { value: "2" } });
+    expect(within(editor()).getByText("Strong")).toBeTruthy();
+    fireEvent.click(within(editor()).getByRole("button", { name: "Save" }));
+    expect(storage.saved.sessions[0].contractions[0].intensity).toBe(0.9);
+  });
+
+  it("paces breathing from the contraction's start and stops with it", () => {
+    vi.stubGlobal("navigator", { ...navigator, vibrate: vi.fn() });
+    localStorage.setItem("contraction-clock-settings", JSON.stringify({
+      breathing: { enabled: true, pattern: "box", vibrate: true },
+    }));
+    render(<ContractionClock storage={memoryStorage()} />);
+    expect(screen.queryByText("Breathe in")).toBeNull();
+
+    tapTimer();
+    wait(100);
+    expect(screen.getByText("Breathe in")).toBeTruthy();
+    wait(4 * 1000);
+    expect(screen.getByText("Hold")).toBeTruthy();
+    expect(navigator.vibrate).toHaveBeenCalledTimes(1);
+
+    // Ticks held back (a busy or throttled page): the next frame still goes by the clock
+    vi.setSystemTime(T0 + 9 * 1000);
+    wait(20);
+    expect(screen.getByText("Breathe out")).toBeTruthy();
+    expect(navigator.vibrate).toHaveBeenCalledTimes(2);
+
+    tapTimer();
+    wait(10 * 1000);
+    expect(screen.queryByText(/^(Breathe in|Breathe out|Hold)$/)).toBeNull();
+    expect(navigator.vibrate).toHaveBeenCalledTimes(2);
+  });
+
+  it("offers to call and text the care team once the rule is met", () => {
+    localStorage.setItem("contraction-clock-settings", JSON.stringify({
+      contacts: { hospital: { name: "Birth centre", phone: "020 7946 0958" } },
+    }));
+    const storage = memoryStorage();
+    // An hour and a quarter of one-minute contractions, four minutes apart
+    const contractions = Array.from({ length: 20 }, (_, i) => makeContraction({
+      id: i + 1, start: T0 - (20 - i) * 4 * 60 * 1000, end: T0 - (20 - i) * 4 * 60 * 1000 + 60 * 1000, intensity: 0.5,
+    }));
+    storage.store = { ...storage.store, sessions: [{ ...storage.store.sessions[0], contractions }] };
+    render(<ContractionClock storage={storage} />);
+
+    const card = screen.getByRole("region", { name: "Call your care team" });
+    expect(within(card).getByRole("link", { name: "Call Birth centre" }).getAttribute("href")).toBe("tel:02079460958");
+    const text = within(card).getByRole("link", { name: "Text the summary to Birth centre" }).getAttribute("href");
+    expect(text).toMatch(/^sms:02079460958\?body=/);
+    expect(decodeURIComponent(text.split("body=")[1])).toContain("5-1-1: met.\nLast 5 contractions:");
+  });
+
+  it("deletes a contraction from storage that an earlier save still in progress added", async () => {
+    const storage = slowStorage();
+    render(<ContractionClock storage={storage} />);
+    await finishSaves(storage);
+
+    tapTimer();
+    wait(30 * 1000);
+    tapTimer();
+    // Removed before the save that adds it has finished
+    fireEvent.click(logRows()[0]);
+    expect(logRows()).toHaveLength(0);
+
+    await finishSaves(storage);
+    expect(storage.disk.size).toBe(0);
+  });
+
+  it("drops a tap that stops in under a second", () => {
+    render(<ContractionClock storage={memoryStorage()} />);
+
+    tapTimer();
+    wait(500);
+    tapTimer();
+
+    expect(screen.getByRole("button", { name: /^start contraction$/i })).toBeTruthy();
+    expect(logRows()).toHaveLength(0);
+  });
+
+  it("clears the session", () => {
+    render(<ContractionClock storage={memoryStorage()} />);
+    for (let i = 0; i < 2; i++) {
+      tapTimer();
+      wait(60 * 1000);
+      tapTimer();
+      wait(4 * 60 * 1000);
+    }
+    expect(logRows()).toHaveLength(2);
+
+    // Asks first, and keeps everything when told no
+    const confirm = vi.fn(() => false);
+    vi.stubGlobal("confirm", confirm);
+    fireEvent.click(screen.getByRole("button", { name: /clear session/i }));
+    expect(confirm).toHaveBeenCalledWith(expect.stringContaining("all 2 contractions"));
+    expect(logRows()).toHaveLength(2);
+
+    confirm.mockReturnValue(true);
+    fireEvent.click(screen.getByRole("button", { name: /clear session/i }));
+    expect(logRows()).toHaveLength(0);
+    expect(screen.queryByRole("button", { name: /clear session/i })).toBeNull();
+  });
+
+  it("logs events in the log and keeps a red-flag banner up", () => {
+    const storage = memoryStorage();
+    render(<ContractionClock storage={storage} />);
+
+    fireEvent.click(screen.getByRole("button", { name: /log event/i }));
+    fireEvent.change(screen.getByLabelText("Colour"), { target: { value: "green" } });
+    fireEvent.click(screen.getByRole("button", { name: /^save$/i }));
+
+    expect(screen.getByRole("button", { name: "Delete event: Waters broke: green" })).toBeTruthy();
+    expect(storage.saved.sessions[0].events).toMatchObject([{ at: T0, type: "waters", detail: "green" }]);
+    const banner = screen.getByText("Call your midwife or maternity unit now");
+    wait(60 * 60 * 1000);
+    expect(banner.isConnected).toBe(true);
+
+    fireEvent.click(screen.getByRole("button", { name: "Delete event: Waters broke: green" }));
+    expect(screen.queryByText("Call your midwife or maternity unit now")).toBeNull();
+  });
+
+  it("lists logged events in the printable report, red flags marked", () => {
+    const storage = memoryStorage();
+    const contractions = [makeContraction({ id: 1, start: T0 - 10 * 60 * 1000, end: T0 - 9 * 60 * 1000, intensity: 0.5 })];
+    const events = [{ id: 2, at: T0 - 5 * 60 * 1000, type: "waters", detail: "green" }];
+    storage.store = { ...storage.store, sessions: [{ ...storage.store.sessions[0], contractions, events }] };
+    render(<ContractionClock storage={storage} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Report" }));
+    const table = screen.getByRole("table", { name: "Logged events" });
+    expect(within(table).getByText("Waters broke: green (Red flag)")).toBeTruthy();
+  });
+
+  it("starts and stops with the keyboard and adjusts intensity with the arrows", () => {
+    const storage = memoryStorage();
+    render(<ContractionClock storage={storage} />);
+
+    fireEvent.keyDown(document.body, { key: "ArrowUp" });
+    fireEvent.keyDown(document.body, { key: "ArrowUp" });
+    expect(screen.getByLabelText("Intensity").value).toBe("7");
+
+    fireEvent.keyDown(document.body, { key: " " });
+    expect(screen.getByRole("button", { name: /^stop contraction$/i })).toBeTruthy();
+    wait(50 * 1000);
+    fireEvent.keyDown(document.body, { key: "Enter" });
+
+    expect(storage.saved.sessions[0].contractions[0]).toMatchObject({ duration: 50 * 1000, intensity: 0.7 });
+  });
+
+  it("announces start, elapsed time, stop and the rule status", () => {
+    render(<ContractionClock storage={memoryStorage()} />);
+    const status = screen.getByRole("status", { name: "" });
+    expect(screen.getByText("5-1-1 rule not met yet.")).toBeTruthy();
+
+    tapTimer();
+    expect(status.textContent).toContain("Contraction started.");
+    wait(65 * 1000);
+    expect(screen.getByText("1 minute elapsed")).toBeTruthy();
+    tapTimer();
+    expect(status.textContent).toContain("Contraction stopped. It lasted 1 minute 5 seconds.");
+  });
+
+  it("times from the one-handed view", () => {
+    render(<ContractionClock storage={memoryStorage()} />);
+    fireEvent.click(screen.getByRole("button", { name: /one-handed view/i }));
+
+    fireEvent.click(screen.getByRole("button", { name: /raise intensity/i }));
+    tapTimer();
+    wait(40 * 1000);
+    tapTimer();
+    expect(screen.getByText("Last duration").parentElement.textContent).toContain("40s");
+
+    fireEvent.click(screen.getByRole("button", { name: /exit one-handed view/i }));
+    expect(logRows()).toHaveLength(1);
+  });
+
+  it("follows the device colour scheme until a theme is chosen in settings", () => {
+    const listeners = new Set();
+    const query = {
+      matches: true,
+      addEventListener: (_, fn) => listeners.add(fn),
+      removeEventListener: (_, fn) => listeners.delete(fn),
+    };
+    vi.stubGlobal("matchMedia", () => query);
+    render(<ContractionClock storage={memoryStorage()} />);
+    expect(document.documentElement.dataset.theme).toBe("light");
+
+    act(() => {
+      query.matches = false;
+      listeners.forEach(fn => fn());
+    });
+    expect(document.documentElement.dataset.theme).toBe("dark");
+
+    fireEvent.click(screen.getByRole("button", { name: "Settings" }));
+    fireEvent.click(screen.getByRole("radio", { name: "Night" }));
+    expect(document.documentElement.dataset.theme).toBe("night");
+    expect(JSON.parse(localStorage.getItem("contraction-clock-settings")).theme).toBe("night");
+  });
+
+  it("switches language from settings and keeps it", () => {
+    render(<ContractionClock storage={memoryStorage()} />);
+    expect(document.documentElement.lang).toMatch(/^en/);
+
+    fireEvent.click(screen.getByRole("button", { name: "Settings" }));
+    fireEvent.change(screen.getByLabelText("Language"), { target: { value: "fr" } });
+    expect(document.documentElement.lang).toBe("fr");
+    expect(document.documentElement.dir).toBe("ltr");
+    expect(screen.getByText("Touchez pour démarrer")).toBeTruthy();
+
+    const status = screen.getByRole("status", { name: "" });
+    fireEvent.click(screen.getByRole("button", { name: "Démarrer la contraction" }));
+    expect(status.textContent).toContain("Contraction démarrée.");
+    expect(JSON.parse(localStorage.getItem("contraction-clock-settings")).language).toBe("fr");
+  });
+});
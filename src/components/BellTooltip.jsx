@@ -0,0 +1,38 @@
+import { formatIntensity } from "../lib/intensity";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+const W = 156;
+const LINE_H = 15;
+
+// Details of one bell, drawn inside the chart's data layer above the curve. Kept between
+// `minX` and `maxX` (the visible part of the chart) so it never hangs off an edge.
+// Intensity is shown on `scale` (see PAIN_SCALES).
+export default function BellTooltip({ seg, interval, now, scale, minX, maxX }) {
+  const i18n = useI18n();
+  const { t, formatDuration, formatTime } = i18n;
+  const c = seg.active ? null : seg.c;
+  const rows = [
+    [t(seg.active ? "tooltip.started" : "tooltip.start"), formatTime(seg.t0)],
+    [t(seg.active ? "tooltip.soFar" : "tooltip.duration"), formatDuration(seg.active ? now - seg.t0 : c.duration)],
+    [t("tooltip.interval"), interval === null ? t("tooltip.first") : formatDuration(interval)],
+    [t("tooltip.intensity"), formatIntensity(seg.active ? seg.intensity : c.intensity, scale, i18n, { short: true })],
+  ];
+  const h = rows.length * LINE_H + 12;
+  const x = Math.max(minX + 4, Math.min(seg.x + seg.widthPx / 2 - W / 2, maxX - W - 4));
+
+  return (
+    <g pointerEvents="none" role="tooltip">
+      <rect x={x} y={2} width={W} height={h} rx={6}
+        fill={colors.surface} fillOpacity={0.96} stroke={seg.active ? colors.active : colors.accentEdge} strokeOpacity={0.7} />
+      {rows.map(([label, value], i) => (
+        <g key={label}>
+          <text x={x + 10} y={18 + i * LINE_H} fontSize={10} fill={colors.muted} fontFamily="Georgia, serif">{label}</text>
+          <text x={x + W - 10} y={18 + i * LINE_H} fontSize={11} fill={colors.text} fontFamily="monospace" textAnchor="end">
+            {value}
+          </text>
+        </g>
+      ))}
+    </g>
+  );
+}
@@ -0,0 +1,57 @@
+import { useEffect, useRef, useState } from "react";
+import { breathingPhase, CUES } from "../lib/breathing";
+import { playTone, vibrate } from "../lib/alerts";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// Pacing ring behind the timer button: it grows past the button's edge on the in-breath
+// and shrinks back on the out-breath. `start` is when the contraction started; the ring is
+// redrawn every animation frame from the clock, and only a change of step re-renders (for
+// the cue text, tone and vibration). `size` is the button's, `gap` how far the ring can grow.
+export default function BreathingRing({ start, pattern, sound, haptic, size, gap }) {
+  const { t } = useI18n();
+  const ringRef = useRef(null);
+  const [cue, setCue] = useState(() => breathingPhase(pattern, Date.now() - start).step.cue);
+  const outer = size + gap * 2;
+  const minScale = size / outer;
+
+  useEffect(() => {
+    let frame;
+    let lastStep = null;
+    const draw = () => {
+      const phase = breathingPhase(pattern, Date.now() - start);
+      if (ringRef.current) {
+        ringRef.current.style.transform = `scale(${minScale + (1 - minScale) * phase.level})`;
+      }
+      if (phase.n !== lastStep) {
+        lastStep = phase.n;
+        setCue(phase.step.cue);
+        const effect = CUES[phase.step.cue];
+        if (effect && sound) playTone(effect.tone, { length: effect.length, volume: 0.15 });
+        if (effect && haptic) vibrate(effect.vibrate);
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [start, pattern, sound, haptic, minScale]);
+
+  return (
+    <>
+      <div ref={ringRef} aria-hidden="true" style={{
+        position: "absolute", left: "50%", top: gap + size / 2,
+        width: outer, height: outer, marginLeft: -outer / 2, marginTop: -outer / 2,
+        borderRadius: "50%", boxSizing: "border-box", pointerEvents: "none",
+        background: colors.activeBg, border: `2px solid ${colors.activeEdge}`,
+        // Constant, so re-renders never undo what draw() set
+        transform: `scale(${minScale})`,
+      }} />
+      <div style={{
+        position: "absolute", left: 0, right: 0, bottom: 0,
+        textAlign: "center", fontSize: 13, letterSpacing: "0.08em", color: colors.active,
+      }}>
+        {t(`breathing.cue.${cue}`)}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,103 @@
+import { useState } from "react";
+import { reachableContacts, telHref, smsHref } from "../lib/contacts";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+const linkStyle = {
+  display: "inline-flex", alignItems: "center", justifyContent: "center", minHeight: 44, boxSizing: "border-box",
+  border: `1px solid ${colors.accentEdge}`, color: colors.accent, textDecoration: "none",
+  fontSize: 11, letterSpacing: "0.15em", padding: "0 16px",
+  borderRadius: 6, cursor: "pointer", textTransform: "uppercase", background: "none", fontFamily: "inherit",
+};
+
+// Shown once it's time to call: one-tap call and text links for each saved contact, and
+// the `summary` (see buildSummary) to send through the share sheet or copy. With no
+// contacts saved it points to settings through `onSetUp`.
+export default function CareTeamCard({ contacts, summary, onSetUp, isMobile }) {
+  const { t } = useI18n();
+  // null, "copied" or "failed"
+  const [shared, setShared] = useState(null);
+  const reachable = reachableContacts(contacts);
+  const canShare = typeof navigator.share === "function";
+
+  const share = async () => {
+    try {
+      if (canShare) await navigator.share({ text: summary });
+      else {
+        await navigator.clipboard.writeText(summary);
+        setShared("copied");
+      }
+    } catch (err) {
+      // Closing the share sheet isn't a failure
+      if (err?.name !== "AbortError") setShared("failed");
+    }
+  };
+
+  return (
+    <section aria-labelledby="care-team-title" style={{
+      width: "100%", maxWidth: 860, boxSizing: "border-box", borderRadius: 12,
+      border: `1px solid ${colors.accentEdge}`, background: colors.accentBg,
+      padding: isMobile ? "14px 16px" : "16px 24px",
+      display: "flex", flexDirection: "column", gap: 12,
+    }}>
+      <h2 id="care-team-title" style={{ margin: 0, fontSize: isMobile ? 16 : 18, fontWeight: 400, color: colors.heading }}>
+        {t("contacts.title")}
+      </h2>
+
+      {reachable.length === 0 ? (
+        <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", fontSize: 13, color: colors.text }}>
+          <span>{t("contacts.empty")}</span>
+          <button onClick={onSetUp} style={linkStyle}>{t("contacts.setUp")}</button>
+        </div>
+      ) : (
+        <ul style={{ listStyle: "none", margin: 0, padding: 0, display: "flex", flexDirection: "column", gap: 10 }}>
+          {reachable.map(({ role, name, phone }) => {
+            const who = name || t(`contacts.role.${role}`);
+            return (
+              <li key={role} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+                <span style={{ fontSize: 14, color: colors.text }}>
+                  {who}
+                  <span style={{ display: "block", fontSize: 11, color: colors.muted }}>
+                    {name ? `${t(`contacts.role.${role}`)} · ${phone}` : phone}
+                  </span>
+                </span>
+                <span style={{ display: "flex", gap: 8 }}>
+                  <a href={telHref(phone)} aria-label={t("contacts.callLabel", { name: who })} style={linkStyle}>
+                    {t("contacts.call")}
+                  </a>
+                  <a href={smsHref(phone, summary)} aria-label={t("contacts.textLabel", { name: who })}
+                    style={{ ...linkStyle, borderColor: colors.borderMuted, color: colors.control }}>
+                    {t("contacts.text")}
+                  </a>
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <details>
+        <summary style={{ fontSize: 11, color: colors.control, cursor: "pointer", letterSpacing: "0.1em", textTransform: "uppercase" }}>
+          {t("contacts.preview")}
+        </summary>
+        <pre style={{
+          margin: "10px 0 0", whiteSpace: "pre-wrap", fontFamily: "inherit", fontSize: 12,
+          color: colors.value, lineHeight: 1.5,
+        }}>
+          {summary}
+        </pre>
+      </details>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <button onClick={share} style={{ ...linkStyle, borderColor: colors.borderMuted, color: colors.control }}>
+          {t(canShare ? "contacts.share" : "contacts.copy")}
+        </button>
+        {shared && (
+          <span role="status" style={{ fontSize: 11, color: shared === "failed" ? colors.alarm : colors.faint }}>
+            {t(`contacts.${shared}`)}
+          </span>
+        )}
+      </div>
+    </section>
+  );
+}
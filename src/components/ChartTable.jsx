@@ -0,0 +1,36 @@
+import { memo } from "react";
+import { VISUALLY_HIDDEN } from "../lib/a11y";
+import useI18n from "../hooks/useI18n";
+
+// What the chart shows, as a table for screen readers (the SVG itself is only a picture).
+// Memoised, since long sessions make it large and it doesn't change on the clock tick.
+function ChartTable({ contractions }) {
+  const { t, formatDuration, formatTime } = useI18n();
+  return (
+    <table style={VISUALLY_HIDDEN}>
+      <caption>{t("table.caption")}</caption>
+      <thead>
+        <tr>
+          <th scope="col">{t("table.number")}</th>
+          <th scope="col">{t("table.start")}</th>
+          <th scope="col">{t("table.duration")}</th>
+          <th scope="col">{t("table.interval")}</th>
+          <th scope="col">{t("table.intensity")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {contractions.map((c, i) => (
+          <tr key={c.id}>
+            <th scope="row">{i + 1}</th>
+            <td>{formatTime(c.start)}</td>
+            <td>{formatDuration(c.duration)}</td>
+            <td>{i > 0 ? formatDuration(c.start - contractions[i - 1].start) : "—"}</td>
+            <td>{t("table.intensityValue", { n: Math.round(c.intensity * 10) })}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default memo(ChartTable);
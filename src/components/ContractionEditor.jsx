@@ -0,0 +1,88 @@
+import { useState } from "react";
+import { toLocalInputValue, fromLocalInputValue } from "../lib/contractions";
+import { PAIN_SCALES, DEFAULT_SCALE, nearestLevel, formatIntensity } from "../lib/intensity";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// Inline form used both for editing a logged contraction and for adding one after the fact.
+// `onSave` returns an error message when the entry is rejected, or null once it's stored.
+// The intensity slider steps through the levels of `intensityScale` (see PAIN_SCALES); the
+// stored intensity is only replaced once the slider is moved.
+export default function ContractionEditor({ initial, title, intensityScale = DEFAULT_SCALE, onSave, onCancel, isMobile }) {
+  const [start, setStart] = useState(toLocalInputValue(initial.start));
+  const [end, setEnd] = useState(toLocalInputValue(initial.end));
+  const [intensity, setIntensity] = useState(initial.intensity);
+  const [error, setError] = useState(null);
+  const i18n = useI18n();
+  const { t } = i18n;
+  const levels = PAIN_SCALES[intensityScale] ?? PAIN_SCALES[DEFAULT_SCALE];
+  const level = levels.indexOf(nearestLevel(intensityScale, intensity));
+  const intensityText = formatIntensity(intensity, intensityScale, i18n);
+
+  const submit = e => {
+    e.preventDefault();
+    const err = onSave({
+      id: initial.id,
+      start: fromLocalInputValue(start),
+      end: fromLocalInputValue(end),
+      intensity,
+    });
+    setError(err);
+  };
+
+  const labelStyle = {
+    display: "flex", flexDirection: "column", gap: 4,
+    fontSize: 9, letterSpacing: "0.18em", color: colors.label, textTransform: "uppercase",
+  };
+  const inputStyle = {
+    background: colors.field, border: `1px solid ${colors.border}`, borderRadius: 5,
+    color: colors.text, fontSize: 13, padding: "6px 8px", fontFamily: "monospace",
+  };
+  const buttonStyle = {
+    background: "none", border: `1px solid ${colors.borderMuted}`, color: colors.control,
+    fontSize: 11, letterSpacing: "0.15em", padding: "7px 16px",
+    borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+  };
+
+  return (
+    <form onSubmit={submit} style={{
+      display: "flex", flexDirection: "column", gap: 12,
+      padding: isMobile ? "12px" : "14px 16px",
+      borderRadius: 7,
+      background: colors.infoBg,
+      border: `1px solid ${colors.selectedEdge}`,
+    }}>
+      <div style={{ fontSize: 10, letterSpacing: "0.2em", color: colors.accent, textTransform: "uppercase" }}>
+        {title}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: isMobile ? 10 : 16 }}>
+        <label style={labelStyle}>
+          {t("editor.start")}
+          <input type="datetime-local" step={1} value={start} required
+            onChange={e => setStart(e.target.value)} style={inputStyle} />
+        </label>
+        <label style={labelStyle}>
+          {t("editor.end")}
+          <input type="datetime-local" step={1} value={end} required
+            onChange={e => setEnd(e.target.value)} style={inputStyle} />
+        </label>
+        <label style={labelStyle}>
+          {t("editor.intensity")}
+          <span style={{ display: "flex", alignItems: "center", gap: 8, height: 32 }}>
+            <input type="range" min={0} max={levels.length - 1} value={level} aria-valuetext={intensityText}
+              onChange={e => setIntensity(levels[+e.target.value].value)}
+              style={{ width: 120, accentColor: colors.active, height: 4 }} />
+            <span style={{ fontSize: 13, color: colors.active, letterSpacing: 0 }}>{intensityText}</span>
+          </span>
+        </label>
+      </div>
+      {error && (
+        <div role="alert" style={{ fontSize: 12, color: colors.alarm }}>{error}</div>
+      )}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <button type="submit" style={{ ...buttonStyle, borderColor: colors.accentEdge, color: colors.accent }}>{t("editor.save")}</button>
+        <button type="button" onClick={onCancel} style={buttonStyle}>{t("editor.cancel")}</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,310 @@
+import { memo, useState } from "react";
+import ContractionEditor from "./ContractionEditor";
+import EventEditor from "./EventEditor";
+import useSession from "../hooks/useSession";
+import { MIN_CONTRACTION_MS } from "../lib/contractions";
+import { EVENT_TYPES, interleave, eventLabel, isRedFlag } from "../lib/events";
+import { VISUALLY_HIDDEN } from "../lib/a11y";
+import { formatIntensity } from "../lib/intensity";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// The session's contractions and events, newest first, with inline editing, delete with
+// undo, adding a past contraction, logging an event and clearing the session. `readOnly`
+// for archived sessions. Intensities are shown on `intensityScale` (see PAIN_SCALES).
+// Memoised, since nothing in it changes on the clock tick.
+function ContractionLog({ contractions, events, readOnly, intensity, intensityScale, isMobile }) {
+  const { state, actions } = useSession();
+  const { undoEntry } = state;
+  const i18n = useI18n();
+  const { t, formatDuration, formatTime } = i18n;
+  // rowKey of the row being edited, "new" while adding a past contraction, "newEvent" while
+  // logging an event, or null
+  const [editingId, setEditingId] = useState(null);
+  // { start, end, intensity } or { at, type } prefill for the "new" / "newEvent" editor
+  const [draft, setDraft] = useState(null);
+  const hasRows = contractions.length > 0 || events.length > 0;
+
+  const save = entry => {
+    const error = actions.save(entry, { i18n });
+    if (!error) setEditingId(null);
+    return error;
+  };
+
+  const saveEvent = event => {
+    const error = actions.logEvent(event, { i18n });
+    if (!error) setEditingId(null);
+    return error;
+  };
+
+  const remove = c => {
+    actions.remove(c);
+    if (editingId === rowKey("contraction", c)) setEditingId(null);
+  };
+
+  const removeEvent = e => {
+    actions.removeEvent(e);
+    if (editingId === rowKey("event", e)) setEditingId(null);
+  };
+
+  const clear = () => {
+    if (!window.confirm(t("log.confirmClear", { count: contractions.length }))) return;
+    actions.clear();
+    setEditingId(null);
+  };
+
+  const startBackfill = () => {
+    const end = Date.now();
+    const lastEnd = contractions.length ? contractions[contractions.length - 1].end : 0;
+    // Default to a one-minute contraction ending now, or just after the last one if that's later
+    const start = Math.max(end - 60 * 1000, lastEnd + MIN_CONTRACTION_MS);
+    setDraft({
+      start: Math.min(start, end - MIN_CONTRACTION_MS), end,
+      intensity: intensity / 10,
+    });
+    setEditingId("new");
+  };
+
+  const startEvent = () => {
+    setDraft({ at: Date.now(), type: EVENT_TYPES[0].id, detail: null });
+    setEditingId("newEvent");
+  };
+
+  return (
+    <div style={{ width: "100%", maxWidth: 860 }}>
+      {hasRows && (
+        <>
+        <div style={{ fontSize: 10, letterSpacing: "0.2em", color: colors.label, textTransform: "uppercase", marginBottom: 12 }}>
+          {t("log.title")}
+        </div>
+
+        {/* Column definitions — 5 cols desktop, 4 cols mobile (drop intensity bar), plus row actions when editable */}
+        {(() => {
+          const cols = (isMobile ? "32px 1fr 60px 60px" : "36px 1fr 80px 80px 90px")
+            + (readOnly ? "" : isMobile ? " 64px" : " 110px");
+          const headerStyle = {
+            fontSize: 9, letterSpacing: "0.18em", color: colors.dim,
+            textTransform: "uppercase", padding: isMobile ? "0 6px" : "0 8px",
+            minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+          };
+          const rowButtonStyle = {
+            background: "none", border: "none", padding: "2px 4px",
+            color: colors.faint, fontSize: isMobile ? 10 : 11, letterSpacing: "0.08em",
+            textTransform: "uppercase", cursor: "pointer", fontFamily: "inherit",
+          };
+          return (
+            <>
+              {/* Header row */}
+              <div style={{
+                display: "grid", gridTemplateColumns: cols,
+                gap: isMobile ? 6 : 12,
+                padding: isMobile ? "0 12px 6px" : "0 16px 8px",
+                borderBottom: `1px solid ${colors.edge}`,
+                marginBottom: 6,
+              }}>
+                <span style={headerStyle}>#</span>
+                <span style={headerStyle}>{t("log.startTime")}</span>
+                <span style={{ ...headerStyle, textAlign: "end" }}>{t("log.duration")}</span>
+                <span style={{ ...headerStyle, textAlign: "end" }}>{t("log.frequency")}</span>
+                {!isMobile && <span style={{ ...headerStyle, textAlign: "end" }}>{t("log.intensity")}</span>}
+                {!readOnly && <span />}
+              </div>
+
+              {/* Data rows — contractions and events, newest first */}
+              <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                {interleave(contractions, events).map(({ kind, item: c, index: originalIndex }) => {
+                  const key = rowKey(kind, c);
+                  if (kind === "event") {
+                    return editingId === key ? (
+                      <EventEditor key={key} initial={c} isMobile={isMobile}
+                        title={t("log.editEventTitle")}
+                        onSave={saveEvent} onCancel={() => setEditingId(null)} />
+                    ) : (
+                      <EventRow key={key} event={c} cols={cols} readOnly={readOnly} isMobile={isMobile}
+                        buttonStyle={rowButtonStyle}
+                        onEdit={() => setEditingId(key)} onDelete={() => removeEvent(c)} />
+                    );
+                  }
+                  const frequency = originalIndex === 0 ? null : c.start - contractions[originalIndex - 1].start;
+                  const isLatest = originalIndex === contractions.length - 1;
+                  if (editingId === key) {
+                    return (
+                      <ContractionEditor key={key} initial={c} intensityScale={intensityScale} isMobile={isMobile}
+                        title={t("log.editTitle", { n: originalIndex + 1 })}
+                        onSave={save} onCancel={() => setEditingId(null)} />
+                    );
+                  }
+                  return (
+                    <div key={key} style={{
+                      display: "grid", gridTemplateColumns: cols,
+                      alignItems: "center", gap: isMobile ? 6 : 12,
+                      padding: isMobile ? "7px 12px" : "8px 16px",
+                      borderRadius: 7,
+                      background: isLatest ? colors.selectedBg : colors.panelSubtle,
+                      border: `1px solid ${isLatest ? colors.selectedEdge : colors.edgeFaint}`,
+                      fontSize: isMobile ? 11 : 13,
+                      transition: "background 0.2s",
+                    }}>
+                      <span style={{ color: colors.accent, fontVariantNumeric: "tabular-nums" }}>
+                        #{originalIndex + 1}
+                      </span>
+                      <span style={{ color: colors.value, fontVariantNumeric: "tabular-nums" }}>
+                        {formatTime(c.start)}
+                      </span>
+                      <span style={{ color: colors.warm, textAlign: "end", fontVariantNumeric: "tabular-nums" }}>
+                        {formatDuration(c.duration)}
+                      </span>
+                      <span style={{ color: frequency ? colors.calm : colors.dim, textAlign: "end", fontVariantNumeric: "tabular-nums" }}>
+                        {frequency ? formatDuration(frequency) : "—"}
+                      </span>
+                      {!isMobile && (
+                        <span title={formatIntensity(c.intensity, intensityScale, i18n)}
+                          style={{ color: colors.warmDim, textAlign: "end", fontVariantNumeric: "tabular-nums" }}>
+                          {formatIntensity(c.intensity, intensityScale, i18n, { short: true })}
+                        </span>
+                      )}
+                      {!readOnly && (
+                        <span style={{ display: "flex", justifyContent: "flex-end", gap: isMobile ? 2 : 6 }}>
+                          <button onClick={() => setEditingId(key)} style={rowButtonStyle}
+                            aria-label={t("log.editLabel", { n: originalIndex + 1 })}>
+                            {isMobile ? "✎" : t("log.edit")}
+                          </button>
+                          <button onClick={() => remove(c)} style={{ ...rowButtonStyle, color: colors.danger }}
+                            aria-label={t("log.deleteLabel", { n: originalIndex + 1 })}>
+                            {isMobile ? "✕" : t("log.delete")}
+                          </button>
+                        </span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          );
+        })()}
+        </>
+      )}
+
+      {/* Undo bar for the most recent delete */}
+      {undoEntry && (
+        <div role="status" style={{
+          display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12,
+          marginTop: 10, padding: isMobile ? "8px 12px" : "8px 16px", borderRadius: 7,
+          background: colors.panelRaised, border: `1px solid ${colors.edge}`,
+          fontSize: isMobile ? 11 : 12, color: colors.value,
+        }}>
+          <span>
+            {undoEntry.kind === "event"
+              ? t("log.eventDeleted", { event: eventLabel(undoEntry.entry, i18n), time: formatTime(undoEntry.entry.at) })
+              : t("log.deleted", { time: formatTime(undoEntry.entry.start) })}
+          </span>
+          <button onClick={actions.undo} style={{
+            background: "none", border: `1px solid ${colors.accentEdge}`, color: colors.accent,
+            fontSize: 11, letterSpacing: "0.15em", padding: "5px 14px",
+            borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+          }}>
+            {t("log.undo")}
+          </button>
+        </div>
+      )}
+
+      {editingId === "new" && draft && (
+        <div style={{ marginTop: 10 }}>
+          <ContractionEditor initial={draft} intensityScale={intensityScale} isMobile={isMobile}
+            title={t("log.addTitle")}
+            onSave={save} onCancel={() => setEditingId(null)} />
+        </div>
+      )}
+
+      {editingId === "newEvent" && draft && (
+        <div style={{ marginTop: 10 }}>
+          <EventEditor initial={draft} isMobile={isMobile}
+            title={t("log.addEventTitle")}
+            onSave={saveEvent} onCancel={() => setEditingId(null)} />
+        </div>
+      )}
+
+      {!readOnly && (
+        <div style={{ display: "flex", gap: 10, marginTop: 16, flexWrap: "wrap" }}>
+          {editingId !== "new" && (
+            <button onClick={startBackfill} style={{
+              background: "none", border: `1px solid ${colors.border}`,
+              color: colors.control, fontSize: 11, letterSpacing: "0.15em", padding: "8px 20px",
+              borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+            }}>
+              {t("log.add")}
+            </button>
+          )}
+          {editingId !== "newEvent" && (
+            <button onClick={startEvent} style={{
+              background: "none", border: `1px solid ${colors.border}`,
+              color: colors.control, fontSize: 11, letterSpacing: "0.15em", padding: "8px 20px",
+              borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+            }}>
+              {t("log.addEvent")}
+            </button>
+          )}
+          {hasRows && (
+            <button onClick={clear} style={{
+              background: "none", border: `1px solid ${colors.borderMuted}`,
+              color: colors.faint, fontSize: 11, letterSpacing: "0.15em", padding: "8px 20px",
+              borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+            }}>
+              {t("log.clear")}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Contraction and event ids are both timestamps, so rows are keyed by kind as well
+function rowKey(kind, item) {
+  return `${kind}:${item.id}`;
+}
+
+// One event in the log: a marker in the # column, its time, and what happened across
+// the remaining data columns
+function EventRow({ event, cols, readOnly, isMobile, buttonStyle, onEdit, onDelete }) {
+  const i18n = useI18n();
+  const { t, formatTime } = i18n;
+  const flagged = isRedFlag(event);
+  const label = eventLabel(event, i18n);
+  return (
+    <div style={{
+      display: "grid", gridTemplateColumns: cols,
+      alignItems: "center", gap: isMobile ? 6 : 12,
+      padding: isMobile ? "7px 12px" : "8px 16px",
+      borderRadius: 7,
+      background: flagged ? colors.alarmBg : colors.panelSubtle,
+      border: `1px solid ${flagged ? colors.alarmEdge : colors.edgeFaint}`,
+      fontSize: isMobile ? 11 : 13,
+    }}>
+      <span aria-hidden="true" style={{ color: flagged ? colors.alarm : colors.calm }}>{flagged ? "!" : "•"}</span>
+      <span style={{ color: colors.value, fontVariantNumeric: "tabular-nums" }}>
+        {formatTime(event.at)}
+      </span>
+      <span style={{
+        gridColumn: `span ${isMobile ? 2 : 3}`, color: flagged ? colors.alarm : colors.text,
+        minWidth: 0, overflowWrap: "anywhere",
+      }}>
+        {flagged && <span style={VISUALLY_HIDDEN}>{t("event.redFlag")} </span>}
+        {label}
+      </span>
+      {!readOnly && (
+        <span style={{ display: "flex", justifyContent: "flex-end", gap: isMobile ? 2 : 6 }}>
+          <button onClick={onEdit} style={buttonStyle} aria-label={t("log.editEventLabel", { event: label })}>
+            {isMobile ? "✎" : t("log.edit")}
+          </button>
+          <button onClick={onDelete} style={{ ...buttonStyle, color: colors.danger }}
+            aria-label={t("log.deleteEventLabel", { event: label })}>
+            {isMobile ? "✕" : t("log.delete")}
+          </button>
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default memo(ContractionLog);
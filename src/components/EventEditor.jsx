@@ -0,0 +1,96 @@
+import { useState } from "react";
+import { toLocalInputValue, fromLocalInputValue } from "../lib/contractions";
+import { EVENT_TYPES, WATERS_COLORS, MAX_EVENT_TEXT, eventType } from "../lib/events";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// Inline form for logging an event or editing a logged one. `onSave` returns an error
+// message when the event is rejected, or null once it's stored.
+export default function EventEditor({ initial, title, onSave, onCancel, isMobile }) {
+  const [type, setType] = useState(initial.type);
+  const [at, setAt] = useState(toLocalInputValue(initial.at));
+  // The colour for waters, the text for medication and notes; kept while switching type
+  const [color, setColor] = useState((initial.type === "waters" && initial.detail) || WATERS_COLORS[0]);
+  const [text, setText] = useState((eventType(initial.type)?.detail === "text" && initial.detail) || "");
+  const [error, setError] = useState(null);
+  const { t } = useI18n();
+  const detailKind = eventType(type)?.detail;
+
+  const submit = e => {
+    e.preventDefault();
+    const err = onSave({
+      id: initial.id,
+      at: fromLocalInputValue(at),
+      type,
+      detail: detailKind === "color" ? color : detailKind === "text" ? text : null,
+    });
+    setError(err);
+  };
+
+  const labelStyle = {
+    display: "flex", flexDirection: "column", gap: 4,
+    fontSize: 9, letterSpacing: "0.18em", color: colors.label, textTransform: "uppercase",
+  };
+  const inputStyle = {
+    background: colors.field, border: `1px solid ${colors.border}`, borderRadius: 5,
+    color: colors.text, fontSize: 13, padding: "6px 8px", fontFamily: "monospace",
+  };
+  const buttonStyle = {
+    background: "none", border: `1px solid ${colors.borderMuted}`, color: colors.control,
+    fontSize: 11, letterSpacing: "0.15em", padding: "7px 16px",
+    borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+  };
+
+  return (
+    <form onSubmit={submit} style={{
+      display: "flex", flexDirection: "column", gap: 12,
+      padding: isMobile ? "12px" : "14px 16px",
+      borderRadius: 7,
+      background: colors.infoBg,
+      border: `1px solid ${colors.selectedEdge}`,
+    }}>
+      <div style={{ fontSize: 10, letterSpacing: "0.2em", color: colors.accent, textTransform: "uppercase" }}>
+        {title}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: isMobile ? 10 : 16 }}>
+        <label style={labelStyle}>
+          {t("eventEditor.type")}
+          <select value={type} onChange={e => setType(e.target.value)} style={inputStyle}>
+            {EVENT_TYPES.map(({ id }) => (
+              <option key={id} value={id}>{t(`event.type.${id}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          {t("eventEditor.time")}
+          <input type="datetime-local" step={1} value={at} required
+            onChange={e => setAt(e.target.value)} style={inputStyle} />
+        </label>
+        {detailKind === "color" && (
+          <label style={labelStyle}>
+            {t("eventEditor.color")}
+            <select value={color} onChange={e => setColor(e.target.value)} style={inputStyle}>
+              {WATERS_COLORS.map(id => (
+                <option key={id} value={id}>{t(`event.color.${id}`)}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {detailKind === "text" && (
+          <label style={{ ...labelStyle, flex: "1 1 200px" }}>
+            {t(type === "medication" ? "eventEditor.medication" : "eventEditor.note")}
+            <input type="text" value={text} maxLength={MAX_EVENT_TEXT} required
+              onChange={e => setText(e.target.value)} style={{ ...inputStyle, fontFamily: "inherit" }} />
+          </label>
+        )}
+      </div>
+      {error && (
+        <div role="alert" style={{ fontSize: 12, color: colors.alarm }}>{error}</div>
+      )}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <button type="submit" style={{ ...buttonStyle, borderColor: colors.accentEdge, color: colors.accent }}>{t("editor.save")}</button>
+        <button type="button" onClick={onCancel} style={buttonStyle}>{t("editor.cancel")}</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,20 @@
+import { PLOT_H, PEAK_PAD } from "../lib/chart";
+import { eventLabel, isRedFlag } from "../lib/events";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// A dashed line and a dot for each logged event (see eventMarkers), red for the ones that
+// need a call. The label shows on hover and is read out by screen readers.
+export default function EventMarkers({ markers, plotH = PLOT_H }) {
+  const i18n = useI18n();
+  return markers.map(({ event, x }) => {
+    const color = isRedFlag(event) ? colors.alarm : colors.calm;
+    return (
+      <g key={event.id}>
+        <title>{`${i18n.formatTime(event.at)} · ${eventLabel(event, i18n)}`}</title>
+        <line x1={x} y1={PEAK_PAD} x2={x} y2={plotH} stroke={color} strokeWidth={1.5} strokeDasharray="2,3" strokeOpacity={0.8} />
+        <circle cx={x} cy={PEAK_PAD - 6} r={4} fill={color} />
+      </g>
+    );
+  });
+}
@@ -0,0 +1,121 @@
+import { useState, useRef } from "react";
+import { sessionToCSV, sessionToJSON, parseSessionJSON, safeFileName, downloadFile } from "../lib/exchange";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// Export the shown session as CSV / JSON, and import a JSON export into the current session.
+// `onImport(parsed, mode)` applies parseSessionJSON's contractions and events and returns
+// { added, eventsAdded, duplicates, errors }.
+export default function ExportImport({ session, canImport, onImport, onReport, isMobile }) {
+  const fileRef = useRef(null);
+  const [pending, setPending] = useState(null); // parsed file awaiting merge/replace choice
+  const [message, setMessage] = useState(null); // { tone: "ok" | "error", text, details }
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  const buttonStyle = {
+    background: "none", border: `1px solid ${colors.border}`, color: colors.control,
+    fontSize: 11, letterSpacing: "0.15em", padding: "8px 16px",
+    borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+  };
+  const base = safeFileName(session.name);
+  const hasData = session.contractions.length > 0 || session.events.length > 0;
+
+  const readFile = async e => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setMessage(null);
+    try {
+      const parsed = parseSessionJSON(await file.text(), i18n);
+      if (parsed.contractions.length === 0 && parsed.events.length === 0) {
+        setMessage({ tone: "error", text: t("exchange.nothingUsable"), details: parsed.errors });
+        return;
+      }
+      setPending({ ...parsed, fileName: file.name });
+    } catch (err) {
+      setMessage({ tone: "error", text: err.message, details: [] });
+    }
+  };
+
+  const apply = mode => {
+    if (mode === "replace" && hasData
+      && !window.confirm(t("exchange.confirmReplace", { count: session.contractions.length }))) return;
+    const result = onImport(pending, mode);
+    const errors = [...pending.errors, ...result.errors];
+    const parts = [t("exchange.imported", { count: result.added })];
+    if (result.eventsAdded) parts.push(t("exchange.importedEvents", { count: result.eventsAdded }));
+    if (result.duplicates) parts.push(t("exchange.duplicates", { count: result.duplicates }));
+    setMessage({
+      tone: result.added + result.eventsAdded > 0 ? "ok" : "error",
+      text: errors.length
+        ? t("exchange.resultRejected", { result: parts.join(", "), count: errors.length })
+        : t("exchange.result", { result: parts.join(", ") }),
+      details: errors,
+    });
+    setPending(null);
+  };
+
+  return (
+    <div style={{ width: "100%", maxWidth: 860, display: "flex", flexDirection: "column", gap: 10 }}>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: isMobile ? 8 : 10 }}>
+        <button disabled={!hasData} style={{ ...buttonStyle, opacity: hasData ? 1 : 0.4 }} onClick={onReport}>
+          {t("exchange.report")}
+        </button>
+        <button disabled={!hasData} style={{ ...buttonStyle, opacity: hasData ? 1 : 0.4 }}
+          onClick={() => downloadFile(`${base}.csv`, "text/csv", sessionToCSV(session))}>
+          {t("exchange.exportCSV")}
+        </button>
+        <button disabled={!hasData} style={{ ...buttonStyle, opacity: hasData ? 1 : 0.4 }}
+          onClick={() => downloadFile(`${base}.json`, "application/json", sessionToJSON(session))}>
+          {t("exchange.exportJSON")}
+        </button>
+        {canImport && (
+          <>
+            <button style={buttonStyle} onClick={() => fileRef.current.click()}>{t("exchange.importJSON")}</button>
+            <input ref={fileRef} type="file" accept="application/json,.json" onChange={readFile} hidden />
+          </>
+        )}
+      </div>
+
+      {pending && (
+        <div style={{
+          padding: isMobile ? 12 : "12px 16px", borderRadius: 7,
+          background: colors.infoBg, border: `1px solid ${colors.selectedEdge}`,
+          fontSize: isMobile ? 12 : 13, color: colors.value, display: "flex", flexDirection: "column", gap: 10,
+        }}>
+          <div>
+            {pending.fileName}:{" "}
+            {pending.name
+              ? t("exchange.pendingNamed", { count: pending.contractions.length, name: pending.name })
+              : t("exchange.pending", { count: pending.contractions.length })}
+            {pending.events.length > 0 && t("exchange.pendingEvents", { count: pending.events.length })}
+            {pending.errors.length > 0 && t("exchange.malformed", { count: pending.errors.length })}
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+            <button style={{ ...buttonStyle, borderColor: colors.accentEdge, color: colors.accent }} onClick={() => apply("merge")}>
+              {t("exchange.merge")}
+            </button>
+            <button style={buttonStyle} onClick={() => apply("replace")}>{t("exchange.replace")}</button>
+            <button style={{ ...buttonStyle, color: colors.faint, borderColor: colors.borderMuted }} onClick={() => setPending(null)}>
+              {t("exchange.cancel")}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <div role={message.tone === "error" ? "alert" : "status"} style={{
+          fontSize: isMobile ? 11 : 12, color: message.tone === "error" ? colors.alarm : colors.good,
+        }}>
+          {message.text}
+          {message.details.length > 0 && (
+            <ul style={{ margin: "6px 0 0", paddingInlineStart: 18, color: colors.alarmSoft, maxHeight: 140, overflowY: "auto" }}>
+              {message.details.map((d, i) => <li key={i}>{d}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// Intensity (1-10) recorded with the next contraction that's stopped
+export default function IntensitySlider({ value, onChange, isMobile }) {
+  const { t } = useI18n();
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 12, width: isMobile ? "min(280px, 90vw)" : 240 }}>
+      <label htmlFor="intensity" style={{ fontSize: 10, color: colors.control, letterSpacing: "0.1em", textTransform: "uppercase", whiteSpace: "nowrap" }}>
+        {t("intensity.label")}
+      </label>
+      <input id="intensity" type="range" min={1} max={10} value={value}
+        aria-valuetext={t("intensity.valueText", { value })} aria-keyshortcuts="ArrowUp ArrowDown"
+        onChange={e => onChange(+e.target.value)}
+        style={{ flex: 1, accentColor: colors.active, height: 4 }} />
+      <span aria-hidden="true" style={{ fontSize: 14, color: colors.active, width: 20, textAlign: "end" }}>{value}</span>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import { VISUALLY_HIDDEN, ELAPSED_ANNOUNCE_MS } from "../lib/a11y";
+import useI18n from "../hooks/useI18n";
+
+// Screen-reader announcements, in separate live regions so one doesn't cut off another:
+// `message` ({ text, n }, n counting announcements so a repeat is read again), the running
+// timer every ELAPSED_ANNOUNCE_MS while `elapsed` isn't null, and `ruleStatus` whenever it changes.
+export default function LiveAnnouncer({ message, elapsed, ruleStatus }) {
+  const { t, formatSpokenDuration } = useI18n();
+  const steps = elapsed === null ? 0 : Math.floor(elapsed / ELAPSED_ANNOUNCE_MS);
+  return (
+    <div style={VISUALLY_HIDDEN}>
+      <div role="status" aria-live="polite" aria-atomic="true">
+        {/* A trailing no-break space on every other message makes a repeated one a change */}
+        {message.text}{message.n % 2 ? "\u00a0" : ""}
+      </div>
+      <div aria-live="polite" aria-atomic="true">
+        {steps > 0 ? t("announce.elapsed", { duration: formatSpokenDuration(steps * ELAPSED_ANNOUNCE_MS) }) : ""}
+      </div>
+      <div aria-live="polite" aria-atomic="true">{ruleStatus}</div>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import { PLOT_H } from "../lib/chart";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// Data layer of the interval / duration views (see buildMetricPlot): qualifying region,
+// threshold line, the metric over time and one dot per contraction. Hollow dots are
+// still being timed.
+export default function MetricPlot({ plot, thresholdLabel, x1, x2, plotH = PLOT_H }) {
+  const { dots, line, threshold, shade } = plot;
+  const { t, formatDuration, formatTime } = useI18n();
+  return (
+    <g>
+      <rect x={x1} y={shade.y} width={Math.max(0, x2 - x1)} height={Math.max(0, shade.height)}
+        fill={colors.goodBg} />
+      <line x1={x1} y1={threshold.y} x2={x2} y2={threshold.y}
+        stroke={colors.goodLine} strokeOpacity={0.7} strokeWidth={1.5} strokeDasharray="6,4" />
+      <text x={x2 - 4} y={threshold.y - 5} textAnchor="end" fontSize={9} fill={colors.goodLine} fontFamily="monospace">
+        {thresholdLabel}
+      </text>
+      {line && <path d={line} stroke={colors.accent} strokeOpacity={0.6} strokeWidth={1.5} fill="none" strokeLinejoin="round" />}
+      {dots.map(d => (
+        <circle key={d.t} cx={d.x} cy={Math.min(d.y, plotH)} r={d.pending ? 4 : 3.5}
+          fill={d.pending ? colors.surface : colors.accent} stroke={d.pending ? colors.active : colors.accentBright} strokeWidth={1.5}>
+          <title>{t(d.pending ? "chart.pointPending" : "chart.point", { time: formatTime(d.t), value: formatDuration(d.v) })}</title>
+        </circle>
+      ))}
+    </g>
+  );
+}
@@ -0,0 +1,86 @@
+import RedFlagBanner from "./RedFlagBanner";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// High contrast, and nothing smaller than a thumb
+const PALETTE = {
+  background: colors.hcBg, text: colors.hcText, muted: colors.hcMuted, accent: colors.hcAccent,
+  active: colors.hcActive, met: colors.hcMet, button: colors.hcButton, onAccent: colors.hcOnAccent,
+};
+const TARGET = 64;
+
+const bigButton = {
+  minWidth: TARGET, minHeight: TARGET, borderRadius: 14, cursor: "pointer",
+  background: PALETTE.button, border: `3px solid ${PALETTE.text}`, color: PALETTE.text,
+  fontSize: 30, fontFamily: "inherit", touchAction: "manipulation",
+};
+
+// Stripped-down screen for timing mid-contraction with one hand: the controls sit at the
+// bottom within thumb reach, the status in large type above them. Always the current session.
+// `children` (the rating prompt) sit just above the controls.
+export default function OneHandedView({
+  contractions, events, active, elapsed, onToggle, intensity, onIntensity, ruleMet, ruleLabel, onExit, children,
+}) {
+  const { t, formatDuration } = useI18n();
+  const last = contractions[contractions.length - 1];
+  const secondLast = contractions[contractions.length - 2];
+  const lastInterval = last && secondLast ? last.start - secondLast.start : null;
+
+  return (
+    <div style={{
+      minHeight: "100vh", boxSizing: "border-box", padding: "16px 16px 24px",
+      background: PALETTE.background, color: PALETTE.text, fontFamily: "'Georgia', serif",
+      display: "flex", flexDirection: "column", gap: 20,
+    }}>
+      <button onClick={onExit} style={{ ...bigButton, fontSize: 16, alignSelf: "flex-end", padding: "0 20px" }}>
+        {t("oneHanded.exit")}
+      </button>
+
+      <RedFlagBanner events={events} compact />
+
+      <div style={{ flex: 1, display: "flex", flexDirection: "column", justifyContent: "center", alignItems: "center", gap: 16, textAlign: "center" }}>
+        <div style={{ fontSize: 22, color: active ? PALETTE.active : PALETTE.muted }}>
+          {active ? t("oneHanded.inProgress") : t("oneHanded.ready")}
+        </div>
+        <div style={{ fontSize: 72, fontFamily: "monospace", color: active ? PALETTE.active : PALETTE.text }}>
+          {active ? formatDuration(elapsed) : "—"}
+        </div>
+        <div style={{ display: "flex", gap: 32, fontSize: 20, flexWrap: "wrap", justifyContent: "center" }}>
+          <div>
+            <div style={{ fontSize: 14, color: PALETTE.muted }}>{t("oneHanded.lastInterval")}</div>
+            {lastInterval ? formatDuration(lastInterval) : "—"}
+          </div>
+          <div>
+            <div style={{ fontSize: 14, color: PALETTE.muted }}>{t("oneHanded.lastDuration")}</div>
+            {last ? formatDuration(last.duration) : "—"}
+          </div>
+        </div>
+        <div style={{ fontSize: 20, fontWeight: 600, color: ruleMet ? PALETTE.met : PALETTE.muted }}>
+          {t(ruleMet ? "oneHanded.ruleMet" : "oneHanded.ruleNotMet", { rule: ruleLabel })}
+        </div>
+      </div>
+
+      {children}
+
+      <div role="group" aria-label={t("oneHanded.intensity")} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
+        <button onClick={() => onIntensity(-1)} disabled={intensity <= 1} aria-label={t("oneHanded.lower")}
+          style={{ ...bigButton, opacity: intensity <= 1 ? 0.4 : 1 }}>−</button>
+        <div aria-live="polite" style={{ fontSize: 24, color: PALETTE.accent, textAlign: "center" }}>
+          {t("oneHanded.intensityValue", { n: intensity })}
+        </div>
+        <button onClick={() => onIntensity(1)} disabled={intensity >= 10} aria-label={t("oneHanded.raise")}
+          style={{ ...bigButton, opacity: intensity >= 10 ? 0.4 : 1 }}>+</button>
+      </div>
+
+      <button onClick={onToggle} aria-label={active ? t("timer.stopLabel") : t("timer.startLabel")}
+        aria-keyshortcuts="Space Enter"
+        style={{
+          ...bigButton, width: "100%", minHeight: "32vh", fontSize: 40, fontWeight: 600,
+          background: active ? PALETTE.active : PALETTE.accent, color: PALETTE.onAccent,
+          border: `4px solid ${PALETTE.text}`,
+        }}>
+        {active ? t("oneHanded.stop") : t("oneHanded.start")}
+      </button>
+    </div>
+  );
+}
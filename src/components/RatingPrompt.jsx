@@ -0,0 +1,63 @@
+import { useEffect, useRef } from "react";
+import { PAIN_SCALES, RATING_PROMPT_MS, levelLabel } from "../lib/intensity";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+const TARGET = 56;
+
+// Quick "how strong was that one?" after a stop, one large button per level of `scale`.
+// `onRate(level)` with the chosen level; `onDismiss` on skip or once the time is up.
+export default function RatingPrompt({ scale, onRate, onDismiss, isMobile }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const levels = PAIN_SCALES[scale];
+  const onDismissRef = useRef(onDismiss);
+  useEffect(() => {
+    onDismissRef.current = onDismiss;
+  });
+
+  useEffect(() => {
+    const id = setTimeout(() => onDismissRef.current(), RATING_PROMPT_MS);
+    return () => clearTimeout(id);
+  }, []);
+
+  return (
+    <div role="group" aria-label={t("rating.title")} style={{
+      width: "100%", maxWidth: 700, boxSizing: "border-box", borderRadius: 12,
+      border: `1px solid ${colors.activeEdge}`, background: colors.activeBg,
+      padding: isMobile ? "12px" : "14px 20px",
+      display: "flex", flexDirection: "column", gap: 12,
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+        <span style={{ fontSize: isMobile ? 15 : 17, color: colors.heading }}>{t("rating.title")}</span>
+        <button onClick={onDismiss} style={{
+          background: "none", border: `1px solid ${colors.borderMuted}`, color: colors.control,
+          fontSize: 11, letterSpacing: "0.15em", padding: "0 16px", minHeight: 40,
+          borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+        }}>
+          {t("rating.skip")}
+        </button>
+      </div>
+      <div style={{
+        display: "grid", gap: 8,
+        gridTemplateColumns: `repeat(${Math.min(levels.length, 5)}, minmax(0, 1fr))`,
+      }}>
+        {levels.map(level => {
+          const label = levelLabel(scale, level, i18n);
+          return (
+            <button key={level.id} onClick={() => onRate(level)} aria-label={label}
+              style={{
+                minHeight: TARGET, borderRadius: 10, cursor: "pointer", touchAction: "manipulation",
+                background: colors.panelRaised, border: `2px solid ${colors.activeEdge}`, color: colors.text,
+                fontFamily: "inherit", fontSize: level.face ? 28 : scale === "numeric" ? 20 : 15,
+                display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", gap: 2,
+              }}>
+              {level.face ?? label}
+              {level.face && !isMobile && <span style={{ fontSize: 10, color: colors.muted }}>{label}</span>}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
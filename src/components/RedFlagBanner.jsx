@@ -0,0 +1,40 @@
+import { redFlags, eventLabel } from "../lib/events";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// Stays up for as long as the session has a red-flag event logged (see isRedFlag): these
+// need a call to the midwife or maternity unit whatever the contractions are doing.
+// `compact` drops the list of what was logged, for the one-handed view.
+export default function RedFlagBanner({ events, isMobile, compact = false }) {
+  const i18n = useI18n();
+  const { t, formatTime } = i18n;
+  const flagged = redFlags(events);
+  if (!flagged.length) return null;
+
+  return (
+    <div role="alert" style={{
+      width: "100%", maxWidth: 860, boxSizing: "border-box", borderRadius: 12,
+      border: `2px solid ${colors.alarm}`, background: colors.alarmBg,
+      padding: isMobile || compact ? "14px 16px" : "16px 24px",
+      display: "flex", flexDirection: "column", gap: 8,
+      color: colors.heading, fontSize: isMobile ? 12 : 14,
+    }}>
+      <div style={{ fontSize: compact ? 20 : isMobile ? 16 : 18, fontWeight: 600, color: colors.alarm }}>
+        {t("redFlag.title")}
+      </div>
+      {!compact && (
+        <>
+          <div>{t("redFlag.body")}</div>
+          <ul style={{ margin: 0, paddingInlineStart: 18, display: "flex", flexDirection: "column", gap: 2 }}>
+            {flagged.map(event => (
+              <li key={event.id}>
+                <span style={{ fontVariantNumeric: "tabular-nums", color: colors.value }}>{formatTime(event.at)}</span>
+                {" · "}{eventLabel(event, i18n)}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
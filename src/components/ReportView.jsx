@@ -0,0 +1,184 @@
+import { buildSegments, tickY, Y_AXIS_W, CHART_H, PLOT_H, PEAK_PAD, Y_TICKS, LEAD_PX } from "../lib/chart";
+import { averageDuration, averageInterval, longestStreak, firstRuleMetAt } from "../lib/analytics";
+import { ruleName, ruleDescription } from "../lib/rules";
+import { eventLabel, isRedFlag } from "../lib/events";
+import TimelineSegments from "./TimelineSegments";
+import useI18n from "../hooks/useI18n";
+
+// Width the fitted timeline is laid out at; the SVG then scales to the page via viewBox
+const REPORT_CHART_W = 720;
+
+// Ink-friendly colours: this view is meant to be printed / saved as PDF
+const PRINT_PALETTE = {
+  baseline: "#8a9aa8",
+  restLabel: "#6a7a88",
+  bell: "#2a6a8a",
+  bellFill: "rgba(42,106,138,0.12)",
+  bellLabel: "#2a4a5a",
+  active: "#b0602a",
+  activeFill: "rgba(176,96,42,0.12)",
+};
+const RED_FLAG_INK = "#a02a1a";
+
+function formatDateTime(ts, locale) {
+  return new Date(ts).toLocaleString(locale, {
+    weekday: "short", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit",
+  });
+}
+
+// One-page clinician summary of a session: stats, fitted timeline, the full log and
+// anything else logged, red flags marked.
+export default function ReportView({ session, rule, generatedAt, onClose }) {
+  const i18n = useI18n();
+  const { t, locale, formatDuration, formatTime } = i18n;
+  const list = session.contractions;
+  const events = session.events ?? [];
+  const first = list[0];
+  const last = list[list.length - 1];
+  const avgDuration = averageDuration(list);
+  const avgInterval = averageInterval(list);
+  const streak = longestStreak(list, rule);
+  const metAt = firstRuleMetAt(list, rule);
+
+  // Scale the whole session to fit the page instead of the live chart's 4 px/s
+  const spanSec = first ? Math.max(1, (last.end - first.start) / 1000) : 1;
+  const pxPerSec = (REPORT_CHART_W - Y_AXIS_W - 8 - LEAD_PX) / spanSec;
+  const { segments, width } = buildSegments(list, { pxPerSec, minRestPx: 0, minBellPx: 3 });
+
+  // [label, value, emphasised]
+  const stats = [
+    [t("report.contractions"), list.length],
+    [t("report.avgDuration"), avgDuration ? formatDuration(avgDuration) : "—"],
+    [t("report.avgFrequency"), avgInterval ? formatDuration(avgInterval) : "—"],
+    [t("report.longestStreak"), streak ? `${formatDuration(streak.end - streak.start)} (${streak.count})` : "—"],
+    [t("report.firstMet", { rule: ruleName(rule, i18n) }), metAt ? formatDateTime(metAt, locale) : t("report.notMet"), !!metAt],
+  ];
+
+  const cell = { padding: "3px 8px", borderBottom: "1px solid #dde3e8", textAlign: "end", fontVariantNumeric: "tabular-nums" };
+  const head = { ...cell, fontSize: 9, letterSpacing: "0.12em", textTransform: "uppercase", color: "#5a6a78", borderBottom: "1px solid #9aa8b4" };
+  const buttonStyle = {
+    background: "#fff", border: "1px solid #9aa8b4", color: "#2a4a5a",
+    fontSize: 11, letterSpacing: "0.15em", padding: "8px 18px",
+    borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+  };
+
+  return (
+    <div style={{ minHeight: "100vh", background: "#eef1f4", padding: "24px 12px 40px" }} className="report-page">
+      <div className="no-print" style={{ maxWidth: 820, margin: "0 auto 16px", display: "flex", gap: 10, justifyContent: "flex-end" }}>
+        <button onClick={onClose} style={buttonStyle}>{t("report.back")}</button>
+        <button onClick={() => window.print()} style={{ ...buttonStyle, background: "#2a6a8a", color: "#fff", borderColor: "#2a6a8a" }}>
+          {t("report.print")}
+        </button>
+      </div>
+
+      <article className="report-sheet" style={{
+        maxWidth: 820, margin: "0 auto", background: "#fff", color: "#1a2a36",
+        fontFamily: "'Georgia', serif", padding: "28px 32px", borderRadius: 4,
+        boxShadow: "0 1px 6px rgba(0,0,0,0.12)",
+      }}>
+        <header style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 16, borderBottom: "2px solid #1a2a36", paddingBottom: 8 }}>
+          <div>
+            <h1 style={{ fontSize: 20, fontWeight: 600 }}>{t("report.title")}</h1>
+            <div style={{ fontSize: 12, color: "#4a5a68", marginTop: 2 }}>{session.name}</div>
+          </div>
+          <div style={{ fontSize: 11, color: "#4a5a68", textAlign: "end" }}>
+            {first ? `${formatDateTime(first.start, locale)} – ${formatTime(last.end)}` : t("report.empty")}
+            <div>{t("report.generated", { time: formatDateTime(generatedAt, locale) })}</div>
+          </div>
+        </header>
+
+        {/* Aggregate stats */}
+        <section style={{ display: "grid", gridTemplateColumns: "repeat(5, 1fr)", gap: 12, margin: "16px 0" }}>
+          {stats.map(([label, value, emphasised]) => (
+            <div key={label} style={{ border: "1px solid #c8d0d8", borderRadius: 4, padding: "6px 10px", minWidth: 0, overflowWrap: "anywhere" }}>
+              <div style={{ fontSize: 8, letterSpacing: "0.15em", textTransform: "uppercase", color: "#5a6a78" }}>{label}</div>
+              <div style={{ fontSize: 14, marginTop: 2, fontWeight: emphasised ? 600 : 400 }}>{value}</div>
+            </div>
+          ))}
+        </section>
+        <div style={{ fontSize: 10, color: "#5a6a78", marginBottom: 8 }}>
+          {t("report.ruleNote", { rule: ruleName(rule, i18n), description: ruleDescription(rule, i18n) })}
+        </div>
+
+        {/* Timeline, fitted to the page */}
+        {list.length > 0 && (
+          <svg dir="ltr" viewBox={`0 0 ${width} ${CHART_H}`} width="100%" style={{ display: "block", border: "1px solid #dde3e8", borderRadius: 4 }}>
+            {Y_TICKS.map(tick => (
+              <g key={tick}>
+                <line x1={Y_AXIS_W} y1={tickY(tick)} x2={width - 8} y2={tickY(tick)}
+                  stroke={tick === 0 ? "#8a9aa8" : "#e4e8ec"} strokeWidth={1} />
+                <text x={Y_AXIS_W - 7} y={tickY(tick) + 4} textAnchor="end" fontSize={9} fill="#5a6a78" fontFamily="monospace">
+                  {tick}
+                </text>
+              </g>
+            ))}
+            <line x1={Y_AXIS_W} y1={PEAK_PAD - 4} x2={Y_AXIS_W} y2={PLOT_H} stroke="#8a9aa8" strokeWidth={1} />
+            <TimelineSegments segments={segments} palette={PRINT_PALETTE} minLabelPx={28} />
+          </svg>
+        )}
+
+        {/* Full log */}
+        <table className="report-table" style={{ width: "100%", borderCollapse: "collapse", fontSize: 10, marginTop: 16 }}>
+          <thead>
+            <tr>
+              <th style={{ ...head, textAlign: "start" }}>#</th>
+              <th style={{ ...head, textAlign: "start" }}>{t("report.start")}</th>
+              <th style={{ ...head, textAlign: "start" }}>{t("report.end")}</th>
+              <th style={head}>{t("report.duration")}</th>
+              <th style={head}>{t("report.frequency")}</th>
+              <th style={head}>{t("report.rest")}</th>
+              <th style={head}>{t("report.intensity")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {list.map((c, i) => {
+              const prev = list[i - 1];
+              const inStreak = streak && i >= streak.first && i <= streak.last;
+              return (
+                <tr key={c.id} style={{ background: inStreak ? "#f2f7fa" : undefined }}>
+                  <td style={{ ...cell, textAlign: "start" }}>{i + 1}</td>
+                  <td style={{ ...cell, textAlign: "start" }}>{formatTime(c.start)}</td>
+                  <td style={{ ...cell, textAlign: "start" }}>{formatTime(c.end)}</td>
+                  <td style={cell}>{formatDuration(c.duration)}</td>
+                  <td style={cell}>{prev ? formatDuration(c.start - prev.start) : "—"}</td>
+                  <td style={cell}>{prev ? formatDuration(c.start - prev.end) : "—"}</td>
+                  <td style={cell}>{Math.round(c.intensity * 10)} / 10</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {streak && (
+          <div style={{ fontSize: 9, color: "#5a6a78", marginTop: 6 }}>{t("report.streakNote")}</div>
+        )}
+
+        {/* Logged events */}
+        {events.length > 0 && (
+          <table className="report-table" style={{ width: "100%", borderCollapse: "collapse", fontSize: 10, marginTop: 16 }}>
+            <caption style={{ textAlign: "start", fontSize: 12, fontWeight: 600, paddingBottom: 4 }}>{t("report.events")}</caption>
+            <thead>
+              <tr>
+                <th style={{ ...head, textAlign: "start", width: "15%" }}>{t("report.time")}</th>
+                <th style={{ ...head, textAlign: "start" }}>{t("report.event")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(e => {
+                const flag = isRedFlag(e);
+                return (
+                  <tr key={e.id} style={{ color: flag ? RED_FLAG_INK : undefined, fontWeight: flag ? 600 : 400 }}>
+                    <td style={{ ...cell, textAlign: "start" }}>{formatTime(e.at)}</td>
+                    <td style={{ ...cell, textAlign: "start" }}>
+                      {eventLabel(e, i18n)}
+                      {flag && ` (${t("report.redFlag")})`}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </article>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import TrendStrip from "./TrendStrip";
+import { ruleName, ruleDescription, formatSpan } from "../lib/rules";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// The labour rule: whether it's met, how each part of it is doing, the rolling-window
+// trends and the rough estimate of when it will be met. `analysis` is analyzeContractions'
+// result and `prediction` predictRuleMet's (null while browsing an archived session).
+// `intensityScale` is the one the trend strip shows intensities on.
+export default function RuleCard({ rule, rolling, analysis, prediction, hasContractions, intensityScale, isMobile }) {
+  const { maxInterval, minDuration, sustain } = rule;
+  const { avgInterval, avgDuration, streak, verdict, series, trends } = analysis;
+  const ruleMet = verdict.ruleMet;
+  const i18n = useI18n();
+  const { t, formatDuration, formatClock } = i18n;
+  const name = ruleName(rule, i18n);
+
+  return (
+    <div style={{
+      width: "100%", maxWidth: 860,
+      borderRadius: 12,
+      border: `1px solid ${ruleMet ? colors.alarmEdge : colors.edge}`,
+      background: ruleMet ? colors.alarmBg : colors.panel,
+      padding: isMobile ? "14px 16px" : "16px 24px",
+      transition: "all 0.4s ease",
+    }}>
+      {/* Header row */}
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 16, marginBottom: 14 }}>
+        <div style={{ minWidth: 0 }}>
+          <div style={{ fontSize: 10, letterSpacing: "0.25em", color: colors.label, textTransform: "uppercase", marginBottom: 4 }}>
+            {t("rule.title", { rule: name })}
+          </div>
+          <div style={{ fontSize: isMobile ? 11 : 12, color: colors.muted, maxWidth: 340 }}>
+            {ruleDescription(rule, i18n)}
+          </div>
+        </div>
+        {/* Is it time? badge */}
+        <div style={{
+          display: "flex", flexDirection: "column", alignItems: "center", gap: 4,
+          flexShrink: 0, maxWidth: "45%", textAlign: "center",
+        }}>
+          <div style={{ fontSize: 9, letterSpacing: "0.2em", color: colors.label, textTransform: "uppercase" }}>
+            {t("rule.isItTime")}
+          </div>
+          <div style={{
+            fontSize: isMobile ? 18 : 22, fontWeight: 600,
+            color: ruleMet ? colors.alarm : colors.dim,
+            letterSpacing: "0.05em",
+            textShadow: ruleMet ? `0 0 20px ${colors.alarmGlow}` : "none",
+            transition: "all 0.4s ease",
+          }}>
+            {ruleMet ? t("rule.yes") : t("rule.probablyNot")}
+          </div>
+          {prediction?.status === "estimate" && (
+            <div style={{ textAlign: "center", fontVariantNumeric: "tabular-nums" }}
+              title={t("rule.estimateTitle")}>
+              <div style={{ fontSize: isMobile ? 11 : 12, color: colors.estimate }}>
+                {t("rule.likely", { time: formatClock(prediction.at) })}
+              </div>
+              <div style={{ fontSize: 9, color: colors.estimateDim }}>
+                {formatClock(prediction.early)}–{prediction.late === Infinity ? t("rule.later") : formatClock(prediction.late)}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Three progress indicators */}
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: isMobile ? 8 : 16 }}>
+        {[
+          {
+            label: t("rule.frequency"),
+            target: `≤ ${formatSpan(maxInterval, i18n.locale)}`,
+            met: verdict.frequencyMet,
+            display: avgInterval ? formatDuration(avgInterval) : "—",
+          },
+          {
+            label: t("rule.duration"),
+            target: `≥ ${formatSpan(minDuration, i18n.locale)}`,
+            met: verdict.durationMet,
+            display: avgDuration ? formatDuration(avgDuration) : "—",
+          },
+          {
+            label: t("rule.ongoing"),
+            target: `≥ ${formatSpan(sustain, i18n.locale)}`,
+            met: verdict.sustainMet,
+            display: streak ? formatDuration(streak.duration) : "—",
+          },
+        ].map(({ label, target, met, display }) => (
+          <div key={label} style={{
+            borderRadius: 8,
+            background: met ? colors.goodBg : colors.panel,
+            border: `1px solid ${met ? colors.goodEdge : colors.edgeFaint}`,
+            padding: isMobile ? "8px 10px" : "10px 14px",
+            minWidth: 0, overflowWrap: "anywhere",
+            transition: "all 0.3s ease",
+          }}>
+            <div style={{ fontSize: 9, letterSpacing: "0.15em", color: colors.label, textTransform: "uppercase", marginBottom: 4 }}>
+              {label}
+            </div>
+            <div style={{ fontSize: isMobile ? 15 : 18, color: met ? colors.good : colors.warm, marginBottom: 2 }}>
+              {display}
+            </div>
+            <div style={{ fontSize: 9, color: met ? colors.goodDim : colors.dim }}>
+              {met ? "✓ " : ""}{target}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Rolling-window trends */}
+      {hasContractions && (
+        <TrendStrip series={series} trends={trends} rolling={rolling} intensityScale={intensityScale} isMobile={isMobile} />
+      )}
+
+      {/* Plain-language caveat for the estimate next to the badge */}
+      {prediction && prediction.status !== "met" && hasContractions && (
+        <div style={{ fontSize: isMobile ? 10 : 11, color: colors.muted, marginTop: 12, lineHeight: 1.5 }}>
+          {prediction.status === "estimate" && <>{t("rule.estimateNote", { rule: name, time: formatClock(prediction.at) })} </>}
+          {prediction.status === "no-trend" && <>{t("rule.noTrendNote", { rule: name })} </>}
+          {prediction.status === "insufficient" && <>{t("rule.insufficientNote")} </>}
+          {t("rule.estimateCaveat")}
+        </div>
+      )}
+
+      {/* Header Re: Call Doctor when*/}
+      <div style={{ fontSize: isMobile ? 12 : 14, color: colors.heading,paddingTop:20, paddingBottom: 5
+      }}> 
+      <h3><span style={{color: colors.active}}>{t("rule.pleaseNote")} </span> {t("rule.callDoctor")}</h3>
+
+      </div>
+
+    </div>
+  );
+}
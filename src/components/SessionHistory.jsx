@@ -0,0 +1,140 @@
+import { useState } from "react";
+import { sessionsByDate, isEmptySession } from "../lib/sessions";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+function formatDate(ts, locale) {
+  return new Date(ts).toLocaleString(locale, {
+    month: "short", day: "numeric", hour: "2-digit", minute: "2-digit",
+  });
+}
+
+function formatSpan(ms, formatUnit) {
+  const m = Math.round(ms / 60000);
+  return m >= 60
+    ? `${formatUnit(Math.floor(m / 60), "hour", "narrow")} ${formatUnit(m % 60, "minute", "narrow")}`
+    : formatUnit(m, "minute", "narrow");
+}
+
+// Session bar + history list. Past sessions open read-only in the main chart, stats and log.
+export default function SessionHistory({
+  store, viewingId, expanded, onToggle, onOpen, onRename, onDelete, onNew, canStartNew, isMobile,
+}) {
+  const [renaming, setRenaming] = useState(null); // { id, name } while a name is being edited
+  const { t, locale, formatUnit } = useI18n();
+  const current = store.sessions.find(s => s.id === store.currentId);
+  const shown = store.sessions.find(s => s.id === (viewingId ?? store.currentId));
+
+  const buttonStyle = {
+    background: "none", border: `1px solid ${colors.borderMuted}`, color: colors.control,
+    fontSize: 10, letterSpacing: "0.15em", padding: "6px 12px",
+    borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+  };
+
+  const commitRename = e => {
+    e.preventDefault();
+    const name = renaming.name.trim();
+    if (name) onRename(renaming.id, name);
+    setRenaming(null);
+  };
+
+  return (
+    <div style={{ width: "100%", maxWidth: 860 }}>
+      {/* Session bar */}
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+        <div style={{ minWidth: 0 }}>
+          <div style={{ fontSize: 9, letterSpacing: "0.2em", color: colors.label, textTransform: "uppercase", marginBottom: 3 }}>
+            {viewingId ? t("history.viewingPast") : t("history.current")}
+          </div>
+          <div style={{ fontSize: isMobile ? 14 : 16, color: viewingId ? colors.warm : colors.heading, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+            {shown.name}
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {viewingId && (
+            <button onClick={() => onOpen(store.currentId)} style={{ ...buttonStyle, borderColor: colors.accentEdge, color: colors.accent }}>
+              {t("history.backToCurrent")}
+            </button>
+          )}
+          <button onClick={onToggle} style={buttonStyle}>
+            {expanded ? t("history.hide") : t("history.show", { count: store.sessions.length })}
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div style={{
+          marginTop: 12, display: "flex", flexDirection: "column", gap: 4,
+          borderRadius: 10, border: `1px solid ${colors.edge}`,
+          background: colors.panelSubtle, padding: isMobile ? 8 : 12,
+        }}>
+          {sessionsByDate(store).map(s => {
+            const isCurrent = s.id === store.currentId;
+            const isShown = s.id === shown.id;
+            const first = s.contractions[0];
+            const last = s.contractions[s.contractions.length - 1];
+            return (
+              <div key={s.id} style={{
+                display: "flex", alignItems: "center", gap: 10, flexWrap: isMobile ? "wrap" : "nowrap",
+                padding: isMobile ? "8px 10px" : "8px 12px", borderRadius: 7,
+                background: isShown ? colors.selectedBg : "transparent",
+                border: `1px solid ${isShown ? colors.selectedEdge : "transparent"}`,
+                fontSize: isMobile ? 11 : 13,
+              }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  {renaming?.id === s.id ? (
+                    <form onSubmit={commitRename}>
+                      <input autoFocus value={renaming.name} maxLength={60}
+                        onChange={e => setRenaming({ id: s.id, name: e.target.value })}
+                        onBlur={commitRename}
+                        style={{
+                          width: "100%", background: colors.field, border: `1px solid ${colors.border}`,
+                          borderRadius: 5, color: colors.text, fontSize: 13, padding: "4px 8px", fontFamily: "inherit",
+                        }} />
+                    </form>
+                  ) : (
+                    <div style={{ color: colors.text, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                      {s.name}
+                      {isCurrent && (
+                        <span style={{ color: colors.accent, fontSize: 10, marginInlineStart: 8, letterSpacing: "0.1em" }}>
+                          {t("history.currentBadge")}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  <div style={{ color: colors.label, fontSize: 11, marginTop: 2, fontVariantNumeric: "tabular-nums" }}>
+                    {formatDate(s.createdAt, locale)} · {t("history.contractions", { count: s.contractions.length })}
+                    {first && last && ` · ${formatSpan(last.end - first.start, formatUnit)}`}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: 6, flexShrink: 0, flexWrap: "wrap" }}>
+                  {!isShown && (
+                    <button onClick={() => onOpen(s.id)} style={buttonStyle}>{t("history.open")}</button>
+                  )}
+                  <button onClick={() => setRenaming({ id: s.id, name: s.name })} style={buttonStyle}>{t("history.rename")}</button>
+                  {!isCurrent && (
+                    <button onClick={() => onDelete(s.id)} style={{ ...buttonStyle, color: colors.danger }}>{t("history.delete")}</button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+
+          <div style={{ display: "flex", alignItems: "center", gap: 10, marginTop: 8, flexWrap: "wrap" }}>
+            <button onClick={() => onNew()} disabled={!canStartNew} style={{
+              ...buttonStyle, borderColor: colors.accentEdge, color: colors.accent,
+              opacity: canStartNew ? 1 : 0.4, cursor: canStartNew ? "pointer" : "not-allowed",
+            }}>
+              {t("history.new")}
+            </button>
+            <span style={{ fontSize: 11, color: colors.faint }}>
+              {canStartNew
+                ? isEmptySession(current) ? "" : t("history.archivesCurrent")
+                : t("history.stopFirst")}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
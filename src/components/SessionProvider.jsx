@@ -0,0 +1,98 @@
+import { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import { SessionContext } from "../hooks/useSession";
+import { sessionReducer, initialSessionState, currentContractions } from "../lib/sessionState";
+import { newContractionId, validateContraction } from "../lib/contractions";
+import { newEventId, validateEvent } from "../lib/events";
+import { createSession } from "../lib/sessions";
+import { ACTIVE_KEY, saveJSON, removeKey, loadActiveTimer } from "../lib/storage";
+
+// How long a deleted contraction or event can be restored
+const UNDO_MS = 6000;
+
+// Holds the session state and keeps it saved: the store through `storage` (see StorageGate),
+// the running timer in localStorage so a reload picks it up again.
+export default function SessionProvider({ storage, children }) {
+  const [state, dispatch] = useReducer(sessionReducer, storage.store, store => initialSessionState(store, loadActiveTimer()));
+  // Saves diff against the store handed to the one before, so overlapping saves don't drop
+  // changes; `confirmedRef` is the last store known to be fully written
+  const baseRef = useRef(storage.store);
+  const confirmedRef = useRef(storage.store);
+  const [saveFailed, setSaveFailed] = useState(false);
+  const { store, activeStart, staleStart, undoEntry } = state;
+
+  // Saves land in the order they're made. A failed one sends the base back to what's known to
+  // be written, so the next save retries its changes too; one that built on it can't confirm.
+  useEffect(() => {
+    const base = baseRef.current;
+    baseRef.current = store;
+    storage.save(base, store).then(
+      () => {
+        if (confirmedRef.current !== base) return;
+        confirmedRef.current = store;
+        setSaveFailed(false);
+      },
+      () => {
+        baseRef.current = confirmedRef.current;
+        setSaveFailed(true);
+      },
+    );
+  }, [store, storage]);
+
+  // The stale timer stays persisted until the user finishes or discards it
+  useEffect(() => {
+    const start = activeStart ?? staleStart;
+    if (start === null) removeKey(ACTIVE_KEY);
+    else saveJSON(ACTIVE_KEY, { start });
+  }, [activeStart, staleStart]);
+
+  useEffect(() => {
+    if (!undoEntry) return;
+    const id = setTimeout(() => dispatch({ type: "dismissUndo" }), UNDO_MS);
+    return () => clearTimeout(id);
+  }, [undoEntry]);
+
+  // Clock readings, new ids and validation happen here, so the reducer stays pure
+  const actions = useMemo(() => ({
+    start: () => dispatch({ type: "start", at: Date.now() }),
+    // `intensity` 0.1-1; `at` is the end time to record, by default now
+    // Returns the id the contraction is recorded under (nothing is recorded for a mistaken tap)
+    stop: ({ at = Date.now(), intensity }) => {
+      const id = newContractionId(currentContractions(state), state.activeStart);
+      dispatch({ type: "stop", at, intensity, id });
+      return id;
+    },
+    // Returns an error message for the editor to show (in `i18n`'s language), or null once saved
+    save: (entry, { fromStale = false, i18n } = {}) => {
+      const error = validateContraction(entry, currentContractions(state), { activeStart: state.activeStart, i18n });
+      if (error) return error;
+      dispatch({ type: "edit", entry: { ...entry, id: entry.id ?? newContractionId(currentContractions(state), entry.start) }, fromStale });
+      return null;
+    },
+    remove: contraction => dispatch({ type: "delete", contraction }),
+    // Like `save`, for an event ({ id?, at, type, detail })
+    logEvent: (event, { i18n } = {}) => {
+      const error = validateEvent(event, { i18n });
+      if (error) return error;
+      dispatch({ type: "logEvent", event: { ...event, id: event.id ?? newEventId(event.at) } });
+      return null;
+    },
+    removeEvent: event => dispatch({ type: "deleteEvent", event }),
+    undo: () => dispatch({ type: "undo", now: Date.now() }),
+    clear: () => dispatch({ type: "clear" }),
+    discardStale: () => dispatch({ type: "discardStale" }),
+    // `events` replaces the session's events too when given
+    importContractions: (contractions, events) => dispatch({ type: "import", contractions, events }),
+    applyRemote: shared => dispatch({ type: "remote", shared }),
+    // Returns the new session's id
+    newSession: name => {
+      const session = createSession({ name });
+      dispatch({ type: "newSession", session });
+      return session.id;
+    },
+    renameSession: (id, name) => dispatch({ type: "renameSession", id, name }),
+    deleteSession: id => dispatch({ type: "deleteSession", id }),
+  }), [state]);
+
+  const value = useMemo(() => ({ state, actions, saveFailed }), [state, actions, saveFailed]);
+  return <SessionContext.Provider value={value}>{children}</SessionContext.Provider>;
+}
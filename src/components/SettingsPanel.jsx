@@ -0,0 +1,452 @@
+import { useState } from "react";
+import { RULE_PRESETS, CUSTOM_LIMITS, isValidRule, ruleName, ruleDescription } from "../lib/rules";
+import { isValidWindow } from "../lib/analytics";
+import {
+  ALERT_TYPES, notificationsSupported, requestNotificationPermission, primeAudio, deliverAlert,
+} from "../lib/alerts";
+import { PAIN_SCALES, RATING_PROMPT_MS } from "../lib/intensity";
+import { CONTACT_ROLES } from "../lib/contacts";
+import { BREATHING_PATTERNS } from "../lib/breathing";
+import { colors, THEME_CHOICES } from "../lib/theme";
+import { LANGUAGES, DEFAULT_LANGUAGE_CHOICE } from "../lib/i18n";
+import useI18n from "../hooks/useI18n";
+import { wakeLockSupported } from "../hooks/useWakeLock";
+
+const MIN = 60 * 1000;
+
+const sectionTitleStyle = {
+  fontSize: 10, letterSpacing: "0.2em", color: colors.label, textTransform: "uppercase", marginBottom: 10,
+};
+
+// Custom rule form works in the units people are told: minutes apart, seconds long, minutes sustained
+function toForm(rule) {
+  return {
+    maxInterval: rule.maxInterval / MIN,
+    minDuration: rule.minDuration / 1000,
+    sustain: rule.sustain / MIN,
+  };
+}
+
+function fromForm(form) {
+  return {
+    id: "custom",
+    maxInterval: Math.round(+form.maxInterval * MIN),
+    minDuration: Math.round(+form.minDuration * 1000),
+    sustain: Math.round(+form.sustain * MIN),
+  };
+}
+
+function RuleSettings({ rule, onChange, isMobile }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [form, setForm] = useState(() => toForm(rule));
+  const [customOpen, setCustomOpen] = useState(rule.id === "custom");
+  const custom = fromForm(form);
+  const customValid = isValidRule(custom);
+
+  const choice = (selected, label, detail, onSelect) => (
+    <label key={label} style={{
+      display: "flex", alignItems: "flex-start", gap: 10, cursor: "pointer", overflowWrap: "anywhere",
+      padding: isMobile ? "8px 10px" : "8px 12px", borderRadius: 7,
+      background: selected ? colors.selectedBg : "transparent",
+      border: `1px solid ${selected ? colors.selectedEdge : colors.edgeFaint}`,
+    }}>
+      <input type="radio" name="labour-rule" checked={selected} onChange={onSelect}
+        style={{ accentColor: colors.accent, marginTop: 3 }} />
+      <span>
+        <span style={{ fontSize: 14, color: colors.text }}>{label}</span>
+        <span style={{ display: "block", fontSize: 11, color: colors.muted, marginTop: 2 }}>{detail}</span>
+      </span>
+    </label>
+  );
+
+  const field = (key, label, unit) => {
+    const [lo, hi] = CUSTOM_LIMITS[key];
+    const scale = key === "minDuration" ? 1000 : MIN;
+    return (
+      <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 9, letterSpacing: "0.18em", color: colors.label, textTransform: "uppercase" }}>
+        {label}
+        <span style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          <input type="number" value={form[key]} min={lo / scale} max={hi / scale} step="any"
+            onChange={e => {
+              const next = { ...form, [key]: e.target.value };
+              setForm(next);
+              if (isValidRule(fromForm(next))) onChange(fromForm(next));
+            }}
+            style={{
+              width: 72, background: colors.field, border: `1px solid ${colors.border}`, borderRadius: 5,
+              color: colors.text, fontSize: 13, padding: "6px 8px", fontFamily: "monospace",
+            }} />
+          <span style={{ letterSpacing: 0, textTransform: "none", fontSize: 11 }}>{unit}</span>
+        </span>
+      </label>
+    );
+  };
+
+  return (
+    <section>
+      <div style={sectionTitleStyle}>{t("settings.rule")}</div>
+      <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+        {RULE_PRESETS.map(p => choice(
+          !customOpen && rule.id === p.id, p.id, ruleDescription(p, i18n),
+          () => { setCustomOpen(false); onChange(p); },
+        ))}
+        {choice(
+          customOpen, t("settings.customRule"), customValid ? ruleDescription(custom, i18n) : t("settings.customRuleHint"),
+          () => { setCustomOpen(true); if (customValid) onChange(custom); },
+        )}
+      </div>
+      {customOpen && (
+        <div style={{ marginTop: 12, display: "flex", flexWrap: "wrap", gap: isMobile ? 10 : 16 }}>
+          {field("maxInterval", t("settings.apart"), t("settings.minutesUnit"))}
+          {field("minDuration", t("settings.lasting"), t("settings.secondsUnit"))}
+          {field("sustain", t("settings.for"), t("settings.minutesUnit"))}
+          {!customValid && (
+            <div role="alert" style={{ width: "100%", fontSize: 12, color: colors.alarm }}>
+              {t("settings.customRuleLimits")}
+            </div>
+          )}
+        </div>
+      )}
+      <div style={{ fontSize: 11, color: colors.faint, marginTop: 10 }}>
+        {t("settings.ruleNote", { rule: ruleName(rule, i18n) })}
+      </div>
+    </section>
+  );
+}
+
+function WindowSettings({ rolling, onChange, isMobile }) {
+  const { t } = useI18n();
+  const [sizes, setSizes] = useState({ count: 6, minutes: 60, [rolling.mode]: rolling.size });
+  const options = [
+    { mode: "minutes", label: t("settings.windowLast"), unit: t("settings.windowMinutes") },
+    { mode: "count", label: t("settings.windowLast"), unit: t("settings.windowContractions") },
+    { mode: "all", label: t("settings.windowAll") },
+  ];
+
+  const select = (mode, size = sizes[mode]) => {
+    const next = mode === "all" ? { mode } : { mode, size: Math.round(+size) };
+    if (isValidWindow(next)) onChange(next);
+  };
+
+  return (
+    <section>
+      <div style={sectionTitleStyle}>{t("settings.window")}</div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: isMobile ? 8 : 12 }}>
+        {options.map(({ mode, label, unit }) => {
+          const selected = rolling.mode === mode;
+          return (
+            <label key={mode} style={{
+              display: "flex", alignItems: "center", gap: 8, cursor: "pointer",
+              padding: "6px 10px", borderRadius: 7, fontSize: 13, color: colors.text,
+              background: selected ? colors.selectedBg : "transparent",
+              border: `1px solid ${selected ? colors.selectedEdge : colors.edgeFaint}`,
+            }}>
+              <input type="radio" name="rolling-window" checked={selected} onChange={() => select(mode)}
+                style={{ accentColor: colors.accent }} />
+              {label}
+              {unit && (
+                <>
+                  <input type="number" min={2} max={600} value={sizes[mode]}
+                    onChange={e => {
+                      setSizes(prev => ({ ...prev, [mode]: e.target.value }));
+                      select(mode, e.target.value);
+                    }}
+                    style={{
+                      width: 56, background: colors.field, border: `1px solid ${colors.border}`, borderRadius: 5,
+                      color: colors.text, fontSize: 13, padding: "4px 6px", fontFamily: "monospace",
+                    }} />
+                  {unit}
+                </>
+              )}
+            </label>
+          );
+        })}
+      </div>
+      <div style={{ fontSize: 11, color: colors.faint, marginTop: 10 }}>
+        {t("settings.windowNote")}
+      </div>
+    </section>
+  );
+}
+
+function AlertSettings({ alerts, ruleLabel, onChange }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [permission, setPermission] = useState(
+    () => (notificationsSupported() ? Notification.permission : "unsupported"),
+  );
+
+  const toggle = (key, value) => onChange({ ...alerts, [key]: value });
+
+  const enable = async value => {
+    if (value) {
+      primeAudio();
+      setPermission(await requestNotificationPermission());
+    }
+    toggle("enabled", value);
+  };
+
+  const checkbox = (key, label, onToggle = v => toggle(key, v), disabled = false) => (
+    <label key={key} style={{
+      display: "flex", alignItems: "center", gap: 10, fontSize: 13,
+      color: disabled ? colors.faint : colors.text, cursor: disabled ? "default" : "pointer",
+    }}>
+      <input type="checkbox" checked={!!alerts[key]} disabled={disabled}
+        onChange={e => onToggle(e.target.checked)} style={{ accentColor: colors.accent, width: 16, height: 16 }} />
+      {label}
+    </label>
+  );
+
+  const permissionNote = t(`settings.permission.${permission}`);
+
+  return (
+    <section>
+      <div style={sectionTitleStyle}>{t("settings.alerts")}</div>
+      <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+        {checkbox("enabled", t("settings.alertsEnabled"), enable)}
+        <div style={{ display: "flex", flexDirection: "column", gap: 8, paddingInlineStart: 26 }}>
+          {Object.keys(ALERT_TYPES).map(key => checkbox(key, t(`alerts.${key}.label`), undefined, !alerts.enabled))}
+          {checkbox("quiet", t("settings.alertsQuiet"), undefined, !alerts.enabled)}
+        </div>
+      </div>
+      {alerts.enabled && (
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginTop: 10, flexWrap: "wrap" }}>
+          <span style={{ fontSize: 11, color: colors.faint }}>{permissionNote}</span>
+          <button onClick={() => { primeAudio(); deliverAlert("ruleMet", { quiet: alerts.quiet, ruleLabel, i18n }); }}
+            style={{
+              background: "none", border: `1px solid ${colors.borderMuted}`, color: colors.control,
+              fontSize: 10, letterSpacing: "0.15em", padding: "5px 12px",
+              borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+            }}>
+            {t("settings.testAlert")}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+function RatingSettings({ rating, onChange, isMobile }) {
+  const { t } = useI18n();
+  return (
+    <section>
+      <div style={sectionTitleStyle}>{t("settings.intensity")}</div>
+      <div role="radiogroup" aria-label={t("settings.scale")} style={{ display: "flex", flexWrap: "wrap", gap: isMobile ? 8 : 12 }}>
+        {Object.keys(PAIN_SCALES).map(id => {
+          const selected = rating.scale === id;
+          return (
+            <label key={id} style={{
+              display: "flex", alignItems: "center", gap: 8, cursor: "pointer",
+              padding: "6px 10px", borderRadius: 7, fontSize: 13, color: colors.text,
+              background: selected ? colors.selectedBg : "transparent",
+              border: `1px solid ${selected ? colors.selectedEdge : colors.edgeFaint}`,
+            }}>
+              <input type="radio" name="scale" checked={selected} onChange={() => onChange({ ...rating, scale: id })}
+                style={{ accentColor: colors.accent }} />
+              {t(`settings.scale.${id}`)}
+            </label>
+          );
+        })}
+      </div>
+      <label style={{ display: "flex", alignItems: "center", gap: 10, fontSize: 13, color: colors.text, cursor: "pointer", marginTop: 12 }}>
+        <input type="checkbox" checked={rating.prompt} onChange={e => onChange({ ...rating, prompt: e.target.checked })}
+          style={{ accentColor: colors.accent, width: 16, height: 16 }} />
+        {t("settings.ratePrompt")}
+      </label>
+      <div style={{ fontSize: 11, color: colors.faint, marginTop: 10 }}>
+        {t("settings.ratePromptNote", { seconds: RATING_PROMPT_MS / 1000 })}
+      </div>
+    </section>
+  );
+}
+
+function BreathingSettings({ breathing, onChange, isMobile }) {
+  const { t } = useI18n();
+  const checkboxLabel = enabled => ({
+    display: "flex", alignItems: "center", gap: 10, fontSize: 13,
+    color: enabled ? colors.text : colors.faint, cursor: enabled ? "pointer" : "default",
+  });
+  return (
+    <section>
+      <div style={sectionTitleStyle}>{t("settings.breathing")}</div>
+      <label style={checkboxLabel(true)}>
+        <input type="checkbox" checked={breathing.enabled} onChange={e => onChange({ ...breathing, enabled: e.target.checked })}
+          style={{ accentColor: colors.accent, width: 16, height: 16 }} />
+        {t("settings.breathingOn")}
+      </label>
+      <div role="radiogroup" aria-label={t("settings.breathingPattern")} style={{
+        display: "flex", flexWrap: "wrap", gap: isMobile ? 8 : 12, marginTop: 12,
+      }}>
+        {Object.keys(BREATHING_PATTERNS).map(id => {
+          const selected = breathing.pattern === id;
+          return (
+            <label key={id} style={{
+              display: "flex", alignItems: "center", gap: 8, cursor: breathing.enabled ? "pointer" : "default",
+              padding: "6px 10px", borderRadius: 7, fontSize: 13, color: breathing.enabled ? colors.text : colors.faint,
+              background: selected ? colors.selectedBg : "transparent",
+              border: `1px solid ${selected ? colors.selectedEdge : colors.edgeFaint}`,
+            }}>
+              <input type="radio" name="breathingPattern" checked={selected} disabled={!breathing.enabled}
+                onChange={() => onChange({ ...breathing, pattern: id })} style={{ accentColor: colors.accent }} />
+              {t(`settings.breathingPattern.${id}`)}
+            </label>
+          );
+        })}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: isMobile ? 12 : 20, marginTop: 12 }}>
+        <label style={checkboxLabel(breathing.enabled)}>
+          <input type="checkbox" checked={breathing.sound} disabled={!breathing.enabled}
+            onChange={e => {
+              // Ticking the box is the tap that lets the page play sound
+              if (e.target.checked) primeAudio();
+              onChange({ ...breathing, sound: e.target.checked });
+            }}
+            style={{ accentColor: colors.accent, width: 16, height: 16 }} />
+          {t("settings.breathingSound")}
+        </label>
+        <label style={checkboxLabel(breathing.enabled)}>
+          <input type="checkbox" checked={breathing.vibrate} disabled={!breathing.enabled}
+            onChange={e => onChange({ ...breathing, vibrate: e.target.checked })}
+            style={{ accentColor: colors.accent, width: 16, height: 16 }} />
+          {t("settings.breathingVibrate")}
+        </label>
+      </div>
+      <div style={{ fontSize: 11, color: colors.faint, marginTop: 10 }}>{t("settings.breathingNote")}</div>
+    </section>
+  );
+}
+
+function ContactSettings({ contacts, onChange, isMobile }) {
+  const { t } = useI18n();
+  const inputStyle = {
+    background: colors.field, border: `1px solid ${colors.border}`, borderRadius: 5,
+    color: colors.text, fontSize: 13, padding: "6px 8px", fontFamily: "inherit", minWidth: 0,
+  };
+  const update = (role, key, value) => onChange({ ...contacts, [role]: { ...contacts[role], [key]: value } });
+  return (
+    <section>
+      <div style={sectionTitleStyle}>{t("settings.contacts")}</div>
+      <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+        {CONTACT_ROLES.map(role => (
+          <fieldset key={role} style={{ border: "none", margin: 0, padding: 0, display: "flex", flexWrap: "wrap", alignItems: "center", gap: 8 }}>
+            <legend style={{ float: "inline-start", width: isMobile ? "100%" : 170, padding: 0, fontSize: 13, color: colors.text }}>
+              {t(`contacts.role.${role}`)}
+            </legend>
+            <input type="text" value={contacts[role].name} placeholder={t("settings.contactName")}
+              aria-label={t("settings.contactNameLabel", { role: t(`contacts.role.${role}`) })}
+              onChange={e => update(role, "name", e.target.value)} style={{ ...inputStyle, flex: "1 1 140px" }} />
+            <input type="tel" value={contacts[role].phone} placeholder={t("settings.contactPhone")} autoComplete="tel"
+              aria-label={t("settings.contactPhoneLabel", { role: t(`contacts.role.${role}`) })}
+              onChange={e => update(role, "phone", e.target.value)} style={{ ...inputStyle, flex: "1 1 140px" }} />
+          </fieldset>
+        ))}
+      </div>
+      <div style={{ fontSize: 11, color: colors.faint, marginTop: 10 }}>
+        {t("settings.contactsNote")}
+      </div>
+    </section>
+  );
+}
+
+function ThemeSettings({ theme, onChange, isMobile }) {
+  const { t } = useI18n();
+  return (
+    <section>
+      <div style={sectionTitleStyle}>{t("settings.appearance")}</div>
+      <div role="radiogroup" aria-label={t("settings.theme")} style={{ display: "flex", flexWrap: "wrap", gap: isMobile ? 8 : 12 }}>
+        {THEME_CHOICES.map(id => {
+          const selected = theme === id;
+          return (
+            <label key={id} style={{
+              display: "flex", alignItems: "center", gap: 8, cursor: "pointer",
+              padding: "6px 10px", borderRadius: 7, fontSize: 13, color: colors.text,
+              background: selected ? colors.selectedBg : "transparent",
+              border: `1px solid ${selected ? colors.selectedEdge : colors.edgeFaint}`,
+            }}>
+              <input type="radio" name="theme" checked={selected} onChange={() => onChange(id)}
+                style={{ accentColor: colors.accent }} />
+              {t(`settings.theme.${id}`)}
+            </label>
+          );
+        })}
+      </div>
+      <div style={{ fontSize: 11, color: colors.faint, marginTop: 10 }}>
+        {t("settings.nightNote")}
+      </div>
+    </section>
+  );
+}
+
+function ScreenSettings({ wakeLock, onChange }) {
+  const { t } = useI18n();
+  const supported = wakeLockSupported();
+  return (
+    <section>
+      <div style={sectionTitleStyle}>{t("settings.screen")}</div>
+      <label style={{
+        display: "flex", alignItems: "center", gap: 10, fontSize: 13,
+        color: supported ? colors.text : colors.faint, cursor: supported ? "pointer" : "default",
+      }}>
+        <input type="checkbox" checked={wakeLock && supported} disabled={!supported}
+          onChange={e => onChange(e.target.checked)} style={{ accentColor: colors.accent, width: 16, height: 16 }} />
+        {t("settings.wakeLock")}
+      </label>
+      <div style={{ fontSize: 11, color: colors.faint, marginTop: 10 }}>
+        {t(supported ? "settings.wakeLockNote" : "settings.wakeLockUnsupported")}
+      </div>
+    </section>
+  );
+}
+
+function LanguageSettings({ language, onChange }) {
+  const { t } = useI18n();
+  return (
+    <section>
+      <label htmlFor="language" style={sectionTitleStyle}>{t("settings.language")}</label>
+      <select id="language" value={language} onChange={e => onChange(e.target.value)} style={{
+        display: "block", marginTop: 10, background: colors.field, border: `1px solid ${colors.border}`,
+        borderRadius: 5, color: colors.text, fontSize: 13, padding: "6px 8px", fontFamily: "inherit",
+      }}>
+        <option value={DEFAULT_LANGUAGE_CHOICE}>{t("settings.languageSystem")}</option>
+        {LANGUAGES.map(({ id, label }) => (
+          <option key={id} value={id} lang={id}>{label}</option>
+        ))}
+      </select>
+    </section>
+  );
+}
+
+// Settings card shown under the header. `onChange(patch)` merges into saved settings.
+export default function SettingsPanel({
+  rule, rolling, alerts, rating, contacts, breathing, theme, language, wakeLock, onChange, onClose, isMobile,
+}) {
+  const i18n = useI18n();
+  return (
+    <div style={{
+      width: "100%", maxWidth: 860, borderRadius: 12,
+      border: `1px solid ${colors.edge}`, background: colors.panel,
+      padding: isMobile ? "14px 16px" : "16px 24px",
+      display: "flex", flexDirection: "column", gap: 20,
+    }}>
+      <RuleSettings rule={rule} onChange={next => onChange({ rule: next })} isMobile={isMobile} />
+      <WindowSettings rolling={rolling} onChange={next => onChange({ rolling: next })} isMobile={isMobile} />
+      <AlertSettings alerts={alerts} ruleLabel={ruleName(rule, i18n)} onChange={next => onChange({ alerts: next })} />
+      <RatingSettings rating={rating} onChange={next => onChange({ rating: next })} isMobile={isMobile} />
+      <BreathingSettings breathing={breathing} onChange={next => onChange({ breathing: next })} isMobile={isMobile} />
+      <ContactSettings contacts={contacts} onChange={next => onChange({ contacts: next })} isMobile={isMobile} />
+      <ThemeSettings theme={theme} onChange={next => onChange({ theme: next })} isMobile={isMobile} />
+      <ScreenSettings wakeLock={wakeLock} onChange={next => onChange({ wakeLock: next })} />
+      <LanguageSettings language={language} onChange={next => onChange({ language: next })} />
+      <div>
+        <button onClick={onClose} style={{
+          background: "none", border: `1px solid ${colors.borderMuted}`, color: colors.control,
+          fontSize: 11, letterSpacing: "0.15em", padding: "7px 16px",
+          borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+        }}>
+          {i18n.t("settings.done")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { normalizeCode, shareLink } from "../lib/share";
+import { colors, THEMES } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+const sectionTitleStyle = {
+  fontSize: 10, letterSpacing: "0.2em", color: colors.label, textTransform: "uppercase", marginBottom: 10,
+};
+
+const buttonStyle = {
+  background: "none", border: `1px solid ${colors.borderMuted}`, color: colors.control,
+  fontSize: 11, letterSpacing: "0.15em", padding: "7px 16px",
+  borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+};
+
+const primaryButtonStyle = { ...buttonStyle, borderColor: colors.accentEdge, color: colors.accent };
+
+const inputStyle = {
+  background: colors.field, border: `1px solid ${colors.border}`, borderRadius: 5,
+  color: colors.text, fontSize: 13, padding: "7px 9px",
+};
+
+// QR code of the join link, drawn as SVG in the colours of theme `theme`
+function JoinQR({ link, theme }) {
+  const { t } = useI18n();
+  const [svg, setSvg] = useState(null);
+  const { text, surface } = THEMES[theme].colors;
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toString(link, { type: "svg", margin: 1, color: { dark: text, light: surface } })
+      .then(markup => { if (!cancelled) setSvg(markup); })
+      .catch(() => { if (!cancelled) setSvg(null); });
+    return () => { cancelled = true; };
+  }, [link, text, surface]);
+  if (!svg) return null;
+  return (
+    <img alt={t("share.qrAlt")} width={148} height={148}
+      src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+      style={{ borderRadius: 8, border: `1px solid ${colors.border}` }} />
+  );
+}
+
+// Start or join a live share of the current session with a partner's device.
+// `status` comes from useLiveShare; `theme` is the theme name in use (for the QR code);
+// `linkCode` prefills the join form when the app was opened from a share link.
+export default function SharePanel({
+  status, sharing, theme, relayUrl, linkCode, onStart, onJoin, onStop, onClose, canJoin, isMobile,
+}) {
+  const [code, setCode] = useState(linkCode ?? "");
+  const [relay, setRelay] = useState(relayUrl);
+  const [showRelay, setShowRelay] = useState(false);
+  const joinCode = normalizeCode(code);
+  const { t } = useI18n();
+
+  const connected = status.state === "connected";
+  const partnerCount = Math.max(0, status.peers - 1);
+
+  return (
+    <div style={{
+      width: "100%", maxWidth: 860, borderRadius: 12,
+      border: `1px solid ${colors.edge}`, background: colors.panel,
+      padding: isMobile ? "14px 16px" : "16px 24px",
+      display: "flex", flexDirection: "column", gap: 16, fontSize: 13, color: colors.text,
+    }}>
+      {sharing ? (
+        <section>
+          <div style={sectionTitleStyle}>{t("share.sharingTitle")}</div>
+          <div style={{ display: "flex", gap: 20, alignItems: "center", flexWrap: "wrap" }}>
+            {status.code && <JoinQR link={shareLink(status.code, relayUrl)} theme={theme} />}
+            <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+              {status.code && (
+                <div>
+                  <div style={{ fontSize: 11, color: colors.muted }}>{t("share.code")}</div>
+                  <div style={{ fontFamily: "monospace", fontSize: 28, letterSpacing: "0.2em", color: colors.heading }}>
+                    {status.code}
+                  </div>
+                </div>
+              )}
+              <div role="status" style={{ fontSize: 12, color: status.state === "error" ? colors.active : colors.muted }}>
+                {connected
+                  ? (partnerCount
+                    ? t("share.connected", { count: partnerCount })
+                    : t("share.waiting"))
+                  : status.state !== "idle" && t(`share.status.${status.state}`)}
+                {status.error && <div style={{ marginTop: 4 }}>{t(`share.error.${status.error}`, { url: relayUrl })}</div>}
+              </div>
+              <div style={{ fontSize: 11, color: colors.faint, maxWidth: 360 }}>
+                {t("share.bothTime")}
+              </div>
+            </div>
+          </div>
+        </section>
+      ) : (
+        <>
+          <section>
+            <div style={sectionTitleStyle}>{t("share.startTitle")}</div>
+            <div style={{ fontSize: 12, color: colors.muted, marginBottom: 10 }}>
+              {t("share.startHint")}
+            </div>
+            <button onClick={() => onStart(relay)} style={primaryButtonStyle}>{t("share.start")}</button>
+          </section>
+          <section>
+            <div style={sectionTitleStyle}>{t("share.joinTitle")}</div>
+            <form onSubmit={e => { e.preventDefault(); if (joinCode) onJoin(joinCode, relay); }}
+              style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+              <input value={code} onChange={e => setCode(e.target.value)} placeholder={t("share.code")}
+                aria-label={t("share.code")} autoCapitalize="characters" autoComplete="off" spellCheck={false}
+                style={{ ...inputStyle, fontFamily: "monospace", letterSpacing: "0.15em", width: 140 }} />
+              <button type="submit" disabled={!joinCode || !canJoin}
+                style={{ ...primaryButtonStyle, opacity: joinCode && canJoin ? 1 : 0.5 }}>
+                {t("share.join")}
+              </button>
+            </form>
+            <div style={{ fontSize: 11, color: colors.faint, marginTop: 6 }}>
+              {canJoin
+                ? t("share.joinHint")
+                : t("share.joinBlocked")}
+            </div>
+          </section>
+          <div>
+            <button type="button" onClick={() => setShowRelay(v => !v)}
+              style={{ ...buttonStyle, border: "none", padding: 0, fontSize: 10 }}>
+              {showRelay ? t("share.hideRelay") : t("share.showRelay")}
+            </button>
+            {showRelay && (
+              <label style={{ display: "flex", flexDirection: "column", gap: 4, marginTop: 8, fontSize: 11, color: colors.muted }}>
+                <span>
+                  {t("share.relayHint")} <code>npm run relay</code>
+                </span>
+                <input value={relay} onChange={e => setRelay(e.target.value.trim())}
+                  style={{ ...inputStyle, fontFamily: "monospace", maxWidth: 360 }} />
+              </label>
+            )}
+          </div>
+        </>
+      )}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        {sharing && <button onClick={onStop} style={buttonStyle}>{t("share.stop")}</button>}
+        <button onClick={onClose} style={buttonStyle}>{t("share.done")}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import { colors } from "../lib/theme";
+// Tiny inline line chart of [{ t, v }] points, scaled to fill the box.
+export default function Sparkline({ points, width = 80, height = 22, color = colors.accent }) {
+  if (points.length < 2) {
+    return <svg width={width} height={height} aria-hidden="true" />;
+  }
+  const pad = 2;
+  const t0 = points[0].t;
+  const tSpan = points[points.length - 1].t - t0 || 1;
+  const vs = points.map(p => p.v);
+  const vMin = Math.min(...vs);
+  const vSpan = Math.max(...vs) - vMin || 1;
+  const xy = points.map(p => [
+    pad + ((p.t - t0) / tSpan) * (width - 2 * pad),
+    height - pad - ((p.v - vMin) / vSpan) * (height - 2 * pad),
+  ]);
+  const [lx, ly] = xy[xy.length - 1];
+  return (
+    <svg width={width} height={height} aria-hidden="true" style={{ display: "block", overflow: "visible" }}>
+      <polyline points={xy.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(" ")}
+        fill="none" stroke={color} strokeWidth={1.5} strokeLinejoin="round" strokeLinecap="round" strokeOpacity={0.8} />
+      <circle cx={lx} cy={ly} r={2} fill={color} />
+    </svg>
+  );
+}
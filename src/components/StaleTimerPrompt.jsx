@@ -0,0 +1,59 @@
+import { useState } from "react";
+import ContractionEditor from "./ContractionEditor";
+import useSession from "../hooks/useSession";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// Shown when a contraction was left running across a reload for far too long to be real:
+// finish it with the real end time, or discard it. `intensityScale` is the editor's.
+export default function StaleTimerPrompt({ staleStart, now, intensity, intensityScale, isMobile }) {
+  const { actions } = useSession();
+  const i18n = useI18n();
+  const { t, formatDuration, formatTime } = i18n;
+  // Prefill for the editor once "Finish" is chosen
+  const [draft, setDraft] = useState(null);
+
+  const finishStale = () => {
+    setDraft({
+      start: staleStart, end: staleStart + 60 * 1000,
+      intensity: intensity / 10,
+    });
+  };
+
+  return (
+    <div role="alert" style={{
+      width: "100%", maxWidth: 860, borderRadius: 12,
+      border: `1px solid ${colors.activeEdge}`, background: colors.activeBg,
+      padding: isMobile ? "14px 16px" : "16px 24px",
+      display: "flex", flexDirection: "column", gap: 12,
+    }}>
+      {draft ? (
+        <ContractionEditor initial={draft} intensityScale={intensityScale} isMobile={isMobile}
+          title={t("stale.editTitle")}
+          onSave={entry => actions.save(entry, { fromStale: true, i18n })} onCancel={() => setDraft(null)} />
+      ) : (
+        <>
+          <div style={{ fontSize: isMobile ? 12 : 14, color: colors.heading }}>
+            {t("stale.message", { time: formatTime(staleStart), ago: formatDuration(now - staleStart) })}
+          </div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <button onClick={finishStale} style={{
+              background: "none", border: `1px solid ${colors.active}`, color: colors.active,
+              fontSize: 11, letterSpacing: "0.15em", padding: "7px 16px",
+              borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+            }}>
+              {t("stale.finish")}
+            </button>
+            <button onClick={actions.discardStale} style={{
+              background: "none", border: `1px solid ${colors.borderMuted}`, color: colors.control,
+              fontSize: 11, letterSpacing: "0.15em", padding: "7px 16px",
+              borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+            }}>
+              {t("stale.discard")}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// Session totals beside the timer: inline on the desktop sidebar, 2x2 grid on mobile.
+// `avgDuration` follows the rolling window from settings.
+export default function StatsGrid({ contractions, avgDuration, isMobile }) {
+  const { t, formatDuration } = useI18n();
+  const last = contractions[contractions.length - 1];
+  const secondLast = contractions[contractions.length - 2];
+  const lastInterval = last && secondLast ? last.start - secondLast.start : null;
+  return (
+    <div style={{
+      display: "grid",
+      gridTemplateColumns: isMobile ? "1fr 1fr" : "1fr 1fr",
+      gap: isMobile ? "12px 24px" : "12px 32px",
+      width: isMobile ? "min(280px, 90vw)" : "auto",
+    }}>
+      {[
+        [t("stats.count"), contractions.length],
+        [t("stats.avgDuration"), avgDuration ? formatDuration(avgDuration) : "–"],
+        [t("stats.lastInterval"), lastInterval ? formatDuration(lastInterval) : "–"],
+        [t("stats.lastDuration"), last ? formatDuration(last.duration) : "–"],
+      ].map(([label, val]) => (
+        <div key={label}>
+          <div style={{ fontSize: 9, letterSpacing: "0.18em", color: colors.label, textTransform: "uppercase", marginBottom: 3 }}>{label}</div>
+          <div style={{ fontSize: isMobile ? 17 : 20, color: colors.warm }}>{val}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
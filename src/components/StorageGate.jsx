@@ -0,0 +1,21 @@
+import { useEffect, useState } from "react";
+import { openSessionStorage } from "../lib/db";
+import { colors } from "../lib/theme";
+
+// Opens session storage (IndexedDB, migrating old localStorage data on first run) and
+// renders `children(storage)` once the saved sessions are loaded.
+export default function StorageGate({ children }) {
+  const [storage, setStorage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    openSessionStorage().then(s => { if (!cancelled) setStorage(s); });
+    return () => { cancelled = true; };
+  }, []);
+
+  if (!storage) {
+    // Usually a few milliseconds: just the background, so there's no flash of text
+    return <div aria-busy="true" style={{ minHeight: "100vh", background: colors.page }} />;
+  }
+  return children(storage);
+}
@@ -0,0 +1,58 @@
+import { useState } from "react";
+import { downloadFile } from "../lib/exchange";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+const buttonStyle = {
+  background: "none", border: `1px solid ${colors.borderMuted}`, color: colors.control,
+  fontSize: 11, letterSpacing: "0.15em", padding: "7px 16px",
+  borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+};
+
+// Tells the user about saved data that couldn't be read (set aside, never deleted on our
+// own) and about saves that failed, instead of losing either silently.
+export default function StorageNotice({ storage, saveFailed, isMobile }) {
+  const [quarantined, setQuarantined] = useState(storage.quarantined);
+  const [dismissed, setDismissed] = useState(false);
+  const { t } = useI18n();
+  const showQuarantine = quarantined > 0 && !dismissed;
+  if (!showQuarantine && !saveFailed) return null;
+
+  const download = async () => {
+    const entries = await storage.readQuarantine();
+    const doc = { format: "contraction-clock-quarantine", exportedAt: Date.now(), entries };
+    downloadFile("contraction-clock-recovered-data.json", "application/json", JSON.stringify(doc, null, 2));
+  };
+
+  const discard = async () => {
+    if (!window.confirm(t("storage.confirmDelete"))) return;
+    await storage.clearQuarantine();
+    setQuarantined(0);
+  };
+
+  return (
+    <div role="alert" style={{
+      width: "100%", maxWidth: 860, borderRadius: 12,
+      border: `1px solid ${colors.activeEdge}`, background: colors.activeBg,
+      padding: isMobile ? "14px 16px" : "16px 24px",
+      display: "flex", flexDirection: "column", gap: 12,
+      fontSize: isMobile ? 12 : 14, color: colors.heading,
+    }}>
+      {saveFailed && (
+        <div>{t("storage.saveFailed")}</div>
+      )}
+      {showQuarantine && (
+        <>
+          <div>{t("storage.quarantined", { count: quarantined })}</div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <button onClick={download} style={{ ...buttonStyle, borderColor: colors.active, color: colors.active }}>
+              {t("storage.download")}
+            </button>
+            <button onClick={discard} style={buttonStyle}>{t("storage.delete")}</button>
+            <button onClick={() => setDismissed(true)} style={buttonStyle}>{t("storage.later")}</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
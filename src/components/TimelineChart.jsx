@@ -0,0 +1,287 @@
+import { useEffect, useRef, useState } from "react";
+import TimelineSegments from "./TimelineSegments";
+import BellTooltip from "./BellTooltip";
+import MetricPlot from "./MetricPlot";
+import ChartTable from "./ChartTable";
+import EventMarkers from "./EventMarkers";
+import {
+  Y_AXIS_W, CHART_H, PLOT_H, PEAK_PAD, Y_TICKS, LEAD_PX, TIME_AXIS_H, TRUE_SCALE, ZOOM_PRESETS,
+  CHART_MODES, buildSegments, buildMetricPlot, tickY, pxPerSecFor, stepZoom, clockTicks, bellKey, eventMarkers,
+} from "../lib/chart";
+import { formatSpan } from "../lib/rules";
+import { metricSeries } from "../lib/analytics";
+import useChartZoom from "../hooks/useChartZoom";
+import useFinishedLayout from "../hooks/useFinishedLayout";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// The session chart: bell-curve timeline or interval / duration plot, with its zoom,
+// view and live-scroll controls. `view` is { zoom, trueScale, chartMode, liveScroll },
+// changed through `onViewChange(patch)` (or an updater function). `activeStart` is the
+// contraction being timed, drawn with `intensity` (1-10); pass null for archived sessions.
+// The session's `events` are marked along the time axis; the bell tooltip shows intensities
+// on `intensityScale`.
+export default function TimelineChart({
+  contractions, events, activeStart, intensity, intensityScale, now, rule, prediction, view, onViewChange, windowWidth,
+}) {
+  const { zoom, trueScale, chartMode, liveScroll } = view;
+  const { t, locale, formatClock } = useI18n();
+  const scrollRef = useRef(null);
+  const [containerWidth, setContainerWidth] = useState(0);
+  // bellKey of the bell whose tooltip is showing, or null
+  const [inspected, setInspected] = useState(null);
+
+  useChartZoom(scrollRef, step => onViewChange(v => ({ zoom: stepZoom(v.zoom, step) })));
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el || !liveScroll) return;
+    el.scrollLeft = el.scrollWidth;
+  }, [contractions, now, liveScroll]);
+
+  // Track the actual rendered width of the chart container
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const ro = new ResizeObserver(([entry]) => {
+      setContainerWidth(entry.contentRect.width);
+    });
+    ro.observe(el);
+    // Measure immediately after mount
+    setContainerWidth(el.getBoundingClientRect().width);
+    return () => ro.disconnect();
+  }, []);
+
+  // Re-measure whenever the window resizes (catches orientation changes on mobile)
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    setContainerWidth(el.getBoundingClientRect().width);
+  }, [windowWidth]);
+
+  const last = contractions[contractions.length - 1];
+  const chartActive = activeStart ? { start: activeStart, now, intensity: intensity / 10 } : null;
+  // The zoom preset's span of time fills the visible plot (before the chart is measured, assume a typical width)
+  const plotWidth = (containerWidth > 0 ? containerWidth : 800) - Y_AXIS_W - 8 - LEAD_PX;
+  const sessionSpan = contractions.length ? (chartActive ? now : last.end) - contractions[0].start : 0;
+  const pxPerSec = pxPerSecFor(zoom, plotWidth, sessionSpan);
+  const scale = trueScale ? TRUE_SCALE : null;
+  // Recorded contractions only change on a tap or an edit; only the live tail is rebuilt every tick
+  const finished = useFinishedLayout(contractions, { pxPerSec, scale });
+  const { segments, live: liveSegments, width: svgWidth } = buildSegments(contractions, {
+    pxPerSec,
+    ...scale,
+    finished,
+    active: chartActive,
+    projection: prediction?.status === "estimate" ? prediction : null,
+  });
+
+  // Interval / duration views, always to scale. The contraction being timed shows as a pending point.
+  const chartFrom = contractions[0]?.start ?? chartActive?.start ?? null;
+  let metricPlot = null;
+  if (chartMode !== "timeline" && chartFrom !== null) {
+    const points = [...metricSeries(contractions)[chartMode]];
+    if (chartActive && chartMode === "duration") points.push({ t: activeStart, v: now - activeStart, pending: true });
+    if (chartActive && chartMode === "interval" && last) points.push({ t: activeStart, v: activeStart - last.start, pending: true });
+    metricPlot = buildMetricPlot(points, {
+      mode: chartMode, rule, pxPerSec, from: chartFrom, to: chartActive ? now : last.end,
+    });
+  }
+  const contentWidth = metricPlot ? metricPlot.width : svgWidth;
+  const timeTicks = metricPlot ? clockTicks([metricPlot.span], pxPerSec) : clockTicks(segments, pxPerSec);
+  const markers = eventMarkers(metricPlot ? [metricPlot.span] : segments, events);
+  const yTicks = metricPlot ? metricPlot.ticks : Y_TICKS.map(tick => ({ value: tick, y: tickY(tick), label: tick }));
+  const inspectedSeg = inspected === null
+    ? null
+    : segments.find(s => s.type === "bell" && bellKey(s) === inspected) ?? null;
+  // Start-to-start gap before the inspected bell
+  const inspectedInterval = !inspectedSeg ? null
+    : inspectedSeg.active ? (last ? activeStart - last.start : null)
+      : inspectedSeg.index > 0 ? inspectedSeg.c.start - contractions[inspectedSeg.index - 1].start : null;
+
+  // In live mode, pan data left so the rightmost content aligns to the container's right edge.
+  // Use containerWidth from ResizeObserver (accurate to actual rendered element width).
+  // If not yet measured (0), use svgWidth so panX=0 and nothing is hidden before first measurement.
+  const effectiveContainerWidth = containerWidth > 0 ? containerWidth : contentWidth;
+  const panX = liveScroll
+    ? Math.max(-(contentWidth - Y_AXIS_W), Math.min(0, effectiveContainerWidth - contentWidth))
+    : 0;
+
+  return (
+    <div style={{ width: "100%", maxWidth: 860, position: "relative" }}>
+
+      {/* Zoom presets, true-scale switch, chart view and live toggle */}
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginBottom: 8, flexWrap: "wrap" }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+          <div role="group" aria-label={t("chart.zoomLabel")} title={t("chart.zoomHint")}
+            style={{ display: "flex", border: `1px solid ${colors.borderMuted}`, borderRadius: 6, overflow: "hidden" }}>
+            {ZOOM_PRESETS.map(z => (
+              <button key={z.id} onClick={() => onViewChange({ zoom: z.id })} aria-pressed={zoom === z.id}
+                style={{
+                  background: zoom === z.id ? colors.accentBg : "none", border: "none",
+                  color: zoom === z.id ? colors.accent : colors.faint, fontSize: 11, letterSpacing: "0.08em",
+                  padding: "5px 10px", cursor: "pointer",
+                }}>
+                {t(`chart.zoom.${z.id}`)}
+              </button>
+            ))}
+          </div>
+          {chartMode === "timeline" && (
+            <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: trueScale ? colors.accent : colors.faint, cursor: "pointer" }}>
+              <input type="checkbox" checked={trueScale} onChange={e => onViewChange({ trueScale: e.target.checked })}
+                style={{ accentColor: colors.accent }} />
+              {t("chart.trueScale")}
+            </label>
+          )}
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+        <div role="group" aria-label={t("chart.viewLabel")}
+          style={{ display: "flex", border: `1px solid ${colors.borderMuted}`, borderRadius: 6, overflow: "hidden" }}>
+          {CHART_MODES.map(mode => (
+            <button key={mode} onClick={() => { onViewChange({ chartMode: mode }); setInspected(null); }} aria-pressed={chartMode === mode}
+              style={{
+                background: chartMode === mode ? colors.accentBg : "none", border: "none",
+                color: chartMode === mode ? colors.accent : colors.faint, fontSize: 11, letterSpacing: "0.08em",
+                padding: "5px 10px", cursor: "pointer",
+              }}>
+              {t(`chart.mode.${mode}`)}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={() => {
+            const next = !liveScroll;
+            onViewChange({ liveScroll: next });
+            if (next && scrollRef.current) scrollRef.current.scrollLeft = scrollRef.current.scrollWidth;
+          }}
+          style={{
+            display: "flex", alignItems: "center", gap: 6,
+            background: liveScroll ? colors.accentBg : colors.panelRaised,
+            border: liveScroll ? `1px solid ${colors.accentEdge}` : `1px solid ${colors.borderMuted}`,
+            borderRadius: 6, padding: "5px 12px",
+            color: liveScroll ? colors.accent : colors.faint,
+            fontSize: 11, letterSpacing: "0.12em", textTransform: "uppercase",
+            cursor: "pointer", transition: "all 0.2s ease",
+          }}
+        >
+          <span style={{
+            width: 7, height: 7, borderRadius: "50%",
+            background: liveScroll ? colors.accent : colors.dim,
+            boxShadow: liveScroll ? `0 0 6px ${colors.accent}` : "none",
+            transition: "all 0.2s ease", display: "inline-block",
+          }} />
+          {liveScroll ? t("chart.live") : t("chart.scroll")}
+        </button>
+        </div>
+      </div>
+
+      {/* Rotated Y-axis label */}
+      <div style={{
+        position: "absolute", left: -2, top: 30, height: PLOT_H,
+        width: 18, display: "flex", alignItems: "center", justifyContent: "center",
+        pointerEvents: "none", zIndex: 1,
+      }}>
+        <span style={{
+          fontSize: 9, letterSpacing: "0.15em", color: colors.label,
+          textTransform: "uppercase", transform: "rotate(-90deg)", whiteSpace: "nowrap",
+        }}>{t(`chart.axis.${chartMode}`)}</span>
+      </div>
+
+      {/* Time runs left to right in every language */}
+      <div ref={scrollRef} dir="ltr" style={{
+        overflowX: liveScroll ? "hidden" : "auto",
+        background: colors.panel, borderRadius: 12,
+        border: `1px solid ${colors.edge}`,
+        paddingTop: 12,
+        paddingBottom: liveScroll ? 0 : 8,
+        WebkitOverflowScrolling: "touch",
+        // In live mode, shift the SVG so the right edge (latest content) is always visible
+        position: "relative",
+      }}>
+        <svg
+          width={liveScroll ? "100%" : contentWidth}
+          height={CHART_H + TIME_AXIS_H}
+          style={{ display: "block", touchAction: "pan-x pan-y" }}
+          onClick={() => setInspected(null)}
+          role="img"
+          aria-label={t("chart.description", { view: t(`chart.mode.${chartMode}`), count: contractions.length })}
+        >
+          {/* ── Layer 1: data (pans left in live mode) ── */}
+          <g transform={`translate(${panX}, 0)`}>
+
+          {/* Grid lines */}
+          {yTicks.map(({ value, y }) => (
+            <line key={value} x1={Y_AXIS_W} y1={y} x2={contentWidth - 8} y2={y}
+              stroke={value === 0 ? colors.axis : colors.grid}
+              strokeWidth={value === 0 ? 1.5 : 1}
+              strokeDasharray={value === 0 ? undefined : "3,7"} />
+          ))}
+
+          {/* Clock-time axis */}
+          {timeTicks.map(({ t: time, x }) => (
+            <g key={time}>
+              <line x1={x} y1={PEAK_PAD} x2={x} y2={PLOT_H} stroke={colors.grid} strokeWidth={1} />
+              <line x1={x} y1={PLOT_H} x2={x} y2={PLOT_H + 4} stroke={colors.axis} strokeWidth={1} />
+              <text x={x} y={CHART_H + 10} textAnchor="middle" fontSize={9} fill={colors.tick} fontFamily="monospace">
+                {formatClock(time)}
+              </text>
+            </g>
+          ))}
+
+          {/* Segments, or the interval / duration plot */}
+          {metricPlot ? (
+            <MetricPlot plot={metricPlot} x1={Y_AXIS_W} x2={contentWidth - 8}
+              thresholdLabel={`${chartMode === "interval" ? "≤" : "≥"} ${formatSpan(metricPlot.threshold.value, locale)}`} />
+          ) : (
+            <TimelineSegments segments={finished.segments} live={liveSegments}
+              onInspect={setInspected} inspected={inspected} />
+          )}
+
+          <EventMarkers markers={markers} />
+
+          {!metricPlot && inspectedSeg && (
+            <BellTooltip seg={inspectedSeg} interval={inspectedInterval} now={now} scale={intensityScale}
+              minX={liveScroll ? Y_AXIS_W - panX : Y_AXIS_W}
+              maxX={liveScroll ? effectiveContainerWidth - panX : svgWidth} />
+          )}
+
+          </g>{/* end data layer */}
+
+          {/* Empty state text in screen coords (not panned) */}
+          {contractions.length === 0 && !activeStart && (
+            <text
+              x={Y_AXIS_W + (effectiveContainerWidth - Y_AXIS_W) / 2}
+              y={PLOT_H / 2}
+              textAnchor="middle" fontSize={11} fill={colors.chartGhost} fontFamily="Georgia, serif">
+              {t("chart.empty")}
+            </text>
+          )}
+          {metricPlot?.dots.length === 0 && (
+            <text
+              x={Y_AXIS_W + (effectiveContainerWidth - Y_AXIS_W) / 2}
+              y={PLOT_H / 2}
+              textAnchor="middle" fontSize={11} fill={colors.chartGhost} fontFamily="Georgia, serif">
+              {t("chart.emptyIntervals")}
+            </text>
+          )}
+
+          {/* ── Layer 2: Y-axis overlay (always on top, never pans) ── */}
+          <rect x={0} y={0} width={Y_AXIS_W} height={CHART_H + TIME_AXIS_H} fill={colors.axisBg} fillOpacity={0.97} />
+          <line x1={Y_AXIS_W} y1={PEAK_PAD - 4} x2={Y_AXIS_W} y2={PLOT_H}
+            stroke={colors.border} strokeWidth={1} />
+          {yTicks.map(({ value, y, label }) => (
+            <g key={value}>
+              <line x1={Y_AXIS_W - 4} y1={y} x2={Y_AXIS_W} y2={y}
+                stroke={colors.axis} strokeWidth={1} />
+              <text x={Y_AXIS_W - 7} y={y + 4} textAnchor="end"
+                fontSize={9} fill={colors.tick} fontFamily="monospace">
+                {label}
+              </text>
+            </g>
+          ))}
+        </svg>
+      </div>
+      <ChartTable contractions={contractions} />
+    </div>
+  );
+}
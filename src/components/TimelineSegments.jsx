@@ -0,0 +1,133 @@
+import { memo } from "react";
+import { buildBellPath, bellKey, PLOT_H, PEAK_PAD } from "../lib/chart";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+const SCREEN_PALETTE = {
+  baseline: colors.axis,
+  restLabel: colors.restLabel,
+  bell: colors.accent,
+  bellFill: colors.bellFill,
+  bellLabel: colors.bellLabel,
+  active: colors.active,
+  activeFill: colors.activeFill,
+  projection: colors.estimate,
+  projectionFill: colors.projectionFill,
+};
+
+// Finished segments are drawn in memoised chunks of this many, so a clock tick redraws
+// nothing but the live tail and a new contraction only redraws the last chunk
+const CHUNK_SIZE = 64;
+
+// Flat rest lines and bell curves for a laid-out timeline (see buildSegments).
+// Labels are dropped when a segment is too narrow to hold one (e.g. the report's fitted scale).
+// With `onInspect`, each bell gets a hover/tap target that reports it; `inspected` is the
+// bellKey of the one to highlight. `live` holds the segments rebuilt on every tick (the
+// `live` part of buildSegments); pass the rest, which should be cached, as `segments`.
+export default function TimelineSegments({
+  segments, live = [], palette = SCREEN_PALETTE, plotH = PLOT_H, minLabelPx = 0, onInspect = null, inspected = null,
+}) {
+  const shared = { palette, plotH, minLabelPx, onInspect };
+  const chunks = [];
+  for (let i = 0; i < segments.length; i += CHUNK_SIZE) {
+    const chunk = segments.slice(i, i + CHUNK_SIZE);
+    const holdsInspected = inspected !== null && chunk.some(seg => seg.type === "bell" && bellKey(seg) === inspected);
+    chunks.push(<SegmentChunk key={i} segments={chunk} inspected={holdsInspected ? inspected : null} {...shared} />);
+  }
+  return (
+    <>
+      {chunks}
+      <SegmentList segments={live} inspected={inspected} {...shared} />
+    </>
+  );
+}
+
+// Same drawing as far as the SVG goes; the layout rebuilds segment objects whenever a
+// contraction is added, so compare what they draw rather than their identity
+function sameSegment(a, b) {
+  return a.type === b.type && a.x === b.x && a.widthPx === b.widthPx && a.c === b.c && a.rest === b.rest
+    && a.projection === b.projection;
+}
+
+const SegmentChunk = memo(SegmentList, (prev, next) => (
+  prev.inspected === next.inspected && prev.palette === next.palette && prev.plotH === next.plotH
+  && prev.minLabelPx === next.minLabelPx && prev.onInspect === next.onInspect
+  && prev.segments.length === next.segments.length
+  && prev.segments.every((seg, i) => sameSegment(seg, next.segments[i]))
+));
+
+function SegmentList({ segments, palette, plotH, minLabelPx, onInspect, inspected }) {
+  const { t, formatDuration, formatClock } = useI18n();
+  return segments.map((seg, i) => {
+    if (seg.type === "flat") {
+      return (
+        <g key={i}>
+          <line x1={seg.x} y1={plotH} x2={seg.x + seg.widthPx} y2={plotH}
+            stroke={palette.baseline} strokeWidth={1.5} />
+          {seg.rest !== undefined && seg.widthPx >= minLabelPx && (
+            <text x={seg.x + seg.widthPx / 2} y={plotH + 14}
+              textAnchor="middle" fontSize={8} fill={palette.restLabel} fontFamily="monospace">
+              {formatDuration(seg.rest)}
+            </text>
+          )}
+        </g>
+      );
+    }
+
+    if (seg.type === "bell") {
+      const inten = seg.active ? seg.intensity : seg.c.intensity;
+      const { stroke, fill } = buildBellPath(seg.x, seg.widthPx, inten, seg.progress ?? 1, plotH);
+      const color = seg.active ? palette.active : palette.bell;
+      const fillColor = seg.active ? palette.activeFill : palette.bellFill;
+      return (
+        <g key={i}>
+          <line x1={seg.x} y1={plotH} x2={seg.x} y2={plotH - 8}
+            stroke={color} strokeWidth={1} strokeOpacity={0.5} />
+          {!seg.active && (
+            <line x1={seg.x + seg.widthPx} y1={plotH}
+              x2={seg.x + seg.widthPx} y2={plotH - 8}
+              stroke={color} strokeWidth={1} strokeOpacity={0.5} />
+          )}
+          <path d={fill} fill={fillColor} />
+          <path d={stroke} stroke={color} strokeWidth={inspected !== null && bellKey(seg) === inspected ? 3 : 2}
+            fill="none" strokeLinecap="round" />
+          {!seg.active && seg.widthPx >= minLabelPx && (
+            <text x={seg.x + seg.widthPx / 2} y={plotH + 14}
+              textAnchor="middle" fontSize={8} fill={palette.bellLabel} fontFamily="monospace">
+              {formatDuration(seg.c.duration)}
+            </text>
+          )}
+          {onInspect && (
+            <rect x={seg.x - 4} y={PEAK_PAD} width={seg.widthPx + 8} height={plotH - PEAK_PAD + 4}
+              fill="transparent" style={{ cursor: "pointer" }}
+              onPointerEnter={e => { if (e.pointerType === "mouse") onInspect(bellKey(seg)); }}
+              onPointerLeave={e => { if (e.pointerType === "mouse") onInspect(null); }}
+              onClick={e => { e.stopPropagation(); onInspect(bellKey(seg)); }} />
+          )}
+        </g>
+      );
+    }
+    if (seg.type === "projection") {
+      const { at, early, late } = seg.projection;
+      const cx = seg.x + seg.widthPx / 2;
+      return (
+        <g key={i}>
+          <rect x={seg.x} y={PEAK_PAD} width={seg.widthPx} height={plotH - PEAK_PAD}
+            fill={palette.projectionFill} stroke={palette.projection} strokeOpacity={0.5}
+            strokeDasharray="4,4" rx={4} />
+          <text x={cx} y={plotH / 2 - 8} textAnchor="middle" fontSize={9} fill={palette.projection}
+            fontFamily="monospace" letterSpacing="0.1em">
+            {t("chart.projected")}
+          </text>
+          <text x={cx} y={plotH / 2 + 8} textAnchor="middle" fontSize={13} fill={palette.projection} fontFamily="monospace">
+            ~{formatClock(at)}
+          </text>
+          <text x={cx} y={plotH / 2 + 24} textAnchor="middle" fontSize={9} fill={palette.projection} fillOpacity={0.8} fontFamily="monospace">
+            {formatClock(early)}–{late === Infinity ? t("chart.later") : formatClock(late)}
+          </text>
+        </g>
+      );
+    }
+    return null;
+  });
+}
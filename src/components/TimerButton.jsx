@@ -0,0 +1,44 @@
+import BreathingRing from "./BreathingRing";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// The big start/stop button. While timing it shows the elapsed time (`elapsed`, in ms);
+// screen readers get that from LiveAnnouncer rather than from the button's label.
+// With the breathing guide on (`breathing`, see resolveBreathing) a pacing ring runs
+// around it from `activeStart` until the contraction is stopped.
+export default function TimerButton({ active, activeStart, elapsed, breathing, onToggle, isMobile }) {
+  const { t, formatDuration } = useI18n();
+  // Button size scales with screen
+  const size = isMobile ? 140 : 180;
+  // Room for the ring and its cue is kept while the guide is on, so starting doesn't shift the layout
+  const gap = breathing?.enabled ? (isMobile ? 16 : 22) : 0;
+  return (
+    <div style={{ position: "relative", flexShrink: 0, padding: gap ? `${gap}px ${gap}px ${gap + 20}px` : 0 }}>
+      {active && gap > 0 && (
+        <BreathingRing start={activeStart} pattern={breathing.pattern} sound={breathing.sound}
+          haptic={breathing.vibrate} size={size} gap={gap} />
+      )}
+      <button onClick={onToggle} aria-label={active ? t("timer.stopLabel") : t("timer.startLabel")}
+        aria-keyshortcuts="Space Enter" style={{
+        position: "relative", width: size, height: size, borderRadius: "50%",
+        border: active ? `3px solid ${colors.active}` : `2px solid ${colors.timerIdleEdge}`,
+        background: active ? colors.timerActiveBg : colors.timerIdleBg,
+        color: active ? colors.timerActiveText : colors.timerIdleText,
+        fontSize: isMobile ? 13 : 14,
+        letterSpacing: "0.08em", cursor: "pointer",
+        transition: "all 0.2s ease",
+        boxShadow: active ? colors.timerActiveShadow : colors.timerIdleShadow,
+        display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", gap: 6,
+        userSelect: "none", touchAction: "manipulation",
+      }}>
+        <span aria-hidden="true" style={{ fontSize: isMobile ? 24 : 28 }}>{active ? "●" : "○"}</span>
+        <span style={{ maxWidth: "80%", textAlign: "center", lineHeight: 1.25 }}>{active ? t("timer.stop") : t("timer.start")}</span>
+        {active && (
+          <span style={{ fontSize: isMobile ? 17 : 20, fontWeight: 600, color: colors.timerElapsed, fontFamily: "monospace" }}>
+            {formatDuration(elapsed)}
+          </span>
+        )}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import Sparkline from "./Sparkline";
+import { colors } from "../lib/theme";
+import { formatIntensity } from "../lib/intensity";
+import useI18n from "../hooks/useI18n";
+
+const ARROWS = { increasing: "↗", decreasing: "↘", stable: "→" };
+
+function windowLabel(rolling, t) {
+  if (rolling.mode === "count") return t("trends.lastContractions", { count: rolling.size });
+  if (rolling.mode === "minutes") return t("trends.lastMinutes", { count: rolling.size });
+  return t("trends.wholeSession");
+}
+
+// Per-metric sparkline + direction for the rolling window used by the Frequency / Duration tiles.
+// The latest intensity is shown on `intensityScale`.
+export default function TrendStrip({ series, trends, rolling, intensityScale, isMobile }) {
+  const i18n = useI18n();
+  const { t, formatDuration } = i18n;
+  const metrics = [
+    { key: "interval", label: t("trends.interval"), color: colors.calm, format: v => formatDuration(v) },
+    { key: "duration", label: t("trends.duration"), color: colors.warm, format: v => formatDuration(v) },
+    { key: "intensity", label: t("trends.intensity"), color: colors.active, format: v => formatIntensity(v, intensityScale, i18n, { short: true }) },
+  ];
+
+  return (
+    <div style={{ marginTop: isMobile ? 10 : 14 }}>
+      <div style={{ fontSize: 9, letterSpacing: "0.15em", color: colors.label, textTransform: "uppercase", marginBottom: 6 }}>
+        {t("trends.title", { window: windowLabel(rolling, t) })}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: isMobile ? 8 : 16 }}>
+        {metrics.map(({ key, label, color, format }) => {
+          const points = series[key];
+          const trend = trends[key];
+          const latest = points[points.length - 1];
+          return (
+            <div key={key} style={{
+              borderRadius: 8, background: colors.panelSubtle,
+              border: `1px solid ${colors.edgeFaint}`, padding: isMobile ? "6px 8px" : "8px 12px",
+              display: "flex", flexDirection: "column", gap: 4, minWidth: 0,
+            }}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 4, fontSize: 9, color: colors.label, letterSpacing: "0.1em", textTransform: "uppercase" }}>
+                <span style={{ overflow: "hidden", textOverflow: "ellipsis" }}>{label}</span>
+                <span style={{ color: colors.value, letterSpacing: 0, textTransform: "none", fontVariantNumeric: "tabular-nums" }}>
+                  {latest ? format(latest.v) : "—"}
+                </span>
+              </div>
+              <Sparkline points={points} width={isMobile ? 70 : 120} color={color} />
+              <div style={{ fontSize: isMobile ? 10 : 11, color: trend ? colors.value : colors.dim }}>
+                {trend ? `${ARROWS[trend]} ${t(`trends.${trend}`)}` : t("trends.notEnoughData")}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { useEffect } from "react";
+import { useRegisterSW } from "virtual:pwa-register/react";
+import { colors } from "../lib/theme";
+import useI18n from "../hooks/useI18n";
+
+// How often an open tab asks the server for a newer service worker
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+const OFFLINE_READY_MS = 5000;
+
+const buttonStyle = {
+  background: "none", border: `1px solid ${colors.borderMuted}`, color: colors.control,
+  fontSize: 10, letterSpacing: "0.15em", padding: "6px 12px",
+  borderRadius: 6, cursor: "pointer", textTransform: "uppercase",
+};
+
+// Registers the service worker and shows a small toast when the app has been cached for
+// offline use, or when a new version is waiting. Updating reloads the page; nothing is
+// lost, as the running timer is kept in localStorage and the sessions in IndexedDB (or
+// localStorage where IndexedDB isn't available, see lib/db.js).
+export default function UpdatePrompt() {
+  const { t } = useI18n();
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisteredSW(swUrl, registration) {
+      if (!registration) return;
+      setInterval(() => {
+        if (navigator.onLine) registration.update().catch(() => {});
+      }, UPDATE_CHECK_MS);
+    },
+  });
+
+  useEffect(() => {
+    if (!offlineReady) return;
+    const id = setTimeout(() => setOfflineReady(false), OFFLINE_READY_MS);
+    return () => clearTimeout(id);
+  }, [offlineReady, setOfflineReady]);
+
+  if (!needRefresh && !offlineReady) return null;
+
+  return (
+    <div role="status" className="no-print" style={{
+      position: "fixed", left: "50%", bottom: 16, transform: "translateX(-50%)", zIndex: 50,
+      width: "calc(100% - 32px)", maxWidth: 420,
+      display: "flex", alignItems: "center", gap: 12, padding: "12px 16px",
+      background: colors.surface, border: `1px solid ${colors.border}`, borderRadius: 10,
+      boxShadow: `0 8px 24px ${colors.shadow}`,
+      fontFamily: "'Georgia', serif", fontSize: 13, color: colors.text,
+    }}>
+      <span style={{ flex: 1 }}>
+        {needRefresh ? t("update.available") : t("update.offlineReady")}
+      </span>
+      {needRefresh ? (
+        <>
+          <button onClick={() => setNeedRefresh(false)} style={buttonStyle}>{t("update.later")}</button>
+          <button onClick={() => updateServiceWorker(true)}
+            style={{ ...buttonStyle, borderColor: colors.accentEdge, color: colors.accent }}>
+            {t("update.update")}
+          </button>
+        </>
+      ) : (
+        <button onClick={() => setOfflineReady(false)} style={buttonStyle}>{t("update.ok")}</button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import { useEffect, useRef } from "react";
+import { detectAlerts, deliverAlert } from "../lib/alerts";
+
+// Fires the alerts enabled in `settings` when `snapshot` crosses one of the alert conditions.
+// The previous snapshot is always tracked, so turning alerts on (or switching sessions via
+// `resetKey`) doesn't fire for conditions that were already true.
+export default function useAlerts(snapshot, settings, { ruleLabel, resetKey, i18n }) {
+  const prevRef = useRef(null);
+  const keyRef = useRef(resetKey);
+
+  useEffect(() => {
+    const prev = keyRef.current === resetKey ? prevRef.current : null;
+    keyRef.current = resetKey;
+    prevRef.current = snapshot;
+    if (!settings.enabled) return;
+    for (const type of detectAlerts(prev, snapshot)) {
+      if (settings[type]) deliverAlert(type, { quiet: settings.quiet, ruleLabel, i18n });
+    }
+  });
+}
@@ -0,0 +1,61 @@
+import { useEffect, useRef } from "react";
+
+// Wheel delta (px) or pinch ratio needed for one zoom step
+const WHEEL_STEP = 80;
+const PINCH_STEP = 1.3;
+
+// Pinch (touch or trackpad) and Ctrl/⌘ + wheel on `ref`'s element call `onStep(+1)` to zoom
+// out and `onStep(-1)` to zoom in. A plain wheel is left alone so the page still scrolls.
+export default function useChartZoom(ref, onStep) {
+  const onStepRef = useRef(onStep);
+  useEffect(() => {
+    onStepRef.current = onStep;
+  });
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    let wheel = 0;
+    let pinchFrom = null;
+
+    // Trackpad pinches arrive as wheel events with ctrlKey set
+    const onWheel = e => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      wheel += e.deltaY;
+      if (Math.abs(wheel) >= WHEEL_STEP) {
+        onStepRef.current(Math.sign(wheel));
+        wheel = 0;
+      }
+    };
+    const spread = touches => Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    const onTouchStart = e => {
+      if (e.touches.length === 2) pinchFrom = spread(e.touches);
+    };
+    const onTouchMove = e => {
+      if (pinchFrom === null || e.touches.length !== 2) return;
+      e.preventDefault();
+      const ratio = spread(e.touches) / pinchFrom;
+      if (ratio >= PINCH_STEP || ratio <= 1 / PINCH_STEP) {
+        onStepRef.current(ratio > 1 ? -1 : 1);
+        pinchFrom = spread(e.touches);
+      }
+    };
+    const onTouchEnd = e => {
+      if (e.touches.length < 2) pinchFrom = null;
+    };
+
+    el.addEventListener("wheel", onWheel, { passive: false });
+    el.addEventListener("touchstart", onTouchStart, { passive: true });
+    el.addEventListener("touchmove", onTouchMove, { passive: false });
+    el.addEventListener("touchend", onTouchEnd);
+    el.addEventListener("touchcancel", onTouchEnd);
+    return () => {
+      el.removeEventListener("wheel", onWheel);
+      el.removeEventListener("touchstart", onTouchStart);
+      el.removeEventListener("touchmove", onTouchMove);
+      el.removeEventListener("touchend", onTouchEnd);
+      el.removeEventListener("touchcancel", onTouchEnd);
+    };
+  }, [ref]);
+}
@@ -0,0 +1,26 @@
+import { useEffect, useState } from "react";
+
+// Date.now(), refreshed every `intervalMs` for the live displays. Background tabs and locked
+// screens throttle or pause intervals, so it can be seconds stale: it's also refreshed the
+// moment the page is shown again, and anything recorded should read Date.now() itself.
+export default function useClock(intervalMs) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const tick = () => setNow(Date.now());
+    const onVisible = () => {
+      if (document.visibilityState === "visible") tick();
+    };
+    const id = setInterval(tick, intervalMs);
+    document.addEventListener("visibilitychange", onVisible);
+    // Restored from the back/forward cache without a visibility change
+    window.addEventListener("pageshow", tick);
+    return () => {
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", onVisible);
+      window.removeEventListener("pageshow", tick);
+    };
+  }, [intervalMs]);
+
+  return now;
+}
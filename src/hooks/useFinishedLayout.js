@@ -0,0 +1,8 @@
+import { useMemo } from "react";
+import { layoutFinished } from "../lib/chart";
+
+// The recorded part of the timeline (see layoutFinished). It only changes on a tap, an
+// edit or a new scale, so it isn't laid out again on every clock tick.
+export default function useFinishedLayout(contractions, { pxPerSec, scale }) {
+  return useMemo(() => layoutFinished(contractions, { pxPerSec, ...scale }), [contractions, pxPerSec, scale]);
+}
@@ -0,0 +1,10 @@
+import { createContext, useContext } from "react";
+import { EN } from "../lib/i18n";
+
+// The i18n object (see lib/i18n) for the language in use: { locale, dir, t, formatDuration, ... }.
+// The app provides it (main.jsx too, for what renders outside the app); English otherwise.
+export const I18nContext = createContext(EN);
+
+export default function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,42 @@
+import { useEffect, useRef } from "react";
+
+// Elements where Space/Enter already mean something (typing, pressing a control)
+function handlesActivation(el) {
+  return el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT", "BUTTON", "A", "SUMMARY"].includes(el.tagName);
+}
+
+// Elements that use the arrow keys themselves
+function handlesArrows(el) {
+  return el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName);
+}
+
+const ARROW_STEPS = { ArrowUp: 1, ArrowRight: 1, ArrowDown: -1, ArrowLeft: -1 };
+
+// Page-wide shortcuts: Space or Enter calls `onToggle` (start/stop), the arrow keys call
+// `onIntensity(+1 / -1)`. Keys typed into a field, or pressed on a focused button, are left
+// to it -- a focused button already starts or stops the timer on Space/Enter.
+export default function useKeyboardShortcuts({ onToggle, onIntensity }, enabled = true) {
+  const handlersRef = useRef({ onToggle, onIntensity });
+  useEffect(() => {
+    handlersRef.current = { onToggle, onIntensity };
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    const onKeyDown = e => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+      const target = e.target instanceof Element ? e.target : document.body;
+      if (e.key === " " || e.key === "Enter") {
+        if (handlesActivation(target)) return;
+        e.preventDefault();
+        if (!e.repeat) handlersRef.current.onToggle();
+      } else if (e.key in ARROW_STEPS) {
+        if (handlesArrows(target)) return;
+        e.preventDefault();
+        handlersRef.current.onIntensity(ARROW_STEPS[e.key]);
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [enabled]);
+}
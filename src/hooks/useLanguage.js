@@ -0,0 +1,22 @@
+import { useLayoutEffect, useMemo, useSyncExternalStore } from "react";
+import { applyLocale, createI18n, resolveLocale } from "../lib/i18n";
+
+function subscribe(onChange) {
+  window.addEventListener("languagechange", onChange);
+  return () => window.removeEventListener("languagechange", onChange);
+}
+
+// A string, so the snapshot only changes when the list does
+function preferredLanguages() {
+  return (navigator.languages ?? [navigator.language]).join(",");
+}
+
+// The i18n object for the saved language `choice` ("system" or a language id), applied to
+// the page. "system" follows the browser's language settings as they change.
+export default function useLanguage(choice) {
+  const preferred = useSyncExternalStore(subscribe, preferredLanguages);
+  const locale = resolveLocale(choice, preferred.split(","));
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+  useLayoutEffect(() => applyLocale(i18n), [i18n]);
+  return i18n;
+}
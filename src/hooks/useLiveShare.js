@@ -0,0 +1,94 @@
+import { useEffect, useRef, useState } from "react";
+import { connectRelay, SHARE_KEY } from "../lib/share";
+import { emptyShared, stampLocal, mergeShared, sameShared, parseShared } from "../lib/sync";
+import { loadJSON, saveJSON, removeKey } from "../lib/storage";
+
+const IDLE = { state: "idle", code: null, peers: 0, error: null };
+
+// Live-shares one session through the relay. Local changes to `contractions`, `events` and
+// `activeStart` are stamped and sent; snapshots from the other device are merged and handed to
+// `onRemote(merged)` for the app to apply. Sharing stops applying as soon as the current
+// session is no longer the shared one.
+export default function useLiveShare({ sessionId, contractions, events, activeStart, onRemote }) {
+  // { relayUrl, code, create, sessionId } while sharing; code is null until the relay assigns one
+  const [share, setShare] = useState(() => loadJSON(SHARE_KEY, null));
+  const [status, setStatus] = useState(IDLE);
+  const sharedRef = useRef(emptyShared());
+  const connRef = useRef(null);
+  const onRemoteRef = useRef(onRemote);
+  const active = !!share && share.sessionId === sessionId;
+
+  useEffect(() => {
+    onRemoteRef.current = onRemote;
+  });
+
+  // Remember the assigned code so a reload rejoins the same room
+  useEffect(() => {
+    if (share) saveJSON(SHARE_KEY, { ...share, code: status.code ?? share.code });
+    else removeKey(SHARE_KEY);
+  }, [share, status.code]);
+
+  useEffect(() => {
+    if (!active) return;
+    sharedRef.current = emptyShared();
+    const conn = connectRelay({
+      url: share.relayUrl,
+      code: share.code,
+      create: share.create,
+      onStatus: (state, detail) => {
+        if (state === "peers") {
+          setStatus(s => ({ ...s, peers: detail.count }));
+          return;
+        }
+        setStatus(s => ({
+          ...s,
+          state,
+          code: detail?.code ?? s.code ?? share.code,
+          error: state === "error" ? detail.error : null,
+          peers: state === "connected" ? s.peers : 0,
+        }));
+        // (Re)joined: bring the room up to date with everything we have
+        if (state === "connected") connRef.current?.send(sharedRef.current);
+      },
+      onSnapshot: payload => {
+        const remote = parseShared(payload);
+        if (!remote) return;
+        const merged = mergeShared(sharedRef.current, remote);
+        sharedRef.current = merged;
+        onRemoteRef.current(merged);
+        if (!sameShared(merged, remote)) connRef.current?.send(merged);
+      },
+    });
+    connRef.current = conn;
+    return () => {
+      conn.close();
+      connRef.current = null;
+    };
+  }, [active, share]);
+
+  useEffect(() => {
+    if (!active) return;
+    const stamped = stampLocal(sharedRef.current, { contractions, events }, activeStart, Date.now());
+    if (sameShared(stamped, sharedRef.current)) return;
+    sharedRef.current = stamped;
+    connRef.current?.send(stamped);
+  }, [active, contractions, events, activeStart]);
+
+  return {
+    status: active ? status : IDLE,
+    relayUrl: share?.relayUrl ?? null,
+    start: (relayUrl) => {
+      setStatus(IDLE);
+      setShare({ relayUrl, code: null, create: true, sessionId });
+    },
+    // `targetSessionId`: the session to share into, which may have just been created
+    join: (code, relayUrl, targetSessionId = sessionId) => {
+      setStatus({ ...IDLE, code });
+      setShare({ relayUrl, code, create: false, sessionId: targetSessionId });
+    },
+    stop: () => {
+      setShare(null);
+      setStatus(IDLE);
+    },
+  };
+}
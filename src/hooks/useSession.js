@@ -0,0 +1,11 @@
+import { createContext, useContext } from "react";
+
+// Provided by SessionProvider: { state, actions, saveFailed }. `state` is the session
+// reducer's state (see lib/sessionState) and `actions` the ways to change it.
+export const SessionContext = createContext(null);
+
+export default function useSession() {
+  const session = useContext(SessionContext);
+  if (!session) throw new Error("useSession must be used inside a SessionProvider.");
+  return session;
+}
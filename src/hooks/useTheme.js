@@ -0,0 +1,21 @@
+import { useLayoutEffect, useSyncExternalStore } from "react";
+import { applyTheme, lightSchemeQuery, resolveTheme } from "../lib/theme";
+
+function subscribe(onChange) {
+  const query = lightSchemeQuery();
+  query?.addEventListener("change", onChange);
+  return () => query?.removeEventListener("change", onChange);
+}
+
+function prefersLight() {
+  return lightSchemeQuery()?.matches ?? false;
+}
+
+// Applies the theme for the saved `choice` (see THEME_CHOICES) and returns its name.
+// "system" switches between light and dark as soon as the device does.
+export default function useTheme(choice) {
+  const light = useSyncExternalStore(subscribe, prefersLight);
+  const name = resolveTheme(choice, light);
+  useLayoutEffect(() => applyTheme(name), [name]);
+  return name;
+}
@@ -0,0 +1,39 @@
+import { useEffect } from "react";
+
+export function wakeLockSupported() {
+  return typeof navigator !== "undefined" && "wakeLock" in navigator;
+}
+
+// Keeps the screen on while `active`, using the Screen Wake Lock API where there is one.
+// The browser drops the lock whenever the page is hidden, so it's asked for again each
+// time the page comes back. A refused request (low battery, say) just leaves it off.
+export default function useWakeLock(active) {
+  useEffect(() => {
+    if (!active || !wakeLockSupported()) return;
+    let lock = null;
+    let done = false;
+    // Set while a request is out, so a second visibilitychange doesn't ask twice
+    let pending = false;
+
+    const acquire = async () => {
+      if (pending || document.visibilityState !== "visible" || (lock && !lock.released)) return;
+      pending = true;
+      try {
+        lock = await navigator.wakeLock.request("screen");
+        if (done) lock.release().catch(() => {});
+      } catch {
+        lock = null;
+      } finally {
+        pending = false;
+      }
+    };
+
+    acquire();
+    document.addEventListener("visibilitychange", acquire);
+    return () => {
+      done = true;
+      document.removeEventListener("visibilitychange", acquire);
+      lock?.release().catch(() => {});
+    };
+  }, [active]);
+}
@@ -0,0 +1,10 @@
+// ---------------------------- ACCESSIBILITY ------------------------------ //
+
+// Hidden on screen but still read by screen readers (live regions, the chart's table)
+export const VISUALLY_HIDDEN = {
+  position: "absolute", width: 1, height: 1, padding: 0, margin: -1,
+  overflow: "hidden", clip: "rect(0, 0, 0, 0)", whiteSpace: "nowrap", border: 0,
+};
+
+// How often the running timer is read out while a contraction is being timed
+export const ELAPSED_ANNOUNCE_MS = 30 * 1000;
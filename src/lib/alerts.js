@@ -0,0 +1,134 @@
+// -------------------------------- ALERTS --------------------------------- //
+//
+// Detection is pure: compare the previous and current snapshot of the session and
+// list which alerts just became true. Delivery (notification, chime, vibration) is
+// best-effort: every browser API here may be missing or refused.
+
+import { EN } from "./i18n";
+
+export const LONG_CONTRACTION_MS = 2 * 60 * 1000;
+export const CLOSE_INTERVAL_MS = 2 * 60 * 1000;
+
+// Wording is in the message catalogs under alerts.<type>.label / .title / .body
+export const ALERT_TYPES = {
+  ruleMet: { severity: "info" },
+  streakBroken: { severity: "info" },
+  longContraction: { severity: "warning" },
+  closeTogether: { severity: "warning" },
+};
+
+export const DEFAULT_ALERTS = {
+  enabled: false,
+  quiet: false,
+  ruleMet: true,
+  streakBroken: true,
+  longContraction: true,
+  closeTogether: true,
+};
+
+// Snapshot: { ruleMet, streakStart, streakCount, activeStart, activeElapsed, lastId, lastInterval, count }
+// where `count` is how many contractions the session has
+// Returns alert type ids that fired between `prev` and `next`. No previous snapshot (first
+// render, or just switched session) means nothing fires.
+export function detectAlerts(prev, next) {
+  if (!prev) return [];
+  const fired = [];
+  // A different newest contraction only counts as new if one was added: deleting the last
+  // one, or editing it, changes `lastId` without anything having just been timed
+  const newContraction = next.lastId !== null && next.lastId !== prev.lastId && next.count > prev.count;
+
+  if (next.ruleMet && !prev.ruleMet) fired.push("ruleMet");
+  if (newContraction && prev.streakCount >= 2 && next.streakStart !== prev.streakStart) {
+    fired.push("streakBroken");
+  }
+  if (next.activeStart !== null && next.activeElapsed >= LONG_CONTRACTION_MS) {
+    const alreadyLong = prev.activeStart === next.activeStart && prev.activeElapsed >= LONG_CONTRACTION_MS;
+    if (!alreadyLong) fired.push("longContraction");
+  }
+  if (newContraction && next.lastInterval !== null && next.lastInterval < CLOSE_INTERVAL_MS) {
+    fired.push("closeTogether");
+  }
+  return fired;
+}
+
+// ---------------------------- delivery ----------------------------------- //
+
+let audioCtx = null;
+
+// Browsers only allow audio after a user gesture; call this from one (e.g. a tap).
+export function primeAudio() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return;
+  if (!audioCtx) audioCtx = new Ctx();
+  if (audioCtx.state === "suspended") audioCtx.resume().catch(() => {});
+}
+
+// One soft sine tone of `freq` Hz, `delay` and `length` in seconds
+export function playTone(freq, { delay = 0, length = 0.2, volume = 0.25 } = {}) {
+  if (!audioCtx || audioCtx.state !== "running") return;
+  const t = audioCtx.currentTime + delay;
+  const osc = audioCtx.createOscillator();
+  const gain = audioCtx.createGain();
+  osc.type = "sine";
+  osc.frequency.value = freq;
+  gain.gain.setValueAtTime(0.0001, t);
+  gain.gain.exponentialRampToValueAtTime(volume, t + 0.02);
+  gain.gain.exponentialRampToValueAtTime(0.0001, t + length);
+  osc.connect(gain).connect(audioCtx.destination);
+  osc.start(t);
+  osc.stop(t + length + 0.01);
+}
+
+export function vibrate(pattern) {
+  if (!("vibrate" in navigator)) return;
+  navigator.vibrate(pattern);
+}
+
+// Two soft tones for info, three brighter ones for warnings
+function chime(severity) {
+  const notes = severity === "warning" ? [880, 660, 880] : [660, 880];
+  notes.forEach((freq, i) => playTone(freq, { delay: i * 0.22 }));
+}
+
+function buzz(severity) {
+  vibrate(severity === "warning" ? [300, 120, 300, 120, 300] : [200, 100, 200]);
+}
+
+export function notificationsSupported() {
+  return "Notification" in window;
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  if (Notification.permission !== "default") return Notification.permission;
+  try {
+    return await Notification.requestPermission();
+  } catch {
+    return "denied";
+  }
+}
+
+async function showNotification(title, options) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  try {
+    // Mobile Chrome only allows notifications through a service worker registration
+    const reg = await navigator.serviceWorker?.getRegistration();
+    if (reg) await reg.showNotification(title, options);
+    else new Notification(title, options);
+  } catch {
+    // Notification blocked or unsupported in this context; sound/vibration still went out
+  }
+}
+
+export function deliverAlert(type, { quiet = false, ruleLabel = "5-1-1", i18n = EN } = {}) {
+  const alert = ALERT_TYPES[type];
+  showNotification(i18n.t(`alerts.${type}.title`), {
+    body: i18n.t(`alerts.${type}.body`, { rule: ruleLabel }),
+    tag: `contraction-clock-${type}`,
+    silent: quiet,
+    renotify: true,
+  });
+  if (quiet) return;
+  chime(alert.severity);
+  buzz(alert.severity);
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import { detectAlerts, LONG_CONTRACTION_MS } from "./alerts";
+
+const MIN = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1, 20, 0, 0);
+
+const idle = {
+  ruleMet: false, streakStart: null, streakCount: 0,
+  activeStart: null, activeElapsed: 0, lastId: null, lastInterval: null, count: 0,
+};
+
+describe("detectAlerts", () => {
+  it("fires nothing without a previous snapshot", () => {
+    expect(detectAlerts(null, { ...idle, ruleMet: true })).toEqual([]);
+  });
+
+  it("fires ruleMet only on the transition", () => {
+    const met = { ...idle, ruleMet: true };
+    expect(detectAlerts(idle, met)).toEqual(["ruleMet"]);
+    expect(detectAlerts(met, met)).toEqual([]);
+  });
+
+  it("fires streakBroken when a new contraction ends a running streak", () => {
+    const before = { ...idle, streakStart: T0, streakCount: 4, lastId: 4, lastInterval: 5 * MIN, count: 4 };
+    const broken = { ...before, streakStart: null, streakCount: 0, lastId: 5, lastInterval: 8 * MIN, count: 5 };
+    const extended = { ...before, streakCount: 5, lastId: 5, count: 5 };
+    expect(detectAlerts(before, broken)).toEqual(["streakBroken"]);
+    expect(detectAlerts(before, extended)).toEqual([]);
+  });
+
+  it("fires longContraction once per contraction", () => {
+    const running = { ...idle, activeStart: T0, activeElapsed: LONG_CONTRACTION_MS - 100 };
+    const long = { ...running, activeElapsed: LONG_CONTRACTION_MS };
+    const longer = { ...running, activeElapsed: LONG_CONTRACTION_MS + 100 };
+    expect(detectAlerts(running, long)).toEqual(["longContraction"]);
+    expect(detectAlerts(long, longer)).toEqual([]);
+  });
+
+  it("fires closeTogether for a new contraction under two minutes after the last", () => {
+    const before = { ...idle, lastId: 1, count: 1 };
+    expect(detectAlerts(before, { ...before, lastId: 2, lastInterval: 90 * 1000, count: 2 })).toEqual(["closeTogether"]);
+    expect(detectAlerts(before, { ...before, lastId: 2, lastInterval: 3 * MIN, count: 2 })).toEqual([]);
+  });
+
+  it("fires nothing when the last contraction is deleted", () => {
+    // Three in a streak, the last two 90 s apart; deleting #3 leaves #2 as the newest
+    const before = { ...idle, streakStart: T0, streakCount: 3, lastId: 3, lastInterval: 5 * MIN, count: 3 };
+    const deleted = { ...before, streakStart: null, streakCount: 0, lastId: 2, lastInterval: 90 * 1000, count: 2 };
+    expect(detectAlerts(before, deleted)).toEqual([]);
+  });
+});
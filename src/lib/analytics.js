@@ -0,0 +1,164 @@
+// ------------------------------ ANALYTICS -------------------------------- //
+//
+// Pure functions over a start-sorted contractions array. Nothing here reads the
+// clock: callers pass `now` so results are repeatable (and testable).
+
+import { DEFAULT_RULE } from "./rules";
+
+const MIN = 60 * 1000;
+
+// Which contractions the Frequency / Duration averages look at: the whole session,
+// the last `size` contractions, or those that started in the last `size` minutes.
+export const DEFAULT_WINDOW = { mode: "minutes", size: 60 };
+export const WINDOW_MODES = ["all", "count", "minutes"];
+
+// Relative change across the window below which a trend is reported as "stable"
+const TREND_TOLERANCE = 0.1;
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Start-to-start gaps between consecutive contractions
+export function intervals(contractions) {
+  return contractions.slice(1).map((c, i) => c.start - contractions[i].start);
+}
+
+export function averageInterval(contractions) {
+  return mean(intervals(contractions));
+}
+
+export function averageDuration(contractions) {
+  return mean(contractions.map(c => c.duration));
+}
+
+export function isValidWindow(rolling) {
+  return !!rolling && WINDOW_MODES.includes(rolling.mode)
+    && (rolling.mode === "all" || (Number.isInteger(rolling.size) && rolling.size >= 2 && rolling.size <= 600));
+}
+
+export function applyWindow(contractions, rolling = DEFAULT_WINDOW, now) {
+  if (rolling.mode === "count") return contractions.slice(-rolling.size);
+  if (rolling.mode === "minutes") return contractions.filter(c => c.start >= now - rolling.size * MIN);
+  return contractions;
+}
+
+// Per-metric time series for trends and sparklines: [{ t, v }] with t the contraction start.
+// Intervals are attributed to the later contraction of each pair.
+export function metricSeries(contractions) {
+  return {
+    interval: contractions.slice(1).map((c, i) => ({ t: c.start, v: c.start - contractions[i].start })),
+    duration: contractions.map(c => ({ t: c.start, v: c.duration })),
+    intensity: contractions.map(c => ({ t: c.start, v: c.intensity })),
+  };
+}
+
+// Least-squares slope over time, expressed as the change it implies across the window
+// relative to the mean. "increasing" / "decreasing" / "stable", or null with < 3 points.
+export function trendOf(points, tolerance = TREND_TOLERANCE) {
+  if (points.length < 3) return null;
+  const n = points.length;
+  const meanT = points.reduce((a, p) => a + p.t, 0) / n;
+  const meanV = points.reduce((a, p) => a + p.v, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (const p of points) {
+    num += (p.t - meanT) * (p.v - meanV);
+    den += (p.t - meanT) ** 2;
+  }
+  if (den === 0 || meanV === 0) return "stable";
+  const change = (num / den) * (points[n - 1].t - points[0].t) / Math.abs(meanV);
+  if (change > tolerance) return "increasing";
+  if (change < -tolerance) return "decreasing";
+  return "stable";
+}
+
+// Every maximal run of consecutive contractions where each lasts >= minDuration and each
+// start-to-start interval is <= maxInterval. A single qualifying contraction is a run of one.
+// Returns [{ first, last, start, end, count }] with first/last as indices into `contractions`.
+export function findStreaks(contractions, rule = DEFAULT_RULE) {
+  const streaks = [];
+  let first = null;
+  contractions.forEach((c, i) => {
+    const qualifies = c.duration >= rule.minDuration;
+    const linked = first !== null && c.start - contractions[i - 1].start <= rule.maxInterval;
+    if (qualifies && linked) return;
+    if (first !== null) streaks.push(closeStreak(contractions, first, i - 1));
+    first = qualifies ? i : null;
+  });
+  if (first !== null) streaks.push(closeStreak(contractions, first, contractions.length - 1));
+  return streaks;
+}
+
+function closeStreak(contractions, first, last) {
+  return {
+    first, last,
+    start: contractions[first].start,
+    end: contractions[last].end,
+    count: last - first + 1,
+  };
+}
+
+// The unbroken qualifying run that ends with the most recent contraction, or null if the
+// most recent contraction doesn't qualify itself.
+export function currentStreak(contractions, rule = DEFAULT_RULE) {
+  const last = findStreaks(contractions, rule).at(-1);
+  return last && last.last === contractions.length - 1 ? last : null;
+}
+
+export function longestStreak(contractions, rule = DEFAULT_RULE) {
+  return findStreaks(contractions, rule)
+    .reduce((best, s) => (!best || s.end - s.start > best.end - best.start ? s : best), null);
+}
+
+// When the rule was first satisfied in a finished session: the moment the earliest run
+// had both a second contraction and `sustain` behind it, while still unbroken.
+// Null if it never was.
+export function firstRuleMetAt(contractions, rule = DEFAULT_RULE) {
+  for (const s of findStreaks(contractions, rule)) {
+    if (s.count < 2) continue;
+    const metAt = Math.max(s.start + rule.sustain, contractions[s.first + 1].start);
+    if (metAt <= s.end) return metAt;
+  }
+  return null;
+}
+
+// Everything the rule card and stats need, in one pass.
+//
+// Averages and trends cover the `rolling` window; the streak always looks at the whole
+// session. The current streak is measured up to `now`, so it keeps ticking while a
+// contraction is being timed (the active one only joins the streak once it's stopped and
+// recorded). The verdict needs at least two contractions in the streak since "apart"
+// needs a gap, which matters for custom rules with no sustain time.
+export function analyzeContractions({ contractions, now, rule = DEFAULT_RULE, rolling = { mode: "all" } }) {
+  const streak = currentStreak(contractions, rule);
+  const streakDuration = streak ? now - streak.start : 0;
+  const windowed = applyWindow(contractions, rolling, now);
+  const avgInterval = averageInterval(windowed);
+  const avgDuration = averageDuration(windowed);
+  const series = metricSeries(windowed);
+
+  const frequencyMet = avgInterval !== null && avgInterval <= rule.maxInterval;
+  const durationMet = avgDuration !== null && avgDuration >= rule.minDuration;
+  const sustainMet = streak !== null && streakDuration >= rule.sustain;
+
+  return {
+    windowed,
+    avgInterval,
+    avgDuration,
+    series,
+    trends: {
+      interval: trendOf(series.interval),
+      duration: trendOf(series.duration),
+      intensity: trendOf(series.intensity),
+    },
+    streak: streak && { ...streak, duration: streakDuration },
+    streakContractions: streak ? contractions.slice(streak.first) : [],
+    verdict: {
+      frequencyMet,
+      durationMet,
+      sustainMet,
+      ruleMet: sustainMet && streak.count >= 2,
+    },
+  };
+}
@@ -0,0 +1,231 @@
+import { describe, it, expect } from "vitest";
+import {
+  intervals, averageInterval, averageDuration, applyWindow, isValidWindow, trendOf,
+  findStreaks, currentStreak, longestStreak, firstRuleMetAt, analyzeContractions,
+} from "./analytics";
+import { DEFAULT_RULE, RULE_PRESETS } from "./rules";
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+const HOUR = 60 * MIN;
+const T0 = Date.UTC(2026, 0, 1, 20, 0, 0);
+
+// Builds a start-sorted session from [startOffsetMs, durationMs] pairs relative to T0
+function session(...pairs) {
+  return pairs.map(([offset, duration], i) => ({
+    id: i + 1, start: T0 + offset, end: T0 + offset + duration, duration, intensity: 0.5,
+  }));
+}
+
+// `count` contractions every `every` ms, each lasting `duration`, starting at `offset`
+function regular(count, every, duration, offset = 0) {
+  return session(...Array.from({ length: count }, (_, i) => [offset + i * every, duration]));
+}
+
+describe("averages", () => {
+  it("returns null for an empty session", () => {
+    expect(averageInterval([])).toBeNull();
+    expect(averageDuration([])).toBeNull();
+  });
+
+  it("has a duration but no interval for a single contraction", () => {
+    const list = session([0, 70 * SEC]);
+    expect(intervals(list)).toEqual([]);
+    expect(averageInterval(list)).toBeNull();
+    expect(averageDuration(list)).toBe(70 * SEC);
+  });
+
+  it("averages start-to-start intervals and durations", () => {
+    const list = session([0, 40 * SEC], [4 * MIN, 60 * SEC], [10 * MIN, 80 * SEC]);
+    expect(intervals(list)).toEqual([4 * MIN, 6 * MIN]);
+    expect(averageInterval(list)).toBe(5 * MIN);
+    expect(averageDuration(list)).toBe(60 * SEC);
+  });
+});
+
+describe("findStreaks", () => {
+  it("treats a single qualifying contraction as a run of one", () => {
+    expect(findStreaks(session([0, MIN]))).toEqual([
+      { first: 0, last: 0, start: T0, end: T0 + MIN, count: 1 },
+    ]);
+  });
+
+  it("ignores contractions that are too short", () => {
+    expect(findStreaks(session([0, 59 * SEC]))).toEqual([]);
+  });
+
+  it("splits runs at a long gap and at a short contraction", () => {
+    const list = session(
+      [0, MIN], [5 * MIN, MIN],          // run 1
+      [11 * MIN, MIN],                   // gap of 6 min breaks it: run 2
+      [15 * MIN, 30 * SEC],              // too short: no run
+      [19 * MIN, MIN], [23 * MIN, MIN],  // run 3
+    );
+    expect(findStreaks(list).map(s => [s.first, s.last])).toEqual([[0, 1], [2, 2], [4, 5]]);
+  });
+
+  it("counts values exactly at the thresholds as qualifying", () => {
+    const list = regular(3, 5 * MIN, MIN);
+    expect(findStreaks(list)).toHaveLength(1);
+    expect(findStreaks(list)[0].count).toBe(3);
+  });
+
+  it("follows the rule it is given", () => {
+    const list = regular(3, 5 * MIN, MIN);
+    const fourOneOne = RULE_PRESETS.find(r => r.id === "4-1-1");
+    expect(findStreaks(list, fourOneOne)).toHaveLength(3);
+  });
+});
+
+describe("currentStreak", () => {
+  it("is null when there are no contractions", () => {
+    expect(currentStreak([])).toBeNull();
+  });
+
+  it("is null when the latest contraction breaks the streak", () => {
+    const list = [...regular(4, 4 * MIN, MIN), ...session([16 * MIN, 30 * SEC])];
+    expect(currentStreak(list)).toBeNull();
+  });
+
+  it("starts over after a broken streak", () => {
+    const list = [...regular(4, 4 * MIN, MIN), ...regular(3, 4 * MIN, MIN, 30 * MIN)];
+    expect(currentStreak(list)).toMatchObject({ first: 4, last: 6, count: 3, start: T0 + 30 * MIN });
+  });
+});
+
+describe("longestStreak and firstRuleMetAt", () => {
+  it("finds the longest run by elapsed time", () => {
+    const list = [...regular(3, 5 * MIN, MIN), ...regular(5, 5 * MIN, MIN, 40 * MIN)];
+    expect(longestStreak(list)).toMatchObject({ first: 3, count: 5 });
+  });
+
+  it("is null when the rule was never met", () => {
+    expect(firstRuleMetAt(regular(10, 5 * MIN, MIN))).toBeNull();
+  });
+
+  it("reports the moment a run reached the sustain time", () => {
+    const list = [...regular(2, 10 * MIN, MIN), ...regular(14, 5 * MIN, MIN, 30 * MIN)];
+    expect(firstRuleMetAt(list)).toBe(T0 + 30 * MIN + HOUR);
+  });
+
+  it("waits for a second contraction when sustain is zero", () => {
+    const rule = { id: "custom", maxInterval: 7 * MIN, minDuration: 0, sustain: 0 };
+    expect(firstRuleMetAt(session([0, 40 * SEC]), rule)).toBeNull();
+    expect(firstRuleMetAt(session([0, 40 * SEC], [6 * MIN, 40 * SEC]), rule)).toBe(T0 + 6 * MIN);
+  });
+});
+
+describe("analyzeContractions", () => {
+  it("handles an empty session", () => {
+    const result = analyzeContractions({ contractions: [], now: T0 });
+    expect(result.streak).toBeNull();
+    expect(result.streakContractions).toEqual([]);
+    expect(result.verdict).toEqual({ frequencyMet: false, durationMet: false, sustainMet: false, ruleMet: false });
+  });
+
+  it("never meets the rule with a single contraction, however long ago it started", () => {
+    const list = session([0, 90 * SEC]);
+    const result = analyzeContractions({ contractions: list, now: T0 + 2 * HOUR });
+    expect(result.streak.count).toBe(1);
+    expect(result.verdict.sustainMet).toBe(true);
+    expect(result.verdict.ruleMet).toBe(false);
+  });
+
+  it("meets 5-1-1 exactly at one hour and not a millisecond before", () => {
+    const list = regular(13, 5 * MIN, MIN);
+    const before = analyzeContractions({ contractions: list, now: T0 + HOUR - 1 });
+    const at = analyzeContractions({ contractions: list, now: T0 + HOUR });
+    expect(before.verdict.ruleMet).toBe(false);
+    expect(at.verdict.ruleMet).toBe(true);
+    expect(at.verdict).toMatchObject({ frequencyMet: true, durationMet: true });
+    expect(at.streakContractions).toHaveLength(13);
+  });
+
+  it("does not meet the rule just over the interval threshold", () => {
+    const list = regular(14, 5 * MIN + 1, MIN);
+    const result = analyzeContractions({ contractions: list, now: T0 + 2 * HOUR });
+    expect(result.verdict.frequencyMet).toBe(false);
+    expect(result.streak.count).toBe(1);
+    expect(result.verdict.ruleMet).toBe(false);
+  });
+
+  it("loses the verdict when the latest contraction breaks the streak", () => {
+    const list = [...regular(13, 5 * MIN, MIN), ...session([65 * MIN, 20 * SEC])];
+    const result = analyzeContractions({ contractions: list, now: T0 + 66 * MIN });
+    expect(result.streak).toBeNull();
+    expect(result.verdict.ruleMet).toBe(false);
+  });
+
+  it("keeps the streak ticking while a contraction is being timed", () => {
+    const list = regular(12, 5 * MIN, MIN);
+    // The 13th contraction started at 60 min and is still running: it isn't in the list yet
+    const mid = analyzeContractions({ contractions: list, now: T0 + 59 * MIN + 30 * SEC });
+    const later = analyzeContractions({ contractions: list, now: T0 + 60 * MIN + 30 * SEC });
+    expect(mid.streak.duration).toBe(59 * MIN + 30 * SEC);
+    expect(mid.verdict.ruleMet).toBe(false);
+    expect(later.streak.duration).toBe(60 * MIN + 30 * SEC);
+    expect(later.verdict.ruleMet).toBe(true);
+  });
+
+  it("uses the default 5-1-1 rule when none is given", () => {
+    const list = regular(13, 5 * MIN, MIN);
+    expect(analyzeContractions({ contractions: list, now: T0 + HOUR }))
+      .toEqual(analyzeContractions({ contractions: list, now: T0 + HOUR, rule: DEFAULT_RULE }));
+  });
+});
+
+describe("rolling window", () => {
+  // Two hours of sparse early labour, then the last 30 minutes 3 minutes apart
+  const list = [...regular(6, 20 * MIN, 40 * SEC), ...regular(10, 3 * MIN, 70 * SEC, 2 * HOUR)];
+  const now = T0 + 2 * HOUR + 30 * MIN;
+
+  it("keeps the last N contractions", () => {
+    expect(applyWindow(list, { mode: "count", size: 4 }, now)).toEqual(list.slice(-4));
+  });
+
+  it("keeps contractions that started in the last N minutes", () => {
+    expect(applyWindow(list, { mode: "minutes", size: 30 }, now)).toEqual(list.slice(-10));
+  });
+
+  it("keeps everything in whole-session mode", () => {
+    expect(applyWindow(list, { mode: "all" }, now)).toBe(list);
+  });
+
+  it("stops early sparse contractions hiding the recent frequency", () => {
+    const whole = analyzeContractions({ contractions: list, now });
+    const recent = analyzeContractions({ contractions: list, now, rolling: { mode: "minutes", size: 30 } });
+    expect(whole.avgInterval).toBeGreaterThan(5 * MIN);
+    expect(recent.avgInterval).toBe(3 * MIN);
+    expect(recent.verdict.frequencyMet).toBe(true);
+    expect(recent.verdict.durationMet).toBe(true);
+  });
+
+  it("validates window settings", () => {
+    expect(isValidWindow({ mode: "all" })).toBe(true);
+    expect(isValidWindow({ mode: "count", size: 6 })).toBe(true);
+    expect(isValidWindow({ mode: "count", size: 1 })).toBe(false);
+    expect(isValidWindow({ mode: "minutes", size: 7.5 })).toBe(false);
+    expect(isValidWindow({ mode: "weeks", size: 2 })).toBe(false);
+  });
+});
+
+describe("trendOf", () => {
+  const points = values => values.map((v, i) => ({ t: T0 + i * MIN, v }));
+
+  it("needs at least three points", () => {
+    expect(trendOf(points([1, 2]))).toBeNull();
+  });
+
+  it("detects increasing, decreasing and stable series", () => {
+    expect(trendOf(points([40, 50, 60, 70]))).toBe("increasing");
+    expect(trendOf(points([6, 5, 4, 3]))).toBe("decreasing");
+    expect(trendOf(points([60, 61, 59, 60]))).toBe("stable");
+  });
+
+  it("reports shrinking intervals as a decreasing interval trend", () => {
+    const list = [...regular(3, 8 * MIN, MIN), ...regular(4, 4 * MIN, MIN, 24 * MIN)];
+    const { trends } = analyzeContractions({ contractions: list, now: T0 + HOUR });
+    expect(trends.interval).toBe("decreasing");
+    expect(trends.duration).toBe("stable");
+  });
+});
@@ -0,0 +1,79 @@
+// ---------------------------- BREATHING GUIDE ---------------------------- //
+//
+// Paced breathing while a contraction is timed. A pattern is a cycle of steps
+// { cue, ms, to }: `cue` names the step ("in", "hold", "out", "hee", "hoo") and `to` is
+// how full the pacing ring is at its end (0 empty, 1 full), moving there from the
+// previous step's level. Everything is worked out from the time since the contraction
+// started, so the guide stays with the clock however often the screen is redrawn.
+
+export const BREATHING_PATTERNS = {
+  // Longer out-breaths than in-breaths, to slow down and relax
+  slow: [
+    { cue: "in", ms: 4000, to: 1 },
+    { cue: "out", ms: 6000, to: 0 },
+  ],
+  box: [
+    { cue: "in", ms: 4000, to: 1 },
+    { cue: "hold", ms: 4000, to: 1 },
+    { cue: "out", ms: 4000, to: 0 },
+    { cue: "hold", ms: 4000, to: 0 },
+  ],
+  // Patterned breathing for the peak: a breath in, two short puffs out and a long blow
+  heeHeeHoo: [
+    { cue: "in", ms: 1500, to: 1 },
+    { cue: "hee", ms: 600, to: 0.7 },
+    { cue: "hee", ms: 600, to: 0.4 },
+    { cue: "hoo", ms: 1800, to: 0 },
+  ],
+};
+
+export const DEFAULT_PATTERN = "slow";
+
+// What each step sounds and feels like when cues are on: a tone (Hz, seconds) and a
+// vibration pattern. Holds stay silent so they read as a pause.
+export const CUES = {
+  in: { tone: 523, length: 0.35, vibrate: [80] },
+  out: { tone: 392, length: 0.5, vibrate: [60, 80, 60] },
+  hold: null,
+  hee: { tone: 659, length: 0.12, vibrate: [40] },
+  hoo: { tone: 440, length: 0.6, vibrate: [200] },
+};
+
+// { enabled, pattern, sound, vibrate }
+export const DEFAULT_BREATHING = { enabled: false, pattern: DEFAULT_PATTERN, sound: false, vibrate: false };
+
+export function resolveBreathing(saved) {
+  return {
+    enabled: saved?.enabled === true,
+    pattern: Object.hasOwn(BREATHING_PATTERNS, saved?.pattern) ? saved.pattern : DEFAULT_PATTERN,
+    sound: saved?.sound === true,
+    vibrate: saved?.vibrate === true,
+  };
+}
+
+export function cycleLength(pattern) {
+  return BREATHING_PATTERNS[pattern].reduce((sum, step) => sum + step.ms, 0);
+}
+
+// Where the guide is `elapsed` ms into a contraction: { step, index, n, progress, level }.
+// `index` is the step's place in the cycle and `n` counts steps since the start, so a
+// new step can be told from a repeat of the same one. `level` is the ring's fullness.
+export function breathingPhase(pattern, elapsed) {
+  const steps = BREATHING_PATTERNS[pattern];
+  const cycle = cycleLength(pattern);
+  const t = Math.max(0, elapsed);
+  const cycles = Math.floor(t / cycle);
+  let offset = t - cycles * cycle;
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    if (offset < step.ms || index === steps.length - 1) {
+      const progress = Math.min(1, offset / step.ms);
+      const from = steps[(index + steps.length - 1) % steps.length].to;
+      // Eased, so the ring slows into each turn like a breath does
+      const eased = (1 - Math.cos(Math.PI * progress)) / 2;
+      return { step, index, n: cycles * steps.length + index, progress, level: from + (step.to - from) * eased };
+    }
+    offset -= step.ms;
+  }
+  return null;
+}
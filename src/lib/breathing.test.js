@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { BREATHING_PATTERNS, CUES, breathingPhase, cycleLength, resolveBreathing } from "./breathing";
+
+describe("breathing patterns", () => {
+  it("have a cue for every step and come back to where they started", () => {
+    for (const steps of Object.values(BREATHING_PATTERNS)) {
+      for (const step of steps) expect(step.cue in CUES).toBe(true);
+      expect(steps[steps.length - 1].to).toBe(0);
+    }
+  });
+
+  it("pace slow breathing 4 s in and 6 s out", () => {
+    expect(cycleLength("slow")).toBe(10000);
+    expect(breathingPhase("slow", 0).step.cue).toBe("in");
+    expect(breathingPhase("slow", 3999).step.cue).toBe("in");
+    expect(breathingPhase("slow", 4000).step.cue).toBe("out");
+    expect(breathingPhase("slow", 9999).step.cue).toBe("out");
+    expect(breathingPhase("slow", 10000).step.cue).toBe("in");
+  });
+
+  it("lead hee-hee-hoo with a breath in", () => {
+    expect(BREATHING_PATTERNS.heeHeeHoo.map(step => step.cue)).toEqual(["in", "hee", "hee", "hoo"]);
+    expect(breathingPhase("heeHeeHoo", 1800)).toMatchObject({ index: 1, step: { cue: "hee" } });
+    expect(breathingPhase("heeHeeHoo", 2400)).toMatchObject({ index: 2, step: { cue: "hee" } });
+  });
+});
+
+describe("breathingPhase", () => {
+  it("fills the ring on the way in and empties it on the way out", () => {
+    expect(breathingPhase("slow", 0).level).toBe(0);
+    expect(breathingPhase("slow", 2000).level).toBeCloseTo(0.5);
+    expect(breathingPhase("slow", 4000).level).toBe(1);
+    expect(breathingPhase("slow", 7000).level).toBeCloseTo(0.5);
+    // Held breaths stay put
+    expect(breathingPhase("box", 6000).level).toBe(1);
+    expect(breathingPhase("box", 14000).level).toBe(0);
+  });
+
+  it("counts steps from the start so repeats read as new steps", () => {
+    expect(breathingPhase("box", 2000).n).toBe(0);
+    expect(breathingPhase("box", 13000).n).toBe(3);
+    expect(breathingPhase("box", 17000)).toMatchObject({ index: 0, n: 4 });
+  });
+
+  it("depends only on the time elapsed", () => {
+    const later = breathingPhase("slow", 61000);
+    const first = breathingPhase("slow", 1000);
+    expect(later.step).toBe(first.step);
+    expect(later.level).toBeCloseTo(first.level);
+    expect(breathingPhase("slow", -500).step.cue).toBe("in");
+  });
+});
+
+describe("resolveBreathing", () => {
+  it("falls back to the guide off with slow breathing", () => {
+    expect(resolveBreathing(undefined)).toEqual({ enabled: false, pattern: "slow", sound: false, vibrate: false });
+    expect(resolveBreathing({ enabled: true, pattern: "constructor" }).pattern).toBe("slow");
+    expect(resolveBreathing({ enabled: true, pattern: "panting", sound: true })).toEqual({
+      enabled: true, pattern: "slow", sound: true, vibrate: false,
+    });
+  });
+});
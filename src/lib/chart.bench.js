@@ -0,0 +1,31 @@
+import { bench, describe } from "vitest";
+import { longLabour } from "./fixtures/longLabour";
+import { layoutFinished, buildSegments, clockTicks, buildBellPath, pxPerSecFor } from "./chart";
+
+// What the live chart does on each 100 ms tick of a 1,200-contraction session while a
+// contraction is being timed: with the recorded part cached (what the app does) and,
+// for comparison, laying everything out again.
+const contractions = longLabour();
+const last = contractions.at(-1);
+const active = { start: last.end + 3 * 60 * 1000, now: last.end + 3 * 60 * 1000 + 20 * 1000, intensity: 0.6 };
+
+for (const zoom of ["15m", "all"]) {
+  const pxPerSec = pxPerSecFor(zoom, 800, active.now - contractions[0].start);
+  const finished = layoutFinished(contractions, { pxPerSec });
+
+  describe(`clock tick, ${contractions.length} contractions, zoom ${zoom}`, () => {
+    bench("cached layout: live tail, clock ticks and the active bell", () => {
+      const { segments, live } = buildSegments(contractions, { pxPerSec, finished, active });
+      clockTicks(segments, pxPerSec);
+      for (const seg of live) if (seg.type === "bell") buildBellPath(seg.x, seg.widthPx, seg.intensity);
+    });
+
+    bench("full layout: every segment and every bell path", () => {
+      const { segments } = buildSegments(contractions, { pxPerSec, active });
+      clockTicks(segments, pxPerSec);
+      for (const seg of segments) {
+        if (seg.type === "bell") buildBellPath(seg.x, seg.widthPx, seg.active ? seg.intensity : seg.c.intensity);
+      }
+    });
+  });
+}
@@ -0,0 +1,262 @@
+// --------------------------- TIMELINE GEOMETRY --------------------------- //
+//
+// Shared by the live chart and the printable report. The timeline is a strip of
+// "flat" (rest) and "bell" (contraction) segments laid out left to right. Each
+// segment records the stretch of time it covers (t0..t1), so clock times can be
+// mapped to x even when short rests and bells are widened to stay legible.
+//
+// Long sessions can hold a thousand or more contractions, so the finished part of the
+// timeline is laid out once (layoutFinished) and only the live tail -- the bell being
+// timed, the trailing rest and the projection -- is rebuilt on every clock tick.
+
+export const Y_AXIS_W = 44;
+export const X_LABEL_H = 22;
+export const CHART_H = 220;
+export const PLOT_H = CHART_H - X_LABEL_H;
+export const PEAK_PAD = 16;
+export const PX_PER_SEC = 4;
+export const MIN_REST_PX = 32;
+export const LEAD_PX = 24;
+// The chart isn't to scale, so a predicted rule-met window is drawn as a fixed-width zone
+export const PROJECTION_PX = 150;
+export const Y_TICKS = [0, 2, 4, 6, 8, 10];
+// Clock labels under the live chart
+export const TIME_AXIS_H = 16;
+// In true-scale mode nothing is widened beyond what its duration gives
+export const TRUE_SCALE = { minRestPx: 0, minBellPx: 2 };
+
+const MIN = 60 * 1000;
+
+// How much time the chart width shows; "all" fits the whole session. Labelled chart.zoom.<id>.
+export const ZOOM_PRESETS = [
+  { id: "15m", ms: 15 * MIN },
+  { id: "1h", ms: 60 * MIN },
+  { id: "all", ms: null },
+];
+export const DEFAULT_ZOOM = "15m";
+
+// Candidate spacings for clock ticks; the first that leaves enough room between labels wins
+const TICK_STEPS = [1, 2, 5, 10, 15, 30, 60, 120, 180, 360].map(m => m * MIN);
+const MIN_TICK_GAP_PX = 64;
+
+export function gauss(x) {
+  const sigma = 0.15;
+  const raw = Math.exp(-((x - 0.5) ** 2) / (2 * sigma ** 2));
+  const floor = Math.exp(-(0.5 ** 2) / (2 * sigma ** 2));
+  return Math.max(0, (raw - floor) / (1 - floor));
+}
+
+// Points per bell: enough for a smooth curve at any width, without 80 points for a
+// bell that is only a few pixels wide when zoomed out over a whole session
+function bellSteps(widthPx) {
+  return Math.max(8, Math.min(80, Math.ceil(widthPx / 2)));
+}
+
+export function buildBellPath(x0, widthPx, intensity, progress = 1, plotH = PLOT_H) {
+  const steps = bellSteps(widthPx);
+  const maxStep = Math.floor(steps * Math.min(progress, 1));
+  const pts = [];
+  for (let i = 0; i <= maxStep; i++) {
+    const t = i / steps;
+    const px = x0 + t * widthPx;
+    const amp = gauss(t) * intensity;
+    const py = plotH - amp * (plotH - PEAK_PAD);
+    pts.push(`${px.toFixed(1)},${py.toFixed(1)}`);
+  }
+  if (pts.length < 2) return { stroke: "", fill: "" };
+  const stroke = "M" + pts.join("L");
+  const lastX = (x0 + Math.min(progress, 1) * widthPx).toFixed(1);
+  const fill = stroke + ` L${lastX},${plotH} L${x0.toFixed(1)},${plotH} Z`;
+  return { stroke, fill };
+}
+
+export function tickY(tick, plotH = PLOT_H) {
+  return plotH - (tick / 10) * (plotH - PEAK_PAD);
+}
+
+// Scale that fits the zoom preset's span of time into `plotWidth`. `spanMs` is the
+// session's own length, used by "all"; it's rounded up to the minute so a running
+// contraction only changes the scale (and forces a full re-layout) once a minute.
+export function pxPerSecFor(zoomId, plotWidth, spanMs) {
+  const preset = ZOOM_PRESETS.find(z => z.id === zoomId) ?? ZOOM_PRESETS[0];
+  const ms = preset.ms ?? Math.max(Math.ceil(spanMs / MIN) * MIN, MIN);
+  return Math.max(plotWidth, 100) / (ms / 1000);
+}
+
+// Next/previous preset, clamped at either end; `step` +1 zooms out, -1 zooms in
+export function stepZoom(zoomId, step) {
+  const i = ZOOM_PRESETS.findIndex(z => z.id === zoomId);
+  const next = Math.min(ZOOM_PRESETS.length - 1, Math.max(0, (i < 0 ? 0 : i) + step));
+  return ZOOM_PRESETS[next].id;
+}
+
+// Identifies a bell across re-layouts (the chart rebuilds segments every tick)
+export function bellKey(seg) {
+  return seg.active ? "active" : seg.c.id;
+}
+
+// x for a timestamp, interpolating within whichever segment covers it; null if none does
+export function timeToX(segments, t) {
+  const seg = segments.find(s => s.t1 > s.t0 && t >= s.t0 && t <= s.t1);
+  return seg ? seg.x + ((t - seg.t0) / (seg.t1 - seg.t0)) * seg.widthPx : null;
+}
+
+// Where to mark each event ({ event, x }). Events before the first contraction or after
+// the last are pinned to that end of the chart, so nothing logged goes unmarked.
+export function eventMarkers(segments, events) {
+  const timed = segments.filter(s => s.t1 > s.t0);
+  if (!timed.length) return [];
+  const first = timed[0];
+  const last = timed.at(-1);
+  return events.map(event => ({
+    event,
+    x: event.at <= first.t0 ? first.x
+      : event.at >= last.t1 ? last.x + last.widthPx
+        : timeToX(timed, event.at),
+  }));
+}
+
+// Local-clock tick marks ({ t, x }) every round number of minutes. Where rests were
+// widened or squeezed, ticks that would crowd the previous one are skipped.
+export function clockTicks(segments, pxPerSec) {
+  const timed = segments.filter(s => s.t1 > s.t0);
+  if (!timed.length) return [];
+  const stepMs = TICK_STEPS.find(step => (step / 1000) * pxPerSec >= MIN_TICK_GAP_PX) ?? TICK_STEPS.at(-1);
+  const from = timed[0].t0;
+  const to = timed.at(-1).t1;
+  // Align to the local clock, so hour ticks land on the hour in any timezone
+  const offset = -new Date(from).getTimezoneOffset() * MIN;
+  const ticks = [];
+  // Ticks and segments are both in time order, so walk them together rather than
+  // searching every segment for every tick
+  let i = 0;
+  for (let t = Math.ceil((from + offset) / stepMs) * stepMs - offset; t <= to; t += stepMs) {
+    while (i < timed.length - 1 && timed[i].t1 < t) i++;
+    const seg = timed[i];
+    if (t < seg.t0) continue;
+    const x = seg.x + ((t - seg.t0) / (seg.t1 - seg.t0)) * seg.widthPx;
+    if (!ticks.length || x - ticks.at(-1).x >= MIN_TICK_GAP_PX) ticks.push({ t, x });
+  }
+  return ticks;
+}
+
+// Lays out the recorded contractions: the lead-in, then rests and bells. None of it
+// changes while a contraction is being timed, so callers can cache it between ticks.
+// Returns { segments, end } with `end` the x where the last bell stops.
+export function layoutFinished(contractions, { pxPerSec = PX_PER_SEC, minRestPx = MIN_REST_PX, minBellPx = 8 } = {}) {
+  const secPx = ms => (ms / 1000) * pxPerSec;
+  const segments = [];
+  let cursor = Y_AXIS_W + 8;
+  if (!contractions.length) return { segments, end: cursor };
+
+  const firstT = contractions[0].start;
+  segments.push({ type: "flat", x: cursor - LEAD_PX, widthPx: LEAD_PX, t0: firstT, t1: firstT });
+
+  contractions.forEach((c, i) => {
+    if (i > 0) {
+      const prev = contractions[i - 1];
+      const restMs = c.start - prev.end;
+      const restPx = Math.max(minRestPx, secPx(restMs));
+      segments.push({ type: "flat", x: cursor, widthPx: restPx, rest: restMs, t0: prev.end, t1: c.start });
+      cursor += restPx;
+    }
+    const bellPx = Math.max(minBellPx, secPx(c.duration));
+    segments.push({ type: "bell", x: cursor, widthPx: bellPx, c, index: i, t0: c.start, t1: c.end });
+    cursor += bellPx;
+  });
+  return { segments, end: cursor };
+}
+
+// Lays out the session as segments. `active` ({ start, now, intensity }) appends the
+// contraction currently being timed; `projection` (an "estimate" from predictRuleMet)
+// appends a shaded zone for when the rule is likely to be met. `finished` is a cached
+// layoutFinished result for the same contractions and scale. Returns { segments, width, live }
+// where `live` is the part after the finished layout.
+export function buildSegments(contractions, {
+  pxPerSec = PX_PER_SEC, minRestPx = MIN_REST_PX, minBellPx = 8, active = null, projection = null,
+  finished = layoutFinished(contractions, { pxPerSec, minRestPx, minBellPx }),
+} = {}) {
+  const secPx = ms => (ms / 1000) * pxPerSec;
+  const live = [];
+  let cursor = finished.end;
+
+  if (!contractions.length) {
+    const firstT = active?.start ?? null;
+    live.push({ type: "flat", x: cursor - LEAD_PX, widthPx: LEAD_PX, t0: firstT, t1: firstT });
+  }
+
+  if (active) {
+    const elapsedMs = active.now - active.start;
+    if (contractions.length > 0) {
+      const prevEnd = contractions[contractions.length - 1].end;
+      const restPx = Math.max(minRestPx, secPx(active.start - prevEnd));
+      live.push({ type: "flat", x: cursor, widthPx: restPx, t0: prevEnd, t1: active.start });
+      cursor += restPx;
+    }
+    const activePx = Math.max(minBellPx, secPx(elapsedMs));
+    live.push({
+      type: "bell", x: cursor, widthPx: activePx, active: true, progress: 1, intensity: active.intensity,
+      t0: active.start, t1: active.now,
+    });
+    cursor += activePx;
+  }
+
+  const lastT = active ? active.now : contractions.at(-1)?.end ?? null;
+  live.push({ type: "flat", x: cursor, widthPx: LEAD_PX, t0: lastT, t1: lastT });
+  cursor += LEAD_PX;
+
+  if (projection) {
+    live.push({ type: "projection", x: cursor, widthPx: PROJECTION_PX, projection });
+    cursor += PROJECTION_PX;
+  }
+
+  return { segments: [...finished.segments, ...live], width: cursor, live };
+}
+
+// ------------------------------ metric views ------------------------------ //
+//
+// Scatter/line plots of each contraction's interval or duration against clock time,
+// always to scale. The rule's threshold is a reference line and the side of it that
+// qualifies gets shaded.
+
+// Labelled chart.mode.<id>, with the Y axis titled chart.axis.<id>
+export const CHART_MODES = ["timeline", "interval", "duration"];
+
+const METRICS = {
+  interval: { unit: MIN, steps: [1, 2, 5, 10, 15, 30, 60], floor: 10 * MIN, threshold: rule => rule.maxInterval, qualifies: "below" },
+  duration: { unit: 1000, steps: [10, 15, 20, 30, 60], floor: 90 * 1000, threshold: rule => rule.minDuration, qualifies: "above" },
+};
+
+// `points`: [{ t, v, pending? }] from metricSeries (pending = still being timed).
+// `from` / `to`: the time range to lay out. Returns { dots, line, width, ticks, threshold, shade }
+// with ticks as [{ value, y, label }] for the grid and the Y-axis overlay.
+export function buildMetricPlot(points, { mode, rule, pxPerSec, from, to, plotH = PLOT_H }) {
+  const metric = METRICS[mode];
+  const x = t => Y_AXIS_W + 8 + ((t - from) / 1000) * pxPerSec;
+  const thresholdV = metric.threshold(rule);
+
+  // Top of the scale: room above the threshold and every point, rounded up to a whole tick
+  const top = Math.max(metric.floor, thresholdV * 1.5, ...points.map(p => p.v));
+  const step = metric.steps.find(s => top / (s * metric.unit) <= 5) ?? metric.steps.at(-1);
+  const maxV = Math.ceil(top / (step * metric.unit)) * step * metric.unit;
+  const y = v => plotH - (v / maxV) * (plotH - PEAK_PAD);
+
+  const ticks = [];
+  for (let v = 0; v <= maxV; v += step * metric.unit) ticks.push({ value: v, y: y(v), label: String(v / metric.unit) });
+
+  const dots = points.map(p => ({ ...p, x: x(p.t), y: y(p.v) }));
+  const settled = dots.filter(d => !d.pending);
+  const thresholdY = y(thresholdV);
+  return {
+    dots,
+    line: settled.length > 1 ? "M" + settled.map(d => `${d.x.toFixed(1)},${d.y.toFixed(1)}`).join("L") : "",
+    width: x(to) + LEAD_PX,
+    ticks,
+    threshold: { y: thresholdY, value: thresholdV },
+    shade: metric.qualifies === "below"
+      ? { y: thresholdY, height: plotH - thresholdY }
+      : { y: PEAK_PAD, height: thresholdY - PEAK_PAD },
+    // A single pseudo-segment so clockTicks can label the time axis
+    span: { x: x(from), widthPx: x(to) - x(from), t0: from, t1: to },
+  };
+}
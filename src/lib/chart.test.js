@@ -0,0 +1,140 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildSegments, layoutFinished, buildMetricPlot, timeToX, eventMarkers, clockTicks, pxPerSecFor, stepZoom,
+  TRUE_SCALE, MIN_REST_PX, PLOT_H, PEAK_PAD,
+} from "./chart";
+import { longLabour } from "./fixtures/longLabour";
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+// On the hour in any timezone with a whole- or half-hour offset
+const T0 = new Date(2026, 0, 1, 20, 0, 0).getTime();
+
+function contraction(id, offset, duration = MIN) {
+  return { id, start: T0 + offset, end: T0 + offset + duration, duration, intensity: 0.5 };
+}
+
+const list = [contraction(1, 0), contraction(2, 5 * MIN), contraction(3, 6 * MIN + 10 * SEC, 30 * SEC)];
+
+describe("buildSegments", () => {
+  it("records the time each segment covers", () => {
+    const { segments } = buildSegments(list);
+    const bells = segments.filter(s => s.type === "bell");
+    expect(bells.map(s => [s.t0, s.t1])).toEqual(list.map(c => [c.start, c.end]));
+    expect(bells.map(s => s.index)).toEqual([0, 1, 2]);
+  });
+
+  it("widens short rests unless drawing to true scale", () => {
+    const compact = buildSegments(list, { pxPerSec: 0.5 }).segments;
+    const exact = buildSegments(list, { pxPerSec: 0.5, ...TRUE_SCALE }).segments;
+    const rest = segs => segs.find(s => s.type === "flat" && s.t0 === list[1].end);
+    expect(rest(compact).widthPx).toBe(MIN_REST_PX);
+    expect(rest(exact).widthPx).toBe(5);
+  });
+});
+
+describe("layoutFinished", () => {
+  const long = longLabour();
+  const active = { start: long.at(-1).end + 2 * MIN, now: long.at(-1).end + 2 * MIN + 15 * SEC, intensity: 0.5 };
+
+  it("lets a tick reuse the recorded layout and rebuild only the live tail", () => {
+    const finished = layoutFinished(long, { pxPerSec: 1 });
+    const cached = buildSegments(long, { pxPerSec: 1, finished, active });
+    const full = buildSegments(long, { pxPerSec: 1, active });
+    expect(cached.width).toBe(full.width);
+    expect(cached.segments).toEqual(full.segments);
+    expect(cached.segments.slice(0, finished.segments.length).every((seg, i) => seg === finished.segments[i])).toBe(true);
+    expect(cached.live.map(s => s.type)).toEqual(["flat", "bell", "flat"]);
+  });
+
+  it("starts the lead-in at the active contraction when nothing is recorded yet", () => {
+    const { segments } = buildSegments([], { active: { start: T0, now: T0 + 5 * SEC, intensity: 0.5 } });
+    expect(segments.map(s => s.type)).toEqual(["flat", "bell", "flat"]);
+    expect(segments[0].t0).toBe(T0);
+  });
+});
+
+describe("timeToX", () => {
+  it("interpolates within a segment and is null outside the session", () => {
+    const { segments } = buildSegments(list, { pxPerSec: 1, ...TRUE_SCALE });
+    const first = segments.find(s => s.type === "bell");
+    expect(timeToX(segments, T0 + 30 * SEC)).toBe(first.x + 30);
+    expect(timeToX(segments, T0 - MIN)).toBeNull();
+  });
+});
+
+describe("eventMarkers", () => {
+  it("marks events at their time, pinning ones outside the session to its ends", () => {
+    const { segments } = buildSegments(list, { pxPerSec: 1, ...TRUE_SCALE });
+    const events = [T0 - MIN, T0 + 2 * MIN, T0 + 60 * MIN].map((at, id) => ({ id, at, type: "note", detail: "x" }));
+    const timed = segments.filter(s => s.t1 > s.t0);
+    expect(eventMarkers(segments, events).map(m => m.x)).toEqual([
+      timed[0].x, timeToX(segments, T0 + 2 * MIN), timed.at(-1).x + timed.at(-1).widthPx,
+    ]);
+    expect(eventMarkers(buildSegments([]).segments, events)).toEqual([]);
+  });
+});
+
+describe("clockTicks", () => {
+  it("places ticks on round clock times with room between labels", () => {
+    const { segments } = buildSegments(list, { pxPerSec: 1, ...TRUE_SCALE });
+    const ticks = clockTicks(segments, 1);
+    expect(ticks[0].t).toBe(T0);
+    expect(ticks.map(t => (t.t - T0) / MIN)).toEqual([0, 2, 4, 6]);
+    ticks.slice(1).forEach((t, i) => expect(t.x - ticks[i].x).toBeGreaterThanOrEqual(64));
+  });
+
+  it("has nothing to mark without contractions", () => {
+    expect(clockTicks(buildSegments([]).segments, 1)).toEqual([]);
+  });
+
+  it("agrees with timeToX across a long session", () => {
+    const { segments } = buildSegments(longLabour({ count: 300 }), { pxPerSec: 0.5 });
+    const ticks = clockTicks(segments, 0.5);
+    expect(ticks.length).toBeGreaterThan(100);
+    ticks.forEach(({ t, x }) => expect(x).toBeCloseTo(timeToX(segments, t)));
+  });
+});
+
+describe("zoom", () => {
+  it("fits each preset's span into the plot", () => {
+    expect(pxPerSecFor("15m", 900, 0)).toBe(1);
+    expect(pxPerSecFor("1h", 3600, 0)).toBe(1);
+    expect(pxPerSecFor("all", 600, 10 * MIN)).toBe(1);
+    // A running contraction only rescales "all" once a minute
+    expect(pxPerSecFor("all", 600, 9 * MIN + 1)).toBe(1);
+  });
+
+  it("steps between presets and stops at the ends", () => {
+    expect(stepZoom("15m", 1)).toBe("1h");
+    expect(stepZoom("1h", -1)).toBe("15m");
+    expect(stepZoom("15m", -1)).toBe("15m");
+    expect(stepZoom("all", 1)).toBe("all");
+  });
+});
+
+describe("buildMetricPlot", () => {
+  const rule = { maxInterval: 5 * MIN, minDuration: 60 * SEC };
+  const points = [{ t: T0 + 5 * MIN, v: 5 * MIN }, { t: T0 + 9 * MIN, v: 4 * MIN }, { t: T0 + 12 * MIN, v: 3 * MIN, pending: true }];
+
+  it("places intervals on a minute scale with the rule as threshold", () => {
+    const plot = buildMetricPlot(points, { mode: "interval", rule, pxPerSec: 1, from: T0, to: T0 + 12 * MIN });
+    expect(plot.ticks.map(t => t.label)).toEqual(["0", "2", "4", "6", "8", "10"]);
+    expect(plot.ticks[0].y).toBe(PLOT_H);
+    expect(plot.ticks.at(-1).y).toBe(PEAK_PAD);
+    expect(plot.threshold.y).toBeCloseTo((PLOT_H + PEAK_PAD) / 2);
+    // Shorter intervals qualify: the shaded band runs from the threshold down to zero
+    expect(plot.shade.y + plot.shade.height).toBe(PLOT_H);
+    expect(plot.dots[1].x - plot.dots[0].x).toBe(4 * 60);
+    // The pending point is drawn but not joined into the line
+    expect(plot.line.split("L")).toHaveLength(2);
+    expect(plot.span.widthPx).toBe(12 * 60);
+  });
+
+  it("shades above the threshold for durations", () => {
+    const plot = buildMetricPlot([{ t: T0, v: 45 * SEC }], { mode: "duration", rule, pxPerSec: 1, from: T0, to: T0 + 45 * SEC });
+    expect(plot.shade.y).toBe(PEAK_PAD);
+    expect(plot.shade.y + plot.shade.height).toBeCloseTo(plot.threshold.y);
+    expect(plot.ticks.at(-1).value).toBeGreaterThanOrEqual(90 * SEC);
+  });
+});
@@ -0,0 +1,41 @@
+// ------------------------------- CARE TEAM ------------------------------- //
+//
+// Up to one contact per role, saved with the settings as { [role]: { name, phone } }.
+// Numbers are stored as typed; links get a dialable copy.
+
+export const CONTACT_ROLES = ["provider", "hospital", "partner"];
+
+export function resolveContacts(saved) {
+  return Object.fromEntries(CONTACT_ROLES.map(role => {
+    const contact = saved?.[role];
+    return [role, {
+      name: typeof contact?.name === "string" ? contact.name : "",
+      phone: typeof contact?.phone === "string" ? contact.phone : "",
+    }];
+  }));
+}
+
+// Digits, with a leading + kept for international numbers; "" if there's nothing to dial.
+// "+44 (0)20 ..." marks the trunk 0 that's only dialled inside the country, so it goes.
+export function dialable(phone) {
+  const international = phone.trim().startsWith("+");
+  const digits = (international ? phone.replace(/\(\s*0\s*\)/g, "") : phone).replace(/[^\d]/g, "");
+  if (!digits) return "";
+  return international ? `+${digits}` : digits;
+}
+
+// Contacts with a number to dial, in role order, as { role, name, phone }
+export function reachableContacts(contacts) {
+  return CONTACT_ROLES
+    .map(role => ({ role, ...contacts[role] }))
+    .filter(c => dialable(c.phone) !== "");
+}
+
+export function telHref(phone) {
+  return `tel:${dialable(phone)}`;
+}
+
+// `?body=` is understood by current Android and iOS messaging apps
+export function smsHref(phone, body) {
+  return `sms:${dialable(phone)}?body=${encodeURIComponent(body)}`;
+}
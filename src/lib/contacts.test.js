@@ -0,0 +1,27 @@
+import { describe, it, expect } from "vitest";
+import { resolveContacts, reachableContacts, dialable, telHref, smsHref } from "./contacts";
+
+describe("contacts", () => {
+  it("fill in every role from whatever was saved", () => {
+    const contacts = resolveContacts({ hospital: { name: "St Mary's", phone: 20 }, partner: null });
+    expect(contacts).toEqual({
+      provider: { name: "", phone: "" },
+      hospital: { name: "St Mary's", phone: "" },
+      partner: { name: "", phone: "" },
+    });
+  });
+
+  it("only offer contacts with a number to dial", () => {
+    const contacts = resolveContacts({ provider: { name: "Ana", phone: "  " }, partner: { name: "", phone: "07700 900123" } });
+    expect(reachableContacts(contacts)).toEqual([{ role: "partner", name: "", phone: "07700 900123" }]);
+  });
+
+  it("build dialable links", () => {
+    expect(dialable("+44 (0)20 7946-0958")).toBe("+442079460958");
+    // Only international numbers drop the bracketed 0
+    expect(dialable("(0)20 7946 0958")).toBe("02079460958");
+    expect(dialable("ask at desk")).toBe("");
+    expect(telHref("07700 900123")).toBe("tel:07700900123");
+    expect(smsHref("+1 555 0100", "5-1-1: met.\nCall?")).toBe("sms:+15550100?body=5-1-1%3A%20met.%0ACall%3F");
+  });
+});
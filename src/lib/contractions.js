@@ -0,0 +1,82 @@
+// ---------------------- CONTRACTION RECORD HELPERS ----------------------- //
+
+import { EN } from "./i18n";
+
+// Shortest contraction we keep; taps shorter than this are treated as mistakes.
+export const MIN_CONTRACTION_MS = 1000;
+
+let lastId = 0;
+
+// Ids only need to be unique within `list`, the session's contractions. The time `hint` is
+// nice to read in storage, but an edited contraction keeps the id of its old start, so the
+// id goes past the largest in the list (and the last one issued) whenever the hint doesn't.
+export function newContractionId(list, hint = Date.now()) {
+  const largest = list.reduce((max, c) => Math.max(max, c.id), 0);
+  lastId = Math.max(hint, largest + 1, lastId + 1);
+  return lastId;
+}
+
+export function makeContraction({ id, start, end, intensity }) {
+  return {
+    id: id ?? newContractionId([], start),
+    start,
+    end,
+    duration: end - start,
+    intensity,
+  };
+}
+
+export function sortByStart(list) {
+  return [...list].sort((a, b) => a.start - b.start);
+}
+
+// Returns a human-readable reason the entry can't be saved, or null if it's fine.
+// `others` is the rest of the session (the entry itself is skipped by id) and
+// `activeStart` the start of a contraction still being timed, if any.
+export function validateContraction(entry, others, { activeStart = null, now = Date.now(), i18n = EN } = {}) {
+  const { t } = i18n;
+  const { start, end, intensity } = entry;
+  if (!Number.isFinite(start)) return t("validate.startInvalid");
+  if (!Number.isFinite(end)) return t("validate.endInvalid");
+  if (end <= start) return t("validate.endBeforeStart");
+  if (end - start < MIN_CONTRACTION_MS) return t("validate.tooShort");
+  if (end > now) return t("validate.future");
+  if (!(intensity >= 0.1 && intensity <= 1)) return t("validate.intensity");
+
+  const sorted = sortByStart(others);
+  for (let i = 0; i < sorted.length; i++) {
+    const other = sorted[i];
+    if (other.id === entry.id) continue;
+    if (start < other.end && other.start < end) {
+      return t("validate.overlaps", { n: i + 1, time: new Date(other.start).toLocaleTimeString(i18n.locale) });
+    }
+  }
+  if (activeStart !== null && end > activeStart) {
+    return t("validate.overlapsActive");
+  }
+  return null;
+}
+
+// Replace (by id) or insert an entry, keeping the list in start-time order.
+export function upsertContraction(list, entry) {
+  const next = list.filter(c => c.id !== entry.id);
+  next.push(makeContraction(entry));
+  return sortByStart(next);
+}
+
+export function removeContraction(list, id) {
+  return list.filter(c => c.id !== id);
+}
+
+// <input type="datetime-local"> works in local wall-clock time without a zone suffix
+export function toLocalInputValue(ts) {
+  const d = new Date(ts);
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+    + `T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+export function fromLocalInputValue(value) {
+  if (!value) return NaN;
+  return new Date(value).getTime();
+}
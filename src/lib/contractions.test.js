@@ -0,0 +1,22 @@
+import { describe, it, expect } from "vitest";
+import { makeContraction, newContractionId, upsertContraction } from "./contractions";
+
+const MIN = 60 * 1000;
+const T0 = new Date(2026, 0, 1, 20, 0, 0).getTime();
+
+describe("newContractionId", () => {
+  it("never hands out an id already in the session", () => {
+    // Recorded at T0, then edited to start later: the id is still T0
+    const edited = upsertContraction([], { id: T0, start: T0 + 10 * MIN, end: T0 + 11 * MIN, intensity: 0.5 });
+    const id = newContractionId(edited, T0);
+    expect(id).toBeGreaterThan(T0);
+
+    const list = upsertContraction(edited, { id, start: T0, end: T0 + MIN, intensity: 0.5 });
+    expect(new Set(list.map(c => c.id)).size).toBe(2);
+  });
+
+  it("uses the time when it's past every id in the session", () => {
+    const list = [makeContraction({ id: 7, start: T0, end: T0 + MIN, intensity: 0.5 })];
+    expect(newContractionId(list, T0 + 1e9)).toBe(T0 + 1e9);
+  });
+});
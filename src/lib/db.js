@@ -0,0 +1,200 @@
+// -------------------------- INDEXEDDB STORAGE ---------------------------- //
+//
+// Sessions, contractions and events are stored one record each, so recording a contraction
+// writes one small record instead of re-serialising the whole history. Anything read
+// back that doesn't make sense is moved to a quarantine store rather than deleted, and
+// the app says so. Without IndexedDB (some private modes) we fall back to the old
+// single localStorage key, with the same quarantine behaviour.
+
+import { STORAGE_KEY, loadJSON, saveJSON, removeKey } from "./storage";
+import { SESSIONS_KEY, newSessionStore, readLocalSessions, saveSessionStore } from "./sessions";
+import { toRecords, fromRecords, diffStores, isEmptyDiff } from "./records";
+
+export const DB_NAME = "contraction-clock";
+export const DB_VERSION = 2;
+// Where the localStorage fallback keeps quarantined values
+export const QUARANTINE_KEY = "contraction-clock-quarantine";
+
+// Schema migrations: MIGRATIONS[n] upgrades a version-n database to version n + 1.
+// Shipped steps must never change; add a new one and bump DB_VERSION instead.
+const MIGRATIONS = [
+  (db) => {
+    db.createObjectStore("sessions", { keyPath: "id" });
+    const contractions = db.createObjectStore("contractions", { keyPath: ["sessionId", "id"] });
+    contractions.createIndex("sessionId", "sessionId");
+    db.createObjectStore("meta");
+    db.createObjectStore("quarantine", { autoIncrement: true });
+  },
+  (db) => {
+    const events = db.createObjectStore("events", { keyPath: ["sessionId", "id"] });
+    events.createIndex("sessionId", "sessionId");
+  },
+];
+
+// Stores holding the session data itself
+const DATA_STORES = ["sessions", "contractions", "events", "meta"];
+
+// ----------------------------- IDB helpers ------------------------------- //
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted."));
+  });
+}
+
+export function openDatabase() {
+  if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB is not available."));
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = (event) => {
+    for (let v = event.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](request.result, request.transaction);
+  };
+  // Another tab holding an older version blocks the upgrade; this one waits, that one is told to close
+  return promisify(request).then((db) => {
+    db.onversionchange = () => db.close();
+    return db;
+  });
+}
+
+function quarantineEntry(source, { kind, record, reason }, now) {
+  return { source, kind, reason, record, at: now };
+}
+
+async function readAll(db) {
+  const tx = db.transaction(DATA_STORES, "readonly");
+  const [sessions, contractions, events, currentId, migratedAt] = await Promise.all([
+    promisify(tx.objectStore("sessions").getAll()),
+    promisify(tx.objectStore("contractions").getAll()),
+    promisify(tx.objectStore("events").getAll()),
+    promisify(tx.objectStore("meta").get("currentId")),
+    promisify(tx.objectStore("meta").get("migratedAt")),
+  ]);
+  return { sessions, contractions, events, currentId, migratedAt };
+}
+
+function writeChanges(db, changes) {
+  const tx = db.transaction(DATA_STORES, "readwrite");
+  const sessions = tx.objectStore("sessions");
+  const contractions = tx.objectStore("contractions");
+  const events = tx.objectStore("events");
+  changes.putSessions.forEach(r => sessions.put(r));
+  changes.deleteSessions.forEach(id => sessions.delete(id));
+  changes.putContractions.forEach(r => contractions.put(r));
+  changes.deleteContractions.forEach(key => contractions.delete(key));
+  changes.putEvents.forEach(r => events.put(r));
+  changes.deleteEvents.forEach(key => events.delete(key));
+  if (changes.currentId !== null) tx.objectStore("meta").put(changes.currentId, "currentId");
+  return transactionDone(tx);
+}
+
+// ------------------------------ migration -------------------------------- //
+
+// One-time copy of the localStorage session data into the database, in a single
+// transaction. The old keys are removed only once it has committed.
+async function migrateFromLocalStorage(db, now) {
+  const { store, corrupt } = readLocalSessions(now);
+  const records = store ? toRecords(store) : { sessions: [], contractions: [], events: [] };
+  const quarantined = corrupt.map(({ key, raw, reason }) => (
+    quarantineEntry("localStorage", { kind: key, record: raw, reason }, now)
+  ));
+
+  const tx = db.transaction([...DATA_STORES, "quarantine"], "readwrite");
+  records.sessions.forEach(r => tx.objectStore("sessions").put(r));
+  records.contractions.forEach(r => tx.objectStore("contractions").put(r));
+  records.events.forEach(r => tx.objectStore("events").put(r));
+  if (store) tx.objectStore("meta").put(store.currentId, "currentId");
+  quarantined.forEach(entry => tx.objectStore("quarantine").add(entry));
+  tx.objectStore("meta").put(now, "migratedAt");
+  await transactionDone(tx);
+
+  removeKey(SESSIONS_KEY);
+  removeKey(STORAGE_KEY);
+}
+
+// ------------------------------ backends --------------------------------- //
+
+async function indexedDBStorage(now) {
+  const db = await openDatabase();
+  let data = await readAll(db);
+  if (data.migratedAt === undefined) {
+    await migrateFromLocalStorage(db, now);
+    data = await readAll(db);
+  }
+
+  const { store, rejected, repaired } = fromRecords(data, now);
+  if (rejected.length || repaired) {
+    // Set the bad records aside and remove them from the live stores in one go
+    const tx = db.transaction(["sessions", "contractions", "events", "quarantine"], "readwrite");
+    for (const entry of rejected) {
+      tx.objectStore("quarantine").add(quarantineEntry("indexeddb", entry, now));
+      const key = entry.kind === "session" ? entry.record?.id : [entry.record?.sessionId, entry.record?.id];
+      try { tx.objectStore(`${entry.kind}s`).delete(key); } catch { /* unusable key: nothing to delete */ }
+    }
+    await transactionDone(tx);
+    if (repaired) await writeChanges(db, diffStores(null, store));
+  }
+
+  const countQuarantine = () => promisify(db.transaction("quarantine").objectStore("quarantine").count());
+  return {
+    backend: "indexeddb",
+    store,
+    quarantined: await countQuarantine(),
+    save: (prev, next) => {
+      const changes = diffStores(prev, next);
+      return isEmptyDiff(changes) ? Promise.resolve() : writeChanges(db, changes);
+    },
+    readQuarantine: () => promisify(db.transaction("quarantine").objectStore("quarantine").getAll()),
+    clearQuarantine: async () => {
+      const tx = db.transaction("quarantine", "readwrite");
+      tx.objectStore("quarantine").clear();
+      await transactionDone(tx);
+    },
+  };
+}
+
+function localStorageFallback(now) {
+  const { store, corrupt } = readLocalSessions(now);
+  const quarantine = [
+    ...loadJSON(QUARANTINE_KEY, []),
+    ...corrupt.map(({ key, raw, reason }) => quarantineEntry("localStorage", { kind: key, record: raw, reason }, now)),
+  ];
+  if (corrupt.length) saveJSON(QUARANTINE_KEY, quarantine);
+  // Rewrite the current key straight away so a corrupt or legacy value isn't read (and
+  // quarantined) again next time
+  const initial = store ?? newSessionStore(now);
+  saveSessionStore(initial);
+  removeKey(STORAGE_KEY);
+
+  return {
+    backend: "localStorage",
+    store: initial,
+    quarantined: quarantine.length,
+    save: (prev, next) => {
+      saveSessionStore(next);
+      return Promise.resolve();
+    },
+    readQuarantine: () => Promise.resolve(loadJSON(QUARANTINE_KEY, [])),
+    clearQuarantine: () => {
+      removeKey(QUARANTINE_KEY);
+      return Promise.resolve();
+    },
+  };
+}
+
+let opening = null;
+
+// Opens session storage: { backend, store, quarantined, save(prev, next), readQuarantine(),
+// clearQuarantine() }. `save` resolves once the change is durable. Opened once per page:
+// a second concurrent open could run the localStorage migration twice.
+export function openSessionStorage(now = Date.now()) {
+  opening ??= indexedDBStorage(now).catch(() => localStorageFallback(now));
+  return opening;
+}
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { IDBFactory } from "fake-indexeddb";
+
+const MIN = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1, 20, 0, 0);
+
+// A fresh database, localStorage and module instance per test (openSessionStorage opens once per page)
+async function load() {
+  vi.resetModules();
+  const db = await import("./db");
+  return db.openSessionStorage(T0);
+}
+
+function memoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key),
+    keys: () => [...data.keys()],
+  };
+}
+
+function contraction(id, offset) {
+  return { id, start: T0 + offset, end: T0 + offset + MIN, duration: MIN, intensity: 0.5 };
+}
+
+beforeEach(() => {
+  vi.stubGlobal("indexedDB", new IDBFactory());
+  vi.stubGlobal("localStorage", memoryStorage());
+});
+
+describe("openSessionStorage", () => {
+  it("starts an empty session on first run", async () => {
+    const storage = await load();
+    expect(storage.backend).toBe("indexeddb");
+    expect(storage.store.sessions).toHaveLength(1);
+    expect(storage.quarantined).toBe(0);
+  });
+
+  it("migrates the original single-array key once and removes it", async () => {
+    vi.stubGlobal("localStorage", memoryStorage({
+      "contraction-clock-session": JSON.stringify([contraction(2, 5 * MIN), contraction(1, 0)]),
+    }));
+    const first = await load();
+    expect(first.store.sessions).toHaveLength(1);
+    expect(first.store.sessions[0].contractions.map(c => c.id)).toEqual([1, 2]);
+    expect(localStorage.keys()).toEqual([]);
+
+    const second = await load();
+    expect(second.store).toEqual(first.store);
+  });
+
+  it("quarantines a corrupt localStorage value instead of resetting silently", async () => {
+    vi.stubGlobal("localStorage", memoryStorage({ "contraction-clock-sessions": "{\"sessions\": [" }));
+    const storage = await load();
+    expect(storage.quarantined).toBe(1);
+    const [entry] = await storage.readQuarantine();
+    expect(entry).toMatchObject({ source: "localStorage", kind: "contraction-clock-sessions", record: "{\"sessions\": [" });
+    await storage.clearQuarantine();
+    expect(await storage.readQuarantine()).toEqual([]);
+  });
+
+  it("moves unreadable database records to quarantine", async () => {
+    const { store } = await load();
+    const db = await (await import("./db")).openDatabase();
+    await new Promise((resolve) => {
+      const tx = db.transaction("contractions", "readwrite");
+      tx.objectStore("contractions").put({ id: 7, sessionId: store.currentId, start: T0, end: T0 - 1, intensity: 0.5 });
+      tx.oncomplete = resolve;
+    });
+    db.close();
+
+    const reloaded = await load();
+    expect(reloaded.quarantined).toBe(1);
+    expect(reloaded.store).toEqual(store);
+    expect((await load()).quarantined).toBe(1);
+  });
+
+  it("persists incremental saves", async () => {
+    const storage = await load();
+    const before = storage.store;
+    const after = {
+      ...before,
+      sessions: before.sessions.map(s => ({ ...s, contractions: [contraction(1, 0)] })),
+    };
+    await storage.save(before, after);
+    expect((await load()).store).toEqual(after);
+  });
+
+  it("persists logged events", async () => {
+    const storage = await load();
+    const before = storage.store;
+    const waters = { id: 1, at: T0, type: "waters", detail: "green" };
+    const after = { ...before, sessions: before.sessions.map(s => ({ ...s, events: [waters] })) };
+    await storage.save(before, after);
+    expect((await load()).store).toEqual(after);
+  });
+
+  it("upgrades a database from before events, keeping its data", async () => {
+    // Version 1, as first shipped
+    const old = await new Promise((resolve) => {
+      const request = indexedDB.open("contraction-clock", 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("sessions", { keyPath: "id" });
+        db.createObjectStore("contractions", { keyPath: ["sessionId", "id"] }).createIndex("sessionId", "sessionId");
+        db.createObjectStore("meta");
+        db.createObjectStore("quarantine", { autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+    });
+    await new Promise((resolve) => {
+      const tx = old.transaction(["sessions", "contractions", "meta"], "readwrite");
+      tx.objectStore("sessions").put({ id: "s1", name: "Old", createdAt: T0, endedAt: null });
+      tx.objectStore("contractions").put({ ...contraction(1, 0), sessionId: "s1" });
+      tx.objectStore("meta").put("s1", "currentId");
+      tx.objectStore("meta").put(T0, "migratedAt");
+      tx.oncomplete = resolve;
+    });
+    old.close();
+
+    const { store } = await load();
+    expect(store.sessions).toEqual([
+      { id: "s1", name: "Old", createdAt: T0, endedAt: null, contractions: [contraction(1, 0)], events: [] },
+    ]);
+  });
+
+  it("falls back to localStorage without IndexedDB", async () => {
+    vi.stubGlobal("indexedDB", undefined);
+    const storage = await load();
+    expect(storage.backend).toBe("localStorage");
+    expect(JSON.parse(localStorage.getItem("contraction-clock-sessions")).currentId).toBe(storage.store.currentId);
+  });
+});
@@ -0,0 +1,107 @@
+// ------------------------ LABOUR EVENT HELPERS --------------------------- //
+//
+// Things worth noting besides contractions: waters breaking, bleeding, medication and so
+// on. An event is { id, at, type, detail } where `detail` is the waters' colour for
+// "waters", the text for "medication" and "note", and null otherwise. Sessions keep
+// them in `events`, in time order, next to `contractions`.
+
+import { EN } from "./i18n";
+
+// In the order the log form offers them. `detail` is what else the type needs.
+export const EVENT_TYPES = [
+  { id: "waters", detail: "color" },
+  { id: "show", detail: null },
+  { id: "bleeding", detail: null },
+  { id: "reducedMovement", detail: null },
+  { id: "vomiting", detail: null },
+  { id: "medication", detail: "text" },
+  { id: "note", detail: "text" },
+];
+
+export const WATERS_COLORS = ["clear", "pink", "green", "brown", "bloody"];
+
+// Waters that aren't clear or pink can mean meconium or bleeding
+const RED_FLAG_WATERS = ["green", "brown", "bloody"];
+const RED_FLAG_TYPES = ["bleeding", "reducedMovement"];
+
+export const MAX_EVENT_TEXT = 200;
+
+let lastId = 0;
+
+// Unique within a session, like contraction ids
+export function newEventId(hint = Date.now()) {
+  lastId = Math.max(hint, lastId + 1);
+  return lastId;
+}
+
+export function eventType(id) {
+  return EVENT_TYPES.find(type => type.id === id) ?? null;
+}
+
+export function makeEvent({ id, at, type, detail = null }) {
+  const kind = eventType(type)?.detail;
+  return {
+    id: id ?? newEventId(at),
+    at,
+    type,
+    detail: kind === "text" ? String(detail ?? "").trim() : kind === "color" ? detail : null,
+  };
+}
+
+// Should prompt a call to the midwife or maternity unit straight away
+export function isRedFlag(event) {
+  if (RED_FLAG_TYPES.includes(event.type)) return true;
+  return event.type === "waters" && RED_FLAG_WATERS.includes(event.detail);
+}
+
+export function redFlags(events) {
+  return events.filter(isRedFlag);
+}
+
+// Returns a human-readable reason the event can't be saved, or null if it's fine
+export function validateEvent(event, { now = Date.now(), i18n = EN } = {}) {
+  const { t } = i18n;
+  const type = eventType(event.type);
+  if (!type) return t("validate.eventType");
+  if (!Number.isFinite(event.at)) return t("validate.eventTime");
+  if (event.at > now) return t("validate.eventFuture");
+  if (type.detail === "color" && !WATERS_COLORS.includes(event.detail)) return t("validate.watersColor");
+  if (type.detail === "text") {
+    const text = String(event.detail ?? "").trim();
+    if (!text) return t("validate.eventText");
+    if (text.length > MAX_EVENT_TEXT) return t("validate.eventTextLong", { max: MAX_EVENT_TEXT });
+  }
+  return null;
+}
+
+export function sortByTime(list) {
+  return [...list].sort((a, b) => a.at - b.at);
+}
+
+// Replace (by id) or insert an event, keeping the list in time order
+export function upsertEvent(list, event) {
+  return sortByTime([...list.filter(e => e.id !== event.id), makeEvent(event)]);
+}
+
+export function removeEvent(list, id) {
+  return list.filter(e => e.id !== id);
+}
+
+// Short text for an event: its type, plus the colour or text it carries
+export function eventLabel(event, { t } = EN) {
+  const name = t(`event.type.${event.type}`);
+  if (event.type === "waters") return t("event.withDetail", { name, detail: t(`event.color.${event.detail}`) });
+  if (event.detail) return t("event.withDetail", { name, detail: event.detail });
+  return name;
+}
+
+// Contractions and events together, newest first, as { kind, item, at }. Contractions
+// keep their place in the session (`index`) for the log's numbering.
+export function interleave(contractions, events) {
+  const rows = [
+    ...contractions.map((c, index) => ({ kind: "contraction", item: c, index, at: c.start })),
+    ...events.map(e => ({ kind: "event", item: e, at: e.at })),
+  ];
+  // On a tie the event goes first, so it reads as happening after the contraction
+  return rows.sort((a, b) => b.at - a.at || (a.kind === "event" ? -1 : 1) - (b.kind === "event" ? -1 : 1));
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from "vitest";
+import { makeEvent, isRedFlag, validateEvent, upsertEvent, removeEvent, eventLabel, interleave } from "./events";
+import { makeContraction } from "./contractions";
+import { createI18n } from "./i18n";
+
+const MIN = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1, 20, 0, 0);
+
+function event(id, offset, type = "note", detail = null) {
+  return makeEvent({ id, at: T0 + offset, type, detail });
+}
+
+describe("makeEvent", () => {
+  it("keeps only the detail its type uses", () => {
+    expect(event(1, 0, "note", "  ate toast ").detail).toBe("ate toast");
+    expect(event(1, 0, "waters", "green").detail).toBe("green");
+    expect(event(1, 0, "vomiting", "lots").detail).toBeNull();
+  });
+});
+
+describe("isRedFlag", () => {
+  it("flags bleeding, reduced movements and stained waters", () => {
+    expect(isRedFlag(event(1, 0, "bleeding"))).toBe(true);
+    expect(isRedFlag(event(1, 0, "reducedMovement"))).toBe(true);
+    expect(isRedFlag(event(1, 0, "waters", "green"))).toBe(true);
+    expect(isRedFlag(event(1, 0, "waters", "bloody"))).toBe(true);
+  });
+
+  it("doesn't flag clear waters, a show or notes", () => {
+    expect(isRedFlag(event(1, 0, "waters", "clear"))).toBe(false);
+    expect(isRedFlag(event(1, 0, "show"))).toBe(false);
+    expect(isRedFlag(event(1, 0, "note", "bleeding?"))).toBe(false);
+  });
+});
+
+describe("validateEvent", () => {
+  const now = T0 + 10 * MIN;
+
+  it("accepts a complete event", () => {
+    expect(validateEvent(event(1, 0, "waters", "clear"), { now })).toBeNull();
+    expect(validateEvent(event(1, 0, "medication", "Paracetamol 1 g"), { now })).toBeNull();
+  });
+
+  it("rejects future times, missing colours and empty text", () => {
+    expect(validateEvent(event(1, 20 * MIN, "show"), { now })).toBe("Time can't be in the future.");
+    expect(validateEvent({ at: T0, type: "waters", detail: "purple" }, { now })).toBe("Choose the colour of the waters.");
+    expect(validateEvent({ at: T0, type: "note", detail: "   " }, { now })).toBe("Write something to log.");
+    expect(validateEvent({ at: NaN, type: "show" }, { now })).toBe("Time is missing or invalid.");
+    expect(validateEvent({ at: T0, type: "dancing" }, { now })).toBe("Choose what happened.");
+  });
+
+  it("speaks the app's language", () => {
+    expect(validateEvent({ at: T0, type: "note", detail: "" }, { now, i18n: createI18n("es") }))
+      .toBe("Escribe algo para anotar.");
+  });
+});
+
+describe("event lists", () => {
+  it("keep time order through edits and deletes", () => {
+    const list = upsertEvent(upsertEvent([], event(1, 5 * MIN)), event(2, 0));
+    expect(list.map(e => e.id)).toEqual([2, 1]);
+    expect(upsertEvent(list, { ...list[0], at: T0 + 9 * MIN }).map(e => e.id)).toEqual([1, 2]);
+    expect(removeEvent(list, 2).map(e => e.id)).toEqual([1]);
+  });
+
+  it("label events with their colour or text", () => {
+    expect(eventLabel(event(1, 0, "waters", "green"))).toBe("Waters broke: green");
+    expect(eventLabel(event(1, 0, "medication", "Paracetamol"))).toBe("Medication taken: Paracetamol");
+    expect(eventLabel(event(1, 0, "show"))).toBe("Bloody show");
+  });
+});
+
+describe("interleave", () => {
+  it("mixes contractions and events newest first, keeping contraction numbers", () => {
+    const contractions = [0, 10 * MIN].map((offset, i) => makeContraction({
+      id: i + 1, start: T0 + offset, end: T0 + offset + MIN, intensity: 0.5,
+    }));
+    const rows = interleave(contractions, [event(1, 5 * MIN), event(2, 10 * MIN)]);
+    expect(rows.map(r => [r.kind, r.item.id])).toEqual([
+      ["event", 2], ["contraction", 2], ["event", 1], ["contraction", 1],
+    ]);
+    expect(rows[1].index).toBe(1);
+  });
+});
@@ -0,0 +1,202 @@
+// ------------------------- EXPORT / IMPORT ------------------------------- //
+//
+// CSV is for people (midwife, spreadsheets) and is export-only. JSON is the
+// round-trippable format:
+//
+//   {
+//     "format": "contraction-clock-session",
+//     "version": 2,
+//     "exportedAt": "2026-01-01T10:00:00.000Z",
+//     "session": {
+//       "name": "...", "createdAt": <ms>, "endedAt": <ms|null>,
+//       "contractions": [{ "start": <ms|ISO>, "end": <ms|ISO>, "intensity": 0.1–1 }],
+//       "events": [{ "at": <ms|ISO>, "type": "waters", "detail": "green" | "<text>" | null }]
+//     }
+//   }
+//
+// Version 1 had no "events"; those files still import, with none.
+
+import { makeContraction, newContractionId, sortByStart, validateContraction } from "./contractions";
+import { makeEvent, validateEvent, isRedFlag, sortByTime } from "./events";
+import { EN } from "./i18n";
+
+export const EXPORT_FORMAT = "contraction-clock-session";
+export const EXPORT_VERSION = 2;
+
+// Column names stay in English in every app language, as scripts and spreadsheets key on them
+const CSV_HEADER = ["#", "Start", "End", "Duration (s)", "Frequency (s)", "Rest (s)", "Intensity (1-10)"];
+// Events follow as a second table after a blank line; type and colour are the ids the JSON uses
+const CSV_EVENT_HEADER = ["Time", "Event", "Detail", "Red flag"];
+
+// Text that a spreadsheet would run as a formula (notes come from imported files too) gets
+// a leading ' so it shows as typed
+function csvCell(value) {
+  let s = String(value ?? "");
+  if (typeof value === "string" && /^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Local wall-clock time, which is what people compare against their own notes
+function csvTimestamp(ts) {
+  const d = new Date(ts);
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} `
+    + `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+const secs = ms => Math.round(ms / 1000);
+
+export function sessionToCSV(session) {
+  const list = session.contractions;
+  const rows = list.map((c, i) => {
+    const prev = list[i - 1];
+    return [
+      i + 1,
+      csvTimestamp(c.start),
+      csvTimestamp(c.end),
+      secs(c.duration),
+      prev ? secs(c.start - prev.start) : "",
+      prev ? secs(c.start - prev.end) : "",
+      Math.round(c.intensity * 10),
+    ];
+  });
+  const table = [CSV_HEADER, ...rows];
+  if (session.events?.length) {
+    table.push([], CSV_EVENT_HEADER, ...session.events.map(e => [
+      csvTimestamp(e.at), e.type, e.detail ?? "", isRedFlag(e) ? "yes" : "",
+    ]));
+  }
+  return table.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+export function sessionToJSON(session, exportedAt = Date.now()) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(exportedAt).toISOString(),
+    session: {
+      name: session.name,
+      createdAt: session.createdAt,
+      endedAt: session.endedAt,
+      contractions: session.contractions.map(({ start, end, intensity }) => ({ start, end, intensity })),
+      events: (session.events ?? []).map(({ at, type, detail }) => ({ at, type, detail })),
+    },
+  }, null, 2);
+}
+
+function toTimestamp(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim()) return Date.parse(value);
+  return NaN;
+}
+
+// Parses an exported JSON document. Throws an Error for anything that isn't a
+// usable document at all; individual bad rows are skipped and reported in `errors`.
+export function parseSessionJSON(text, { t } = EN) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error(t("import.notJSON"));
+  }
+  if (!doc || typeof doc !== "object" || doc.format !== EXPORT_FORMAT) {
+    throw new Error(t("import.notExport"));
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > EXPORT_VERSION) {
+    throw new Error(t("import.version", { version: doc.version, supported: EXPORT_VERSION }));
+  }
+  const rows = doc.session?.contractions;
+  if (!Array.isArray(rows)) {
+    throw new Error(t("import.noList"));
+  }
+  const eventRows = doc.session.events ?? [];
+  if (!Array.isArray(eventRows)) {
+    throw new Error(t("import.noEventList"));
+  }
+
+  const errors = [];
+  const contractions = [];
+  rows.forEach((row, i) => {
+    const reject = reason => errors.push(t("import.row", { row: i + 1, reason: t(reason) }));
+    if (!row || typeof row !== "object") { reject("import.notRecord"); return; }
+    const start = toTimestamp(row.start);
+    const end = toTimestamp(row.end);
+    const intensity = row.intensity;
+    if (!Number.isFinite(start)) { reject("import.badStart"); return; }
+    if (!Number.isFinite(end)) { reject("import.badEnd"); return; }
+    if (typeof intensity !== "number") { reject("import.badIntensity"); return; }
+    contractions.push({ row: i + 1, start, end, intensity });
+  });
+
+  // Only the shape is checked here; applyEventImport validates them like logged events
+  const events = [];
+  eventRows.forEach((row, i) => {
+    if (!row || typeof row !== "object") {
+      errors.push(t("import.eventRow", { row: i + 1, reason: t("import.notEvent") }));
+      return;
+    }
+    events.push({ row: i + 1, at: toTimestamp(row.at), type: row.type,
+      detail: typeof row.detail === "string" ? row.detail : null });
+  });
+
+  return {
+    name: typeof doc.session.name === "string" ? doc.session.name : null,
+    contractions,
+    events,
+    errors,
+  };
+}
+
+// Applies parsed rows to `existing` in "merge" or "replace" mode. Rows that fail the
+// same validation as manual edits (negative length, overlap, future) are reported
+// and left out; exact duplicates of an existing entry are skipped quietly.
+export function applyImport(existing, rows, { mode = "merge", activeStart = null, i18n = EN } = {}) {
+  let next = mode === "replace" ? [] : [...existing];
+  const errors = [];
+  let added = 0;
+  let duplicates = 0;
+
+  for (const { row, start, end, intensity } of sortByStart(rows)) {
+    if (next.some(c => c.start === start && c.end === end)) { duplicates++; continue; }
+    const entry = makeContraction({ id: newContractionId(next, start), start, end, intensity });
+    const error = validateContraction(entry, next, { activeStart, i18n });
+    if (error) { errors.push(i18n.t("import.row", { row, reason: error })); continue; }
+    next = sortByStart([...next, entry]);
+    added++;
+  }
+  return { contractions: next, added, duplicates, errors };
+}
+
+// The same for parsed event rows: each gets the checks logging an event does (before it
+// gets an id), and one already in the session (same time, type and detail) is skipped quietly.
+export function applyEventImport(existing, rows, { mode = "merge", now = Date.now(), i18n = EN } = {}) {
+  let next = mode === "replace" ? [] : [...existing];
+  const errors = [];
+  let added = 0;
+  let duplicates = 0;
+
+  for (const { row, at, type, detail } of sortByTime(rows)) {
+    const error = validateEvent({ at, type, detail }, { now, i18n });
+    if (error) { errors.push(i18n.t("import.eventRow", { row, reason: error })); continue; }
+    const event = makeEvent({ at, type, detail });
+    if (next.some(e => e.at === event.at && e.type === event.type && e.detail === event.detail)) { duplicates++; continue; }
+    next = sortByTime([...next, event]);
+    added++;
+  }
+  return { events: next, added, duplicates, errors };
+}
+
+export function safeFileName(name) {
+  return name.replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "").toLowerCase() || "session";
+}
+
+export function downloadFile(filename, mime, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
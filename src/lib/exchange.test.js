@@ -0,0 +1,216 @@
+import { describe, it, expect } from "vitest";
+import {
+  sessionToCSV, sessionToJSON, parseSessionJSON, applyImport, applyEventImport, safeFileName, EXPORT_FORMAT,
+} from "./exchange";
+import { makeContraction } from "./contractions";
+import { makeEvent } from "./events";
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+const HOUR = 60 * MIN;
+// Local time, as the CSV writes it
+const T0 = new Date(2026, 0, 1, 20, 0, 0).getTime();
+
+function c(start, end, intensity = 0.5) {
+  return makeContraction({ start: T0 + start, end: T0 + end, intensity });
+}
+
+function session(contractions, extra = {}) {
+  return { name: "Monday night", createdAt: T0, endedAt: null, contractions, events: [], ...extra };
+}
+
+const EVENTS = [
+  makeEvent({ at: T0 + 2 * MIN, type: "waters", detail: "green" }),
+  makeEvent({ at: T0 + 3 * MIN, type: "note", detail: "Walked, then \"rested\", on the ball" }),
+];
+
+function doc(rows, extra = {}) {
+  return JSON.stringify({ format: EXPORT_FORMAT, version: 1, session: { name: "Night", contractions: rows }, ...extra });
+}
+
+describe("sessionToCSV", () => {
+  it("writes one row per contraction with frequency and rest from the one before", () => {
+    const csv = sessionToCSV(session([c(0, MIN, 0.4), c(5 * MIN, 6 * MIN + 30 * SEC, 0.7)]));
+    expect(csv.split("\r\n")).toEqual([
+      "#,Start,End,Duration (s),Frequency (s),Rest (s),Intensity (1-10)",
+      "1,2026-01-01 20:00:00,2026-01-01 20:01:00,60,,,4",
+      "2,2026-01-01 20:05:00,2026-01-01 20:06:30,90,300,240,7",
+      "",
+    ]);
+  });
+
+  it("adds logged events as a second table, quoting text that needs it", () => {
+    const csv = sessionToCSV(session([c(0, MIN, 0.4)], { events: EVENTS }));
+    expect(csv.split("\r\n").slice(2)).toEqual([
+      "",
+      "Time,Event,Detail,Red flag",
+      "2026-01-01 20:02:00,waters,green,yes",
+      "2026-01-01 20:03:00,note,\"Walked, then \"\"rested\"\", on the ball\",",
+      "",
+    ]);
+  });
+
+  it("quotes carriage returns and defuses formulas in notes", () => {
+    const notes = ["=HYPERLINK(\"x\")", "+1", "-2", "@SUM(A1)", "line\rbreak"]
+      .map((detail, i) => makeEvent({ at: T0 + i * MIN, type: "note", detail }));
+    const rows = sessionToCSV(session([], { events: notes })).split("\r\n").slice(3, 8);
+    expect(rows.map(row => row.slice("2026-01-01 20:00:00,note,".length))).toEqual([
+      "\"'=HYPERLINK(\"\"x\"\")\",",
+      "'+1,",
+      "'-2,",
+      "'@SUM(A1),",
+      "\"line\rbreak\",",
+    ]);
+  });
+});
+
+describe("sessionToJSON", () => {
+  it("round-trips through parseSessionJSON", () => {
+    const list = [c(0, MIN, 0.4), c(5 * MIN, 6 * MIN, 0.7)];
+    const parsed = parseSessionJSON(sessionToJSON(session(list), T0));
+    expect(parsed.name).toBe("Monday night");
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.contractions).toEqual([
+      { row: 1, start: T0, end: T0 + MIN, intensity: 0.4 },
+      { row: 2, start: T0 + 5 * MIN, end: T0 + 6 * MIN, intensity: 0.7 },
+    ]);
+  });
+
+  it("carries logged events through export and import", () => {
+    const parsed = parseSessionJSON(sessionToJSON(session([c(0, MIN)], { events: EVENTS }), T0));
+    expect(JSON.parse(sessionToJSON(session([]))).version).toBe(2);
+    const result = applyEventImport([], parsed.events, { now: T0 + 10 * MIN });
+    expect(result).toMatchObject({ added: 2, duplicates: 0, errors: [] });
+    expect(result.events.map(({ at, type, detail }) => ({ at, type, detail })))
+      .toEqual(EVENTS.map(({ at, type, detail }) => ({ at, type, detail })));
+  });
+});
+
+describe("parseSessionJSON", () => {
+  it("rejects files that aren't a usable export", () => {
+    expect(() => parseSessionJSON("{")).toThrow("This file isn't valid JSON.");
+    expect(() => parseSessionJSON("null")).toThrow("isn't a Contraction Clock export");
+    expect(() => parseSessionJSON(JSON.stringify({ format: "other", version: 1 }))).toThrow("isn't a Contraction Clock export");
+    expect(() => parseSessionJSON(doc([], { version: 99 }))).toThrow("Unsupported export version 99");
+    expect(() => parseSessionJSON(doc([], { version: "1" }))).toThrow("Unsupported export version");
+    expect(() => parseSessionJSON(doc([], { version: 0 }))).toThrow("Unsupported export version 0");
+    expect(() => parseSessionJSON(doc([], { version: -2 }))).toThrow("Unsupported export version -2");
+    expect(() => parseSessionJSON(doc({ start: T0 }))).toThrow("The export has no contractions list.");
+  });
+
+  it("skips bad rows and says which", () => {
+    const parsed = parseSessionJSON(doc([
+      "oops",
+      { start: "yesterday", end: T0, intensity: 0.5 },
+      { start: T0, intensity: 0.5 },
+      { start: T0, end: T0 + MIN, intensity: "high" },
+      { start: new Date(T0).toISOString(), end: new Date(T0 + MIN).toISOString(), intensity: 0.6 },
+    ]));
+    expect(parsed.errors).toEqual([
+      "Row 1: not a contraction record.",
+      "Row 2: \"start\" is missing or not a time.",
+      "Row 3: \"end\" is missing or not a time.",
+      "Row 4: \"intensity\" must be a number.",
+    ]);
+    expect(parsed.contractions).toEqual([{ row: 5, start: T0, end: T0 + MIN, intensity: 0.6 }]);
+  });
+
+  it("reads version 1 files, which have no events", () => {
+    const parsed = parseSessionJSON(doc([{ start: T0, end: T0 + MIN, intensity: 0.5 }]));
+    expect(parsed.events).toEqual([]);
+    expect(parsed.contractions).toHaveLength(1);
+  });
+
+  it("rejects an events field that isn't a list, and skips event rows that aren't records", () => {
+    const withEvents = events => JSON.stringify({
+      format: EXPORT_FORMAT, version: 2, session: { contractions: [], events },
+    });
+    expect(() => parseSessionJSON(withEvents({ at: T0 }))).toThrow("The export's events aren't a list.");
+    const parsed = parseSessionJSON(withEvents([7, { at: new Date(T0).toISOString(), type: "show" }]));
+    expect(parsed.errors).toEqual(["Event 1: not an event record."]);
+    expect(parsed.events).toEqual([{ row: 2, at: T0, type: "show", detail: null }]);
+  });
+});
+
+describe("applyImport", () => {
+  const rows = [
+    { row: 1, start: T0 + 10 * MIN, end: T0 + 11 * MIN, intensity: 0.5 },
+    { row: 2, start: T0, end: T0 + MIN, intensity: 0.5 },
+  ];
+
+  it("merges into the session, skipping exact duplicates", () => {
+    const existing = [c(0, MIN)];
+    const result = applyImport(existing, rows);
+    expect(result).toMatchObject({ added: 1, duplicates: 1, errors: [] });
+    expect(result.contractions.map(x => x.start)).toEqual([T0, T0 + 10 * MIN]);
+    expect(result.contractions[0]).toBe(existing[0]);
+  });
+
+  it("reports rows that overlap what's there, and keeps the rest", () => {
+    const result = applyImport([c(10 * MIN + 30 * SEC, 12 * MIN)], rows);
+    expect(result.added).toBe(1);
+    expect(result.errors).toHaveLength(1);
+    // Row 2 went in first (rows apply in time order), so the one it hits is now #2
+    expect(result.errors[0]).toMatch(/^Row 1: Overlaps contraction #2 /);
+  });
+
+  it("replaces the session in replace mode", () => {
+    const result = applyImport([c(30 * MIN, 31 * MIN)], rows, { mode: "replace" });
+    expect(result).toMatchObject({ added: 2, duplicates: 0, errors: [] });
+    expect(result.contractions.map(x => x.start)).toEqual([T0, T0 + 10 * MIN]);
+  });
+
+  it("applies the same checks as a manual edit", () => {
+    const result = applyImport([], [
+      { row: 1, start: T0 + MIN, end: T0, intensity: 0.5 },
+      { row: 2, start: T0, end: T0 + MIN, intensity: 3 },
+      { row: 3, start: T0, end: T0 + MIN, intensity: 0.5 },
+    ], { activeStart: T0 + 30 * SEC });
+    expect(result.errors).toEqual([
+      "Row 2: Intensity must be between 1 and 10.",
+      "Row 3: Overlaps the contraction currently being timed.",
+      "Row 1: End time must be after the start time.",
+    ]);
+  });
+});
+
+describe("applyEventImport", () => {
+  const now = T0 + 10 * MIN;
+
+  it("checks each event the way logging one does", () => {
+    const result = applyEventImport([], [
+      { row: 1, at: T0, type: "contractionish", detail: null },
+      { row: 2, at: NaN, type: "show", detail: null },
+      { row: 3, at: T0 + HOUR, type: "show", detail: null },
+      { row: 4, at: T0, type: "waters", detail: "purple" },
+      { row: 5, at: T0, type: "note", detail: "   " },
+      { row: 6, at: T0, type: "bleeding", detail: null },
+    ], { now });
+    expect(result.errors).toEqual([
+      "Event 1: Choose what happened.",
+      "Event 2: Time is missing or invalid.",
+      "Event 4: Choose the colour of the waters.",
+      "Event 5: Write something to log.",
+      "Event 3: Time can't be in the future.",
+    ]);
+    expect(result.events.map(e => e.type)).toEqual(["bleeding"]);
+  });
+
+  it("merges, skipping events already logged, or replaces", () => {
+    const rows = EVENTS.map(({ at, type, detail }, i) => ({ row: i + 1, at, type, detail }));
+    const merged = applyEventImport([EVENTS[0]], rows, { now });
+    expect(merged).toMatchObject({ added: 1, duplicates: 1 });
+    expect(merged.events[0]).toBe(EVENTS[0]);
+
+    const other = makeEvent({ at: T0, type: "show" });
+    const replaced = applyEventImport([other], rows, { mode: "replace", now });
+    expect(replaced.events.map(e => e.type)).toEqual(["waters", "note"]);
+  });
+});
+
+describe("safeFileName", () => {
+  it("keeps names filesystem-safe", () => {
+    expect(safeFileName("Monday night: 5/1")).toBe("monday-night-5-1");
+    expect(safeFileName("???")).toBe("session");
+  });
+});
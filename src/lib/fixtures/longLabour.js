@@ -0,0 +1,39 @@
+// ------------------------- LONG LABOUR FIXTURE --------------------------- //
+//
+// A long, slow labour for benchmarks and tests: `count` contractions whose gaps shrink
+// from about 20 minutes to about 3, with some jitter. Seeded, so every run gets the same
+// session.
+
+import { makeContraction } from "../contractions";
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+
+// Small seeded PRNG (mulberry32), returning floats in [0, 1)
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function longLabour({ count = 1200, start = Date.UTC(2026, 0, 1, 2, 0), seed = 1 } = {}) {
+  const rand = random(seed);
+  const list = [];
+  let t = start;
+  for (let i = 0; i < count; i++) {
+    const progress = i / Math.max(1, count - 1);
+    const duration = Math.round((30 + 40 * progress + 15 * rand()) * SEC);
+    list.push(makeContraction({
+      id: i + 1, start: t, end: t + duration,
+      intensity: Math.round((0.2 + 0.7 * progress + 0.1 * rand()) * 10) / 10,
+    }));
+    const interval = (20 - 17 * progress) * MIN * (0.8 + 0.4 * rand());
+    t += Math.max(duration + 30 * SEC, Math.round(interval));
+  }
+  return list;
+}
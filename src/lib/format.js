@@ -0,0 +1,45 @@
+// ------------------------------ FORMATTING ------------------------------- //
+//
+// `locale` is a BCP 47 tag ("en", "fr-CA"); see i18n.js for the one in use. Times with no
+// locale follow the browser's.
+
+// Intl formatters are slow to build and these run on every tick, so keep one per combination
+const unitFormats = new Map();
+
+// `n` of `unit` ("minute", "second", "hour") as the language writes it; `display` is
+// "narrow" (1m), "short" (1 min) or "long" (1 minute)
+export function formatUnit(n, unit, locale = "en", display = "short") {
+  const key = `${locale}|${unit}|${display}`;
+  let format = unitFormats.get(key);
+  if (!format) {
+    format = new Intl.NumberFormat(locale, { style: "unit", unit, unitDisplay: display, maximumFractionDigits: 2 });
+    unitFormats.set(key, format);
+  }
+  return format.format(n);
+}
+
+export function formatDuration(ms, locale = "en") {
+  const s = Math.round(ms / 1000);
+  const m = Math.floor(s / 60);
+  return m > 0
+    ? `${formatUnit(m, "minute", locale, "narrow")} ${formatUnit(s % 60, "second", locale, "narrow")}`
+    : formatUnit(s, "second", locale, "narrow");
+}
+
+export function formatTime(ts, locale) {
+  return new Date(ts).toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+}
+
+// Hours and minutes only, for estimates where seconds would be false precision
+export function formatClock(ts, locale) {
+  return new Date(ts).toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" });
+}
+
+// Durations for screen readers, which read "1m 5s" as letters: "1 minute 5 seconds"
+export function formatSpokenDuration(ms, locale = "en") {
+  const s = Math.round(ms / 1000);
+  const m = Math.floor(s / 60);
+  if (m === 0) return formatUnit(s, "second", locale, "long");
+  const minutes = formatUnit(m, "minute", locale, "long");
+  return s % 60 ? `${minutes} ${formatUnit(s % 60, "second", locale, "long")}` : minutes;
+}
@@ -0,0 +1,83 @@
+// ------------------------------- LANGUAGES ------------------------------- //
+//
+// One message catalog per language in ./locales: flat objects of dotted keys. A message
+// is a string with {placeholders}, or { one, other, ... } picked by the language's plural
+// rules for `count`. Keys missing from a catalog fall back to English.
+//
+// The app works with an `i18n` object (createI18n) holding the locale, text direction,
+// `t(key, vars)` and the formatters from format.js bound to the locale. Pure helpers that
+// produce text take one as a parameter and default to English.
+
+import en from "./locales/en";
+import es from "./locales/es";
+import fr from "./locales/fr";
+import { formatDuration, formatTime, formatClock, formatSpokenDuration, formatUnit } from "./format";
+
+export const CATALOGS = { en, es, fr };
+
+// Offered in the language picker, each under its own name
+export const LANGUAGES = [
+  { id: "en", label: "English" },
+  { id: "es", label: "Español" },
+  { id: "fr", label: "Français" },
+];
+
+export const DEFAULT_LANGUAGE = "en";
+// "system" follows the browser's preferred languages
+export const DEFAULT_LANGUAGE_CHOICE = "system";
+
+// Written right to left; the layout mirrors for these
+const RTL_LANGUAGES = ["ar", "dv", "fa", "he", "ps", "ur", "yi"];
+
+export function isLanguageChoice(choice) {
+  return choice === DEFAULT_LANGUAGE_CHOICE || Object.hasOwn(CATALOGS, choice);
+}
+
+export function languageOf(locale) {
+  return locale.split(/[-_]/)[0].toLowerCase();
+}
+
+// Locale to use for a saved choice, given the browser's preferred languages (navigator.languages).
+// A preferred locale in the chosen language keeps its regional formats ("fr-CA" for French).
+export function resolveLocale(choice, preferred = []) {
+  if (Object.hasOwn(CATALOGS, choice)) return preferred.find(tag => languageOf(tag) === choice) ?? choice;
+  return preferred.find(tag => Object.hasOwn(CATALOGS, languageOf(tag))) ?? DEFAULT_LANGUAGE;
+}
+
+export function textDirection(locale) {
+  return RTL_LANGUAGES.includes(languageOf(locale)) ? "rtl" : "ltr";
+}
+
+export function createI18n(locale) {
+  const language = languageOf(locale);
+  const messages = CATALOGS[language] ?? en;
+  const plurals = new Intl.PluralRules(locale);
+
+  const t = (key, vars = {}) => {
+    let message = messages[key] ?? en[key];
+    if (message === undefined) return key;
+    if (typeof message === "object") message = message[plurals.select(vars.count)] ?? message.other;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+  };
+
+  return {
+    locale,
+    language,
+    dir: textDirection(locale),
+    t,
+    formatDuration: ms => formatDuration(ms, locale),
+    formatSpokenDuration: ms => formatSpokenDuration(ms, locale),
+    formatTime: ts => formatTime(ts, locale),
+    formatClock: ts => formatClock(ts, locale),
+    formatUnit: (n, unit, display) => formatUnit(n, unit, locale, display),
+  };
+}
+
+// Default for pure helpers and tests
+export const EN = createI18n(DEFAULT_LANGUAGE);
+
+// Sets the page language and direction so screen readers, hyphenation and layout follow it
+export function applyLocale(i18n, root = document.documentElement) {
+  root.lang = i18n.locale;
+  root.dir = i18n.dir;
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import { CATALOGS, LANGUAGES, createI18n, resolveLocale, textDirection, isLanguageChoice, applyLocale } from "./i18n";
+import { ruleName, ruleDescription, RULE_PRESETS } from "./rules";
+import { validateContraction } from "./contractions";
+
+const placeholders = message => {
+  const texts = typeof message === "object" ? Object.values(message) : [message];
+  return new Set(texts.flatMap(text => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1])));
+};
+
+describe("catalogs", () => {
+  it("translate every English message, and nothing else", () => {
+    const keys = Object.keys(CATALOGS.en).sort();
+    for (const { id } of LANGUAGES) {
+      expect(Object.keys(CATALOGS[id]).sort(), id).toEqual(keys);
+    }
+  });
+
+  it("only use placeholders the English message fills", () => {
+    for (const { id } of LANGUAGES) {
+      for (const [key, message] of Object.entries(CATALOGS[id])) {
+        const known = placeholders(CATALOGS.en[key]);
+        for (const name of placeholders(message)) expect(known.has(name), `${id} ${key} {${name}}`).toBe(true);
+      }
+    }
+  });
+
+  it("give plural messages an `other` form", () => {
+    for (const catalog of Object.values(CATALOGS)) {
+      for (const message of Object.values(catalog)) {
+        if (typeof message === "object") expect(typeof message.other).toBe("string");
+      }
+    }
+  });
+});
+
+describe("createI18n", () => {
+  it("fills placeholders and picks the plural form for the language", () => {
+    const en = createI18n("en");
+    expect(en.t("history.contractions", { count: 1 })).toBe("1 contraction");
+    expect(en.t("history.contractions", { count: 3 })).toBe("3 contractions");
+    // French treats 0 as singular
+    expect(createI18n("fr").t("history.contractions", { count: 0 })).toBe("0 contraction");
+    expect(createI18n("es").t("history.contractions", { count: 0 })).toBe("0 contracciones");
+  });
+
+  it("falls back to English, then to the key", () => {
+    const fr = createI18n("fr");
+    expect(fr.t("no.such.key")).toBe("no.such.key");
+    // A language without a catalog gets the English text but keeps its own formats
+    const de = createI18n("de-DE");
+    expect(de.t("app.title")).toBe("Contraction Clock");
+    expect(de.language).toBe("de");
+  });
+
+  it("formats durations and times for the locale", () => {
+    expect(createI18n("en").formatDuration(65000)).toBe("1m 5s");
+    expect(createI18n("fr").formatDuration(65000)).toMatch(/^1\s?min 5\s?s$/);
+    const at = new Date(2026, 0, 1, 14, 5).getTime();
+    expect(createI18n("fr").formatTime(at)).toMatch(/^14:05/);
+    expect(createI18n("en-US").formatTime(at)).toMatch(/PM$/);
+  });
+
+  it("translates rule names and descriptions", () => {
+    const es = createI18n("es");
+    expect(ruleName({ ...RULE_PRESETS[0], id: "custom" }, es)).toBe("5-1-1 personalizada");
+    expect(ruleName({ ...RULE_PRESETS[0], id: "custom", maxInterval: 90 * 1000 }, es)).toBe("Regla personalizada");
+    expect(ruleDescription(RULE_PRESETS[0], es)).toMatch(/^Contracciones cada ≤5/);
+  });
+
+  it("translates validation messages", () => {
+    const fr = createI18n("fr");
+    expect(validateContraction({ start: 2000, end: 1000, intensity: 0.5 }, [], { now: 5000, i18n: fr }))
+      .toBe("L’heure de fin doit être après l’heure de début.");
+  });
+});
+
+describe("resolveLocale", () => {
+  it("follows the browser's first supported language", () => {
+    expect(resolveLocale("system", ["de-DE", "fr-CA", "en"])).toBe("fr-CA");
+    expect(resolveLocale("system", ["de-DE"])).toBe("en");
+    expect(resolveLocale("system", [])).toBe("en");
+  });
+
+  it("keeps the browser's region for the chosen language", () => {
+    expect(resolveLocale("es", ["en-GB", "es-MX"])).toBe("es-MX");
+    expect(resolveLocale("es", ["en-GB"])).toBe("es");
+  });
+
+  it("treats unknown choices as following the browser", () => {
+    expect(isLanguageChoice("fr")).toBe(true);
+    expect(isLanguageChoice("system")).toBe(true);
+    expect(isLanguageChoice("xx")).toBe(false);
+    expect(resolveLocale("xx", ["es-ES"])).toBe("es-ES");
+    expect(isLanguageChoice("constructor")).toBe(false);
+    expect(resolveLocale("constructor", ["fr-FR"])).toBe("fr-FR");
+    expect(resolveLocale("system", ["constructor", "es"])).toBe("es");
+  });
+});
+
+describe("text direction", () => {
+  it("is right to left for RTL scripts", () => {
+    expect(textDirection("ar-EG")).toBe("rtl");
+    expect(textDirection("he")).toBe("rtl");
+    expect(textDirection("fr")).toBe("ltr");
+  });
+
+  it("is set on the page with the language", () => {
+    const root = {};
+    applyLocale(createI18n("ar"), root);
+    expect(root).toEqual({ lang: "ar", dir: "rtl" });
+  });
+});
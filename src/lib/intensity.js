@@ -0,0 +1,60 @@
+// --------------------------- INTENSITY SCALES ---------------------------- //
+//
+// A contraction's `intensity` is stored as a number from 0.1 to 1 whatever scale it was
+// rated on, so bell heights, trends and exports don't depend on the scale. Each scale
+// is a list of levels ({ id, value }) the rating prompt offers; the numeric scale is
+// labelled by its ids, the others from the catalogs ("intensity.level.<scale>.<id>").
+
+export const PAIN_SCALES = {
+  numeric: Array.from({ length: 10 }, (_, i) => ({ id: String(i + 1), value: (i + 1) / 10 })),
+  // Wong-Baker style faces, from "hurts a little" up to "hurts worst"
+  faces: [
+    { id: "little", value: 0.2, face: "🙂" },
+    { id: "more", value: 0.4, face: "😐" },
+    { id: "evenMore", value: 0.6, face: "😣" },
+    { id: "wholeLot", value: 0.8, face: "😖" },
+    { id: "worst", value: 1, face: "😫" },
+  ],
+  words: [
+    { id: "mild", value: 0.3 },
+    { id: "moderate", value: 0.6 },
+    { id: "strong", value: 0.9 },
+  ],
+};
+
+export const DEFAULT_SCALE = "numeric";
+
+// How long the rating prompt waits for a tap before closing; the slider's value stands
+export const RATING_PROMPT_MS = 20 * 1000;
+
+// { scale, prompt }: how intensities are shown and rated, and whether to ask after each stop
+export const DEFAULT_RATING = { scale: DEFAULT_SCALE, prompt: false };
+
+export function resolveRating(saved) {
+  return {
+    scale: Object.hasOwn(PAIN_SCALES, saved?.scale) ? saved.scale : DEFAULT_SCALE,
+    prompt: saved?.prompt === true,
+  };
+}
+
+// The scale's level closest to a stored intensity; a tie goes to the higher level
+export function nearestLevel(scale, intensity) {
+  const levels = PAIN_SCALES[scale] ?? PAIN_SCALES[DEFAULT_SCALE];
+  return levels.reduce((best, level) => (
+    Math.abs(level.value - intensity) <= Math.abs(best.value - intensity) ? level : best
+  ));
+}
+
+export function levelLabel(scale, level, { t }) {
+  return scale === "numeric" ? level.id : t(`intensity.level.${scale}.${level.id}`);
+}
+
+// A stored intensity as text on the chosen scale: "6 / 10", "😣 Hurts even more", "Moderate".
+// `short` leaves faces without their words, for tight spaces.
+export function formatIntensity(intensity, scale, i18n, { short = false } = {}) {
+  if (!Object.hasOwn(PAIN_SCALES, scale) || scale === "numeric") return `${Math.round(intensity * 10)} / 10`;
+  const level = nearestLevel(scale, intensity);
+  if (level.face && short) return level.face;
+  const label = levelLabel(scale, level, i18n);
+  return level.face ? `${level.face} ${label}` : label;
+}
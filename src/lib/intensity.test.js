@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { PAIN_SCALES, nearestLevel, formatIntensity, resolveRating } from "./intensity";
+import { createI18n } from "./i18n";
+
+const en = createI18n("en");
+
+describe("pain scales", () => {
+  it("store every level as an intensity the log and bells accept", () => {
+    for (const levels of Object.values(PAIN_SCALES)) {
+      for (const { value } of levels) expect(value >= 0.1 && value <= 1).toBe(true);
+      // Stronger levels always draw taller bells
+      expect(levels.map(l => l.value)).toEqual([...levels.map(l => l.value)].sort((a, b) => a - b));
+    }
+  });
+
+  it("read back as the level they were rated at", () => {
+    for (const [scale, levels] of Object.entries(PAIN_SCALES)) {
+      for (const level of levels) expect(nearestLevel(scale, level.value)).toBe(level);
+    }
+  });
+});
+
+describe("formatIntensity", () => {
+  it("shows any stored intensity on the chosen scale", () => {
+    expect(formatIntensity(0.6, "numeric", en)).toBe("6 / 10");
+    expect(formatIntensity(0.9, "words", en)).toBe("Strong");
+    // Rated on the 1-10 slider, shown as words
+    expect(formatIntensity(0.2, "words", en)).toBe("Mild");
+    expect(formatIntensity(1, "faces", en)).toBe("😫 Hurts worst");
+    expect(formatIntensity(1, "faces", en, { short: true })).toBe("😫");
+  });
+
+  it("translates level names", () => {
+    expect(formatIntensity(0.6, "words", createI18n("fr"))).toBe("Modérée");
+  });
+});
+
+describe("resolveRating", () => {
+  it("defaults to the numeric scale without a prompt", () => {
+    expect(resolveRating(undefined)).toEqual({ scale: "numeric", prompt: false });
+    expect(resolveRating({ scale: "stars", prompt: "yes" })).toEqual({ scale: "numeric", prompt: false });
+    expect(resolveRating({ scale: "constructor" }).scale).toBe("numeric");
+    expect(formatIntensity(0.6, "toString", en)).toBe("6 / 10");
+    expect(resolveRating({ scale: "faces", prompt: true })).toEqual({ scale: "faces", prompt: true });
+  });
+});
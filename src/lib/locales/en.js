@@ -0,0 +1,462 @@
+// English: the source catalog. Every key the app uses is here; other languages fall back to it.
+
+export default {
+  // Timer button
+  "timer.start": "Tap to Start",
+  "timer.stop": "Tap to Stop",
+  "timer.startLabel": "Start contraction",
+  "timer.stopLabel": "Stop contraction",
+
+  // Intensity slider
+  "intensity.label": "Intensity",
+  "intensity.valueText": "{value} of 10",
+  "intensity.level.faces.little": "Hurts a little",
+  "intensity.level.faces.more": "Hurts a little more",
+  "intensity.level.faces.evenMore": "Hurts even more",
+  "intensity.level.faces.wholeLot": "Hurts a whole lot",
+  "intensity.level.faces.worst": "Hurts worst",
+  "intensity.level.words.mild": "Mild",
+  "intensity.level.words.moderate": "Moderate",
+  "intensity.level.words.strong": "Strong",
+  "rating.title": "How strong was that one?",
+  "rating.skip": "Skip",
+  "breathing.cue.in": "Breathe in",
+  "breathing.cue.out": "Breathe out",
+  "breathing.cue.hold": "Hold",
+  "breathing.cue.hee": "Hee",
+  "breathing.cue.hoo": "Hoo",
+
+  // Stats beside the timer
+  "stats.count": "Count",
+  "stats.avgDuration": "Avg Duration",
+  "stats.lastInterval": "Last Interval",
+  "stats.lastDuration": "Last Duration",
+
+  // Labour rules
+  "rule.custom": "Custom rule",
+  "rule.customNamed": "Custom {name}",
+  "rule.apart": "Contractions ≤{span} apart",
+  "rule.lasting": "lasting ≥{span}",
+  "rule.sustained": "for ≥{span}",
+
+  // Rule card
+  "rule.title": "{rule} Rule",
+  "rule.isItTime": "Is it time?",
+  "rule.yes": "YES",
+  "rule.probablyNot": "PROBABLY NOT",
+  "rule.estimateTitle": "Rough estimate from your recent trend, not a prediction of labour",
+  "rule.likely": "likely ~{time}",
+  "rule.later": "later",
+  "rule.frequency": "Frequency",
+  "rule.duration": "Duration",
+  "rule.ongoing": "Ongoing",
+  "rule.estimateNote": "If things keep changing at the current rate, {rule} may be met around {time}.",
+  "rule.noTrendNote": "No clear trend toward {rule} yet.",
+  "rule.insufficientNote": "An estimate appears after a few more contractions.",
+  "rule.estimateCaveat": "This is a rough straight-line guess; labour rarely progresses evenly, so go by how you feel and your provider's advice.",
+  "rule.pleaseNote": "Please Note:",
+  "rule.callDoctor": "Call your doctor if you have vaginal bleeding, leaking fluid, or can't feel your baby move.",
+
+  // Trends under the rule card
+  "trends.title": "Trends · {window}",
+  "trends.lastContractions": { one: "last {count} contraction", other: "last {count} contractions" },
+  "trends.lastMinutes": { one: "last {count} min", other: "last {count} min" },
+  "trends.wholeSession": "whole session",
+  "trends.interval": "Interval",
+  "trends.duration": "Duration",
+  "trends.intensity": "Intensity",
+  "trends.increasing": "increasing",
+  "trends.decreasing": "decreasing",
+  "trends.stable": "stable",
+  "trends.notEnoughData": "not enough data",
+
+  // Session bar and history
+  "history.current": "Current session",
+  "history.viewingPast": "Viewing past session (read-only)",
+  "history.backToCurrent": "Back to current",
+  "history.show": "Sessions ({count})",
+  "history.hide": "Hide sessions",
+  "history.currentBadge": "CURRENT",
+  "history.contractions": { one: "{count} contraction", other: "{count} contractions" },
+  "history.open": "Open",
+  "history.rename": "Rename",
+  "history.delete": "Delete",
+  "history.new": "+ New Session",
+  "history.archivesCurrent": "Archives the current session",
+  "history.stopFirst": "Stop the current contraction first",
+  "history.confirmDelete": {
+    one: "Delete \"{name}\" and its {count} contraction? This can't be undone.",
+    other: "Delete \"{name}\" and its {count} contractions? This can't be undone.",
+  },
+
+  // Alerts: settings labels and the notifications
+  "alerts.ruleMet.label": "Rule first met",
+  "alerts.ruleMet.title": "Time to call your provider",
+  "alerts.ruleMet.body": "Your contractions now meet the {rule} rule.",
+  "alerts.streakBroken.label": "Streak broken",
+  "alerts.streakBroken.title": "Contraction pattern changed",
+  "alerts.streakBroken.body": "The latest contraction broke your {rule} streak.",
+  "alerts.longContraction.label": "Contraction over 2 minutes",
+  "alerts.longContraction.title": "Long contraction",
+  "alerts.longContraction.body": "This contraction has lasted over 2 minutes. Contact your provider if this keeps happening.",
+  "alerts.closeTogether.label": "Contractions under 2 minutes apart",
+  "alerts.closeTogether.title": "Contractions very close together",
+  "alerts.closeTogether.body": "Contractions are less than 2 minutes apart. Contact your provider.",
+
+  // Settings panel
+  "settings.rule": "Labour rule",
+  "settings.customRule": "Custom",
+  "settings.customRuleHint": "Set your provider's numbers",
+  "settings.apart": "Apart",
+  "settings.lasting": "Lasting",
+  "settings.for": "For",
+  "settings.minutesUnit": "min",
+  "settings.secondsUnit": "sec",
+  "settings.customRuleLimits": "Use 1–30 min apart, 0–180 sec long and 0–240 min sustained.",
+  "settings.ruleNote": "Using {rule}. Always follow the advice your own provider gave you.",
+  "settings.window": "Averages & trends window",
+  "settings.windowLast": "Last",
+  "settings.windowMinutes": "minutes",
+  "settings.windowContractions": "contractions",
+  "settings.windowAll": "Whole session",
+  "settings.windowNote": "Frequency and Duration tiles average over this window, so recent changes aren't hidden by early, sparse contractions.",
+  "settings.alerts": "Alerts",
+  "settings.alertsEnabled": "Alert me (notification, chime and vibration)",
+  "settings.alertsQuiet": "Quiet mode: silent notifications, no sound or vibration",
+  "settings.permission.granted": "Notifications allowed.",
+  "settings.permission.denied": "Notifications are blocked in your browser settings; sound and vibration still work.",
+  "settings.permission.default": "You'll be asked to allow notifications.",
+  "settings.permission.unsupported": "This browser can't show notifications; sound and vibration still work.",
+  "settings.testAlert": "Test alert",
+  "settings.intensity": "Intensity rating",
+  "settings.scale": "Scale",
+  "settings.scale.numeric": "1–10",
+  "settings.scale.faces": "Faces",
+  "settings.scale.words": "Mild / moderate / strong",
+  "settings.ratePrompt": "Ask how strong each contraction was after stopping",
+  "settings.ratePromptNote": "The question closes by itself after {seconds} seconds, keeping the slider's value.",
+  "settings.breathing": "Breathing guide",
+  "settings.breathingOn": "Pace my breathing during a contraction",
+  "settings.breathingPattern": "Breathing pattern",
+  "settings.breathingPattern.slow": "Slow (in 4, out 6)",
+  "settings.breathingPattern.box": "Box (4-4-4-4)",
+  "settings.breathingPattern.heeHeeHoo": "Hee-hee-hoo",
+  "settings.breathingSound": "Sound cues",
+  "settings.breathingVibrate": "Vibration cues",
+  "settings.breathingNote": "A ring around the timer grows as you breathe in and shrinks as you breathe out. It stops when you stop the contraction.",
+  "settings.appearance": "Appearance",
+  "settings.theme": "Theme",
+  "settings.theme.system": "Match device",
+  "settings.theme.dark": "Dark",
+  "settings.theme.light": "Light",
+  "settings.theme.night": "Night",
+  "settings.nightNote": "Night is dim red and amber on black, for timing in a dark room without waking anyone.",
+  "settings.screen": "Screen",
+  "settings.wakeLock": "Keep the screen on while timing",
+  "settings.wakeLockNote": "Uses more battery. The screen can still turn off if the battery is low.",
+  "settings.wakeLockUnsupported": "This browser can't keep the screen on; lengthen the screen timeout in your device settings instead.",
+  "settings.contacts": "Care team",
+  "settings.contactName": "Name",
+  "settings.contactPhone": "Phone",
+  "settings.contactNameLabel": "{role}: name",
+  "settings.contactPhoneLabel": "{role}: phone number",
+  "settings.contactsNote": "Kept on this device only. They're shown, ready to call, once the rule is met or a warning sign is logged.",
+  "settings.language": "Language",
+  "settings.languageSystem": "Match browser",
+  "settings.done": "Done",
+
+  // Contraction log
+  "log.title": "Contraction Log",
+  "log.startTime": "Start Time",
+  "log.duration": "Duration",
+  "log.frequency": "Frequency",
+  "log.intensity": "Intensity",
+  "log.edit": "Edit",
+  "log.delete": "Delete",
+  "log.editLabel": "Edit contraction {n}",
+  "log.deleteLabel": "Delete contraction {n}",
+  "log.editTitle": "Edit contraction #{n}",
+  "log.addTitle": "Add a past contraction",
+  "log.deleted": "Deleted contraction from {time}",
+  "log.undo": "Undo",
+  "log.add": "+ Add Contraction",
+  "log.clear": "Clear Session",
+  "log.confirmClear": {
+    one: "Clear the {count} contraction and the logged events from this session? This can't be undone.",
+    other: "Clear all {count} contractions and the logged events from this session? This can't be undone.",
+  },
+  "log.addEvent": "+ Log Event",
+  "log.addEventTitle": "Log an event",
+  "log.editEventTitle": "Edit event",
+  "log.editEventLabel": "Edit event: {event}",
+  "log.deleteEventLabel": "Delete event: {event}",
+  "log.eventDeleted": "Deleted {event} from {time}",
+
+  // Contraction editor
+  "editor.start": "Start",
+  "editor.end": "End",
+  "editor.intensity": "Intensity",
+  "editor.save": "Save",
+  "editor.cancel": "Cancel",
+
+  // Validation of edited, added and imported contractions
+  "validate.startInvalid": "Start time is missing or invalid.",
+  "validate.endInvalid": "End time is missing or invalid.",
+  "validate.endBeforeStart": "End time must be after the start time.",
+  "validate.tooShort": "Contractions must last at least 1 second.",
+  "validate.future": "End time can't be in the future.",
+  "validate.intensity": "Intensity must be between 1 and 10.",
+  "validate.overlaps": "Overlaps contraction #{n} ({time}).",
+  "validate.overlapsActive": "Overlaps the contraction currently being timed.",
+
+  // Labour events and the red-flag banner
+  "event.type.waters": "Waters broke",
+  "event.type.show": "Bloody show",
+  "event.type.bleeding": "Bleeding",
+  "event.type.reducedMovement": "Reduced baby movements",
+  "event.type.vomiting": "Vomiting",
+  "event.type.medication": "Medication taken",
+  "event.type.note": "Note",
+  "event.color.clear": "clear",
+  "event.color.pink": "pink-tinged",
+  "event.color.green": "green",
+  "event.color.brown": "brown",
+  "event.color.bloody": "bloody",
+  "event.withDetail": "{name}: {detail}",
+  "event.redFlag": "Warning sign:",
+  "eventEditor.type": "Event",
+  "eventEditor.time": "Time",
+  "eventEditor.color": "Colour",
+  "eventEditor.medication": "What and how much",
+  "eventEditor.note": "Note",
+  "redFlag.title": "Call your midwife or maternity unit now",
+  "redFlag.body": "Something you logged needs checking straight away, however far apart the contractions are.",
+  "validate.eventType": "Choose what happened.",
+  "validate.eventTime": "Time is missing or invalid.",
+  "validate.eventFuture": "Time can't be in the future.",
+  "validate.watersColor": "Choose the colour of the waters.",
+  "validate.eventText": "Write something to log.",
+  "validate.eventTextLong": "Keep it to {max} characters.",
+
+  // Care-team card and the summary sent to it
+  "contacts.title": "Call your care team",
+  "contacts.role.provider": "Midwife or doctor",
+  "contacts.role.hospital": "Hospital or birth centre",
+  "contacts.role.partner": "Birth partner",
+  "contacts.call": "Call",
+  "contacts.callLabel": "Call {name}",
+  "contacts.text": "Text",
+  "contacts.textLabel": "Text the summary to {name}",
+  "contacts.share": "Share summary",
+  "contacts.copy": "Copy summary",
+  "contacts.copied": "Summary copied.",
+  "contacts.failed": "Couldn't share the summary.",
+  "contacts.empty": "Save your care team's numbers to call them from here.",
+  "contacts.setUp": "Add contacts",
+  "contacts.preview": "Summary",
+  "summary.heading": "Contractions as of {time}",
+  "summary.ruleMet": "{rule}: met.",
+  "summary.ruleNotMet": "{rule}: not met yet.",
+  "summary.noContractions": "No contractions recorded yet.",
+  "summary.last": { one: "Last contraction:", other: "Last {count} contractions:" },
+  "summary.row": "- {time}, lasted {duration}",
+  "summary.rowInterval": "- {time}, lasted {duration}, {interval} after the one before",
+  "summary.averages": "Average interval {interval}, average duration {duration}.",
+  "summary.streak": "Regular for {duration} ({count} contractions).",
+  "summary.noStreak": "Not regular yet.",
+  "summary.events": "Also logged:",
+  "summary.redFlag": "- {event} (warning sign)",
+
+  // Export / import
+  "exchange.report": "Report",
+  "exchange.exportCSV": "Export CSV",
+  "exchange.exportJSON": "Export JSON",
+  "exchange.importJSON": "Import JSON",
+  "exchange.nothingUsable": "No usable contractions or events in that file.",
+  "exchange.confirmReplace": "Replace all {count} contractions and the logged events in this session?",
+  "exchange.imported": { one: "Imported {count} contraction", other: "Imported {count} contractions" },
+  "exchange.importedEvents": { one: "{count} event", other: "{count} events" },
+  "exchange.duplicates": "{count} already present",
+  "exchange.result": "{result}.",
+  "exchange.resultRejected": "{result}; {count} rejected:",
+  "exchange.pending": { one: "{count} contraction", other: "{count} contractions" },
+  "exchange.pendingNamed": { one: "{count} contraction from \"{name}\"", other: "{count} contractions from \"{name}\"" },
+  "exchange.pendingEvents": { one: " and {count} logged event", other: " and {count} logged events" },
+  "exchange.malformed": { one: ", {count} malformed row will be skipped", other: ", {count} malformed rows will be skipped" },
+  "exchange.merge": "Merge into session",
+  "exchange.replace": "Replace session",
+  "exchange.cancel": "Cancel",
+  "import.notJSON": "This file isn't valid JSON.",
+  "import.notExport": "This file isn't a Contraction Clock export.",
+  "import.version": "Unsupported export version {version}; this app reads version {supported}.",
+  "import.noList": "The export has no contractions list.",
+  "import.row": "Row {row}: {reason}",
+  "import.notRecord": "not a contraction record.",
+  "import.eventRow": "Event {row}: {reason}",
+  "import.notEvent": "not an event record.",
+  "import.noEventList": "The export's events aren't a list.",
+  "import.badStart": "\"start\" is missing or not a time.",
+  "import.badEnd": "\"end\" is missing or not a time.",
+  "import.badIntensity": "\"intensity\" must be a number.",
+
+  // Stale timer
+  "stale.message": "A contraction started at {time} was never stopped ({ago} ago). Finish it with the real end time, or discard it?",
+  "stale.editTitle": "When did this contraction end?",
+  "stale.finish": "Finish",
+  "stale.discard": "Discard",
+
+  // Chart
+  "chart.zoomLabel": "Chart zoom",
+  "chart.zoomHint": "Pinch or Ctrl + scroll on the chart to zoom",
+  "chart.zoom.15m": "15 min",
+  "chart.zoom.1h": "1 h",
+  "chart.zoom.all": "Session",
+  "chart.trueScale": "True scale",
+  "chart.viewLabel": "Chart view",
+  "chart.mode.timeline": "Timeline",
+  "chart.mode.interval": "Interval",
+  "chart.mode.duration": "Duration",
+  "chart.axis.timeline": "Intensity",
+  "chart.axis.interval": "Interval (min)",
+  "chart.axis.duration": "Duration (s)",
+  "chart.live": "Current",
+  "chart.scroll": "Scroll Timeline",
+  "chart.description": {
+    one: "{view} chart of {count} contraction. The table after it lists them.",
+    other: "{view} chart of {count} contractions. The table after it lists them.",
+  },
+  "chart.empty": "Tap the button when a contraction begins",
+  "chart.emptyIntervals": "Intervals appear from the second contraction",
+  "chart.projected": "PROJECTED",
+  "chart.later": "later",
+  "chart.point": "{time} · {value}",
+  "chart.pointPending": "{time} · {value} (so far)",
+
+  // Bell tooltip
+  "tooltip.start": "Start",
+  "tooltip.started": "Started",
+  "tooltip.duration": "Duration",
+  "tooltip.soFar": "So far",
+  "tooltip.interval": "Interval",
+  "tooltip.first": "first",
+  "tooltip.intensity": "Intensity",
+
+  // Chart as a table, for screen readers
+  "table.caption": "Contractions in this session, oldest first",
+  "table.number": "Number",
+  "table.start": "Start",
+  "table.duration": "Duration",
+  "table.interval": "Interval since previous",
+  "table.intensity": "Intensity",
+  "table.intensityValue": "{n} of 10",
+
+  // One-handed view
+  "oneHanded.exit": "Exit one-handed view",
+  "oneHanded.inProgress": "Contraction in progress",
+  "oneHanded.ready": "Ready",
+  "oneHanded.lastInterval": "Last interval",
+  "oneHanded.lastDuration": "Last duration",
+  "oneHanded.ruleMet": "{rule} met: time to call",
+  "oneHanded.ruleNotMet": "{rule} not met",
+  "oneHanded.intensity": "Intensity",
+  "oneHanded.intensityValue": "Intensity {n}",
+  "oneHanded.lower": "Lower intensity",
+  "oneHanded.raise": "Raise intensity",
+  "oneHanded.start": "START",
+  "oneHanded.stop": "STOP",
+
+  // Saved data problems
+  "storage.saveFailed": "Your latest changes couldn't be saved on this device. Keep this tab open and export the session (Export JSON, below) so nothing is lost.",
+  "storage.quarantined": {
+    one: "1 saved entry couldn't be read and was set aside instead of being deleted. Everything else loaded normally. Download the set-aside data to keep a copy or to get help recovering it.",
+    other: "{count} saved entries couldn't be read and were set aside instead of being deleted. Everything else loaded normally. Download the set-aside data to keep a copy or to get help recovering it.",
+  },
+  "storage.confirmDelete": "Permanently delete the unreadable data? Download it first if you might want it.",
+  "storage.download": "Download",
+  "storage.delete": "Delete it",
+  "storage.later": "Later",
+
+  // App updates
+  "update.available": "A new version is available. Your timer and log are kept.",
+  "update.offlineReady": "Ready to work offline.",
+  "update.later": "Later",
+  "update.update": "Update",
+  "update.ok": "OK",
+
+  // Printable report
+  "report.back": "Back",
+  "report.print": "Print / Save as PDF",
+  "report.title": "Labour Contraction Summary",
+  "report.empty": "No contractions recorded",
+  "report.generated": "Generated {time}",
+  "report.contractions": "Contractions",
+  "report.avgDuration": "Avg duration",
+  "report.avgFrequency": "Avg frequency",
+  "report.longestStreak": "Longest streak",
+  "report.firstMet": "{rule} first met",
+  "report.notMet": "Not met",
+  "report.ruleNote": "{rule}: {description}. Frequency is measured start to start.",
+  "report.start": "Start",
+  "report.end": "End",
+  "report.duration": "Duration",
+  "report.frequency": "Frequency",
+  "report.rest": "Rest",
+  "report.intensity": "Intensity",
+  "report.streakNote": "Shaded rows: longest qualifying streak.",
+  "report.events": "Logged events",
+  "report.time": "Time",
+  "report.event": "Event",
+  "report.redFlag": "Red flag",
+
+  // Live sharing
+  "share.qrAlt": "QR code to join this session",
+  "share.sharingTitle": "Sharing this session",
+  "share.code": "Share code",
+  "share.connected": {
+    one: "Connected. 1 other device following along.",
+    other: "Connected. {count} other devices following along.",
+  },
+  "share.waiting": "Connected. Waiting for your partner to join: scan the code or type it in on their phone.",
+  "share.status.connecting": "Connecting to the relay…",
+  "share.status.reconnecting": "Connection lost, retrying…",
+  "share.status.error": "Sharing stopped.",
+  "share.error.invalidCode": "That share code isn't valid.",
+  "share.error.noRoom": "No shared session with that code.",
+  "share.error.full": "This shared session is full.",
+  "share.error.malformed": "The relay couldn't read a message from this device.",
+  "share.error.version": "This app version can't use this relay. Reload to update.",
+  "share.error.tooManyTries": "Too many tries with codes that don't exist. Wait a minute and try again.",
+  "share.error.unreachable": "Can't reach the relay at {url}.",
+  "share.error.unknown": "The relay closed the connection.",
+  "share.bothTime": "Either phone can start and stop contractions. If you both tap, the first tap counts.",
+  "share.startTitle": "Share this session",
+  "share.startHint": "Stream contractions, logged events and the running timer to a partner's phone. Both of you can time.",
+  "share.start": "Start sharing",
+  "share.joinTitle": "Join a partner",
+  "share.join": "Join",
+  "share.joinHint": "Your current contractions stay in their own session; the shared one opens as a new session.",
+  "share.joinBlocked": "Stop the running contraction before joining.",
+  "share.showRelay": "Relay server…",
+  "share.hideRelay": "Hide relay server",
+  "share.relayHint": "Both devices must use the same relay. Run it with",
+  "share.stop": "Stop sharing",
+  "share.done": "Done",
+  "share.sharedSession": "Shared session",
+
+  // Main screen
+  "app.title": "Contraction Clock",
+  "app.share": "Share with a partner",
+  "app.settings": "Settings",
+  "app.oneHanded": "One-handed view",
+  "app.shortcuts": "Space / Enter: start or stop · ↑ ↓: intensity",
+
+  // Screen-reader announcements
+  "announce.started": "Contraction started.",
+  "announce.tooShort": "Stopped too soon to count. Nothing was recorded.",
+  "announce.stopped": "Contraction stopped. It lasted {duration}.",
+  "announce.intensity": "Intensity {n} of 10.",
+  "announce.rated": "Rated {level}.",
+  "announce.elapsed": "{duration} elapsed",
+  "announce.ruleMet": "{rule} rule met.",
+  "announce.ruleNotMet": "{rule} rule not met yet.",
+};
@@ -0,0 +1,465 @@
+// Spanish
+
+export default {
+  // Timer button
+  "timer.start": "Toca para empezar",
+  "timer.stop": "Toca para parar",
+  "timer.startLabel": "Empezar contracción",
+  "timer.stopLabel": "Parar contracción",
+
+  // Intensity slider
+  "intensity.label": "Intensidad",
+  "intensity.valueText": "{value} de 10",
+  "intensity.level.faces.little": "Duele un poco",
+  "intensity.level.faces.more": "Duele un poco más",
+  "intensity.level.faces.evenMore": "Duele aún más",
+  "intensity.level.faces.wholeLot": "Duele mucho",
+  "intensity.level.faces.worst": "El peor dolor",
+  "intensity.level.words.mild": "Leve",
+  "intensity.level.words.moderate": "Moderada",
+  "intensity.level.words.strong": "Fuerte",
+  "rating.title": "¿Qué intensidad tuvo esta contracción?",
+  "rating.skip": "Omitir",
+  "breathing.cue.in": "Inspira",
+  "breathing.cue.out": "Espira",
+  "breathing.cue.hold": "Mantén",
+  "breathing.cue.hee": "Ji",
+  "breathing.cue.hoo": "Ju",
+
+  // Stats beside the timer
+  "stats.count": "Total",
+  "stats.avgDuration": "Duración media",
+  "stats.lastInterval": "Último intervalo",
+  "stats.lastDuration": "Última duración",
+
+  // Labour rules
+  "rule.custom": "Regla personalizada",
+  "rule.customNamed": "{name} personalizada",
+  "rule.apart": "Contracciones cada ≤{span}",
+  "rule.lasting": "de ≥{span}",
+  "rule.sustained": "durante ≥{span}",
+
+  // Rule card
+  "rule.title": "Regla {rule}",
+  "rule.isItTime": "¿Es la hora?",
+  "rule.yes": "SÍ",
+  "rule.probablyNot": "PROBABLEMENTE NO",
+  "rule.estimateTitle": "Estimación aproximada según tu tendencia reciente, no una predicción del parto",
+  "rule.likely": "probable ~{time}",
+  "rule.later": "más tarde",
+  "rule.frequency": "Frecuencia",
+  "rule.duration": "Duración",
+  "rule.ongoing": "Continuado",
+  "rule.estimateNote": "Si todo sigue cambiando al ritmo actual, podrías cumplir la regla {rule} hacia las {time}.",
+  "rule.noTrendNote": "Todavía no hay una tendencia clara hacia la regla {rule}.",
+  "rule.insufficientNote": "La estimación aparece tras unas cuantas contracciones más.",
+  "rule.estimateCaveat": "Es una aproximación en línea recta; el parto rara vez avanza de forma regular, así que guíate por cómo te sientes y por los consejos de tu matrona o médico.",
+  "rule.pleaseNote": "Ten en cuenta:",
+  "rule.callDoctor": "Llama a tu médico si tienes sangrado vaginal, pérdida de líquido o no notas moverse a tu bebé.",
+
+  // Trends under the rule card
+  "trends.title": "Tendencias · {window}",
+  "trends.lastContractions": { one: "última contracción", other: "últimas {count} contracciones" },
+  "trends.lastMinutes": { one: "último {count} min", other: "últimos {count} min" },
+  "trends.wholeSession": "toda la sesión",
+  "trends.interval": "Intervalo",
+  "trends.duration": "Duración",
+  "trends.intensity": "Intensidad",
+  "trends.increasing": "en aumento",
+  "trends.decreasing": "en descenso",
+  "trends.stable": "estable",
+  "trends.notEnoughData": "faltan datos",
+
+  // Session bar and history
+  "history.current": "Sesión actual",
+  "history.viewingPast": "Viendo una sesión anterior (solo lectura)",
+  "history.backToCurrent": "Volver a la actual",
+  "history.show": "Sesiones ({count})",
+  "history.hide": "Ocultar sesiones",
+  "history.currentBadge": "ACTUAL",
+  "history.contractions": { one: "{count} contracción", other: "{count} contracciones" },
+  "history.open": "Abrir",
+  "history.rename": "Renombrar",
+  "history.delete": "Eliminar",
+  "history.new": "+ Nueva sesión",
+  "history.archivesCurrent": "Archiva la sesión actual",
+  "history.stopFirst": "Primero para la contracción en curso",
+  "history.confirmDelete": {
+    one: "¿Eliminar «{name}» y su {count} contracción? No se puede deshacer.",
+    other: "¿Eliminar «{name}» y sus {count} contracciones? No se puede deshacer.",
+  },
+
+  // Alerts: settings labels and the notifications
+  "alerts.ruleMet.label": "Regla cumplida por primera vez",
+  "alerts.ruleMet.title": "Es hora de llamar a tu matrona o médico",
+  "alerts.ruleMet.body": "Tus contracciones ya cumplen la regla {rule}.",
+  "alerts.streakBroken.label": "Racha interrumpida",
+  "alerts.streakBroken.title": "El patrón de contracciones ha cambiado",
+  "alerts.streakBroken.body": "La última contracción ha roto tu racha {rule}.",
+  "alerts.longContraction.label": "Contracción de más de 2 minutos",
+  "alerts.longContraction.title": "Contracción larga",
+  "alerts.longContraction.body": "Esta contracción dura ya más de 2 minutos. Si se repite, contacta con tu matrona o médico.",
+  "alerts.closeTogether.label": "Contracciones a menos de 2 minutos",
+  "alerts.closeTogether.title": "Contracciones muy seguidas",
+  "alerts.closeTogether.body": "Las contracciones llegan a menos de 2 minutos entre sí. Contacta con tu matrona o médico.",
+
+  // Settings panel
+  "settings.rule": "Regla de parto",
+  "settings.customRule": "Personalizada",
+  "settings.customRuleHint": "Usa los valores que te dio tu matrona o médico",
+  "settings.apart": "Cada",
+  "settings.lasting": "Duración",
+  "settings.for": "Durante",
+  "settings.minutesUnit": "min",
+  "settings.secondsUnit": "s",
+  "settings.customRuleLimits": "Usa de 1 a 30 min entre contracciones, de 0 a 180 s de duración y de 0 a 240 min seguidos.",
+  "settings.ruleNote": "Usando {rule}. Sigue siempre los consejos de tu propia matrona o médico.",
+  "settings.window": "Ventana de medias y tendencias",
+  "settings.windowLast": "Últimos",
+  "settings.windowMinutes": "minutos",
+  "settings.windowContractions": "contracciones",
+  "settings.windowAll": "Toda la sesión",
+  "settings.windowNote": "Las casillas de Frecuencia y Duración promedian esta ventana, para que las primeras contracciones, más espaciadas, no oculten los cambios recientes.",
+  "settings.alerts": "Avisos",
+  "settings.alertsEnabled": "Avisarme (notificación, sonido y vibración)",
+  "settings.alertsQuiet": "Modo silencioso: notificaciones sin sonido ni vibración",
+  "settings.permission.granted": "Notificaciones permitidas.",
+  "settings.permission.denied": "Las notificaciones están bloqueadas en la configuración del navegador; el sonido y la vibración siguen funcionando.",
+  "settings.permission.default": "Se te pedirá permiso para mostrar notificaciones.",
+  "settings.permission.unsupported": "Este navegador no puede mostrar notificaciones; el sonido y la vibración siguen funcionando.",
+  "settings.testAlert": "Probar aviso",
+  "settings.intensity": "Valoración de la intensidad",
+  "settings.scale": "Escala",
+  "settings.scale.numeric": "1–10",
+  "settings.scale.faces": "Caras",
+  "settings.scale.words": "Leve / moderada / fuerte",
+  "settings.ratePrompt": "Preguntar la intensidad de cada contracción al detenerla",
+  "settings.ratePromptNote": "La pregunta se cierra sola a los {seconds} segundos y se mantiene el valor del control deslizante.",
+  "settings.breathing": "Guía de respiración",
+  "settings.breathingOn": "Marcar el ritmo de mi respiración durante una contracción",
+  "settings.breathingPattern": "Patrón de respiración",
+  "settings.breathingPattern.slow": "Lenta (inspira 4, espira 6)",
+  "settings.breathingPattern.box": "Cuadrada (4-4-4-4)",
+  "settings.breathingPattern.heeHeeHoo": "Ji-ji-ju",
+  "settings.breathingSound": "Avisos sonoros",
+  "settings.breathingVibrate": "Avisos con vibración",
+  "settings.breathingNote": "Un anillo alrededor del temporizador crece al inspirar y se encoge al espirar. Se detiene al parar la contracción.",
+  "settings.appearance": "Apariencia",
+  "settings.theme": "Tema",
+  "settings.theme.system": "Como el dispositivo",
+  "settings.theme.dark": "Oscuro",
+  "settings.theme.light": "Claro",
+  "settings.theme.night": "Noche",
+  "settings.nightNote": "Noche usa rojo y ámbar tenues sobre negro, para cronometrar en una habitación a oscuras sin despertar a nadie.",
+  "settings.screen": "Pantalla",
+  "settings.wakeLock": "Mantener la pantalla encendida mientras se cronometra",
+  "settings.wakeLockNote": "Consume más batería. La pantalla puede apagarse igualmente si queda poca batería.",
+  "settings.wakeLockUnsupported": "Este navegador no puede mantener la pantalla encendida; alarga el tiempo de espera de la pantalla en los ajustes del dispositivo.",
+  "settings.contacts": "Equipo de atención",
+  "settings.contactName": "Nombre",
+  "settings.contactPhone": "Teléfono",
+  "settings.contactNameLabel": "{role}: nombre",
+  "settings.contactPhoneLabel": "{role}: número de teléfono",
+  "settings.contactsNote": "Solo se guardan en este dispositivo. Aparecen, listos para llamar, cuando se cumple la regla o se anota una señal de alarma.",
+  "settings.language": "Idioma",
+  "settings.languageSystem": "Como el navegador",
+  "settings.done": "Listo",
+
+  // Contraction log
+  "log.title": "Registro de contracciones",
+  "log.startTime": "Inicio",
+  "log.duration": "Duración",
+  "log.frequency": "Frecuencia",
+  "log.intensity": "Intensidad",
+  "log.edit": "Editar",
+  "log.delete": "Eliminar",
+  "log.editLabel": "Editar contracción {n}",
+  "log.deleteLabel": "Eliminar contracción {n}",
+  "log.editTitle": "Editar contracción n.º {n}",
+  "log.addTitle": "Añadir una contracción pasada",
+  "log.deleted": "Contracción de las {time} eliminada",
+  "log.undo": "Deshacer",
+  "log.add": "+ Añadir contracción",
+  "log.clear": "Vaciar sesión",
+  "log.confirmClear": {
+    one: "¿Borrar la {count} contracción y los eventos registrados de esta sesión? No se puede deshacer.",
+    other: "¿Borrar las {count} contracciones y los eventos registrados de esta sesión? No se puede deshacer.",
+  },
+  "log.addEvent": "+ Anotar evento",
+  "log.addEventTitle": "Anotar un evento",
+  "log.editEventTitle": "Editar evento",
+  "log.editEventLabel": "Editar evento: {event}",
+  "log.deleteEventLabel": "Eliminar evento: {event}",
+  "log.eventDeleted": "{event} de las {time} eliminado",
+
+  // Contraction editor
+  "editor.start": "Inicio",
+  "editor.end": "Fin",
+  "editor.intensity": "Intensidad",
+  "editor.save": "Guardar",
+  "editor.cancel": "Cancelar",
+
+  // Validation of edited, added and imported contractions
+  "validate.startInvalid": "Falta la hora de inicio o no es válida.",
+  "validate.endInvalid": "Falta la hora de fin o no es válida.",
+  "validate.endBeforeStart": "La hora de fin debe ser posterior a la de inicio.",
+  "validate.tooShort": "Las contracciones deben durar al menos 1 segundo.",
+  "validate.future": "La hora de fin no puede estar en el futuro.",
+  "validate.intensity": "La intensidad debe estar entre 1 y 10.",
+  "validate.overlaps": "Se solapa con la contracción n.º {n} ({time}).",
+  "validate.overlapsActive": "Se solapa con la contracción que se está cronometrando.",
+
+  // Labour events and the red-flag banner
+  "event.type.waters": "Rotura de aguas",
+  "event.type.show": "Expulsión del tapón mucoso",
+  "event.type.bleeding": "Sangrado",
+  "event.type.reducedMovement": "El bebé se mueve menos",
+  "event.type.vomiting": "Vómitos",
+  "event.type.medication": "Medicación tomada",
+  "event.type.note": "Nota",
+  "event.color.clear": "claras",
+  "event.color.pink": "rosadas",
+  "event.color.green": "verdes",
+  "event.color.brown": "marrones",
+  "event.color.bloody": "con sangre",
+  "event.withDetail": "{name}: {detail}",
+  "event.redFlag": "Señal de alarma:",
+  "eventEditor.type": "Evento",
+  "eventEditor.time": "Hora",
+  "eventEditor.color": "Color",
+  "eventEditor.medication": "Qué y cuánto",
+  "eventEditor.note": "Nota",
+  "redFlag.title": "Llama ahora a tu matrona o a la maternidad",
+  "redFlag.body": "Algo que has anotado debe revisarse enseguida, sea cual sea la frecuencia de las contracciones.",
+  "validate.eventType": "Elige qué ha pasado.",
+  "validate.eventTime": "Falta la hora o no es válida.",
+  "validate.eventFuture": "La hora no puede estar en el futuro.",
+  "validate.watersColor": "Elige el color de las aguas.",
+  "validate.eventText": "Escribe algo para anotar.",
+  "validate.eventTextLong": "Usa como máximo {max} caracteres.",
+
+  // Care-team card and the summary sent to it
+  "contacts.title": "Llama a tu equipo de atención",
+  "contacts.role.provider": "Matrona o médico",
+  "contacts.role.hospital": "Hospital o centro de parto",
+  "contacts.role.partner": "Acompañante",
+  "contacts.call": "Llamar",
+  "contacts.callLabel": "Llamar a {name}",
+  "contacts.text": "SMS",
+  "contacts.textLabel": "Enviar el resumen por SMS a {name}",
+  "contacts.share": "Compartir resumen",
+  "contacts.copy": "Copiar resumen",
+  "contacts.copied": "Resumen copiado.",
+  "contacts.failed": "No se ha podido compartir el resumen.",
+  "contacts.empty": "Guarda los números de tu equipo de atención para llamarles desde aquí.",
+  "contacts.setUp": "Añadir contactos",
+  "contacts.preview": "Resumen",
+  "summary.heading": "Contracciones a las {time}",
+  "summary.ruleMet": "{rule}: se cumple.",
+  "summary.ruleNotMet": "{rule}: aún no se cumple.",
+  "summary.noContractions": "Aún no hay contracciones registradas.",
+  "summary.last": { one: "Última contracción:", other: "Últimas {count} contracciones:" },
+  "summary.row": "- {time}, duró {duration}",
+  "summary.rowInterval": "- {time}, duró {duration}, {interval} después de la anterior",
+  "summary.averages": "Intervalo medio {interval}, duración media {duration}.",
+  "summary.streak": "Regulares desde hace {duration} ({count} contracciones).",
+  "summary.noStreak": "Aún no son regulares.",
+  "summary.events": "También anotado:",
+  "summary.redFlag": "- {event} (señal de alarma)",
+
+  // Export / import
+  "exchange.report": "Informe",
+  "exchange.exportCSV": "Exportar CSV",
+  "exchange.exportJSON": "Exportar JSON",
+  "exchange.importJSON": "Importar JSON",
+  "exchange.nothingUsable": "Ese archivo no contiene contracciones ni eventos utilizables.",
+  "exchange.confirmReplace": {
+    one: "¿Reemplazar la {count} contracción y los eventos registrados de esta sesión?",
+    other: "¿Reemplazar las {count} contracciones y los eventos registrados de esta sesión?",
+  },
+  "exchange.imported": { one: "{count} contracción importada", other: "{count} contracciones importadas" },
+  "exchange.importedEvents": { one: "{count} evento", other: "{count} eventos" },
+  "exchange.duplicates": { one: "{count} ya existía", other: "{count} ya existían" },
+  "exchange.result": "{result}.",
+  "exchange.resultRejected": { one: "{result}; {count} rechazada:", other: "{result}; {count} rechazadas:" },
+  "exchange.pending": { one: "{count} contracción", other: "{count} contracciones" },
+  "exchange.pendingNamed": { one: "{count} contracción de «{name}»", other: "{count} contracciones de «{name}»" },
+  "exchange.pendingEvents": { one: " y {count} evento registrado", other: " y {count} eventos registrados" },
+  "exchange.malformed": { one: ", se omitirá {count} fila mal formada", other: ", se omitirán {count} filas mal formadas" },
+  "exchange.merge": "Combinar con la sesión",
+  "exchange.replace": "Reemplazar la sesión",
+  "exchange.cancel": "Cancelar",
+  "import.notJSON": "Este archivo no es JSON válido.",
+  "import.notExport": "Este archivo no es una exportación de Contraction Clock.",
+  "import.version": "Versión de exportación {version} no compatible; esta aplicación lee la versión {supported}.",
+  "import.noList": "La exportación no tiene lista de contracciones.",
+  "import.row": "Fila {row}: {reason}",
+  "import.notRecord": "no es un registro de contracción.",
+  "import.eventRow": "Evento {row}: {reason}",
+  "import.notEvent": "no es un registro de evento.",
+  "import.noEventList": "Los eventos de la exportación no son una lista.",
+  "import.badStart": "falta \"start\" o no es una hora.",
+  "import.badEnd": "falta \"end\" o no es una hora.",
+  "import.badIntensity": "\"intensity\" debe ser un número.",
+
+  // Stale timer
+  "stale.message": "Una contracción que empezó a las {time} no se paró nunca (hace {ago}). ¿Terminarla con la hora real de fin o descartarla?",
+  "stale.editTitle": "¿Cuándo terminó esta contracción?",
+  "stale.finish": "Terminar",
+  "stale.discard": "Descartar",
+
+  // Chart
+  "chart.zoomLabel": "Zoom del gráfico",
+  "chart.zoomHint": "Pellizca o usa Ctrl + rueda sobre el gráfico para hacer zoom",
+  "chart.zoom.15m": "15 min",
+  "chart.zoom.1h": "1 h",
+  "chart.zoom.all": "Sesión",
+  "chart.trueScale": "Escala real",
+  "chart.viewLabel": "Vista del gráfico",
+  "chart.mode.timeline": "Cronología",
+  "chart.mode.interval": "Intervalo",
+  "chart.mode.duration": "Duración",
+  "chart.axis.timeline": "Intensidad",
+  "chart.axis.interval": "Intervalo (min)",
+  "chart.axis.duration": "Duración (s)",
+  "chart.live": "Actual",
+  "chart.scroll": "Desplazar",
+  "chart.description": {
+    one: "Gráfico de {view} de {count} contracción. La tabla que sigue la detalla.",
+    other: "Gráfico de {view} de {count} contracciones. La tabla que sigue las detalla.",
+  },
+  "chart.empty": "Toca el botón cuando empiece una contracción",
+  "chart.emptyIntervals": "Los intervalos aparecen a partir de la segunda contracción",
+  "chart.projected": "PREVISTO",
+  "chart.later": "más tarde",
+  "chart.point": "{time} · {value}",
+  "chart.pointPending": "{time} · {value} (por ahora)",
+
+  // Bell tooltip
+  "tooltip.start": "Inicio",
+  "tooltip.started": "Empezó",
+  "tooltip.duration": "Duración",
+  "tooltip.soFar": "Por ahora",
+  "tooltip.interval": "Intervalo",
+  "tooltip.first": "primera",
+  "tooltip.intensity": "Intensidad",
+
+  // Chart as a table, for screen readers
+  "table.caption": "Contracciones de esta sesión, de la más antigua a la más reciente",
+  "table.number": "Número",
+  "table.start": "Inicio",
+  "table.duration": "Duración",
+  "table.interval": "Intervalo desde la anterior",
+  "table.intensity": "Intensidad",
+  "table.intensityValue": "{n} de 10",
+
+  // One-handed view
+  "oneHanded.exit": "Salir de la vista a una mano",
+  "oneHanded.inProgress": "Contracción en curso",
+  "oneHanded.ready": "Lista",
+  "oneHanded.lastInterval": "Último intervalo",
+  "oneHanded.lastDuration": "Última duración",
+  "oneHanded.ruleMet": "{rule} cumplida: hora de llamar",
+  "oneHanded.ruleNotMet": "{rule} no cumplida",
+  "oneHanded.intensity": "Intensidad",
+  "oneHanded.intensityValue": "Intensidad {n}",
+  "oneHanded.lower": "Bajar intensidad",
+  "oneHanded.raise": "Subir intensidad",
+  "oneHanded.start": "EMPEZAR",
+  "oneHanded.stop": "PARAR",
+
+  // Saved data problems
+  "storage.saveFailed": "Tus últimos cambios no se han podido guardar en este dispositivo. Mantén esta pestaña abierta y exporta la sesión (Exportar JSON, más abajo) para no perder nada.",
+  "storage.quarantined": {
+    one: "{count} entrada guardada no se pudo leer y se apartó en lugar de eliminarse. Todo lo demás se cargó con normalidad. Descarga los datos apartados para guardar una copia o pedir ayuda para recuperarlos.",
+    other: "{count} entradas guardadas no se pudieron leer y se apartaron en lugar de eliminarse. Todo lo demás se cargó con normalidad. Descarga los datos apartados para guardar una copia o pedir ayuda para recuperarlos.",
+  },
+  "storage.confirmDelete": "¿Eliminar definitivamente los datos ilegibles? Descárgalos antes si crees que podrías necesitarlos.",
+  "storage.download": "Descargar",
+  "storage.delete": "Eliminarlos",
+  "storage.later": "Más tarde",
+
+  // App updates
+  "update.available": "Hay una versión nueva. Tu cronómetro y tu registro se conservan.",
+  "update.offlineReady": "Lista para funcionar sin conexión.",
+  "update.later": "Más tarde",
+  "update.update": "Actualizar",
+  "update.ok": "Vale",
+
+  // Printable report
+  "report.back": "Volver",
+  "report.print": "Imprimir / Guardar como PDF",
+  "report.title": "Resumen de contracciones de parto",
+  "report.empty": "No hay contracciones registradas",
+  "report.generated": "Generado el {time}",
+  "report.contractions": "Contracciones",
+  "report.avgDuration": "Duración media",
+  "report.avgFrequency": "Frecuencia media",
+  "report.longestStreak": "Racha más larga",
+  "report.firstMet": "{rule} cumplida por primera vez",
+  "report.notMet": "No cumplida",
+  "report.ruleNote": "{rule}: {description}. La frecuencia se mide de inicio a inicio.",
+  "report.start": "Inicio",
+  "report.end": "Fin",
+  "report.duration": "Duración",
+  "report.frequency": "Frecuencia",
+  "report.rest": "Descanso",
+  "report.intensity": "Intensidad",
+  "report.streakNote": "Filas sombreadas: la racha válida más larga.",
+  "report.events": "Eventos registrados",
+  "report.time": "Hora",
+  "report.event": "Evento",
+  "report.redFlag": "Señal de alarma",
+
+  // Live sharing
+  "share.qrAlt": "Código QR para unirse a esta sesión",
+  "share.sharingTitle": "Compartiendo esta sesión",
+  "share.code": "Código",
+  "share.connected": {
+    one: "Conectado. {count} dispositivo más sigue la sesión.",
+    other: "Conectado. {count} dispositivos más siguen la sesión.",
+  },
+  "share.waiting": "Conectado. Esperando a tu acompañante: que escanee el código o lo escriba en su teléfono.",
+  "share.status.connecting": "Conectando con el servidor de retransmisión…",
+  "share.status.reconnecting": "Conexión perdida, reintentando…",
+  "share.status.error": "Se ha dejado de compartir.",
+  "share.error.invalidCode": "Ese código para compartir no es válido.",
+  "share.error.noRoom": "No hay ninguna sesión compartida con ese código.",
+  "share.error.full": "Esta sesión compartida está llena.",
+  "share.error.malformed": "El servidor de retransmisión no pudo leer un mensaje de este dispositivo.",
+  "share.error.version": "Esta versión de la app no puede usar este servidor de retransmisión. Recarga para actualizar.",
+  "share.error.tooManyTries": "Demasiados intentos con códigos que no existen. Espera un minuto y vuelve a intentarlo.",
+  "share.error.unreachable": "No se puede conectar con el servidor de retransmisión en {url}.",
+  "share.error.unknown": "El servidor de retransmisión cerró la conexión.",
+  "share.bothTime": "Cualquiera de los dos teléfonos puede empezar y parar contracciones. Si tocáis a la vez, cuenta el primer toque.",
+  "share.startTitle": "Compartir esta sesión",
+  "share.startHint": "Envía las contracciones, los eventos registrados y el cronómetro en marcha al teléfono de tu acompañante. Los dos podéis cronometrar.",
+  "share.start": "Empezar a compartir",
+  "share.joinTitle": "Unirse a un acompañante",
+  "share.join": "Unirse",
+  "share.joinHint": "Tus contracciones actuales se quedan en su propia sesión; la compartida se abre como una sesión nueva.",
+  "share.joinBlocked": "Para la contracción en curso antes de unirte.",
+  "share.showRelay": "Servidor de retransmisión…",
+  "share.hideRelay": "Ocultar servidor de retransmisión",
+  "share.relayHint": "Los dos dispositivos deben usar el mismo servidor. Ejecútalo con",
+  "share.stop": "Dejar de compartir",
+  "share.done": "Listo",
+  "share.sharedSession": "Sesión compartida",
+
+  // Main screen
+  "app.title": "Contraction Clock",
+  "app.share": "Compartir con tu acompañante",
+  "app.settings": "Ajustes",
+  "app.oneHanded": "Vista a una mano",
+  "app.shortcuts": "Espacio / Intro: empezar o parar · ↑ ↓: intensidad",
+
+  // Screen-reader announcements
+  "announce.started": "Contracción iniciada.",
+  "announce.tooShort": "Parada demasiado pronto para contar. No se ha registrado nada.",
+  "announce.stopped": "Contracción parada. Ha durado {duration}.",
+  "announce.intensity": "Intensidad {n} de 10.",
+  "announce.rated": "Valorada: {level}.",
+  "announce.elapsed": "Tiempo transcurrido: {duration}",
+  "announce.ruleMet": "Regla {rule} cumplida.",
+  "announce.ruleNotMet": "Regla {rule} aún no cumplida.",
+};
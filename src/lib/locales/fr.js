@@ -0,0 +1,465 @@
+// French
+
+export default {
+  // Timer button
+  "timer.start": "Touchez pour démarrer",
+  "timer.stop": "Touchez pour arrêter",
+  "timer.startLabel": "Démarrer la contraction",
+  "timer.stopLabel": "Arrêter la contraction",
+
+  // Intensity slider
+  "intensity.label": "Intensité",
+  "intensity.valueText": "{value} sur 10",
+  "intensity.level.faces.little": "Un peu mal",
+  "intensity.level.faces.more": "Un peu plus mal",
+  "intensity.level.faces.evenMore": "Encore plus mal",
+  "intensity.level.faces.wholeLot": "Très mal",
+  "intensity.level.faces.worst": "Le plus mal possible",
+  "intensity.level.words.mild": "Légère",
+  "intensity.level.words.moderate": "Modérée",
+  "intensity.level.words.strong": "Forte",
+  "rating.title": "Quelle était son intensité ?",
+  "rating.skip": "Passer",
+  "breathing.cue.in": "Inspirez",
+  "breathing.cue.out": "Expirez",
+  "breathing.cue.hold": "Retenez",
+  "breathing.cue.hee": "Hi",
+  "breathing.cue.hoo": "Hou",
+
+  // Stats beside the timer
+  "stats.count": "Nombre",
+  "stats.avgDuration": "Durée moyenne",
+  "stats.lastInterval": "Dernier intervalle",
+  "stats.lastDuration": "Dernière durée",
+
+  // Labour rules
+  "rule.custom": "Règle personnalisée",
+  "rule.customNamed": "{name} personnalisée",
+  "rule.apart": "Contractions espacées de ≤{span}",
+  "rule.lasting": "durant ≥{span}",
+  "rule.sustained": "pendant ≥{span}",
+
+  // Rule card
+  "rule.title": "Règle {rule}",
+  "rule.isItTime": "Est-ce le moment ?",
+  "rule.yes": "OUI",
+  "rule.probablyNot": "SANS DOUTE PAS",
+  "rule.estimateTitle": "Estimation approximative d’après votre tendance récente, pas une prédiction du travail",
+  "rule.likely": "probablement ~{time}",
+  "rule.later": "plus tard",
+  "rule.frequency": "Fréquence",
+  "rule.duration": "Durée",
+  "rule.ongoing": "En continu",
+  "rule.estimateNote": "Si l’évolution se poursuit au rythme actuel, la règle {rule} pourrait être atteinte vers {time}.",
+  "rule.noTrendNote": "Pas encore de tendance nette vers la règle {rule}.",
+  "rule.insufficientNote": "Une estimation apparaîtra après quelques contractions de plus.",
+  "rule.estimateCaveat": "Ce n’est qu’une extrapolation en ligne droite ; le travail progresse rarement de façon régulière, fiez-vous donc à vos sensations et aux conseils de votre sage-femme ou de votre médecin.",
+  "rule.pleaseNote": "À noter :",
+  "rule.callDoctor": "Appelez votre médecin en cas de saignement vaginal, de perte de liquide ou si vous ne sentez plus votre bébé bouger.",
+
+  // Trends under the rule card
+  "trends.title": "Tendances · {window}",
+  "trends.lastContractions": { one: "dernière contraction", other: "{count} dernières contractions" },
+  "trends.lastMinutes": { one: "{count} dernière min", other: "{count} dernières min" },
+  "trends.wholeSession": "toute la séance",
+  "trends.interval": "Intervalle",
+  "trends.duration": "Durée",
+  "trends.intensity": "Intensité",
+  "trends.increasing": "en hausse",
+  "trends.decreasing": "en baisse",
+  "trends.stable": "stable",
+  "trends.notEnoughData": "pas assez de données",
+
+  // Session bar and history
+  "history.current": "Séance en cours",
+  "history.viewingPast": "Séance passée (lecture seule)",
+  "history.backToCurrent": "Revenir à la séance en cours",
+  "history.show": "Séances ({count})",
+  "history.hide": "Masquer les séances",
+  "history.currentBadge": "EN COURS",
+  "history.contractions": { one: "{count} contraction", other: "{count} contractions" },
+  "history.open": "Ouvrir",
+  "history.rename": "Renommer",
+  "history.delete": "Supprimer",
+  "history.new": "+ Nouvelle séance",
+  "history.archivesCurrent": "Archive la séance en cours",
+  "history.stopFirst": "Arrêtez d’abord la contraction en cours",
+  "history.confirmDelete": {
+    one: "Supprimer « {name} » et sa {count} contraction ? Cette action est définitive.",
+    other: "Supprimer « {name} » et ses {count} contractions ? Cette action est définitive.",
+  },
+
+  // Alerts: settings labels and the notifications
+  "alerts.ruleMet.label": "Règle atteinte pour la première fois",
+  "alerts.ruleMet.title": "C’est le moment d’appeler",
+  "alerts.ruleMet.body": "Vos contractions remplissent maintenant la règle {rule}.",
+  "alerts.streakBroken.label": "Série interrompue",
+  "alerts.streakBroken.title": "Le rythme des contractions a changé",
+  "alerts.streakBroken.body": "La dernière contraction a interrompu votre série {rule}.",
+  "alerts.longContraction.label": "Contraction de plus de 2 minutes",
+  "alerts.longContraction.title": "Contraction longue",
+  "alerts.longContraction.body": "Cette contraction dure depuis plus de 2 minutes. Contactez votre sage-femme ou votre médecin si cela se répète.",
+  "alerts.closeTogether.label": "Contractions à moins de 2 minutes d’intervalle",
+  "alerts.closeTogether.title": "Contractions très rapprochées",
+  "alerts.closeTogether.body": "Les contractions sont espacées de moins de 2 minutes. Contactez votre sage-femme ou votre médecin.",
+
+  // Settings panel
+  "settings.rule": "Règle du travail",
+  "settings.customRule": "Personnalisée",
+  "settings.customRuleHint": "Indiquez les valeurs données par votre sage-femme ou votre médecin",
+  "settings.apart": "Espacées de",
+  "settings.lasting": "Durée",
+  "settings.for": "Pendant",
+  "settings.minutesUnit": "min",
+  "settings.secondsUnit": "s",
+  "settings.customRuleLimits": "Utilisez 1 à 30 min d’intervalle, 0 à 180 s de durée et 0 à 240 min en continu.",
+  "settings.ruleNote": "Règle utilisée : {rule}. Suivez toujours les conseils de votre propre sage-femme ou médecin.",
+  "settings.window": "Période des moyennes et tendances",
+  "settings.windowLast": "Dernières",
+  "settings.windowMinutes": "minutes",
+  "settings.windowContractions": "contractions",
+  "settings.windowAll": "Toute la séance",
+  "settings.windowNote": "Les cases Fréquence et Durée font la moyenne sur cette période, pour que les premières contractions, plus espacées, ne masquent pas les changements récents.",
+  "settings.alerts": "Alertes",
+  "settings.alertsEnabled": "M’alerter (notification, son et vibration)",
+  "settings.alertsQuiet": "Mode discret : notifications silencieuses, sans son ni vibration",
+  "settings.permission.granted": "Notifications autorisées.",
+  "settings.permission.denied": "Les notifications sont bloquées dans les réglages du navigateur ; le son et la vibration fonctionnent toujours.",
+  "settings.permission.default": "Il vous sera demandé d’autoriser les notifications.",
+  "settings.permission.unsupported": "Ce navigateur ne peut pas afficher de notifications ; le son et la vibration fonctionnent toujours.",
+  "settings.testAlert": "Tester l’alerte",
+  "settings.intensity": "Évaluation de l’intensité",
+  "settings.scale": "Échelle",
+  "settings.scale.numeric": "1–10",
+  "settings.scale.faces": "Visages",
+  "settings.scale.words": "Légère / modérée / forte",
+  "settings.ratePrompt": "Demander l’intensité de chaque contraction après l’arrêt",
+  "settings.ratePromptNote": "La question se ferme d’elle-même après {seconds} secondes, en gardant la valeur du curseur.",
+  "settings.breathing": "Guide de respiration",
+  "settings.breathingOn": "Rythmer ma respiration pendant une contraction",
+  "settings.breathingPattern": "Type de respiration",
+  "settings.breathingPattern.slow": "Lente (inspirer 4, expirer 6)",
+  "settings.breathingPattern.box": "Carrée (4-4-4-4)",
+  "settings.breathingPattern.heeHeeHoo": "Hi-hi-hou",
+  "settings.breathingSound": "Signaux sonores",
+  "settings.breathingVibrate": "Signaux par vibration",
+  "settings.breathingNote": "Un anneau autour du chronomètre grandit à l’inspiration et rétrécit à l’expiration. Il s’arrête quand vous arrêtez la contraction.",
+  "settings.appearance": "Apparence",
+  "settings.theme": "Thème",
+  "settings.theme.system": "Comme l’appareil",
+  "settings.theme.dark": "Sombre",
+  "settings.theme.light": "Clair",
+  "settings.theme.night": "Nuit",
+  "settings.nightNote": "Nuit affiche du rouge et de l’ambre atténués sur fond noir, pour chronométrer dans une pièce sombre sans réveiller personne.",
+  "settings.screen": "Écran",
+  "settings.wakeLock": "Garder l’écran allumé pendant le chronométrage",
+  "settings.wakeLockNote": "Consomme plus de batterie. L’écran peut tout de même s’éteindre si la batterie est faible.",
+  "settings.wakeLockUnsupported": "Ce navigateur ne peut pas garder l’écran allumé ; allongez plutôt le délai de mise en veille dans les réglages de l’appareil.",
+  "settings.contacts": "Équipe soignante",
+  "settings.contactName": "Nom",
+  "settings.contactPhone": "Téléphone",
+  "settings.contactNameLabel": "{role} : nom",
+  "settings.contactPhoneLabel": "{role} : numéro de téléphone",
+  "settings.contactsNote": "Conservés sur cet appareil uniquement. Ils s’affichent, prêts à appeler, quand la règle est atteinte ou qu’un signe d’alerte est noté.",
+  "settings.language": "Langue",
+  "settings.languageSystem": "Comme le navigateur",
+  "settings.done": "Terminé",
+
+  // Contraction log
+  "log.title": "Journal des contractions",
+  "log.startTime": "Début",
+  "log.duration": "Durée",
+  "log.frequency": "Fréquence",
+  "log.intensity": "Intensité",
+  "log.edit": "Modifier",
+  "log.delete": "Supprimer",
+  "log.editLabel": "Modifier la contraction {n}",
+  "log.deleteLabel": "Supprimer la contraction {n}",
+  "log.editTitle": "Modifier la contraction nº {n}",
+  "log.addTitle": "Ajouter une contraction passée",
+  "log.deleted": "Contraction de {time} supprimée",
+  "log.undo": "Annuler",
+  "log.add": "+ Ajouter une contraction",
+  "log.clear": "Vider la séance",
+  "log.confirmClear": {
+    one: "Effacer la {count} contraction et les événements notés de cette séance ? Cette action est définitive.",
+    other: "Effacer les {count} contractions et les événements notés de cette séance ? Cette action est définitive.",
+  },
+  "log.addEvent": "+ Noter un événement",
+  "log.addEventTitle": "Noter un événement",
+  "log.editEventTitle": "Modifier l’événement",
+  "log.editEventLabel": "Modifier l’événement : {event}",
+  "log.deleteEventLabel": "Supprimer l’événement : {event}",
+  "log.eventDeleted": "{event} de {time} supprimé",
+
+  // Contraction editor
+  "editor.start": "Début",
+  "editor.end": "Fin",
+  "editor.intensity": "Intensité",
+  "editor.save": "Enregistrer",
+  "editor.cancel": "Annuler",
+
+  // Validation of edited, added and imported contractions
+  "validate.startInvalid": "L’heure de début est absente ou invalide.",
+  "validate.endInvalid": "L’heure de fin est absente ou invalide.",
+  "validate.endBeforeStart": "L’heure de fin doit être après l’heure de début.",
+  "validate.tooShort": "Une contraction doit durer au moins 1 seconde.",
+  "validate.future": "L’heure de fin ne peut pas être dans le futur.",
+  "validate.intensity": "L’intensité doit être comprise entre 1 et 10.",
+  "validate.overlaps": "Chevauche la contraction nº {n} ({time}).",
+  "validate.overlapsActive": "Chevauche la contraction en cours de chronométrage.",
+
+  // Labour events and the red-flag banner
+  "event.type.waters": "Perte des eaux",
+  "event.type.show": "Perte du bouchon muqueux",
+  "event.type.bleeding": "Saignement",
+  "event.type.reducedMovement": "Bébé bouge moins",
+  "event.type.vomiting": "Vomissements",
+  "event.type.medication": "Médicament pris",
+  "event.type.note": "Note",
+  "event.color.clear": "claires",
+  "event.color.pink": "rosées",
+  "event.color.green": "vertes",
+  "event.color.brown": "brunes",
+  "event.color.bloody": "avec du sang",
+  "event.withDetail": "{name} : {detail}",
+  "event.redFlag": "Signe d’alerte :",
+  "eventEditor.type": "Événement",
+  "eventEditor.time": "Heure",
+  "eventEditor.color": "Couleur",
+  "eventEditor.medication": "Quoi et combien",
+  "eventEditor.note": "Note",
+  "redFlag.title": "Appelez votre sage-femme ou la maternité maintenant",
+  "redFlag.body": "Un élément noté doit être vérifié tout de suite, quel que soit l’écart entre les contractions.",
+  "validate.eventType": "Choisissez ce qui s’est passé.",
+  "validate.eventTime": "L’heure est absente ou invalide.",
+  "validate.eventFuture": "L’heure ne peut pas être dans le futur.",
+  "validate.watersColor": "Choisissez la couleur des eaux.",
+  "validate.eventText": "Écrivez quelque chose à noter.",
+  "validate.eventTextLong": "{max} caractères au maximum.",
+
+  // Care-team card and the summary sent to it
+  "contacts.title": "Appelez votre équipe soignante",
+  "contacts.role.provider": "Sage-femme ou médecin",
+  "contacts.role.hospital": "Maternité ou maison de naissance",
+  "contacts.role.partner": "Accompagnant·e",
+  "contacts.call": "Appeler",
+  "contacts.callLabel": "Appeler {name}",
+  "contacts.text": "SMS",
+  "contacts.textLabel": "Envoyer le résumé par SMS à {name}",
+  "contacts.share": "Partager le résumé",
+  "contacts.copy": "Copier le résumé",
+  "contacts.copied": "Résumé copié.",
+  "contacts.failed": "Impossible de partager le résumé.",
+  "contacts.empty": "Enregistrez les numéros de votre équipe soignante pour les appeler d’ici.",
+  "contacts.setUp": "Ajouter des contacts",
+  "contacts.preview": "Résumé",
+  "summary.heading": "Contractions à {time}",
+  "summary.ruleMet": "{rule} : atteinte.",
+  "summary.ruleNotMet": "{rule} : pas encore atteinte.",
+  "summary.noContractions": "Aucune contraction enregistrée pour l’instant.",
+  "summary.last": { one: "Dernière contraction :", other: "{count} dernières contractions :" },
+  "summary.row": "- {time}, a duré {duration}",
+  "summary.rowInterval": "- {time}, a duré {duration}, {interval} après la précédente",
+  "summary.averages": "Intervalle moyen {interval}, durée moyenne {duration}.",
+  "summary.streak": "Régulières depuis {duration} ({count} contractions).",
+  "summary.noStreak": "Pas encore régulières.",
+  "summary.events": "Également noté :",
+  "summary.redFlag": "- {event} (signe d’alerte)",
+
+  // Export / import
+  "exchange.report": "Rapport",
+  "exchange.exportCSV": "Exporter en CSV",
+  "exchange.exportJSON": "Exporter en JSON",
+  "exchange.importJSON": "Importer un JSON",
+  "exchange.nothingUsable": "Aucune contraction ni aucun événement exploitable dans ce fichier.",
+  "exchange.confirmReplace": {
+    one: "Remplacer la {count} contraction et les événements notés de cette séance ?",
+    other: "Remplacer les {count} contractions et les événements notés de cette séance ?",
+  },
+  "exchange.imported": { one: "{count} contraction importée", other: "{count} contractions importées" },
+  "exchange.importedEvents": { one: "{count} événement", other: "{count} événements" },
+  "exchange.duplicates": { one: "{count} déjà présente", other: "{count} déjà présentes" },
+  "exchange.result": "{result}.",
+  "exchange.resultRejected": { one: "{result} ; {count} rejetée :", other: "{result} ; {count} rejetées :" },
+  "exchange.pending": { one: "{count} contraction", other: "{count} contractions" },
+  "exchange.pendingNamed": { one: "{count} contraction de « {name} »", other: "{count} contractions de « {name} »" },
+  "exchange.pendingEvents": { one: " et {count} événement noté", other: " et {count} événements notés" },
+  "exchange.malformed": { one: ", {count} ligne mal formée sera ignorée", other: ", {count} lignes mal formées seront ignorées" },
+  "exchange.merge": "Fusionner avec la séance",
+  "exchange.replace": "Remplacer la séance",
+  "exchange.cancel": "Annuler",
+  "import.notJSON": "Ce fichier n’est pas un JSON valide.",
+  "import.notExport": "Ce fichier n’est pas un export de Contraction Clock.",
+  "import.version": "Version d’export {version} non prise en charge ; cette application lit la version {supported}.",
+  "import.noList": "L’export ne contient pas de liste de contractions.",
+  "import.row": "Ligne {row} : {reason}",
+  "import.notRecord": "ce n’est pas une contraction.",
+  "import.eventRow": "Événement {row} : {reason}",
+  "import.notEvent": "ce n’est pas un événement.",
+  "import.noEventList": "Les événements de l’export ne sont pas une liste.",
+  "import.badStart": "« start » est absent ou n’est pas une heure.",
+  "import.badEnd": "« end » est absent ou n’est pas une heure.",
+  "import.badIntensity": "« intensity » doit être un nombre.",
+
+  // Stale timer
+  "stale.message": "Une contraction commencée à {time} n’a jamais été arrêtée (il y a {ago}). La terminer avec l’heure de fin réelle, ou l’abandonner ?",
+  "stale.editTitle": "Quand cette contraction s’est-elle terminée ?",
+  "stale.finish": "Terminer",
+  "stale.discard": "Abandonner",
+
+  // Chart
+  "chart.zoomLabel": "Zoom du graphique",
+  "chart.zoomHint": "Pincez ou utilisez Ctrl + molette sur le graphique pour zoomer",
+  "chart.zoom.15m": "15 min",
+  "chart.zoom.1h": "1 h",
+  "chart.zoom.all": "Séance",
+  "chart.trueScale": "Échelle réelle",
+  "chart.viewLabel": "Vue du graphique",
+  "chart.mode.timeline": "Chronologie",
+  "chart.mode.interval": "Intervalle",
+  "chart.mode.duration": "Durée",
+  "chart.axis.timeline": "Intensité",
+  "chart.axis.interval": "Intervalle (min)",
+  "chart.axis.duration": "Durée (s)",
+  "chart.live": "En direct",
+  "chart.scroll": "Faire défiler",
+  "chart.description": {
+    one: "Graphique « {view} » de {count} contraction. Le tableau qui suit la détaille.",
+    other: "Graphique « {view} » de {count} contractions. Le tableau qui suit les détaille.",
+  },
+  "chart.empty": "Touchez le bouton quand une contraction commence",
+  "chart.emptyIntervals": "Les intervalles apparaissent à partir de la deuxième contraction",
+  "chart.projected": "PRÉVU",
+  "chart.later": "plus tard",
+  "chart.point": "{time} · {value}",
+  "chart.pointPending": "{time} · {value} (pour l’instant)",
+
+  // Bell tooltip
+  "tooltip.start": "Début",
+  "tooltip.started": "Commencée",
+  "tooltip.duration": "Durée",
+  "tooltip.soFar": "Jusqu’ici",
+  "tooltip.interval": "Intervalle",
+  "tooltip.first": "première",
+  "tooltip.intensity": "Intensité",
+
+  // Chart as a table, for screen readers
+  "table.caption": "Contractions de cette séance, de la plus ancienne à la plus récente",
+  "table.number": "Numéro",
+  "table.start": "Début",
+  "table.duration": "Durée",
+  "table.interval": "Intervalle depuis la précédente",
+  "table.intensity": "Intensité",
+  "table.intensityValue": "{n} sur 10",
+
+  // One-handed view
+  "oneHanded.exit": "Quitter la vue à une main",
+  "oneHanded.inProgress": "Contraction en cours",
+  "oneHanded.ready": "Prêt",
+  "oneHanded.lastInterval": "Dernier intervalle",
+  "oneHanded.lastDuration": "Dernière durée",
+  "oneHanded.ruleMet": "{rule} atteinte : il est temps d’appeler",
+  "oneHanded.ruleNotMet": "{rule} non atteinte",
+  "oneHanded.intensity": "Intensité",
+  "oneHanded.intensityValue": "Intensité {n}",
+  "oneHanded.lower": "Baisser l’intensité",
+  "oneHanded.raise": "Augmenter l’intensité",
+  "oneHanded.start": "DÉMARRER",
+  "oneHanded.stop": "ARRÊTER",
+
+  // Saved data problems
+  "storage.saveFailed": "Vos dernières modifications n’ont pas pu être enregistrées sur cet appareil. Gardez cet onglet ouvert et exportez la séance (Exporter en JSON, ci-dessous) pour ne rien perdre.",
+  "storage.quarantined": {
+    one: "{count} entrée enregistrée n’a pas pu être lue et a été mise de côté au lieu d’être supprimée. Tout le reste s’est chargé normalement. Téléchargez les données mises de côté pour en garder une copie ou obtenir de l’aide pour les récupérer.",
+    other: "{count} entrées enregistrées n’ont pas pu être lues et ont été mises de côté au lieu d’être supprimées. Tout le reste s’est chargé normalement. Téléchargez les données mises de côté pour en garder une copie ou obtenir de l’aide pour les récupérer.",
+  },
+  "storage.confirmDelete": "Supprimer définitivement les données illisibles ? Téléchargez-les d’abord si vous pourriez en avoir besoin.",
+  "storage.download": "Télécharger",
+  "storage.delete": "Les supprimer",
+  "storage.later": "Plus tard",
+
+  // App updates
+  "update.available": "Une nouvelle version est disponible. Votre chronomètre et votre journal sont conservés.",
+  "update.offlineReady": "Prêt à fonctionner hors ligne.",
+  "update.later": "Plus tard",
+  "update.update": "Mettre à jour",
+  "update.ok": "OK",
+
+  // Printable report
+  "report.back": "Retour",
+  "report.print": "Imprimer / Enregistrer en PDF",
+  "report.title": "Résumé des contractions du travail",
+  "report.empty": "Aucune contraction enregistrée",
+  "report.generated": "Généré le {time}",
+  "report.contractions": "Contractions",
+  "report.avgDuration": "Durée moyenne",
+  "report.avgFrequency": "Fréquence moyenne",
+  "report.longestStreak": "Plus longue série",
+  "report.firstMet": "{rule} atteinte pour la première fois",
+  "report.notMet": "Non atteinte",
+  "report.ruleNote": "{rule} : {description}. La fréquence se mesure de début à début.",
+  "report.start": "Début",
+  "report.end": "Fin",
+  "report.duration": "Durée",
+  "report.frequency": "Fréquence",
+  "report.rest": "Repos",
+  "report.intensity": "Intensité",
+  "report.streakNote": "Lignes grisées : plus longue série remplissant la règle.",
+  "report.events": "Événements notés",
+  "report.time": "Heure",
+  "report.event": "Événement",
+  "report.redFlag": "Signe d’alerte",
+
+  // Live sharing
+  "share.qrAlt": "Code QR pour rejoindre cette séance",
+  "share.sharingTitle": "Partage de cette séance",
+  "share.code": "Code de partage",
+  "share.connected": {
+    one: "Connecté. {count} autre appareil suit la séance.",
+    other: "Connecté. {count} autres appareils suivent la séance.",
+  },
+  "share.waiting": "Connecté. En attente de votre partenaire : scannez le code ou saisissez-le sur son téléphone.",
+  "share.status.connecting": "Connexion au relais…",
+  "share.status.reconnecting": "Connexion perdue, nouvelle tentative…",
+  "share.status.error": "Le partage s’est arrêté.",
+  "share.error.invalidCode": "Ce code de partage n’est pas valide.",
+  "share.error.noRoom": "Aucune session partagée avec ce code.",
+  "share.error.full": "Cette session partagée est complète.",
+  "share.error.malformed": "Le relais n’a pas pu lire un message de cet appareil.",
+  "share.error.version": "Cette version de l’app ne peut pas utiliser ce relais. Rechargez pour mettre à jour.",
+  "share.error.tooManyTries": "Trop d’essais avec des codes qui n’existent pas. Attendez une minute et réessayez.",
+  "share.error.unreachable": "Impossible de joindre le relais à {url}.",
+  "share.error.unknown": "Le relais a fermé la connexion.",
+  "share.bothTime": "Chaque téléphone peut démarrer et arrêter les contractions. Si vous touchez tous les deux, le premier toucher compte.",
+  "share.startTitle": "Partager cette séance",
+  "share.startHint": "Diffusez les contractions, les événements notés et le chronomètre en cours sur le téléphone de votre partenaire. Vous pouvez chronométrer tous les deux.",
+  "share.start": "Commencer le partage",
+  "share.joinTitle": "Rejoindre un partenaire",
+  "share.join": "Rejoindre",
+  "share.joinHint": "Vos contractions actuelles restent dans leur propre séance ; la séance partagée s’ouvre comme une nouvelle séance.",
+  "share.joinBlocked": "Arrêtez la contraction en cours avant de rejoindre.",
+  "share.showRelay": "Serveur relais…",
+  "share.hideRelay": "Masquer le serveur relais",
+  "share.relayHint": "Les deux appareils doivent utiliser le même relais. Lancez-le avec",
+  "share.stop": "Arrêter le partage",
+  "share.done": "Terminé",
+  "share.sharedSession": "Séance partagée",
+
+  // Main screen
+  "app.title": "Contraction Clock",
+  "app.share": "Partager avec votre partenaire",
+  "app.settings": "Réglages",
+  "app.oneHanded": "Vue à une main",
+  "app.shortcuts": "Espace / Entrée : démarrer ou arrêter · ↑ ↓ : intensité",
+
+  // Screen-reader announcements
+  "announce.started": "Contraction démarrée.",
+  "announce.tooShort": "Arrêtée trop tôt pour compter. Rien n’a été enregistré.",
+  "announce.stopped": "Contraction arrêtée. Elle a duré {duration}.",
+  "announce.intensity": "Intensité {n} sur 10.",
+  "announce.rated": "Évaluée : {level}.",
+  "announce.elapsed": "Temps écoulé : {duration}",
+  "announce.ruleMet": "Règle {rule} atteinte.",
+  "announce.ruleNotMet": "Règle {rule} pas encore atteinte.",
+};
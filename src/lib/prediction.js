@@ -0,0 +1,83 @@
+// ------------------------------ PREDICTION ------------------------------- //
+//
+// A deliberately simple estimate of when the labour rule will be met: fit straight
+// lines to interval-over-time and duration-over-time, find when each crosses the
+// rule's threshold, then add the sustain time. The band comes from moving each slope
+// by one standard error. Labour doesn't progress linearly, so the UI always shows this
+// with a caveat. Pure and client-side; callers pass `now`.
+
+import { metricSeries } from "./analytics";
+import { DEFAULT_RULE } from "./rules";
+
+export const MIN_POINTS = 4;
+// Estimates further out than this are noise, not information
+export const MAX_HORIZON_MS = 12 * 60 * 60 * 1000;
+
+// Least-squares line through [{ t, v }] plus the standard error of its slope
+export function fitLine(points) {
+  const n = points.length;
+  const meanT = points.reduce((a, p) => a + p.t, 0) / n;
+  const meanV = points.reduce((a, p) => a + p.v, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  for (const p of points) {
+    sxx += (p.t - meanT) ** 2;
+    sxy += (p.t - meanT) * (p.v - meanV);
+  }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  const residual = points.reduce((a, p) => a + (p.v - (meanV + slope * (p.t - meanT))) ** 2, 0);
+  const slopeError = n > 2 ? Math.sqrt(residual / (n - 2) / sxx) : Infinity;
+  return { meanT, meanV, slope, slopeError, at: t => meanV + slope * (t - meanT) };
+}
+
+// When the fitted line reaches `target` going in `direction` (-1 falling, +1 rising) for a
+// given slope through the fit's centroid. `now` if it's already there, Infinity if never.
+function crossing(fit, slope, target, direction, now) {
+  const valueNow = fit.meanV + slope * (now - fit.meanT);
+  if (direction * (valueNow - target) >= 0) return now;
+  if (direction * slope <= 0) return Infinity;
+  return fit.meanT + (target - fit.meanV) / slope;
+}
+
+function crossings(fit, target, direction, now) {
+  const faster = fit.slope + direction * fit.slopeError;
+  const slower = fit.slope - direction * fit.slopeError;
+  return {
+    at: crossing(fit, fit.slope, target, direction, now),
+    early: crossing(fit, faster, target, direction, now),
+    late: crossing(fit, slower, target, direction, now),
+  };
+}
+
+// Returns { status, at, early, late }:
+//   "met"          rule already satisfied
+//   "insufficient" fewer than MIN_POINTS contractions to fit
+//   "no-trend"     intervals/durations aren't heading toward the thresholds (or too slowly)
+//   "estimate"     at / early / late are timestamps; late may be Infinity
+// `streak` is the current qualifying streak (from analyzeContractions), if any.
+export function predictRuleMet({ contractions, now, rule = DEFAULT_RULE, streak = null, ruleMet = false }) {
+  if (ruleMet) return { status: "met", at: null, early: null, late: null };
+  if (contractions.length < MIN_POINTS) return { status: "insufficient", at: null, early: null, late: null };
+
+  const series = metricSeries(contractions);
+  const intervalFit = fitLine(series.interval);
+  const durationFit = fitLine(series.duration);
+  if (!intervalFit || !durationFit) return { status: "no-trend", at: null, early: null, late: null };
+
+  const freq = crossings(intervalFit, rule.maxInterval, -1, now);
+  const dur = crossings(durationFit, rule.minDuration, +1, now);
+
+  // Both thresholds have to hold, then keep holding for `sustain`. If they already hold and a
+  // streak is running, it only needs to last out the rest of its sustain time.
+  const metAt = key => {
+    const reached = Math.max(freq[key], dur[key]);
+    if (reached === Infinity) return Infinity;
+    const streakStart = reached === now && streak ? streak.start : reached;
+    return Math.max(now, streakStart + rule.sustain);
+  };
+
+  const at = metAt("at");
+  if (at === Infinity || at - now > MAX_HORIZON_MS) return { status: "no-trend", at: null, early: null, late: null };
+  return { status: "estimate", at, early: Math.min(at, metAt("early")), late: Math.max(at, metAt("late")) };
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import { fitLine, predictRuleMet } from "./prediction";
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+const HOUR = 60 * MIN;
+const T0 = Date.UTC(2026, 0, 1, 20, 0, 0);
+
+// Contractions from [gapBeforeMs, durationMs] pairs; the first gap is from T0
+function session(...pairs) {
+  let start = T0;
+  return pairs.map(([gap, duration], i) => {
+    start += gap;
+    return { id: i + 1, start, end: start + duration, duration, intensity: 0.5 };
+  });
+}
+
+describe("fitLine", () => {
+  it("recovers an exact line with zero slope error", () => {
+    const fit = fitLine([0, 1, 2, 3].map(i => ({ t: i * MIN, v: 10 - 2 * i })));
+    expect(fit.slope * MIN).toBeCloseTo(-2);
+    expect(fit.slopeError).toBeCloseTo(0);
+    expect(fit.at(4 * MIN)).toBeCloseTo(2);
+  });
+
+  it("returns null when all points share a time", () => {
+    expect(fitLine([{ t: 0, v: 1 }, { t: 0, v: 2 }])).toBeNull();
+  });
+});
+
+describe("predictRuleMet", () => {
+  it("needs a few contractions first", () => {
+    const list = session([0, MIN], [8 * MIN, MIN], [7 * MIN, MIN]);
+    expect(predictRuleMet({ contractions: list, now: list[2].end }).status).toBe("insufficient");
+  });
+
+  it("reports met without estimating", () => {
+    expect(predictRuleMet({ contractions: [], now: T0, ruleMet: true }).status).toBe("met");
+  });
+
+  it("finds no trend when intervals are getting longer", () => {
+    const list = session([0, MIN], [5 * MIN, MIN], [7 * MIN, MIN], [9 * MIN, MIN], [11 * MIN, MIN]);
+    expect(predictRuleMet({ contractions: list, now: list[4].end }).status).toBe("no-trend");
+  });
+
+  it("projects shrinking intervals to the threshold plus the sustain time", () => {
+    // Intervals 10, 9, 8, 7, 6 min, all lasting a minute: 5 min apart one interval later
+    const list = session([0, MIN], [10 * MIN, MIN], [9 * MIN, MIN], [8 * MIN, MIN], [7 * MIN, MIN], [6 * MIN, MIN]);
+    const now = list[5].end;
+    const result = predictRuleMet({ contractions: list, now });
+    expect(result.status).toBe("estimate");
+    expect(result.at).toBeGreaterThan(now + HOUR);
+    expect(result.at).toBeLessThan(now + 2 * HOUR);
+    expect(result.early).toBeLessThanOrEqual(result.at);
+    expect(result.late).toBeGreaterThanOrEqual(result.at);
+  });
+
+  it("widens the band for noisy data", () => {
+    const clean = session([0, MIN], [10 * MIN, MIN], [9 * MIN, MIN], [8 * MIN, MIN], [7 * MIN, MIN], [6 * MIN, MIN]);
+    const noisy = session([0, MIN], [10 * MIN, MIN], [7 * MIN, MIN], [10 * MIN, MIN], [6 * MIN, MIN], [7 * MIN, MIN]);
+    const a = predictRuleMet({ contractions: clean, now: clean[5].end });
+    const b = predictRuleMet({ contractions: noisy, now: noisy[5].end });
+    expect(b.late - b.early).toBeGreaterThan(a.late - a.early);
+  });
+
+  it("counts time already banked in a running streak", () => {
+    const list = session([0, MIN], [5 * MIN, MIN], [5 * MIN, MIN], [5 * MIN, MIN], [5 * MIN, MIN]);
+    const now = list[4].end;
+    const streak = { start: list[0].start };
+    const result = predictRuleMet({ contractions: list, now, streak });
+    expect(result.status).toBe("estimate");
+    expect(result.at).toBe(list[0].start + HOUR);
+  });
+
+  it("gives up on estimates beyond the horizon", () => {
+    // Intervals shrinking by 1 s per contraction from 30 min: far too slow to mean anything
+    const list = session([0, MIN], [30 * MIN, MIN], [30 * MIN - SEC, MIN], [30 * MIN - 2 * SEC, MIN], [30 * MIN - 3 * SEC, MIN]);
+    const result = predictRuleMet({ contractions: list, now: list[4].end });
+    expect(result.status).toBe("no-trend");
+  });
+});
@@ -0,0 +1,151 @@
+// ------------------------------- RECORDS --------------------------------- //
+//
+// The app works on one session store object ({ currentId, sessions: [...] }); the
+// database keeps one record per session, one per contraction and one per event. These pure helpers
+// convert between the two, check what was read back, and work out the minimum set of
+// writes between two versions of the store.
+
+import { SESSIONS_VERSION, createSession, getSession } from "./sessions";
+import { sortByStart } from "./contractions";
+import { eventType, sortByTime } from "./events";
+
+// Session fields kept on the session record; contractions and events are stored separately
+const SESSION_FIELDS = ["id", "name", "createdAt", "endedAt"];
+
+function sessionRecord(session) {
+  return Object.fromEntries(SESSION_FIELDS.map(k => [k, session[k]]));
+}
+
+function contractionRecord(sessionId, c) {
+  return { ...c, sessionId };
+}
+
+function eventRecord(sessionId, e) {
+  return { ...e, sessionId };
+}
+
+// Reason a stored session record can't be used, or null
+export function invalidSession(record) {
+  if (!record || typeof record !== "object") return "Not an object.";
+  if (typeof record.id !== "string" || !record.id) return "Missing session id.";
+  if (!Number.isFinite(record.createdAt)) return "Missing or invalid creation time.";
+  if (record.endedAt !== null && !Number.isFinite(record.endedAt)) return "Invalid end time.";
+  return null;
+}
+
+// Reason a stored contraction record can't be used, or null
+export function invalidContraction(record) {
+  if (!record || typeof record !== "object") return "Not an object.";
+  if (!Number.isFinite(record.id)) return "Missing contraction id.";
+  if (!Number.isFinite(record.start) || !Number.isFinite(record.end)) return "Missing or invalid times.";
+  if (record.end <= record.start) return "Ends before it starts.";
+  if (!Number.isFinite(record.intensity)) return "Missing or invalid intensity.";
+  return null;
+}
+
+// Reason a stored event record can't be used, or null
+export function invalidEvent(record) {
+  if (!record || typeof record !== "object") return "Not an object.";
+  if (!Number.isFinite(record.id)) return "Missing event id.";
+  if (!Number.isFinite(record.at)) return "Missing or invalid time.";
+  if (!eventType(record.type)) return "Unknown event type.";
+  return null;
+}
+
+// Store -> { sessions, contractions, events } records, for a first write or a migration
+export function toRecords(store) {
+  return {
+    sessions: store.sessions.map(sessionRecord),
+    contractions: store.sessions.flatMap(s => s.contractions.map(c => contractionRecord(s.id, c))),
+    events: store.sessions.flatMap(s => s.events.map(e => eventRecord(s.id, e))),
+  };
+}
+
+// Records read from the database -> { store, rejected, repaired }.
+// Anything unusable comes back in `rejected` as { kind, record, reason } for quarantine rather
+// than being dropped. `repaired` is true if the store had to be patched up (no usable current
+// session) and should be written back in full.
+export function fromRecords({ sessions, contractions, events = [], currentId }, now = Date.now()) {
+  const rejected = [];
+  const byId = new Map();
+  for (const record of sessions) {
+    const reason = invalidSession(record) ?? (byId.has(record.id) ? "Duplicate session id." : null);
+    if (reason) rejected.push({ kind: "session", record, reason });
+    else byId.set(record.id, { ...sessionRecord(record), contractions: [], events: [] });
+  }
+  for (const record of contractions) {
+    const session = byId.get(record?.sessionId);
+    const reason = invalidContraction(record) ?? (session ? null : "Belongs to no known session.");
+    if (reason) {
+      rejected.push({ kind: "contraction", record, reason });
+      continue;
+    }
+    const { sessionId: _sessionId, ...c } = record;
+    session.contractions.push({ ...c, duration: c.end - c.start });
+  }
+  for (const record of events) {
+    const session = byId.get(record?.sessionId);
+    const reason = invalidEvent(record) ?? (session ? null : "Belongs to no known session.");
+    if (reason) {
+      rejected.push({ kind: "event", record, reason });
+      continue;
+    }
+    const { sessionId: _sessionId, ...e } = record;
+    session.events.push({ detail: null, ...e });
+  }
+
+  const list = [...byId.values()].map(s => ({
+    ...s, contractions: sortByStart(s.contractions), events: sortByTime(s.events),
+  }));
+  const store = { version: SESSIONS_VERSION, currentId, sessions: list };
+  if (getSession(store, currentId)?.endedAt === null) return { store, rejected, repaired: false };
+
+  // The current session is missing or was archived: carry on with a fresh one
+  const fresh = createSession({ now });
+  return { store: { ...store, currentId: fresh.id, sessions: [...list, fresh] }, rejected, repaired: true };
+}
+
+// The writes that turn `prev` into `next`, relying on unchanged sessions, contractions and events
+// keeping their object identity (every update in the app is immutable). With no `prev`,
+// everything in `next` is written.
+export function diffStores(prev, next) {
+  const changes = {
+    putSessions: [], deleteSessions: [], putContractions: [], deleteContractions: [],
+    putEvents: [], deleteEvents: [], currentId: null,
+  };
+  if (!prev || prev.currentId !== next.currentId) changes.currentId = next.currentId;
+  const before = new Map((prev?.sessions ?? []).map(s => [s.id, s]));
+
+  for (const session of next.sessions) {
+    const old = before.get(session.id);
+    before.delete(session.id);
+    if (old === session) continue;
+    if (!old || SESSION_FIELDS.some(k => old[k] !== session[k])) changes.putSessions.push(sessionRecord(session));
+    diffList(old?.contractions, session, "contractions", contractionRecord, changes.putContractions, changes.deleteContractions);
+    diffList(old?.events, session, "events", eventRecord, changes.putEvents, changes.deleteEvents);
+  }
+
+  // Sessions that disappeared take their contractions and events with them
+  for (const old of before.values()) {
+    changes.deleteSessions.push(old.id);
+    for (const c of old.contractions) changes.deleteContractions.push([old.id, c.id]);
+    for (const e of old.events) changes.deleteEvents.push([old.id, e.id]);
+  }
+  return changes;
+}
+
+// Puts and deletes (as [sessionId, id] keys) for one of a session's lists
+function diffList(oldList = [], session, field, toRecord, puts, deletes) {
+  if (oldList === session[field]) return;
+  const oldById = new Map(oldList.map(item => [item.id, item]));
+  for (const item of session[field]) {
+    if (oldById.get(item.id) !== item) puts.push(toRecord(session.id, item));
+    oldById.delete(item.id);
+  }
+  for (const id of oldById.keys()) deletes.push([session.id, id]);
+}
+
+export function isEmptyDiff(changes) {
+  return changes.currentId === null
+    && ["putSessions", "deleteSessions", "putContractions", "deleteContractions", "putEvents", "deleteEvents"].every(k => changes[k].length === 0);
+}
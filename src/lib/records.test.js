@@ -0,0 +1,142 @@
+import { describe, it, expect } from "vitest";
+import { toRecords, fromRecords, diffStores, isEmptyDiff } from "./records";
+import { upsertContraction, removeContraction } from "./contractions";
+import { updateSession, startNewSession } from "./sessions";
+import { makeEvent } from "./events";
+
+const MIN = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1, 20, 0, 0);
+
+function contraction(id, offset, duration = MIN) {
+  return { id, start: T0 + offset, end: T0 + offset + duration, duration, intensity: 0.5 };
+}
+
+function store() {
+  return {
+    version: 1,
+    currentId: "b",
+    sessions: [
+      {
+        id: "a", name: "Old", createdAt: T0 - 86400000, endedAt: T0 - 80000000,
+        contractions: [contraction(1, -86400000)], events: [],
+      },
+      {
+        id: "b", name: "Now", createdAt: T0, endedAt: null,
+        contractions: [contraction(1, 0), contraction(2, 5 * MIN)],
+        events: [makeEvent({ id: 1, at: T0 + 2 * MIN, type: "waters", detail: "clear" })],
+      },
+    ],
+  };
+}
+
+describe("toRecords / fromRecords", () => {
+  it("round-trips a store", () => {
+    const original = store();
+    const { store: loaded, rejected, repaired } = fromRecords({ ...toRecords(original), currentId: "b" }, T0);
+    expect(loaded).toEqual(original);
+    expect(rejected).toEqual([]);
+    expect(repaired).toBe(false);
+  });
+
+  it("rejects broken and orphaned records instead of dropping them", () => {
+    const records = toRecords(store());
+    records.contractions.push({ id: 9, sessionId: "b", start: T0, end: "soon", intensity: 0.5 });
+    records.contractions.push({ ...contraction(3, 10 * MIN), sessionId: "gone" });
+    records.sessions.push({ id: "c", name: "Bad", createdAt: null, endedAt: null });
+    records.events.push({ id: 2, sessionId: "b", at: T0, type: "dancing", detail: null });
+    const { store: loaded, rejected } = fromRecords({ ...records, currentId: "b" }, T0);
+    expect(rejected.map(r => [r.kind, r.reason])).toEqual([
+      ["session", "Missing or invalid creation time."],
+      ["contraction", "Missing or invalid times."],
+      ["contraction", "Belongs to no known session."],
+      ["event", "Unknown event type."],
+    ]);
+    expect(loaded.sessions.map(s => s.id)).toEqual(["a", "b"]);
+  });
+
+  it("starts a fresh current session when the saved one is missing", () => {
+    const { store: loaded, repaired } = fromRecords({ ...toRecords(store()), currentId: "zzz" }, T0);
+    expect(repaired).toBe(true);
+    expect(loaded.sessions).toHaveLength(3);
+    expect(loaded.sessions.at(-1)).toMatchObject({ id: loaded.currentId, endedAt: null, contractions: [], events: [] });
+  });
+
+  it("reads a database written before sessions had events", () => {
+    const { events: _events, ...records } = toRecords(store());
+    const { store: loaded } = fromRecords({ ...records, currentId: "b" }, T0);
+    expect(loaded.sessions.map(s => s.events)).toEqual([[], []]);
+  });
+
+  it("sorts contractions and recomputes durations", () => {
+    const records = toRecords(store());
+    records.contractions.reverse();
+    records.contractions[0].duration = 1;
+    const { store: loaded } = fromRecords({ ...records, currentId: "b" }, T0);
+    expect(loaded.sessions[1].contractions.map(c => c.id)).toEqual([1, 2]);
+    expect(loaded.sessions[1].contractions[1].duration).toBe(MIN);
+  });
+});
+
+describe("diffStores", () => {
+  it("writes everything when there is nothing before", () => {
+    const changes = diffStores(null, store());
+    expect(changes.putSessions).toHaveLength(2);
+    expect(changes.putContractions).toHaveLength(3);
+    expect(changes.currentId).toBe("b");
+  });
+
+  it("writes nothing for an unchanged store", () => {
+    const s = store();
+    expect(isEmptyDiff(diffStores(s, s))).toBe(true);
+  });
+
+  it("writes only the added contraction", () => {
+    const before = store();
+    const added = contraction(3, 10 * MIN);
+    const after = updateSession(before, "b", s => ({ ...s, contractions: [...s.contractions, added] }));
+    expect(diffStores(before, after)).toEqual({
+      putSessions: [], deleteSessions: [], deleteContractions: [], putEvents: [], deleteEvents: [], currentId: null,
+      putContractions: [{ ...added, sessionId: "b" }],
+    });
+  });
+
+  it("writes edits and deletes by session and id", () => {
+    const before = store();
+    const edited = { ...before.sessions[1].contractions[0], intensity: 0.9 };
+    const after = updateSession(before, "b", s => ({
+      ...s, contractions: removeContraction(upsertContraction(s.contractions, edited), 2),
+    }));
+    const changes = diffStores(before, after);
+    expect(changes.putContractions).toEqual([{ ...edited, sessionId: "b" }]);
+    expect(changes.deleteContractions).toEqual([["b", 2]]);
+    expect(changes.putSessions).toEqual([]);
+  });
+
+  it("writes logged and deleted events by session and id", () => {
+    const before = store();
+    const added = makeEvent({ id: 2, at: T0 + 6 * MIN, type: "bleeding" });
+    const after = updateSession(before, "b", s => ({ ...s, events: [added] }));
+    const changes = diffStores(before, after);
+    expect(changes.putEvents).toEqual([{ ...added, sessionId: "b" }]);
+    expect(changes.deleteEvents).toEqual([["b", 1]]);
+    expect(changes.putContractions).toEqual([]);
+  });
+
+  it("archives and creates sessions without rewriting their contractions", () => {
+    const before = store();
+    const after = startNewSession(before, { now: T0 + 2 * 3600000 });
+    const changes = diffStores(before, after);
+    expect(changes.putSessions.map(s => s.id)).toEqual(["b", after.currentId]);
+    expect(changes.putContractions).toEqual([]);
+    expect(changes.currentId).toBe(after.currentId);
+  });
+
+  it("deletes a removed session with its contractions", () => {
+    const before = store();
+    const after = { ...before, sessions: before.sessions.slice(1) };
+    const changes = diffStores(before, after);
+    expect(changes.deleteSessions).toEqual(["a"]);
+    expect(changes.deleteContractions).toEqual([["a", 1]]);
+    expect(changes.deleteEvents).toEqual([]);
+  });
+});
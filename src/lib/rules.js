@@ -0,0 +1,62 @@
+// ---------------------------- LABOUR RULES ------------------------------- //
+//
+// A rule is "contractions <= maxInterval apart (start-to-start), each lasting
+// >= minDuration, sustained for >= sustain". 5-1-1 is the usual advice; providers
+// often give 4-1-1 for first babies or tighter/looser numbers after a fast labour.
+
+import { EN } from "./i18n";
+import { formatUnit } from "./format";
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+
+export const RULE_PRESETS = [
+  { id: "5-1-1", maxInterval: 5 * MIN, minDuration: 1 * MIN, sustain: 1 * HOUR },
+  { id: "4-1-1", maxInterval: 4 * MIN, minDuration: 1 * MIN, sustain: 1 * HOUR },
+  { id: "3-1-1", maxInterval: 3 * MIN, minDuration: 1 * MIN, sustain: 1 * HOUR },
+];
+
+export const DEFAULT_RULE = RULE_PRESETS[0];
+
+// Bounds for the custom rule form, also used to sanity-check saved settings
+export const CUSTOM_LIMITS = {
+  maxInterval: [1 * MIN, 30 * MIN],
+  minDuration: [0, 3 * MIN],
+  sustain: [0, 4 * HOUR],
+};
+
+export function isValidRule(rule) {
+  return !!rule && Object.entries(CUSTOM_LIMITS).every(([key, [lo, hi]]) => (
+    Number.isFinite(rule[key]) && rule[key] >= lo && rule[key] <= hi
+  ));
+}
+
+// Saved settings may hold a preset id or a full custom rule; fall back to 5-1-1
+export function resolveRule(saved) {
+  if (!saved) return DEFAULT_RULE;
+  const preset = RULE_PRESETS.find(p => p.id === saved.id);
+  if (preset) return preset;
+  return saved.id === "custom" && isValidRule(saved) ? saved : DEFAULT_RULE;
+}
+
+// "5 min", "90 sec", "1 hour", "1.5 hours" in `locale`, with Intl's unit names
+export function formatSpan(ms, locale = "en") {
+  if (ms >= HOUR) return formatUnit(ms / HOUR, "hour", locale, "long");
+  if (ms >= MIN && ms % MIN === 0) return formatUnit(ms / MIN, "minute", locale);
+  return formatUnit(Math.round(ms / 1000), "second", locale);
+}
+
+// Short name in the "5-1-1" style when the numbers allow it
+export function ruleName(rule, { t } = EN) {
+  const whole = rule.maxInterval % MIN === 0 && rule.minDuration % MIN === 0 && rule.sustain % HOUR === 0;
+  const short = `${rule.maxInterval / MIN}-${rule.minDuration / MIN}-${rule.sustain / HOUR}`;
+  if (rule.id !== "custom") return rule.id;
+  return whole ? t("rule.customNamed", { name: short }) : t("rule.custom");
+}
+
+export function ruleDescription(rule, { t, locale } = EN) {
+  const parts = [t("rule.apart", { span: formatSpan(rule.maxInterval, locale) })];
+  if (rule.minDuration > 0) parts.push(t("rule.lasting", { span: formatSpan(rule.minDuration, locale) }));
+  if (rule.sustain > 0) parts.push(t("rule.sustained", { span: formatSpan(rule.sustain, locale) }));
+  return parts.join(", ");
+}
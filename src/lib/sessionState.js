@@ -0,0 +1,148 @@
+// ----------------------------- SESSION STATE ----------------------------- //
+//
+// Everything the timer and the log change, held in one reducer (see SessionProvider):
+//   store        the session store ({ currentId, sessions })
+//   activeStart  start of the contraction being timed, or null
+//   staleStart   start of a timer found on load that was left running far too long
+//   undoEntry    what was deleted last, while it can still be restored:
+//                { kind: "contraction" | "event", entry }
+// The reducer is pure: ids, clock readings and new sessions come in on the action.
+//
+// Actions:
+//   { type: "start", at }                        start timing
+//   { type: "stop", at, id, intensity }          stop; under MIN_CONTRACTION_MS it's a cancel
+//   { type: "edit", entry, fromStale? }          add or replace a contraction (already validated)
+//   { type: "delete", contraction }              remove it, keeping it for undo
+//   { type: "logEvent", event }                  add or replace an event (already validated)
+//   { type: "deleteEvent", event }               remove it, keeping it for undo
+//   { type: "undo", now }                        put the deleted one back if it still fits
+//   { type: "dismissUndo" }
+//   { type: "clear" }                            empty the current session and stop the timer
+//   { type: "discardStale" }
+//   { type: "import", contractions }             replace the current session's list
+//   { type: "remote", shared }                   a merged snapshot from a partner's device
+//   { type: "newSession", session }              archive the current session, start `session`
+//   { type: "renameSession", id, name }
+//   { type: "deleteSession", id }
+
+import {
+  MIN_CONTRACTION_MS, makeContraction, sortByStart, validateContraction, upsertContraction, removeContraction,
+} from "./contractions";
+import { upsertEvent, removeEvent } from "./events";
+import { getSession, updateSession, startNewSession, deleteSession } from "./sessions";
+import { applyShared, applySharedEvents } from "./sync";
+
+export function initialSessionState(store, { activeStart = null, staleStart = null } = {}) {
+  return { store, activeStart, staleStart, undoEntry: null };
+}
+
+// Contractions of the current (editable) session
+export function currentContractions(state) {
+  return getSession(state.store, state.store.currentId).contractions;
+}
+
+// Events of the current session
+export function currentEvents(state) {
+  return getSession(state.store, state.store.currentId).events;
+}
+
+function withContractions(state, update) {
+  return {
+    ...state,
+    store: updateSession(state.store, state.store.currentId, s => ({ ...s, contractions: update(s.contractions) })),
+  };
+}
+
+function withEvents(state, update) {
+  return {
+    ...state,
+    store: updateSession(state.store, state.store.currentId, s => ({ ...s, events: update(s.events) })),
+  };
+}
+
+export function sessionReducer(state, action) {
+  switch (action.type) {
+    case "start":
+      if (state.activeStart !== null) return state;
+      return { ...state, activeStart: action.at, staleStart: null };
+
+    case "stop": {
+      if (state.activeStart === null) return state;
+      // Too short to be real: treat the tap as a mistake
+      if (action.at - state.activeStart < MIN_CONTRACTION_MS) return { ...state, activeStart: null };
+      const c = makeContraction({ id: action.id, start: state.activeStart, end: action.at, intensity: action.intensity });
+      return { ...withContractions(state, list => sortByStart([...list, c])), activeStart: null };
+    }
+
+    case "edit": {
+      const next = withContractions(state, list => upsertContraction(list, action.entry));
+      return action.fromStale ? { ...next, staleStart: null } : next;
+    }
+
+    case "delete":
+      return {
+        ...withContractions(state, list => removeContraction(list, action.contraction.id)),
+        undoEntry: { kind: "contraction", entry: action.contraction },
+      };
+
+    case "logEvent":
+      return withEvents(state, list => upsertEvent(list, action.event));
+
+    case "deleteEvent":
+      return {
+        ...withEvents(state, list => removeEvent(list, action.event.id)),
+        undoEntry: { kind: "event", entry: action.event },
+      };
+
+    case "undo": {
+      if (!state.undoEntry) return state;
+      const { kind, entry } = state.undoEntry;
+      const cleared = { ...state, undoEntry: null };
+      if (kind === "event") return withEvents(cleared, list => upsertEvent(list, entry));
+      // Something may have been logged over the gap since; don't restore into an overlap
+      const error = validateContraction(entry, currentContractions(state), {
+        activeStart: state.activeStart, now: action.now,
+      });
+      return error ? cleared : withContractions(cleared, list => upsertContraction(list, entry));
+    }
+
+    case "dismissUndo":
+      return state.undoEntry ? { ...state, undoEntry: null } : state;
+
+    case "clear":
+      return {
+        ...withEvents(withContractions(state, () => []), () => []),
+        activeStart: null, staleStart: null, undoEntry: null,
+      };
+
+    case "discardStale":
+      return { ...state, staleStart: null };
+
+    case "import":
+      return {
+        ...withEvents(withContractions(state, () => action.contractions), list => action.events ?? list),
+        undoEntry: null,
+      };
+
+    case "remote": {
+      const { shared } = action;
+      const next = {
+        ...withEvents(withContractions(state, list => applyShared(list, shared)), list => applySharedEvents(list, shared)),
+        activeStart: shared.timer.start,
+      };
+      return shared.timer.start !== null ? { ...next, staleStart: null } : next;
+    }
+
+    case "newSession":
+      return { ...state, store: startNewSession(state.store, { session: action.session }), undoEntry: null };
+
+    case "renameSession":
+      return { ...state, store: updateSession(state.store, action.id, s => ({ ...s, name: action.name })) };
+
+    case "deleteSession":
+      return { ...state, store: deleteSession(state.store, action.id) };
+
+    default:
+      throw new Error(`Unknown session action: ${action.type}`);
+  }
+}
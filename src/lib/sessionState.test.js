@@ -0,0 +1,107 @@
+import { describe, it, expect } from "vitest";
+import { sessionReducer, initialSessionState, currentContractions, currentEvents } from "./sessionState";
+import { createSession, newSessionStore, getSession } from "./sessions";
+import { makeContraction } from "./contractions";
+import { makeEvent } from "./events";
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+const T0 = Date.UTC(2026, 0, 1, 20, 0, 0);
+
+function c(id, offset, duration = MIN) {
+  return makeContraction({ id, start: T0 + offset, end: T0 + offset + duration, intensity: 0.5 });
+}
+
+function run(state, ...actions) {
+  return actions.reduce(sessionReducer, state);
+}
+
+function fresh(staleStart = null) {
+  return initialSessionState(newSessionStore(T0), { staleStart });
+}
+
+describe("sessionReducer", () => {
+  it("records a contraction between start and stop", () => {
+    const state = run(fresh(), { type: "start", at: T0 }, { type: "stop", at: T0 + 45 * SEC, id: 7, intensity: 0.6 });
+    expect(state.activeStart).toBeNull();
+    expect(currentContractions(state)).toEqual([{ id: 7, start: T0, end: T0 + 45 * SEC, duration: 45 * SEC, intensity: 0.6 }]);
+  });
+
+  it("treats a stop under a second as a cancelled tap", () => {
+    const state = run(fresh(), { type: "start", at: T0 }, { type: "stop", at: T0 + 400, id: 1, intensity: 0.5 });
+    expect(state.activeStart).toBeNull();
+    expect(currentContractions(state)).toEqual([]);
+  });
+
+  it("starting drops a stale timer and ignores a second start", () => {
+    const state = run(fresh(T0 - 10 * 60 * MIN), { type: "start", at: T0 }, { type: "start", at: T0 + 5 * SEC });
+    expect(state).toMatchObject({ activeStart: T0, staleStart: null });
+  });
+
+  it("deletes with undo, and won't restore over something logged since", () => {
+    const base = run(fresh(), { type: "import", contractions: [c(1, 0), c(2, 5 * MIN)] });
+    const deleted = run(base, { type: "delete", contraction: c(2, 5 * MIN) });
+    expect(currentContractions(deleted).map(x => x.id)).toEqual([1]);
+    expect(currentContractions(run(deleted, { type: "undo", now: T0 + 10 * MIN })).map(x => x.id)).toEqual([1, 2]);
+
+    const overlapped = run(deleted, { type: "edit", entry: c(3, 5 * MIN + 10 * SEC) }, { type: "undo", now: T0 + 10 * MIN });
+    expect(currentContractions(overlapped).map(x => x.id)).toEqual([1, 3]);
+    expect(overlapped.undoEntry).toBeNull();
+  });
+
+  it("logs events alongside contractions, and deletes them with undo", () => {
+    const waters = makeEvent({ id: 1, at: T0 + 3 * MIN, type: "waters", detail: "clear" });
+    const base = run(fresh(), { type: "import", contractions: [c(1, 0)] }, { type: "logEvent", event: waters });
+    expect(currentEvents(base)).toEqual([waters]);
+    expect(currentContractions(base)).toHaveLength(1);
+
+    const deleted = run(base, { type: "deleteEvent", event: waters });
+    expect(currentEvents(deleted)).toEqual([]);
+    expect(deleted.undoEntry).toEqual({ kind: "event", entry: waters });
+    expect(currentEvents(run(deleted, { type: "undo", now: T0 + 10 * MIN }))).toEqual([waters]);
+  });
+
+  it("imports events with the contractions, keeping the session's when none are given", () => {
+    const show = makeEvent({ id: 1, at: T0, type: "show" });
+    const waters = makeEvent({ id: 2, at: T0 + 3 * MIN, type: "waters", detail: "clear" });
+    const base = run(fresh(), { type: "logEvent", event: show });
+    expect(currentEvents(run(base, { type: "import", contractions: [c(1, 0)] }))).toEqual([show]);
+    const imported = run(base, { type: "import", contractions: [c(1, 0)], events: [show, waters] });
+    expect(currentEvents(imported)).toEqual([show, waters]);
+    expect(currentContractions(imported)).toHaveLength(1);
+  });
+
+  it("finishing a stale timer clears it", () => {
+    const state = run(fresh(T0), { type: "edit", entry: c(1, 0), fromStale: true });
+    expect(state.staleStart).toBeNull();
+    expect(currentContractions(state)).toHaveLength(1);
+  });
+
+  it("clears the session and the timer", () => {
+    const state = run(fresh(), { type: "import", contractions: [c(1, 0)] },
+      { type: "logEvent", event: makeEvent({ id: 1, at: T0, type: "show" }) },
+      { type: "start", at: T0 + 5 * MIN }, { type: "clear" });
+    expect(state).toMatchObject({ activeStart: null, staleStart: null, undoEntry: null });
+    expect(currentContractions(state)).toEqual([]);
+    expect(currentEvents(state)).toEqual([]);
+  });
+
+  it("archives into a session made by the caller", () => {
+    const base = run(fresh(), { type: "import", contractions: [c(1, 0)] });
+    const session = createSession({ name: "Second", now: T0 + 60 * MIN });
+    const state = run(base, { type: "newSession", session });
+    expect(state.store.currentId).toBe(session.id);
+    expect(getSession(state.store, base.store.currentId).endedAt).toBe(T0 + MIN);
+  });
+
+  it("archives a session holding only events, ended at the last one", () => {
+    const base = run(fresh(), { type: "logEvent", event: makeEvent({ id: 1, at: T0 + 5 * MIN, type: "show" }) });
+    const state = run(base, { type: "newSession", session: createSession({ now: T0 + 60 * MIN }) });
+    expect(state.store.sessions).toHaveLength(2);
+    expect(getSession(state.store, base.store.currentId).endedAt).toBe(T0 + 5 * MIN);
+  });
+
+  it("rejects unknown actions", () => {
+    expect(() => sessionReducer(fresh(), { type: "nope" })).toThrow(/nope/);
+  });
+});
@@ -0,0 +1,127 @@
+// --------------------------- SESSION HISTORY ----------------------------- //
+//
+// The app keeps every session in one store object: { version, currentId, sessions: [...] }.
+// Each session holds its `contractions` and its labour `events` (see events.js).
+// The current session is the only one that can be edited; starting a new one
+// archives it by stamping `endedAt`. The store is persisted record by record in
+// IndexedDB (see db.js); the localStorage keys here are the older formats, read once
+// for migration, and the fallback when IndexedDB isn't available.
+
+import { STORAGE_KEY, loadRaw, saveJSON } from "./storage";
+import { sortByStart } from "./contractions";
+
+export const SESSIONS_KEY = "contraction-clock-sessions";
+export const SESSIONS_VERSION = 1;
+
+// `locale` defaults to the browser's
+export function defaultSessionName(ts, locale) {
+  return new Date(ts).toLocaleString(locale, {
+    weekday: "short", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit",
+  });
+}
+
+export function createSession({ name, contractions = [], events = [], now = Date.now() } = {}) {
+  return {
+    id: `s${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: name || defaultSessionName(contractions[0]?.start ?? now),
+    createdAt: contractions[0]?.start ?? now,
+    endedAt: null,
+    contractions,
+    events,
+  };
+}
+
+export function newSessionStore(now = Date.now()) {
+  const session = createSession({ now });
+  return { version: SESSIONS_VERSION, currentId: session.id, sessions: [session] };
+}
+
+function parseRaw(raw) {
+  try {
+    return { value: JSON.parse(raw) };
+  } catch (err) {
+    return { error: `Not valid JSON (${err.message}).` };
+  }
+}
+
+// Reads the session store from localStorage, falling back to the original single-array key.
+// Returns { store, corrupt }: store is null if neither key holds anything usable, and every
+// value that exists but can't be read comes back in `corrupt` as { key, raw, reason } so
+// the caller can set it aside instead of losing it.
+export function readLocalSessions(now = Date.now()) {
+  const corrupt = [];
+
+  const raw = loadRaw(SESSIONS_KEY);
+  if (raw !== null) {
+    const { value, error } = parseRaw(raw);
+    if (value && Array.isArray(value.sessions) && value.sessions.some(s => s?.id === value.currentId)) {
+      // Saved before sessions had events
+      const sessions = value.sessions.map(s => (Array.isArray(s?.events) ? s : { ...s, events: [] }));
+      return { store: { ...value, sessions }, corrupt };
+    }
+    corrupt.push({ key: SESSIONS_KEY, raw, reason: error ?? "Not a session store." });
+  }
+
+  const legacy = loadRaw(STORAGE_KEY);
+  if (legacy !== null) {
+    const { value, error } = parseRaw(legacy);
+    if (Array.isArray(value)) {
+      const session = createSession({ contractions: sortByStart(value), now });
+      return { store: { version: SESSIONS_VERSION, currentId: session.id, sessions: [session] }, corrupt };
+    }
+    corrupt.push({ key: STORAGE_KEY, raw: legacy, reason: error ?? "Not a list of contractions." });
+  }
+  return { store: null, corrupt };
+}
+
+export function saveSessionStore(store) {
+  saveJSON(SESSIONS_KEY, store);
+}
+
+export function getSession(store, id) {
+  return store.sessions.find(s => s.id === id) ?? null;
+}
+
+export function updateSession(store, id, fn) {
+  return { ...store, sessions: store.sessions.map(s => (s.id === id ? fn(s) : s)) };
+}
+
+// Has nothing logged in it yet
+export function isEmptySession(session) {
+  return session.contractions.length === 0 && session.events.length === 0;
+}
+
+// Archive the current session (if it has anything in it) and make a fresh one current.
+// An empty current session is simply renamed/reused rather than archived. Pass `session`
+// to use one made beforehand with createSession (when the caller needs its id).
+export function startNewSession(store, { name, now = Date.now(), session = null } = {}) {
+  const current = getSession(store, store.currentId);
+  const fresh = session ?? createSession({ name, now });
+  if (current && isEmptySession(current)) {
+    return {
+      ...store,
+      currentId: fresh.id,
+      sessions: store.sessions.map(s => (s.id === current.id ? fresh : s)),
+    };
+  }
+  const archived = store.sessions.map(s => (
+    s.id === store.currentId ? { ...s, endedAt: lastLogged(s) ?? now } : s
+  ));
+  return { ...store, currentId: fresh.id, sessions: [...archived, fresh] };
+}
+
+// Time of the last thing logged in a session, or null if there's nothing
+function lastLogged(session) {
+  const times = [session.contractions.at(-1)?.end, session.events.at(-1)?.at].filter(Number.isFinite);
+  return times.length ? Math.max(...times) : null;
+}
+
+export function deleteSession(store, id) {
+  if (id === store.currentId) return store;
+  return { ...store, sessions: store.sessions.filter(s => s.id !== id) };
+}
+
+// Newest first, for the history list
+export function sessionsByDate(store) {
+  return [...store.sessions].sort((a, b) => b.createdAt - a.createdAt);
+}
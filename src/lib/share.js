@@ -0,0 +1,114 @@
+// ---------------------------- RELAY CONNECTION --------------------------- //
+//
+// Browser side of the share relay (server/relay.js): join a room, send and receive
+// session snapshots, and keep reconnecting with backoff when the signal drops.
+
+export const PROTOCOL_VERSION = 1;
+// Which session is being shared, so a reload picks the share back up: { code, relayUrl, sessionId }
+export const SHARE_KEY = "contraction-clock-share";
+const MAX_BACKOFF_MS = 30 * 1000;
+// What a connection can fail with, worded under share.error.<code> in the catalogs.
+// The first six come from the relay.
+export const SHARE_ERRORS = ["invalidCode", "noRoom", "full", "malformed", "version", "tooManyTries", "unreachable", "unknown"];
+
+// The relay normally runs next to the app on port 8787; VITE_RELAY_URL overrides that at build time
+export function defaultRelayUrl() {
+  if (import.meta.env.VITE_RELAY_URL) return import.meta.env.VITE_RELAY_URL;
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  return `${protocol}//${window.location.hostname || "localhost"}:8787`;
+}
+
+// Share codes are typed by hand: ignore case, spaces and dashes
+export function normalizeCode(text) {
+  return text.toUpperCase().replace(/[\s-]+/g, "");
+}
+
+export function shareLink(code, relayUrl) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set("share", code);
+  if (relayUrl !== defaultRelayUrl()) url.searchParams.set("relay", relayUrl);
+  return url.toString();
+}
+
+// { code, relayUrl } from a share link the app was opened with, or null
+export function readShareLink() {
+  const params = new URLSearchParams(window.location.search);
+  const code = params.get("share");
+  return code ? { code: normalizeCode(code), relayUrl: params.get("relay") || defaultRelayUrl() } : null;
+}
+
+export function clearShareLink() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete("share");
+  url.searchParams.delete("relay");
+  window.history.replaceState(null, "", url);
+}
+
+// Opens a relay connection. `code` null with `create` asks the relay for a new room.
+// onStatus(status, detail): "connecting" | "connected" ({ code }) | "peers" ({ count })
+//   | "reconnecting" | "error" ({ error }, one of SHARE_ERRORS, after which it stops trying)
+// Returns { send(snapshot), close() }.
+export function connectRelay({ url, code, create, onStatus, onSnapshot }) {
+  let ws = null;
+  let closed = false;
+  let attempt = 0;
+  let retryTimer = null;
+  let room = code;
+
+  const open = () => {
+    onStatus(attempt ? "reconnecting" : "connecting");
+    try {
+      ws = new WebSocket(url);
+    } catch {
+      // A malformed URL or one the page may not connect to
+      closed = true;
+      onStatus("error", { error: "unreachable" });
+      return;
+    }
+    ws.onopen = () => {
+      // After the first join, rejoining recreates the room in case the relay restarted
+      ws.send(JSON.stringify({ type: "join", code: room, create: create || attempt > 0, version: PROTOCOL_VERSION }));
+    };
+    ws.onmessage = event => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      // Snapshots are checked by the receiver (parseShared); this only guards the envelope
+      if (!message || typeof message !== "object") return;
+      if (message.type === "joined") {
+        room = message.code;
+        attempt = 0;
+        onStatus("connected", { code: room });
+      } else if (message.type === "peers") {
+        onStatus("peers", { count: message.count });
+      } else if (message.type === "state") {
+        onSnapshot(message.payload);
+      } else if (message.type === "error") {
+        closed = true;
+        onStatus("error", { error: SHARE_ERRORS.includes(message.error) ? message.error : "unknown" });
+        ws.close();
+      }
+    };
+    ws.onclose = () => {
+      if (closed) return;
+      attempt += 1;
+      onStatus("reconnecting");
+      retryTimer = setTimeout(open, Math.min(MAX_BACKOFF_MS, 1000 * 2 ** attempt));
+    };
+  };
+  open();
+
+  return {
+    send: snapshot => {
+      if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: "state", payload: snapshot, version: PROTOCOL_VERSION }));
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      ws?.close();
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { connectRelay } from "./share";
+
+// Stands in for the browser's WebSocket; tests play the relay through `receive`
+class FakeSocket {
+  static OPEN = 1;
+  static last = null;
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeSocket.OPEN;
+    this.sent = [];
+    FakeSocket.last = this;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  receive(message) {
+    this.onmessage({ data: typeof message === "string" ? message : JSON.stringify(message) });
+  }
+}
+
+function connect(overrides = {}) {
+  const statuses = [];
+  const snapshots = [];
+  const conn = connectRelay({
+    url: "ws://relay.test", code: "ABCDEF", create: false,
+    onStatus: (state, detail) => statuses.push([state, detail]),
+    onSnapshot: snapshot => snapshots.push(snapshot),
+    ...overrides,
+  });
+  return { conn, statuses, snapshots, ws: FakeSocket.last };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("connectRelay", () => {
+  it("passes relay errors on as codes for the catalogs", () => {
+    vi.stubGlobal("WebSocket", FakeSocket);
+    const { statuses, ws } = connect();
+    ws.receive({ type: "error", error: "noRoom", message: "No shared session with that code." });
+    expect(statuses.at(-1)).toEqual(["error", { error: "noRoom" }]);
+  });
+
+  it("reports an error it doesn't know as unknown", () => {
+    vi.stubGlobal("WebSocket", FakeSocket);
+    const { statuses, ws } = connect();
+    ws.receive({ type: "error", message: "Something new" });
+    expect(statuses.at(-1)).toEqual(["error", { error: "unknown" }]);
+  });
+
+  it("ignores messages that aren't JSON objects", () => {
+    vi.stubGlobal("WebSocket", FakeSocket);
+    const { statuses, snapshots, ws } = connect();
+    for (const message of ["not json", "null", "42", "[]"]) expect(() => ws.receive(message)).not.toThrow();
+    expect(snapshots).toEqual([]);
+    expect(statuses.map(([state]) => state)).toEqual(["connecting"]);
+  });
+
+  it("hands state payloads on as they came for the receiver to check", () => {
+    vi.stubGlobal("WebSocket", FakeSocket);
+    const { snapshots, ws } = connect();
+    ws.receive({ type: "state", payload: { contractions: "junk" } });
+    expect(snapshots).toEqual([{ contractions: "junk" }]);
+  });
+
+  it("reports a relay it can't open as unreachable", () => {
+    vi.stubGlobal("WebSocket", class {
+      constructor() {
+        throw new SyntaxError("bad url");
+      }
+    });
+    const { statuses } = connect({ url: "nonsense" });
+    expect(statuses.at(-1)).toEqual(["error", { error: "unreachable" }]);
+  });
+});
@@ -0,0 +1,53 @@
+// ------------------------- LOCAL STORAGE HELPERS ------------------------- //
+
+export const STORAGE_KEY = "contraction-clock-session";
+// In-progress contraction, so a reload or tab kill mid-contraction doesn't lose it
+export const ACTIVE_KEY = "contraction-clock-active";
+// UI preferences: intensity slider and live/scroll timeline mode
+export const PREFS_KEY = "contraction-clock-prefs";
+// Choices made in the settings panel
+export const SETTINGS_KEY = "contraction-clock-settings";
+
+// A contraction "in progress" for longer than this almost certainly means the stop tap
+// was missed (or the tab was killed), so we ask instead of resuming it.
+export const STALE_ACTIVE_MS = 10 * 60 * 1000;
+
+// Raw string under `key`, or null if missing or storage is unavailable
+export function loadRaw(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+export function loadJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Quota exceeded or storage disabled (private mode) — keep running in memory
+  }
+}
+
+export function removeKey(key) {
+  try { localStorage.removeItem(key); } catch { /* storage unavailable */ }
+}
+
+// Returns { activeStart, staleStart }: a recent timer resumes as-is, an old one is
+// handed back separately so the user can finish or discard it.
+export function loadActiveTimer(now = Date.now()) {
+  const saved = loadJSON(ACTIVE_KEY, null);
+  const start = saved && Number.isFinite(saved.start) ? saved.start : null;
+  if (start === null || start > now) return { activeStart: null, staleStart: null };
+  if (now - start > STALE_ACTIVE_MS) return { activeStart: null, staleStart: start };
+  return { activeStart: start, staleStart: null };
+}
@@ -0,0 +1,51 @@
+// --------------------------- SESSION SUMMARY ----------------------------- //
+//
+// Plain text for a message to the care team: the last few contractions, the averages,
+// how long the pattern has held and anything else logged. Short enough for one SMS
+// where possible, readable on any phone.
+
+import { EN } from "./i18n";
+import { ruleName } from "./rules";
+import { eventLabel, isRedFlag } from "./events";
+
+// Contractions listed one by one; the averages cover the rest
+export const SUMMARY_COUNT = 5;
+
+// `analysis` is analyzeContractions' result for the same contractions, `now` the time to
+// report as of
+export function buildSummary({ contractions, events = [], analysis, rule, now, count = SUMMARY_COUNT }, i18n = EN) {
+  const { t, formatClock, formatDuration } = i18n;
+  const lines = [t("summary.heading", { time: formatClock(now) })];
+  lines.push(t(analysis.verdict.ruleMet ? "summary.ruleMet" : "summary.ruleNotMet", { rule: ruleName(rule, i18n) }));
+
+  if (!contractions.length) {
+    lines.push(t("summary.noContractions"));
+  } else {
+    const from = Math.max(0, contractions.length - count);
+    lines.push(t("summary.last", { count: contractions.length - from }));
+    for (let i = contractions.length - 1; i >= from; i--) {
+      const c = contractions[i];
+      const vars = { time: formatClock(c.start), duration: formatDuration(c.duration) };
+      lines.push(i > 0
+        ? t("summary.rowInterval", { ...vars, interval: formatDuration(c.start - contractions[i - 1].start) })
+        : t("summary.row", vars));
+    }
+    if (analysis.avgInterval !== null) {
+      lines.push(t("summary.averages", {
+        interval: formatDuration(analysis.avgInterval), duration: formatDuration(analysis.avgDuration),
+      }));
+    }
+    lines.push(analysis.streak
+      ? t("summary.streak", { duration: formatDuration(analysis.streak.duration), count: analysis.streak.count })
+      : t("summary.noStreak"));
+  }
+
+  if (events.length) {
+    lines.push(t("summary.events"));
+    for (const event of events) {
+      const text = `${formatClock(event.at)} ${eventLabel(event, i18n)}`;
+      lines.push(isRedFlag(event) ? t("summary.redFlag", { event: text }) : `- ${text}`);
+    }
+  }
+  return lines.join("\n");
+}
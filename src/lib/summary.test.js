@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { buildSummary } from "./summary";
+import { analyzeContractions } from "./analytics";
+import { makeContraction } from "./contractions";
+import { makeEvent } from "./events";
+import { RULE_PRESETS } from "./rules";
+import { EN, createI18n } from "./i18n";
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+const T0 = new Date(2026, 0, 1, 20, 0, 0).getTime();
+const rule = RULE_PRESETS[0];
+
+// `n` contractions of `duration`, `every` apart
+function labour(n, every = 4 * MIN, duration = MIN) {
+  return Array.from({ length: n }, (_, i) => makeContraction({
+    id: i + 1, start: T0 + i * every, end: T0 + i * every + duration, intensity: 0.5,
+  }));
+}
+
+function summarise({ contractions, events = [], now, ...rest }, i18n) {
+  const analysis = analyzeContractions({ contractions, now, rule });
+  return buildSummary({ contractions, events, analysis, rule, now, ...rest }, i18n).split("\n");
+}
+
+describe("buildSummary", () => {
+  it("lists the last few contractions newest first, then the averages and the streak", () => {
+    const contractions = labour(20);
+    const now = contractions.at(-1).end;
+    const lines = summarise({ contractions, now });
+    expect(lines[0]).toBe(`Contractions as of ${EN.formatClock(now)}`);
+    expect(lines[1]).toBe("5-1-1: met.");
+    expect(lines[2]).toBe("Last 5 contractions:");
+    expect(lines.slice(3, 8)).toEqual([19, 18, 17, 16, 15].map(i => (
+      `- ${EN.formatClock(contractions[i].start)}, lasted 1m 0s, 4m 0s after the one before`
+    )));
+    expect(lines[8]).toBe("Average interval 4m 0s, average duration 1m 0s.");
+    expect(lines[9]).toBe("Regular for 77m 0s (20 contractions).");
+    expect(lines).toHaveLength(10);
+  });
+
+  it("handles a short session and a custom count", () => {
+    const contractions = labour(2, 10 * MIN, 30 * SEC);
+    const lines = summarise({ contractions, now: T0 + 11 * MIN, count: 3 });
+    expect(lines[1]).toBe("5-1-1: not met yet.");
+    expect(lines[2]).toBe("Last 2 contractions:");
+    expect(lines[4]).toBe(`- ${EN.formatClock(T0)}, lasted 30s`);
+    expect(lines.at(-1)).toBe("Not regular yet.");
+  });
+
+  it("says so when nothing has been timed", () => {
+    expect(summarise({ contractions: [], now: T0 }).slice(1)).toEqual(["5-1-1: not met yet.", "No contractions recorded yet."]);
+  });
+
+  it("adds logged events, marking warning signs", () => {
+    const events = [
+      makeEvent({ id: 1, at: T0 + MIN, type: "waters", detail: "green" }),
+      makeEvent({ id: 2, at: T0 + 2 * MIN, type: "medication", detail: "Paracetamol 1 g" }),
+    ];
+    const lines = summarise({ contractions: labour(1), events, now: T0 + 3 * MIN });
+    expect(lines.slice(-3)).toEqual([
+      "Also logged:",
+      `- ${EN.formatClock(T0 + MIN)} Waters broke: green (warning sign)`,
+      `- ${EN.formatClock(T0 + 2 * MIN)} Medication taken: Paracetamol 1 g`,
+    ]);
+  });
+
+  it("is written in the app's language", () => {
+    const fr = createI18n("fr");
+    const lines = summarise({ contractions: labour(1), now: T0 + 2 * MIN }, fr);
+    expect(lines[2]).toBe("Dernière contraction :");
+  });
+});
@@ -0,0 +1,226 @@
+// ------------------------------ LIVE SHARE ------------------------------- //
+//
+// Two devices share one session by swapping snapshots of it through the relay, and each
+// side merges what it receives into what it has. The merge is deterministic and doesn't
+// care about order, so both devices end up with the same result:
+//   - contractions and logged events are last-writer-wins per id, by when each was last
+//     changed; deletions leave a timestamped tombstone so the other side can't bring them back
+//   - the same contraction timed on both phones (two overlapping entries) collapses into
+//     one with the earliest start and the earliest stop: whoever tapped first
+//   - the timer: if both are running, the earliest start wins; otherwise the latest change
+//     does. A timer that a recorded contraction already covers counts as stopped.
+// Phone clocks can disagree by a few seconds, which only matters when both devices edit
+// the same contraction at almost the same moment.
+//
+// Snapshot: { contractions: [{ id, start, end, intensity, at }], removed: [[id, at]],
+//   events: [{ id, time, type, detail, at }], removedEvents: [[id, at]], timer: { start, at } }
+// An event's own time is `time` here, since `at` is when the row last changed.
+
+import { makeContraction, MIN_CONTRACTION_MS } from "./contractions";
+import { makeEvent, validateEvent } from "./events";
+
+// A start tapped this long before a recorded contraction began is the same contraction
+export const DUPLICATE_TAP_MS = 10 * 1000;
+
+export function emptyShared() {
+  return { contractions: [], removed: [], events: [], removedEvents: [], timer: { start: null, at: 0 } };
+}
+
+const isTime = value => Number.isFinite(value);
+
+// The checks validateContraction makes on its own row. Overlaps and times in the future
+// are left alone: the merge collapses the first, and the second is a fast phone clock.
+function parseRow(row) {
+  if (!row || typeof row !== "object") return null;
+  const { id, start, end, intensity, at } = row;
+  if (![id, start, end, at].every(isTime)) return null;
+  if (end - start < MIN_CONTRACTION_MS) return null;
+  if (!(intensity >= 0.1 && intensity <= 1)) return null;
+  return { id, start, end, intensity, at };
+}
+
+// The checks validateEvent makes, bar the one for times in the future
+function parseEventRow(row) {
+  if (!row || typeof row !== "object") return null;
+  const { id, time, type, detail, at } = row;
+  if (![id, time, at].every(isTime)) return null;
+  if (validateEvent({ at: time, type, detail }, { now: Infinity })) return null;
+  return { id, time, type, detail: makeEvent({ id, at: time, type, detail }).detail, at };
+}
+
+const isTombstones = list => Array.isArray(list)
+  && list.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(isTime));
+
+// A snapshot received from the relay, checked field by field and copied into the shape
+// above; null if anything in it is off, so a broken or hostile one is dropped whole
+// rather than merged, saved and passed on to the other devices. Snapshots from a version
+// that didn't share events yet come without them, and count as having none.
+export function parseShared(payload) {
+  if (!payload || typeof payload !== "object") return null;
+  const { contractions, removed, events = [], removedEvents = [], timer } = payload;
+  if (!Array.isArray(contractions) || !Array.isArray(events)) return null;
+  if (!timer || typeof timer !== "object" || !isTime(timer.at)) return null;
+  if (timer.start !== null && !isTime(timer.start)) return null;
+
+  const rows = contractions.map(parseRow);
+  const eventRows = events.map(parseEventRow);
+  if (rows.includes(null) || eventRows.includes(null)) return null;
+  if (!isTombstones(removed) || !isTombstones(removedEvents)) return null;
+  return {
+    contractions: rows,
+    removed: removed.map(([id, at]) => [id, at]),
+    events: eventRows,
+    removedEvents: removedEvents.map(([id, at]) => [id, at]),
+    timer: { start: timer.start, at: timer.at },
+  };
+}
+
+function sameContraction(a, b) {
+  return a.start === b.start && a.end === b.end && a.intensity === b.intensity;
+}
+
+function sameEvent(a, b) {
+  return a.time === b.time && a.type === b.type && a.detail === b.detail;
+}
+
+// Newest change wins; on a tie prefer the earlier end, then earlier start, then higher
+// intensity, which is what collapsing duplicates produces
+function wins(a, b) {
+  if (a.at !== b.at) return a.at > b.at;
+  if (a.end !== b.end) return a.end < b.end;
+  if (a.start !== b.start) return a.start < b.start;
+  return a.intensity > b.intensity;
+}
+
+// The same for events, with the tie broken on the row's fields in a fixed order
+function eventWins(a, b) {
+  if (a.at !== b.at) return a.at > b.at;
+  if (a.time !== b.time) return a.time < b.time;
+  if (a.type !== b.type) return a.type < b.type;
+  return String(a.detail) < String(b.detail);
+}
+
+// Union of tombstones, keeping the latest time per id, sorted by id
+function mergeRemoved(...lists) {
+  const latest = new Map();
+  for (const [id, at] of lists.flat()) latest.set(id, Math.max(at, latest.get(id) ?? -Infinity));
+  return [...latest].sort((a, b) => a[0] - b[0]);
+}
+
+// Stamps `rows` (the app's list as snapshot rows) against the snapshot's `old` rows: new or
+// changed ones get `now`, and ones that disappeared a tombstone added to `removed`
+function stampRows(old, removed, rows, same, now) {
+  const before = new Map(old.map(row => [row.id, row]));
+  const next = rows.map(row => {
+    const prev = before.get(row.id);
+    return prev && same(prev, row) ? prev : { ...row, at: now };
+  });
+  const kept = new Set(rows.map(row => row.id));
+  const gone = old.filter(row => !kept.has(row.id)).map(row => [row.id, now]);
+  return [next, mergeRemoved(removed, gone)];
+}
+
+// Folds local changes into the last shared snapshot: contractions and events that are new
+// or differ get stamped `now`, ones that disappeared get a tombstone, and a changed timer is
+// stamped.
+export function stampLocal(shared, { contractions, events }, activeStart, now) {
+  const [nextContractions, removed] = stampRows(shared.contractions, shared.removed,
+    contractions.map(({ id, start, end, intensity }) => ({ id, start, end, intensity })), sameContraction, now);
+  const [nextEvents, removedEvents] = stampRows(shared.events, shared.removedEvents,
+    events.map(({ id, at, type, detail }) => ({ id, time: at, type, detail })), sameEvent, now);
+  return {
+    contractions: nextContractions,
+    removed,
+    events: nextEvents,
+    removedEvents,
+    timer: activeStart === shared.timer.start ? shared.timer : { start: activeStart, at: now },
+  };
+}
+
+export function mergeShared(a, b) {
+  let removed = mergeRemoved(a.removed, b.removed);
+  const dead = new Map(removed);
+
+  const byId = new Map();
+  for (const c of [...a.contractions, ...b.contractions]) {
+    const other = byId.get(c.id);
+    if (!other || wins(c, other)) byId.set(c.id, c);
+  }
+  const alive = [...byId.values()]
+    .filter(c => !(dead.get(c.id) >= c.at))
+    .sort((x, y) => x.start - y.start || x.id - y.id);
+
+  // Overlapping entries can only come from both devices timing the same contraction
+  const contractions = [];
+  const collapsed = [];
+  for (const c of alive) {
+    const prev = contractions.at(-1);
+    if (!prev || c.start >= prev.end) {
+      contractions.push(c);
+      continue;
+    }
+    const merged = {
+      id: Math.min(prev.id, c.id),
+      start: prev.start,
+      end: Math.min(prev.end, c.end),
+      intensity: Math.max(prev.intensity, c.intensity),
+      at: Math.max(prev.at, c.at),
+    };
+    collapsed.push([merged.id === prev.id ? c.id : prev.id, merged.at]);
+    contractions[contractions.length - 1] = merged;
+  }
+  if (collapsed.length) removed = mergeRemoved(removed, collapsed);
+
+  const removedEvents = mergeRemoved(a.removedEvents, b.removedEvents);
+  const deadEvents = new Map(removedEvents);
+  const eventsById = new Map();
+  for (const e of [...a.events, ...b.events]) {
+    const other = eventsById.get(e.id);
+    if (!other || eventWins(e, other)) eventsById.set(e.id, e);
+  }
+  const events = [...eventsById.values()]
+    .filter(e => !(deadEvents.get(e.id) >= e.at))
+    .sort((x, y) => x.time - y.time || x.id - y.id);
+
+  return { contractions, removed, events, removedEvents, timer: mergeTimer(a.timer, b.timer, contractions) };
+}
+
+function mergeTimer(a, b, contractions) {
+  const finished = start => contractions.some(c => start >= c.start - DUPLICATE_TAP_MS && start < c.end);
+  const live = t => (t.start !== null && finished(t.start) ? { start: null, at: t.at } : t);
+  const x = live(a);
+  const y = live(b);
+  if (x.start !== null && y.start !== null) {
+    return { start: Math.min(x.start, y.start), at: Math.max(x.at, y.at) };
+  }
+  if (x.at !== y.at) return x.at > y.at ? x : y;
+  return x.start === null ? x : y;
+}
+
+// Whether two snapshots hold the same data (so there's nothing to send back)
+export function sameShared(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// The app's contraction list for a merged snapshot, reusing unchanged entries so only
+// real changes get written to storage
+export function applyShared(list, shared) {
+  const before = new Map(list.map(c => [c.id, c]));
+  return shared.contractions.map(({ id, start, end, intensity }) => {
+    const old = before.get(id);
+    return old && sameContraction(old, { start, end, intensity })
+      ? old
+      : makeContraction({ id, start, end, intensity });
+  });
+}
+
+// The same for the app's event list
+export function applySharedEvents(list, shared) {
+  const before = new Map(list.map(e => [e.id, e]));
+  return shared.events.map(({ id, time, type, detail }) => {
+    const old = before.get(id);
+    return old && sameEvent({ time: old.at, type: old.type, detail: old.detail }, { time, type, detail })
+      ? old
+      : makeEvent({ id, at: time, type, detail });
+  });
+}
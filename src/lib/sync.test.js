@@ -0,0 +1,197 @@
+import { describe, it, expect } from "vitest";
+import { emptyShared, stampLocal, mergeShared, sameShared, applyShared, applySharedEvents, parseShared } from "./sync";
+import { makeContraction } from "./contractions";
+import { makeEvent } from "./events";
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+const T0 = Date.UTC(2026, 0, 1, 20, 0, 0);
+
+function c(id, start, end, intensity = 0.5) {
+  return makeContraction({ id, start: T0 + start, end: T0 + end, intensity });
+}
+
+function e(id, at, type = "show", detail = null) {
+  return makeEvent({ id, at: T0 + at, type, detail });
+}
+
+// What the app hands stampLocal: the session's contractions and events
+function local(contractions, events = []) {
+  return { contractions, events };
+}
+
+// A device's snapshot after recording `list` with the timer at `activeStart`, at time `now`
+function device(list, activeStart = null, now = T0, events = []) {
+  return stampLocal(emptyShared(), local(list, events), activeStart === null ? null : T0 + activeStart, T0 + now);
+}
+
+describe("stampLocal", () => {
+  it("stamps only what changed", () => {
+    const first = device([c(1, 0, MIN)], null, 2 * MIN);
+    const next = stampLocal(first, local([c(1, 0, MIN), c(2, 5 * MIN, 6 * MIN)]), null, T0 + 7 * MIN);
+    expect(next.contractions[0]).toBe(first.contractions[0]);
+    expect(next.contractions[1].at).toBe(T0 + 7 * MIN);
+    expect(next.timer).toBe(first.timer);
+  });
+
+  it("leaves a tombstone for a deleted contraction", () => {
+    const first = device([c(1, 0, MIN)], null, 2 * MIN);
+    const next = stampLocal(first, local([]), null, T0 + 3 * MIN);
+    expect(next.removed).toEqual([[1, T0 + 3 * MIN]]);
+    expect(mergeShared(first, next).contractions).toEqual([]);
+  });
+
+  it("stamps logged events the same way, under their own tombstones", () => {
+    const first = device([], null, 2 * MIN, [e(1, MIN, "waters", "clear")]);
+    expect(first.events).toEqual([{ id: 1, time: T0 + MIN, type: "waters", detail: "clear", at: T0 + 2 * MIN }]);
+    const next = stampLocal(first, local([], [e(2, 3 * MIN)]), null, T0 + 4 * MIN);
+    expect(next.removedEvents).toEqual([[1, T0 + 4 * MIN]]);
+    expect(next.removed).toEqual([]);
+    expect(mergeShared(first, next).events.map(x => x.id)).toEqual([2]);
+  });
+});
+
+describe("mergeShared", () => {
+  it("combines contractions recorded on different devices", () => {
+    const a = device([c(1, 0, MIN)], null, 2 * MIN);
+    const b = device([c(2, 5 * MIN, 6 * MIN)], null, 7 * MIN);
+    expect(mergeShared(a, b).contractions.map(x => x.id)).toEqual([1, 2]);
+  });
+
+  it("is the same whichever side merges", () => {
+    const a = device([c(1, 0, MIN), c(3, 10 * MIN, 11 * MIN)], 20 * MIN, 20 * MIN);
+    const b = device([c(2, 1 * SEC, MIN + 2 * SEC), c(4, 15 * MIN, 16 * MIN)], 20 * MIN + SEC, 20 * MIN + SEC);
+    expect(mergeShared(a, b)).toEqual(mergeShared(b, a));
+    const once = mergeShared(a, b);
+    expect(sameShared(mergeShared(once, a), once)).toBe(true);
+  });
+
+  it("collapses the same contraction timed on both phones to the first taps", () => {
+    const a = device([c(5, 0, 62 * SEC, 0.6)], null, 70 * SEC);
+    const b = device([c(9, 2 * SEC, 60 * SEC, 0.8)], null, 70 * SEC);
+    const merged = mergeShared(a, b);
+    expect(merged.contractions).toEqual([
+      { id: 5, start: T0, end: T0 + 60 * SEC, intensity: 0.8, at: T0 + 70 * SEC },
+    ]);
+    expect(merged.removed).toEqual([[9, T0 + 70 * SEC]]);
+  });
+
+  it("keeps the earliest start when both devices start the timer", () => {
+    const merged = mergeShared(device([], 0, 0), device([], 2 * SEC, 2 * SEC));
+    expect(merged.timer.start).toBe(T0);
+  });
+
+  it("stops the timer on both when one device records the contraction", () => {
+    const running = device([], 0, 0);
+    const stopped = device([c(1, 0, MIN)], null, MIN);
+    expect(mergeShared(running, stopped).timer.start).toBeNull();
+  });
+
+  it("doesn't let an old running timer cancel a newer one", () => {
+    // b missed a's stop at 1 min and a's next start at 5 min
+    const a = stampLocal(device([c(1, 0, MIN)], null, MIN), local([c(1, 0, MIN)]), T0 + 5 * MIN, T0 + 5 * MIN);
+    const b = device([], SEC, SEC);
+    expect(mergeShared(a, b).timer.start).toBe(T0 + 5 * MIN);
+  });
+
+  it("takes the latest edit of the same contraction", () => {
+    const base = device([c(1, 0, MIN)], null, 2 * MIN);
+    const edited = stampLocal(base, local([c(1, 0, MIN, 0.9)]), null, T0 + 3 * MIN);
+    expect(mergeShared(base, edited).contractions[0].intensity).toBe(0.9);
+    expect(mergeShared(edited, base).contractions[0].intensity).toBe(0.9);
+  });
+
+  it("combines events from both devices, taking the latest edit of each", () => {
+    const a = device([], null, 2 * MIN, [e(1, MIN, "waters", "clear")]);
+    const b = device([], null, 3 * MIN, [e(2, 2 * MIN, "note", "Walking")]);
+    const edited = stampLocal(a, local([], [e(1, MIN, "waters", "green")]), null, T0 + 4 * MIN);
+    const merged = mergeShared(mergeShared(a, b), edited);
+    expect(merged).toEqual(mergeShared(edited, mergeShared(b, a)));
+    expect(merged.events.map(x => [x.id, x.detail])).toEqual([[1, "green"], [2, "Walking"]]);
+  });
+});
+
+describe("parseShared", () => {
+  const good = () => stampLocal(device([c(1, 0, MIN)], null, 2 * MIN), local([]), T0 + 5 * MIN, T0 + 5 * MIN);
+
+  it("passes a well-formed snapshot through unchanged", () => {
+    const snapshot = device([c(1, 0, MIN), c(2, 5 * MIN, 6 * MIN)], 7 * MIN, 7 * MIN);
+    expect(parseShared(snapshot)).toEqual(snapshot);
+    expect(parseShared(good())).toEqual(good());
+    expect(parseShared(emptyShared())).toEqual(emptyShared());
+  });
+
+  it("drops anything that isn't a snapshot", () => {
+    for (const payload of [null, undefined, "state", 42, [], {}]) expect(parseShared(payload)).toBeNull();
+    expect(parseShared({ ...good(), contractions: "all" })).toBeNull();
+    expect(parseShared({ ...good(), removed: { 1: T0 } })).toBeNull();
+    expect(parseShared({ ...good(), timer: undefined })).toBeNull();
+    expect(parseShared({ ...good(), timer: { start: "now", at: T0 } })).toBeNull();
+    expect(parseShared({ ...good(), removed: [[1]] })).toBeNull();
+    expect(parseShared({ ...good(), events: "all" })).toBeNull();
+    expect(parseShared({ ...good(), removedEvents: [[1, "now"]] })).toBeNull();
+  });
+
+  it("reads snapshots from before events were shared as having none", () => {
+    const { events, removedEvents, ...old } = device([c(1, 0, MIN)], null, 2 * MIN);
+    expect([events, removedEvents]).toEqual([[], []]);
+    expect(parseShared(old)).toEqual({ ...old, events: [], removedEvents: [] });
+  });
+
+  it("drops the whole snapshot for one bad event", () => {
+    const row = { id: 1, time: T0, type: "waters", detail: "clear", at: T0 + MIN };
+    const bad = [
+      null,
+      { ...row, time: String(T0) },
+      { ...row, type: "contractionish" },
+      { ...row, detail: "purple" },
+      { ...row, type: "note", detail: "  " },
+      { ...row, id: undefined },
+      { ...row, at: NaN },
+    ];
+    for (const entry of bad) {
+      expect(parseShared({ ...emptyShared(), events: [row, entry] })).toBeNull();
+    }
+    expect(parseShared({ ...emptyShared(), events: [{ ...row, type: "show" }] }).events[0].detail).toBeNull();
+  });
+
+  it("drops the whole snapshot for one bad contraction", () => {
+    const row = { id: 1, start: T0, end: T0 + MIN, intensity: 0.5, at: T0 + MIN };
+    const bad = [
+      null,
+      { ...row, start: String(T0) },
+      { ...row, end: T0 - MIN },
+      { ...row, end: NaN },
+      { ...row, end: T0 + 500 },
+      { ...row, intensity: 5 },
+      { ...row, id: undefined },
+      { ...row, at: Infinity },
+    ];
+    for (const entry of bad) {
+      expect(parseShared({ ...emptyShared(), contractions: [row, entry] })).toBeNull();
+    }
+  });
+
+  it("keeps only the fields the merge knows about", () => {
+    const snapshot = { ...emptyShared(), contractions: [{ id: 1, start: T0, end: T0 + MIN, intensity: 0.5, at: T0, extra: "x" }] };
+    expect(parseShared(snapshot).contractions[0]).toEqual({ id: 1, start: T0, end: T0 + MIN, intensity: 0.5, at: T0 });
+  });
+});
+
+describe("applyShared", () => {
+  it("reuses unchanged contractions", () => {
+    const list = [c(1, 0, MIN), c(2, 5 * MIN, 6 * MIN)];
+    const shared = stampLocal(device(list, null, 7 * MIN), local([list[0], c(2, 5 * MIN, 6 * MIN, 0.7)]), null, T0 + 8 * MIN);
+    const applied = applyShared(list, shared);
+    expect(applied[0]).toBe(list[0]);
+    expect(applied[1]).toEqual(c(2, 5 * MIN, 6 * MIN, 0.7));
+  });
+
+  it("reuses unchanged events", () => {
+    const list = [e(1, MIN), e(2, 2 * MIN, "note", "Walking")];
+    const shared = stampLocal(device([], null, 3 * MIN, list), local([], [list[0], e(2, 2 * MIN, "note", "Resting")]), null, T0 + 4 * MIN);
+    const applied = applySharedEvents(list, shared);
+    expect(applied[0]).toBe(list[0]);
+    expect(applied[1]).toEqual(e(2, 2 * MIN, "note", "Resting"));
+  });
+});
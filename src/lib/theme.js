@@ -0,0 +1,309 @@
+// -------------------------------- THEMES --------------------------------- //
+//
+// Every colour on screen is a token. Each theme gives every token a value, and the
+// chosen theme's values are set as CSS custom properties (--cc-<token>) on the root
+// element, so components refer to `colors.accent` etc. and never to a literal.
+// The printable report keeps its own paper palette and isn't themed.
+
+export const THEMES = {
+  dark: {
+    scheme: "dark",
+    // Browser chrome (theme-color) and the splash before the app draws
+    meta: "#0a1520",
+    colors: {
+      background: "radial-gradient(ellipse at 20% 30%, #0d1b2a 0%, #060d14 60%, #0a1520 100%)",
+      page: "#060d14",
+      surface: "#0d1b2a",
+      axisBg: "#0d1b22",
+      panel: "rgba(255,255,255,0.03)",
+      panelSubtle: "rgba(255,255,255,0.02)",
+      panelRaised: "rgba(255,255,255,0.04)",
+      field: "rgba(255,255,255,0.05)",
+      edge: "rgba(255,255,255,0.07)",
+      edgeFaint: "rgba(255,255,255,0.05)",
+      border: "#2a4a5a",
+      borderMuted: "#2a3a4a",
+      shadow: "rgba(0,0,0,0.5)",
+
+      text: "#e8dcc8",
+      heading: "#f0e6d3",
+      label: "#5a7a8a",
+      muted: "#6a8a9a",
+      faint: "#4a6a7a",
+      dim: "#3a5a6a",
+      control: "#7a9ab0",
+      value: "#8aacbc",
+      warm: "#e8c9a0",
+      warmDim: "#a07850",
+      calm: "#a8c8a0",
+
+      accent: "#5ab0d0",
+      accentBright: "#8ad0e8",
+      accentEdge: "#3a7a9a",
+      accentBg: "rgba(90,176,208,0.12)",
+      selectedBg: "rgba(90,160,200,0.08)",
+      selectedEdge: "rgba(90,160,200,0.25)",
+      infoBg: "rgba(90,160,200,0.06)",
+
+      active: "#e8a87c",
+      activeBg: "rgba(200,100,50,0.08)",
+      activeEdge: "rgba(232,168,124,0.35)",
+
+      good: "#80c890",
+      goodDim: "#50a870",
+      goodLine: "#6abf7a",
+      goodBg: "rgba(80,160,100,0.1)",
+      goodEdge: "rgba(80,160,100,0.3)",
+      alarm: "#e87060",
+      alarmSoft: "#c89080",
+      alarmBg: "rgba(180,60,40,0.12)",
+      alarmEdge: "rgba(220,100,80,0.4)",
+      alarmGlow: "rgba(220,80,60,0.5)",
+      danger: "#8a5a50",
+      estimate: "#c8a060",
+      estimateDim: "#8a7a5a",
+
+      grid: "#0e2535",
+      axis: "#2a5a7a",
+      tick: "#4a7a8a",
+      chartGhost: "#2a4a5a",
+      restLabel: "#3a6a7a",
+      bellFill: "rgba(90,176,208,0.1)",
+      bellLabel: "#4a8a9a",
+      activeFill: "rgba(200,100,50,0.13)",
+      projectionFill: "rgba(200,160,96,0.07)",
+
+      timerIdleBg: "radial-gradient(circle, #1a3a55 0%, #0d2035 60%, #060d18 100%)",
+      timerActiveBg: "radial-gradient(circle, #a0522d 0%, #7a3520 60%, #4a1f10 100%)",
+      timerIdleEdge: "#2a4a63",
+      timerIdleText: "#7ab0c8",
+      timerActiveText: "#fdf0e0",
+      timerElapsed: "#ffd4a8",
+      timerIdleShadow: "0 0 20px rgba(0,60,100,0.3), inset 0 0 10px rgba(0,0,0,0.4)",
+      timerActiveShadow: "0 0 40px rgba(200,100,50,0.4), inset 0 0 20px rgba(0,0,0,0.5)",
+
+      // One-handed view: high contrast, whatever the theme
+      hcBg: "#000",
+      hcText: "#fff",
+      hcMuted: "#c8c8c8",
+      hcAccent: "#ffd400",
+      hcActive: "#ff9a3c",
+      hcMet: "#ff6b5a",
+      hcButton: "#111",
+      hcOnAccent: "#000",
+    },
+  },
+
+  light: {
+    scheme: "light",
+    meta: "#f3efe7",
+    colors: {
+      background: "radial-gradient(ellipse at 20% 30%, #ffffff 0%, #f3efe7 60%, #ebe5da 100%)",
+      page: "#f3efe7",
+      surface: "#ffffff",
+      axisBg: "#faf8f4",
+      panel: "rgba(40,60,80,0.035)",
+      panelSubtle: "rgba(40,60,80,0.02)",
+      panelRaised: "rgba(40,60,80,0.05)",
+      field: "#ffffff",
+      edge: "rgba(30,50,70,0.12)",
+      edgeFaint: "rgba(30,50,70,0.07)",
+      border: "#b8c6cf",
+      borderMuted: "#cfd7dd",
+      shadow: "rgba(30,40,50,0.18)",
+
+      text: "#26323b",
+      heading: "#14202a",
+      label: "#5d7380",
+      muted: "#566b78",
+      faint: "#74868f",
+      dim: "#a3b1ba",
+      control: "#3e5f73",
+      value: "#3c5f72",
+      warm: "#8a5220",
+      warmDim: "#9a7048",
+      calm: "#3f7a3a",
+
+      accent: "#1f7ca3",
+      accentBright: "#125a78",
+      accentEdge: "#7fb3cb",
+      accentBg: "rgba(31,124,163,0.1)",
+      selectedBg: "rgba(31,124,163,0.07)",
+      selectedEdge: "rgba(31,124,163,0.3)",
+      infoBg: "rgba(31,124,163,0.05)",
+
+      active: "#c0622a",
+      activeBg: "rgba(200,100,50,0.08)",
+      activeEdge: "rgba(192,98,42,0.4)",
+
+      good: "#2f7d45",
+      goodDim: "#3f8a55",
+      goodLine: "#3a9a55",
+      goodBg: "rgba(60,150,90,0.1)",
+      goodEdge: "rgba(60,150,90,0.35)",
+      alarm: "#c0392b",
+      alarmSoft: "#a0584a",
+      alarmBg: "rgba(200,60,40,0.08)",
+      alarmEdge: "rgba(190,60,40,0.45)",
+      alarmGlow: "rgba(200,60,40,0.25)",
+      danger: "#a04a3a",
+      estimate: "#9a6a1a",
+      estimateDim: "#8a7650",
+
+      grid: "#e3e9ed",
+      axis: "#9fb3c0",
+      tick: "#5d7380",
+      chartGhost: "#b0bec7",
+      restLabel: "#7a8f9b",
+      bellFill: "rgba(31,124,163,0.1)",
+      bellLabel: "#3f6f82",
+      activeFill: "rgba(200,100,50,0.12)",
+      projectionFill: "rgba(154,106,26,0.08)",
+
+      timerIdleBg: "radial-gradient(circle, #ffffff 0%, #e8f0f5 60%, #d2e0e9 100%)",
+      timerActiveBg: "radial-gradient(circle, #e07a40 0%, #c0622a 60%, #9a4a1c 100%)",
+      timerIdleEdge: "#8fb0c4",
+      timerIdleText: "#1f6a8a",
+      timerActiveText: "#fffaf4",
+      timerElapsed: "#ffffff",
+      timerIdleShadow: "0 4px 16px rgba(30,80,110,0.18), inset 0 0 10px rgba(255,255,255,0.6)",
+      timerActiveShadow: "0 0 30px rgba(200,100,50,0.35), inset 0 0 20px rgba(0,0,0,0.15)",
+
+      hcBg: "#fff",
+      hcText: "#000",
+      hcMuted: "#333",
+      hcAccent: "#ffd400",
+      hcActive: "#ff9a3c",
+      hcMet: "#c8102e",
+      hcButton: "#f0f0f0",
+      hcOnAccent: "#000",
+    },
+  },
+
+  // Dim red and amber on black: readable up close without lighting up a sleeping room
+  night: {
+    scheme: "dark",
+    meta: "#000000",
+    colors: {
+      background: "#000",
+      page: "#000",
+      surface: "#0a0302",
+      axisBg: "#000",
+      panel: "rgba(120,30,10,0.06)",
+      panelSubtle: "rgba(120,30,10,0.03)",
+      panelRaised: "rgba(120,30,10,0.08)",
+      field: "rgba(120,30,10,0.08)",
+      edge: "rgba(140,40,15,0.25)",
+      edgeFaint: "rgba(140,40,15,0.15)",
+      border: "#3a1408",
+      borderMuted: "#2a0e06",
+      shadow: "rgba(0,0,0,0.8)",
+
+      text: "#8a3418",
+      heading: "#9a3c1a",
+      label: "#5a220e",
+      muted: "#6a2812",
+      faint: "#4a1c0c",
+      dim: "#36140a",
+      control: "#7a3016",
+      value: "#7a3016",
+      warm: "#94401a",
+      warmDim: "#5a2a10",
+      calm: "#7a4a16",
+
+      accent: "#a8441a",
+      accentBright: "#c05020",
+      accentEdge: "#5a220e",
+      accentBg: "rgba(168,68,26,0.15)",
+      selectedBg: "rgba(168,68,26,0.1)",
+      selectedEdge: "rgba(168,68,26,0.35)",
+      infoBg: "rgba(168,68,26,0.07)",
+
+      active: "#c8581c",
+      activeBg: "rgba(200,80,20,0.1)",
+      activeEdge: "rgba(200,88,28,0.4)",
+
+      good: "#8a5a18",
+      goodDim: "#6a4412",
+      goodLine: "#8a5a18",
+      goodBg: "rgba(140,90,20,0.1)",
+      goodEdge: "rgba(140,90,20,0.35)",
+      alarm: "#b8401c",
+      alarmSoft: "#8a3418",
+      alarmBg: "rgba(160,40,10,0.15)",
+      alarmEdge: "rgba(180,50,20,0.5)",
+      alarmGlow: "rgba(180,50,20,0.3)",
+      danger: "#7a2a14",
+      estimate: "#8a5016",
+      estimateDim: "#5a3410",
+
+      grid: "#1a0804",
+      axis: "#3a1408",
+      tick: "#5a220e",
+      chartGhost: "#36140a",
+      restLabel: "#4a1c0c",
+      bellFill: "rgba(168,68,26,0.1)",
+      bellLabel: "#6a2812",
+      activeFill: "rgba(200,80,20,0.15)",
+      projectionFill: "rgba(140,80,22,0.08)",
+
+      timerIdleBg: "radial-gradient(circle, #1a0804 0%, #0e0402 60%, #000 100%)",
+      timerActiveBg: "radial-gradient(circle, #4a1a08 0%, #3a1406 60%, #200a02 100%)",
+      timerIdleEdge: "#3a1408",
+      timerIdleText: "#8a3418",
+      timerActiveText: "#c8581c",
+      timerElapsed: "#d86a2a",
+      timerIdleShadow: "none",
+      timerActiveShadow: "0 0 24px rgba(160,50,10,0.25), inset 0 0 20px rgba(0,0,0,0.6)",
+
+      hcBg: "#000",
+      hcText: "#b8401c",
+      hcMuted: "#8a3418",
+      hcAccent: "#a03a14",
+      hcActive: "#c8581c",
+      hcMet: "#e0502a",
+      hcButton: "#0a0302",
+      hcOnAccent: "#1a0602",
+    },
+  },
+};
+
+// What the settings panel offers; "system" follows the device's light/dark preference
+export const THEME_CHOICES = ["system", ...Object.keys(THEMES)];
+
+export const DEFAULT_THEME_CHOICE = "system";
+
+export function isThemeChoice(choice) {
+  return THEME_CHOICES.includes(choice);
+}
+
+// Theme name for a saved choice; anything unknown counts as "system"
+export function resolveTheme(choice, prefersLight) {
+  if (Object.hasOwn(THEMES, choice)) return choice;
+  return prefersLight ? "light" : "dark";
+}
+
+const PREFERS_LIGHT = "(prefers-color-scheme: light)";
+
+// The media query behind "system", or null where matchMedia isn't available
+export function lightSchemeQuery() {
+  return typeof window !== "undefined" && window.matchMedia ? window.matchMedia(PREFERS_LIGHT) : null;
+}
+
+function cssVar(token) {
+  return `--cc-${token.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)}`;
+}
+
+// Token -> "var(--cc-token)", for inline styles and SVG attributes
+export const colors = Object.fromEntries(
+  Object.keys(THEMES.dark.colors).map(token => [token, `var(${cssVar(token)})`]),
+);
+
+// Sets the theme's tokens on `root` and matches the browser chrome to it
+export function applyTheme(name, root = document.documentElement) {
+  const theme = THEMES[name];
+  for (const [token, value] of Object.entries(theme.colors)) root.style.setProperty(cssVar(token), value);
+  root.style.colorScheme = theme.scheme;
+  root.dataset.theme = name;
+  root.ownerDocument?.querySelector('meta[name="theme-color"]')?.setAttribute("content", theme.meta);
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { THEMES, THEME_CHOICES, colors, resolveTheme, isThemeChoice, applyTheme } from "./theme";
+
+function fakeRoot() {
+  const props = {};
+  return {
+    props,
+    dataset: {},
+    style: { setProperty: (name, value) => { props[name] = value; } },
+  };
+}
+
+describe("themes", () => {
+  it("give every token a value in every theme", () => {
+    const tokens = Object.keys(THEMES.dark.colors).sort();
+    for (const theme of Object.values(THEMES)) {
+      expect(Object.keys(theme.colors).sort()).toEqual(tokens);
+      expect(Object.values(theme.colors).every(v => typeof v === "string" && v)).toBe(true);
+    }
+  });
+
+  it("maps tokens to CSS variables", () => {
+    expect(colors.accent).toBe("var(--cc-accent)");
+    expect(colors.timerIdleBg).toBe("var(--cc-timer-idle-bg)");
+  });
+
+  it("offers following the device plus each theme", () => {
+    expect(THEME_CHOICES).toEqual(["system", "dark", "light", "night"]);
+    expect(isThemeChoice("night")).toBe(true);
+    expect(isThemeChoice("sepia")).toBe(false);
+  });
+});
+
+describe("resolveTheme", () => {
+  it("follows the device for system or an unknown choice", () => {
+    expect(resolveTheme("system", true)).toBe("light");
+    expect(resolveTheme("system", false)).toBe("dark");
+    expect(resolveTheme(undefined, true)).toBe("light");
+    expect(resolveTheme("constructor", false)).toBe("dark");
+  });
+
+  it("keeps an explicit choice whatever the device prefers", () => {
+    expect(resolveTheme("night", true)).toBe("night");
+    expect(resolveTheme("dark", true)).toBe("dark");
+    expect(resolveTheme("light", false)).toBe("light");
+  });
+});
+
+describe("applyTheme", () => {
+  it("sets the tokens, colour scheme and theme name on the root", () => {
+    const root = fakeRoot();
+    applyTheme("night", root);
+    expect(root.props["--cc-accent"]).toBe(THEMES.night.colors.accent);
+    expect(Object.keys(root.props)).toHaveLength(Object.keys(colors).length);
+    expect(root.style.colorScheme).toBe("dark");
+    expect(root.dataset.theme).toBe("night");
+  });
+});
@@ -2,9 +2,27 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import UpdatePrompt from './components/UpdatePrompt.jsx'
+import StorageGate from './components/StorageGate.jsx'
+import { applyTheme, lightSchemeQuery, resolveTheme } from './lib/theme.js'
+import { SETTINGS_KEY, loadJSON } from './lib/storage.js'
+import { applyLocale, createI18n, resolveLocale } from './lib/i18n.js'
+import { I18nContext } from './hooks/useI18n.js'
+
+const settings = loadJSON(SETTINGS_KEY, {})
+
+// Theme the loading screen too; the app keeps it up to date from then on
+applyTheme(resolveTheme(settings.theme, lightSchemeQuery()?.matches))
+
+// Same for the language; the update prompt, outside the app, keeps the one it started with
+const i18n = createI18n(resolveLocale(settings.language, navigator.languages))
+applyLocale(i18n)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nContext.Provider value={i18n}>
+      <StorageGate>{storage => <App storage={storage} />}</StorageGate>
+      <UpdatePrompt />
+    </I18nContext.Provider>
   </StrictMode>,
 )